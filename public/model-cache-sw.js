@@ -0,0 +1,72 @@
+// Offline support for the try-on tracker (registered from src/modelCache.js).
+//
+// - Model files (model.json, weight shards, anything from the model hosts)
+//   are immutable per URL: cache-first, kept in MODEL_CACHE.
+// - Everything else same-origin is network-first with the last good copy as
+//   fallback, so the app shell still opens offline without ever going stale.
+
+// v2 drops v1 caches that may hold index.html in place of a local model
+const MODEL_CACHE = 'ar-tryon-models-v2';
+const APP_CACHE = 'ar-tryon-app-v1';
+
+const MODEL_HOSTS = ['storage.googleapis.com', 'tfhub.dev', 'www.kaggle.com'];
+
+const isModelRequest = (url) =>
+  MODEL_HOSTS.includes(url.hostname) ||
+  url.pathname.endsWith('.bin') ||
+  /\/model[^/]*\.json$/.test(url.pathname);
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('ar-tryon-') && key !== MODEL_CACHE && key !== APP_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// A missing local model gets index.html with a 200 from the dev server or an
+// SPA host; cached, it would hide weights bundled later for good.
+const isModelResponse = (response) => {
+  const type = response.headers.get('content-type') || '';
+  return response.ok && (type.includes('json') || type.includes('octet-stream') || type.includes('binary'));
+};
+
+const cacheFirst = async (request) => {
+  const cache = await caches.open(MODEL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (isModelResponse(response)) cache.put(request, response.clone());
+  return response;
+};
+
+const networkFirst = async (request) => {
+  const cache = await caches.open(APP_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request) ||
+      (request.mode === 'navigate' && await cache.match(`${self.registration.scope}index.html`)) ||
+      (request.mode === 'navigate' && await cache.match(self.registration.scope));
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (isModelRequest(url)) {
+    event.respondWith(cacheFirst(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  }
+});
@@ -1,14 +1,37 @@
 import React, { useState, useRef, useEffect } from 'react';
 import './App.css';
 import BodyTracking from './BodyTracking';
+import GarmentPicker from './GarmentPicker';
+import { defaultSelection, useGarmentCatalog } from './garmentCatalog';
+import PhotoGallery from './PhotoGallery';
+import { usePhotoGallery } from './photoGallery';
+import { CAPTURE_COUNTDOWNS, canvasToBlob, composeSnapshot, useCountdown } from './photoCapture';
+import { camera, useCamera } from './cameraManager';
+import CameraSettings from './CameraSettings';
+import EffectsTray from './EffectsTray';
+import { useVideoEffects } from './videoEffects';
 
 function App() {
   const [showWelcome, setShowWelcome] = useState(true);
   const [showCamera, setShowCamera] = useState(false);
   const [showBodyTracking, setShowBodyTracking] = useState(false);
-  const [cameraReady, setCameraReady] = useState(false);
+  const [garmentSelection, setGarmentSelection] = useState(null);
+  const [captureCountdown, setCaptureCountdown] = useState(0);
+  const [showEffects, setShowEffects] = useState(false);
+  const [effectsChain, setEffectsChain] = useState([]);
+  const { catalog, error: catalogError } = useGarmentCatalog();
+  // One gallery for both screens, so photos taken in try-on show up here
+  const gallery = usePhotoGallery();
+  const { photos, error: galleryError, addPhoto, removePhoto } = gallery;
+  const countdown = useCountdown();
+  const cameraState = useCamera(showCamera);
   const videoRef = useRef(null);
-  const streamRef = useRef(null);
+  const effectsCanvasRef = useRef(null);
+  const cameraReady = cameraState.status === 'live';
+  const mirrored = cameraState.facing !== 'environment';
+  // With effects on, the feed is shown (and captured) from the effects canvas
+  const effectsActive = showCamera && effectsChain.length > 0;
+  const { segmenterStatus } = useVideoEffects(videoRef, effectsCanvasRef, effectsChain, effectsActive, { mirror: mirrored });
 
   useEffect(() => {
     // Hide welcome screen after 3 seconds
@@ -19,34 +42,55 @@ function App() {
     return () => clearTimeout(timer);
   }, []);
 
-  const startCamera = async () => {
+  useEffect(() => {
+    if (catalog && !garmentSelection) setGarmentSelection(defaultSelection(catalog));
+  }, [catalog, garmentSelection]);
+
+  // The shared camera's stream is (re)attached whenever it changes
+  useEffect(() => {
+    if (videoRef.current) videoRef.current.srcObject = cameraState.stream;
+  }, [cameraState.stream, showCamera]);
+
+  const startCamera = () => {
     setShowCamera(true);
+  };
+
+  const stopCamera = () => {
+    countdown.cancel();
+    setShowCamera(false);
+  };
+
+  // The selfie camera is shown mirrored, so photos are too
+  const capturePhoto = async () => {
+    const video = videoRef.current;
+    if (!video || video.readyState < 2) return;
+    const frame = effectsActive ? effectsCanvasRef.current : video;
+    const snapshot = composeSnapshot(frame, null, { mirror: mirrored });
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ 
-        video: { facingMode: 'user' },
-        audio: false 
+      await addPhoto({
+        blob: await canvasToBlob(snapshot),
+        width: snapshot.width,
+        height: snapshot.height,
+        createdAt: Date.now(),
+        source: 'camera',
       });
-      streamRef.current = stream;
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-        setCameraReady(true);
-      }
     } catch (err) {
-      console.error("Error accessing camera:", err);
-      alert("Unable to access camera. Please allow camera permissions.");
+      console.error("Error capturing photo:", err);
+      alert("Unable to save the photo.");
     }
   };
 
-  const stopCamera = () => {
-    if (streamRef.current) {
-      streamRef.current.getTracks().forEach(track => track.stop());
-      streamRef.current = null;
-    }
-    setShowCamera(false);
-    setCameraReady(false);
+  const startCapture = () => {
+    if (countdown.remaining !== null) countdown.cancel();
+    else countdown.start(captureCountdown, capturePhoto);
+  };
+
+  const cycleCountdown = () => {
+    setCaptureCountdown(prev => CAPTURE_COUNTDOWNS[(CAPTURE_COUNTDOWNS.indexOf(prev) + 1) % CAPTURE_COUNTDOWNS.length]);
   };
 
   const startBodyTracking = () => {
+    stopCamera();
     setShowBodyTracking(true);
   };
 
@@ -56,7 +100,14 @@ function App() {
 
   // If body tracking is active, show only that component
   if (showBodyTracking) {
-    return <BodyTracking onClose={stopBodyTracking} />;
+    return (
+      <BodyTracking
+        onClose={stopBodyTracking}
+        garmentSelection={garmentSelection}
+        onGarmentSelectionChange={setGarmentSelection}
+        gallery={gallery}
+      />
+    );
   }
 
   return (
@@ -110,10 +161,10 @@ function App() {
                   <span className="feature-icon">✨</span>
                   <span>Real-time AR</span>
                 </div>
-                <div className="feature-item">
+                <button className="feature-item" onClick={startBodyTracking}>
                   <span className="feature-icon">🎯</span>
                   <span>Accurate Fitting</span>
-                </div>
+                </button>
                 <div className="feature-item">
                   <span className="feature-icon">📸</span>
                   <span>Instant Preview</span>
@@ -163,12 +214,21 @@ function App() {
                       ref={videoRef} 
                       autoPlay 
                       playsInline
-                      className="camera-feed"
+                      className={`camera-feed${mirrored ? ' mirrored' : ''}`}
+                      style={effectsActive ? { display: 'none' } : undefined}
                     />
+                    <canvas
+                      ref={effectsCanvasRef}
+                      className={`camera-feed${mirrored ? ' mirrored' : ''}`}
+                      style={effectsActive ? undefined : { display: 'none' }}
+                    />
+                    {countdown.remaining !== null && (
+                      <div key={countdown.remaining} className="capture-countdown">{countdown.remaining}</div>
+                    )}
                     {!cameraReady && (
                       <div className="camera-loading">
-                        <div className="spinner"></div>
-                        <p>Starting camera...</p>
+                        {cameraState.status !== 'denied' && cameraState.status !== 'error' && <div className="spinner"></div>}
+                        <p>{cameraState.error || 'Starting camera...'}</p>
                       </div>
                     )}
                   </div>
@@ -176,20 +236,50 @@ function App() {
                 </div>
               </div>
 
+              <CameraSettings state={cameraState} />
+
+              <div className="garment-picker">
+                <GarmentPicker
+                  compact
+                  catalog={catalog}
+                  error={catalogError}
+                  selection={garmentSelection}
+                  onChange={setGarmentSelection}
+                />
+                <button className="try-on-btn" onClick={startBodyTracking}>
+                  👕 Try It On
+                </button>
+              </div>
+
               <div className="camera-controls">
-                <button className="control-btn">
+                <button className="control-btn" onClick={() => camera.flip()} disabled={cameraState.devices.length < 2}>
                   <span className="control-icon">🔄</span>
                   <span>Flip</span>
                 </button>
-                <button className="control-btn capture">
+                <button className="control-btn capture" onClick={startCapture} disabled={!cameraReady}>
                   <span className="control-icon">📷</span>
-                  <span>Capture</span>
+                  <span>{countdown.remaining !== null ? 'Cancel' : 'Capture'}</span>
+                </button>
+                <button className="control-btn" onClick={cycleCountdown}>
+                  <span className="control-icon">⏱</span>
+                  <span>{captureCountdown ? `${captureCountdown}s` : 'Timer off'}</span>
                 </button>
-                <button className="control-btn">
+                <button
+                  className={`control-btn${showEffects ? ' active' : ''}`}
+                  onClick={() => setShowEffects(prev => !prev)}
+                >
                   <span className="control-icon">🎨</span>
-                  <span>Effects</span>
+                  <span>Effects{effectsChain.length > 0 ? ` (${effectsChain.length})` : ''}</span>
                 </button>
               </div>
+
+              {showEffects && (
+                <EffectsTray chain={effectsChain} onChange={setEffectsChain} segmenterStatus={segmenterStatus} />
+              )}
+
+              <div className="camera-gallery">
+                <PhotoGallery photos={photos} error={galleryError} onDelete={removePhoto} />
+              </div>
             </div>
           )}
         </div>
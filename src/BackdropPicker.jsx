@@ -0,0 +1,154 @@
+import React from 'react';
+import { BACKDROPS, addCustomBackdrop, backdropFor, backdropOptions } from './backgroundReplacement';
+
+const STATUS = {
+  loading: '⏳ Waiting for BodyPix to load...',
+  error: '❌ Background replacement needs BodyPix, which failed to load',
+};
+
+// settings: { backdrop, feather }; backdrop null leaves the real background.
+const BackdropPicker = ({ settings, onChange, segmenterStatus }) => {
+  const select = (backdrop) => onChange({ ...settings, backdrop });
+
+  const addImage = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    select(addCustomBackdrop(file.name.replace(/\.[^.]+$/, ''), URL.createObjectURL(file)));
+  };
+
+  const swatch = (id) => {
+    const { color, image } = backdropFor(id);
+    return color ? { background: color } : { backgroundImage: `url("${image}")`, backgroundSize: 'cover' };
+  };
+
+  return (
+    <div style={styles.container}>
+      <h3 style={styles.title}>🏝️ Backdrop</h3>
+      {STATUS[segmenterStatus] && <p style={styles.status}>{STATUS[segmenterStatus]}</p>}
+
+      <div style={styles.options}>
+        <button
+          onClick={() => select(null)}
+          style={{ ...styles.option, ...(settings.backdrop ? {} : styles.optionOn) }}
+        >
+          <span style={{ ...styles.swatch, ...styles.swatchNone }}>🚫</span>
+          Off
+        </button>
+        {backdropOptions().map(({ value, label }) => (
+          <button
+            key={value}
+            onClick={() => select(value)}
+            style={{ ...styles.option, ...(settings.backdrop === value ? styles.optionOn : {}) }}
+          >
+            <span style={{ ...styles.swatch, ...swatch(value) }} />
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div style={styles.row}>
+        <label style={styles.label}>
+          Edge softness: {settings.feather}px
+          <input
+            type="range"
+            min={0}
+            max={20}
+            step={1}
+            value={settings.feather}
+            onChange={(e) => onChange({ ...settings, feather: Number(e.target.value) })}
+          />
+        </label>
+        <label style={styles.label}>
+          📁 Use your own image
+          <input type="file" accept="image/*" onChange={addImage} />
+        </label>
+      </div>
+      <p style={styles.hint}>
+        {Object.keys(BACKDROPS).length} bundled backdrops. Shown while detection runs, and kept in captured photos.
+      </p>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    maxWidth: '640px',
+    margin: '0 auto 20px',
+    padding: '20px',
+    background: 'rgba(0,0,0,0.2)',
+    borderRadius: '15px',
+    backdropFilter: 'blur(10px)',
+    color: 'white',
+  },
+  title: {
+    margin: '0 0 15px 0',
+    fontSize: '18px',
+    fontWeight: '600',
+  },
+  status: {
+    margin: '0 0 10px 0',
+    fontSize: '13px',
+    opacity: 0.8,
+  },
+  options: {
+    display: 'flex',
+    gap: '10px',
+    overflowX: 'auto',
+    paddingBottom: '10px',
+  },
+  option: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '6px',
+    minWidth: '90px',
+    padding: '8px',
+    fontSize: '11px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.1)',
+    border: '2px solid rgba(255,255,255,0.2)',
+    borderRadius: '10px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  optionOn: {
+    border: '2px solid #00ff88',
+    background: 'rgba(0,255,136,0.15)',
+  },
+  swatch: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    width: '72px',
+    height: '40px',
+    borderRadius: '6px',
+    backgroundPosition: 'center',
+  },
+  swatchNone: {
+    background: 'rgba(255,255,255,0.05)',
+    fontSize: '18px',
+  },
+  row: {
+    display: 'flex',
+    gap: '15px',
+    flexWrap: 'wrap',
+    marginTop: '10px',
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '13px',
+    fontWeight: '600',
+    flex: 1,
+    minWidth: '200px',
+  },
+  hint: {
+    margin: '10px 0 0 0',
+    fontSize: '12px',
+    opacity: 0.7,
+  },
+};
+
+export default BackdropPicker;
@@ -1,7 +1,74 @@
-import React, { useEffect, useRef, useState } from 'react';
-import * as posenet from '@tensorflow-models/posenet';
-import '@tensorflow/tfjs-backend-webgl';
-import '@tensorflow/tfjs-backend-cpu';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { drawGarment, loadGarmentImage } from './garmentRenderer';
+import {
+  OCCLUDING_PARTS,
+  SEGMENTER_CONFIG,
+  buildPartColors,
+  drawSilhouette,
+  eraseParts
+} from './bodySegmentation';
+import { defaultSelection, resolveSelection, stepGarment, useGarmentCatalog } from './garmentCatalog';
+import GarmentPicker from './GarmentPicker';
+import { calibrateFromReference, createMeasurementAccumulator } from './bodyMeasurements';
+import MeasurementPanel from './MeasurementPanel';
+import { useSizeCharts } from './sizeRecommender';
+import SizeRecommendation from './SizeRecommendation';
+import {
+  CAMERA_SOURCE,
+  formatTime,
+  getFrameSize,
+  isFrameReady,
+  isMirrored,
+  loadImageFrame,
+  releaseSource,
+  sourceFromFile
+} from './inputSource';
+import {
+  createSessionPlayer,
+  createSessionRecorder,
+  isSessionFile,
+  readSessionFile,
+  sessionFrameToKeypoints
+} from './poseSession';
+import { downloadJson, fileTimestamp } from './download';
+import { ESTIMATORS } from './poseEstimators';
+import { createInference, releaseMasks } from './poseInference';
+import { createPoseTracker } from './poseTracker';
+import { DEFAULT_SMOOTHING, SMOOTHING_FILTERS, createKeypointSmoother } from './keypointFilters';
+import SmoothingPanel from './SmoothingPanel';
+import { createGestureRecognizer, describeGesture } from './gestureRecognizer';
+import { GESTURE_ACTIONS, actionFor, loadGestureMapping, saveGestureMapping } from './gestureControls';
+import GestureOverlay from './GestureOverlay';
+import GestureControlsPanel from './GestureControlsPanel';
+import { useCamera } from './cameraManager';
+import CameraSettings from './CameraSettings';
+import { CAPTURE_COUNTDOWNS, canvasToBlob, composeSnapshot, useCountdown } from './photoCapture';
+import { usePhotoGallery } from './photoGallery';
+import PhotoGallery from './PhotoGallery';
+import { DEFAULT_FEATHER, replaceBackground } from './backgroundReplacement';
+import BackdropPicker from './BackdropPicker';
+import { EXERCISES, createRepCounter, formatTempo } from './workout';
+import { FORM_COLORS, SKELETON_CONNECTIONS, checkForm, computeAngles, drawJointAngles } from './kinematics';
+import { createChoreographyScorer, drawGhost, extractVideoPoses } from './choreography';
+import ChoreographyPanel from './ChoreographyPanel';
+import { createMotionEvent, directionOf, useMotionEvents } from './motionEvents';
+import MotionLog from './MotionLog';
+import { DEFAULT_HEAD_POSE_OPTIONS, createHeadPoseTracker, drawHeadAxes } from './headPose';
+import { modelConfig, useTrackerSettings } from './trackerSettings';
+import TrackerSettingsPanel from './TrackerSettingsPanel';
+import { BACKENDS, describeFallback } from './tfBackend';
+import {
+  DEFAULT_QUALITY_OPTIONS,
+  QUALITY_LEVELS,
+  applyQuality,
+  createPerformanceMonitor,
+  createQualityController,
+  qualityLevelsFor
+} from './performanceMonitor';
+import PerformanceHud from './PerformanceHud';
+import WorkoutPanel from './WorkoutPanel';
+import { resolveModelAssets } from './modelAssets';
+import { prefetchModel } from './modelCache';
 
 // CSS animations
 const styleSheet = document.createElement("style");
@@ -10,6 +77,10 @@ styleSheet.textContent = `
     0% { transform: rotate(0deg); }
     100% { transform: rotate(360deg); }
   }
+  @keyframes pulse {
+    0%, 100% { opacity: 1; }
+    50% { opacity: 0.6; }
+  }
   @keyframes slideIn {
     from { opacity: 0; transform: translateY(-10px); }
     to { opacity: 1; transform: translateY(0); }
@@ -20,23 +91,168 @@ if (!document.head.querySelector('style[data-spinner]')) {
   document.head.appendChild(styleSheet);
 }
 
-const BodyTracking = ({ onClose }) => {
+const formatMegabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+const BodyTracking = ({ onClose, garmentSelection, onGarmentSelectionChange, gallery, onGesture, onHeadPose }) => {
   const videoRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const frameSourceRef = useRef(null);
+  const mirrorRef = useRef(true);
+  const recorderRef = useRef(null);
+  const playerRef = useRef(null);
+  const replayIndexRef = useRef(-1);
   const canvasRef = useRef(null);
+  const sceneCanvasRef = useRef(null);
+  const personLayerRef = useRef(null);
+  const backgroundRef = useRef(null);
   const modelRef = useRef(null);
+  const inferenceRef = useRef(null);
+  const garmentLayerRef = useRef(null);
   const animationIdRef = useRef(null);
   const frameCountRef = useRef(0);
-  const keypointHistoryRef = useRef([]);
-  const SMOOTHING_WINDOW = 5;
-  const previousKeypointsRef = useRef(null);
-  const MOVEMENT_THRESHOLD = 15;
-  const CONFIDENCE_THRESHOLD = 0.5;
-  const FRAME_SKIP = 5;
+  // Per-person state, keyed by tracker id
+  const smoothersRef = useRef(new Map());
+  const smoothingRef = useRef(DEFAULT_SMOOTHING);
+  const previousKeypointsRef = useRef(new Map());
+  const headPosesRef = useRef(new Map());
+  const trackerRef = useRef(null);
+  const multiPersonRef = useRef(false);
+  const focusedPersonRef = useRef(null);
+  const dressedPersonRef = useRef(null);
+  const gestureRef = useRef(null);
+  const onGestureRef = useRef(onGesture);
+  const onHeadPoseRef = useRef(onHeadPose);
+  const gestureActionRef = useRef(null);
+  const peopleKeyRef = useRef('');
+  const garmentRef = useRef(null);
+  const overlayRef = useRef({ skeleton: true, garment: true, segmentation: true, angles: false, headPose: false });
+  const formIssuesKeyRef = useRef('');
+  const formMessagesRef = useRef('');
+  const latestKeypointsRef = useRef(null);
+  const measurementRef = useRef(null);
+  const calibrationRef = useRef(null);
+  const referenceMarkRef = useRef(null);
+  const pendingMotionRef = useRef([]);
+  const repCounterRef = useRef(null);
+  const repPhaseRef = useRef(null);
+  const choreographyRef = useRef(null);
+  const trackerSettingsRef = useRef(null);
+  const performanceRef = useRef(null);
+  const qualityRef = useRef(null);
+  const adaptiveRef = useRef(true);
+  const qualityLevelsRef = useRef([0]);
+  const hudUpdatedRef = useRef(0);
+  const LOG_FLUSH_MS = 500;
+  const MAX_PEOPLE = 5;
+  const GESTURE_TOAST_MS = 1500;
+  const HUD_REFRESH_MS = 500;
   
   const [modelLoaded, setModelLoaded] = useState(false);
   const [modelError, setModelError] = useState(null);
+  const [modelProgress, setModelProgress] = useState(null);
+  const [inferenceMode, setInferenceMode] = useState(null);
+  const [tfBackend, setTfBackend] = useState(null);
+  const [backendNotice, setBackendNotice] = useState(null);
   const [detecting, setDetecting] = useState(false);
-  const [motionLog, setMotionLog] = useState([]);
+  const [showSkeleton, setShowSkeleton] = useState(true);
+  const [showGarment, setShowGarment] = useState(true);
+  const [garmentError, setGarmentError] = useState(null);
+  const [segmenterStatus, setSegmenterStatus] = useState('loading');
+  const [showSegmentation, setShowSegmentation] = useState(true);
+  const [showAngles, setShowAngles] = useState(false);
+  const [showHeadPose, setShowHeadPose] = useState(false);
+  const [formIssues, setFormIssues] = useState([]);
+  const [showHud, setShowHud] = useState(true);
+  const [adaptiveQuality, setAdaptiveQuality] = useState(true);
+  const [qualityLevel, setQualityLevel] = useState(0);
+  const [performanceStats, setPerformanceStats] = useState(null);
+  const [calibration, setCalibration] = useState(null);
+  const [calibrationError, setCalibrationError] = useState(null);
+  const [markingReference, setMarkingReference] = useState(false);
+  const [measurementSummary, setMeasurementSummary] = useState(null);
+  const [inputSource, setInputSource] = useState(CAMERA_SOURCE);
+  const [sourceError, setSourceError] = useState(null);
+  const [playback, setPlayback] = useState({ playing: false, currentTime: 0, duration: 0 });
+  const [recording, setRecording] = useState(false);
+  const [localSelection, setLocalSelection] = useState(null);
+  const [multiPerson, setMultiPerson] = useState(false);
+  const [people, setPeople] = useState([]);
+  const [focusedPerson, setFocusedPerson] = useState(null);
+  const [gestureControls, setGestureControls] = useState(true);
+  const [gestureMapping, setGestureMapping] = useState(loadGestureMapping);
+  const [gestureToast, setGestureToast] = useState(null);
+  const [catalogOpen, setCatalogOpen] = useState(false);
+  const [captureCountdown, setCaptureCountdown] = useState(3);
+  const [background, setBackground] = useState({ backdrop: null, feather: DEFAULT_FEATHER });
+  const [exercise, setExercise] = useState('squat');
+  const [workoutActive, setWorkoutActive] = useState(false);
+  const [workoutState, setWorkoutState] = useState(null);
+  const [workoutSummary, setWorkoutSummary] = useState(null);
+  const [choreography, setChoreography] = useState({
+    reference: null, mirror: true, status: 'idle', progress: 0, live: null, result: null, error: null,
+  });
+  const { catalog, error: catalogError } = useGarmentCatalog();
+  const { brands: sizeCharts, error: sizeChartError } = useSizeCharts();
+  // App passes its gallery so the camera screen sees photos taken here;
+  // otherwise the component keeps its own.
+  const localGallery = usePhotoGallery();
+  const { photos, error: galleryError, addPhoto, removePhoto } = gallery || localGallery;
+  const { events: motionEvents, error: motionLogError, addEvents: addMotionEvents, clear: clearMotionEvents } = useMotionEvents();
+  const {
+    settings: trackerSettings,
+    profiles: trackerProfiles,
+    active: trackerProfile,
+    update: updateTrackerSettings,
+    applyProfile,
+    saveProfile,
+    deleteProfile,
+    importProfiles,
+  } = useTrackerSettings();
+  const { estimator: estimatorId, smoothing, confidenceThreshold } = trackerSettings;
+  // Levels that make inference cheaper for the chosen model; none for MoveNet and BlazePose
+  const qualityLevels = useMemo(() => qualityLevelsFor(trackerSettings), [trackerSettings]);
+  // The controller catches up on its next update when the settings change under it
+  const appliedLevel = adaptiveQuality && qualityLevels.includes(qualityLevel) ? qualityLevel : 0;
+  // What actually runs: the settings with the adaptive quality level on top
+  const activeSettings = useMemo(
+    () => applyQuality(trackerSettings, appliedLevel),
+    [trackerSettings, appliedLevel]
+  );
+  // Settings objects change on every edit; the model only reloads when its
+  // load options do.
+  const modelOptionsKey = JSON.stringify(activeSettings.model);
+  const modelOptions = useMemo(() => JSON.parse(modelOptionsKey), [modelOptionsKey]);
+  const countdown = useCountdown();
+  const cameraState = useCamera(inputSource.type === 'camera');
+  const mirrored = isMirrored(inputSource, cameraState.facing);
+  // Replayed sessions have no pixels to cut the person out of
+  const showScene = !!background.backdrop && segmenterStatus === 'ready' && inputSource.type !== 'session' && detecting;
+
+  if (!measurementRef.current) {
+    measurementRef.current = createMeasurementAccumulator({ confidenceThreshold });
+  }
+  if (!trackerRef.current) {
+    trackerRef.current = createPoseTracker({ confidenceThreshold });
+  }
+  if (!gestureRef.current) {
+    gestureRef.current = createGestureRecognizer({ confidenceThreshold });
+  }
+  if (!performanceRef.current) {
+    performanceRef.current = createPerformanceMonitor();
+  }
+  if (!qualityRef.current) {
+    qualityRef.current = createQualityController();
+  }
+  onGestureRef.current = onGesture;
+  onHeadPoseRef.current = onHeadPose;
+  // The detect loop reads thresholds here so edits apply on the next frame
+  trackerSettingsRef.current = activeSettings;
+  qualityLevelsRef.current = qualityLevels;
+
+  // Selection is controlled by App when it passes one in, otherwise kept locally.
+  const selection = garmentSelection !== undefined ? garmentSelection : localSelection;
+  const setSelection = onGarmentSelectionChange || setLocalSelection;
+  const resolvedGarment = useMemo(() => resolveSelection(catalog, selection), [catalog, selection]);
 
   const BODY_PARTS = {
     head: [0, 1, 2, 3, 4],
@@ -56,55 +272,132 @@ const BodyTracking = ({ onClose }) => {
     torso: { fill: 'rgba(255, 165, 0, 0.7)', stroke: '#ffa500', name: 'Orange' },
   };
 
+  const SILHOUETTE_COLORS = buildPartColors(
+    Object.fromEntries(Object.entries(BODY_COLORS).map(([part, color]) => [part, color.stroke]))
+  );
+
   useEffect(() => {
-    let stream = null;
+    // Inference runs in a worker where possible; both models load into it.
+    const inference = createInference();
+    inferenceRef.current = inference;
+    let cancelled = false;
 
-    const setupCamera = async () => {
-      try {
-        stream = await navigator.mediaDevices.getUserMedia({
-          video: { width: { ideal: 640 }, height: { ideal: 480 }, facingMode: 'user' },
-          audio: false
-        });
+    inference.ready()
+      .then(backend => {
+        if (cancelled) return;
+        setInferenceMode(backend.mode);
+        setTfBackend(backend.backend);
+        setBackendNotice(describeFallback(backend));
+        console.log(`%c🧵 Pose inference on the ${backend.mode} thread (${backend.backend})`, 'color: #00ccff; font-size: 14px;');
+        if (backend.failed.length > 0) console.warn('⚠️ TF.js backend fallback:', backend.failed);
+      })
+      // The model loader reports this to the user
+      .catch(err => console.error('❌ No TF.js backend could start:', err));
 
-        if (videoRef.current) {
-          videoRef.current.srcObject = stream;
-          return new Promise((resolve) => {
-            videoRef.current.onloadedmetadata = () => {
-              videoRef.current.width = 640;
-              videoRef.current.height = 480;
-              videoRef.current.play();
-              resolve();
-            };
-          });
-        }
+    // BodyPix is optional: without it overlays fall back to keypoint-only drawing.
+    const loadSegmentation = async () => {
+      try {
+        console.log('%c🎭 Loading BodyPix Model...', 'color: #00ccff; font-size: 16px; font-weight: bold;');
+        const { overrides } = await resolveModelAssets('bodypix', SEGMENTER_CONFIG);
+        await inference.loadSegmenter(overrides);
+        if (cancelled) return;
+        setSegmenterStatus('ready');
+        console.log('%c✅ BodyPix Model Loaded Successfully!', 'color: #00ccff; font-size: 16px; font-weight: bold;');
       } catch (err) {
-        console.error('Error accessing camera:', err);
-        alert('Unable to access camera. Please grant camera permissions.');
+        console.error('❌ Error loading BodyPix model:', err);
+        if (!cancelled) setSegmenterStatus('error');
       }
     };
 
+    loadSegmentation();
+
+    return () => {
+      cancelled = true;
+      if (animationIdRef.current) cancelAnimationFrame(animationIdRef.current);
+      inferenceRef.current = null;
+      inference.dispose();
+    };
+  }, []);
+
+  // Gestures of the dressed person go to the motion log and to whoever listens upstream.
+  useEffect(() => gestureRef.current.subscribe('*', (event) => {
+    const text = describeGesture(event);
+    console.log(`%c${text} (${Math.round(event.confidence * 100)}%)`, 'color: #ff00ff; font-weight: bold; font-size: 14px;');
+    const hand = event.detail && event.detail.hand;
+    pendingMotionRef.current.push(createMotionEvent({
+      person: dressedPersonRef.current,
+      part: hand === 'left' || hand === 'right' ? `${hand}Arm` : null,
+      type: 'gesture',
+      direction: event.detail ? event.detail.direction || null : null,
+      magnitude: event.confidence * 100,
+      unit: '%',
+      text,
+    }));
+    if (gestureActionRef.current) gestureActionRef.current(event);
+    if (onGestureRef.current) onGestureRef.current(event);
+  }), []);
+
+  useEffect(() => saveGestureMapping(gestureMapping), [gestureMapping]);
+
+  useEffect(() => {
+    if (!gestureToast) return undefined;
+    const timer = setTimeout(() => setGestureToast(null), GESTURE_TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [gestureToast]);
+
+  // Motion events are batched so the render loop doesn't re-render the page
+  // (or write to the database) every few frames.
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const entries = pendingMotionRef.current;
+      if (entries.length === 0) return;
+      pendingMotionRef.current = [];
+      addMotionEvents(entries);
+    }, LOG_FLUSH_MS);
+    return () => clearInterval(interval);
+  }, [addMotionEvents]);
+
+  // Loads the selected pose estimator, replacing the previous one at runtime.
+  useEffect(() => {
+    let cancelled = false;
+    const inference = inferenceRef.current;
+    const { label } = ESTIMATORS[estimatorId];
+    const config = modelConfig({ estimator: estimatorId, model: modelOptions });
+
     const loadModel = async () => {
       try {
-        console.log('%c🚀 Loading PoseNet Model...', 'color: #00ff88; font-size: 18px; font-weight: bold;');
-        
-        const net = await posenet.load({
-          architecture: 'MobileNetV1',
-          outputStride: 16,
-          inputResolution: { width: 640, height: 480 },
-          multiplier: 0.75,
-          quantBytes: 2
-        });
-        
-        if (!net) throw new Error('Model loaded but returned null');
-        
-        modelRef.current = net;
+        console.log(`%c🚀 Loading ${label} Model...`, 'color: #00ff88; font-size: 18px; font-weight: bold;');
+
+        const { overrides, files, source } = await resolveModelAssets(estimatorId, config);
+        console.log(`📦 ${label} weights: ${source === 'local' ? 'bundled' : 'remote'}`, overrides);
+
+        // Download into the offline cache first for real progress; if that
+        // fails the loader below reports the actual error.
+        try {
+          await prefetchModel(files, (progress) => {
+            if (!cancelled) setModelProgress(progress);
+          });
+        } catch (err) {
+          console.warn(`⚠️ Could not prefetch ${label} weights:`, err);
+        }
+        if (cancelled) return;
+
+        // Resolves to null when a newer model was picked in the meantime
+        const estimator = await inference.loadEstimator(estimatorId, { ...modelOptions, ...overrides });
+        if (cancelled || !estimator) return;
+
+        modelRef.current = estimator;
         setModelLoaded(true);
         setModelError(null);
-        console.log('%c✅ PoseNet Model Loaded Successfully!', 'color: #00ff88; font-size: 18px; font-weight: bold;');
+        console.log(`%c✅ ${label} Model Loaded Successfully!`, 'color: #00ff88; font-size: 18px; font-weight: bold;');
       } catch (err) {
-        console.error('❌ Error loading PoseNet model:', err);
+        console.error(`❌ Error loading ${label} model:`, err);
+        if (cancelled) return;
         let errorMessage = 'Failed to load model. ';
-        if (err.message.includes('fetch') || err.message.includes('network')) {
+        if (!navigator.onLine) {
+          errorMessage += `You are offline and ${label} has not been downloaded on this device yet. ` +
+            'Connect once to cache it, or bundle its weights under public/models.';
+        } else if (err.message.includes('fetch') || err.message.includes('network')) {
           errorMessage += 'Check your internet connection.';
         } else {
           errorMessage += err.message;
@@ -113,51 +406,227 @@ const BodyTracking = ({ onClose }) => {
       }
     };
 
-    const init = async () => {
-      await setupCamera();
-      await loadModel();
+    setModelLoaded(false);
+    setModelError(null);
+    setModelProgress(null);
+    loadModel();
+
+    return () => {
+      cancelled = true;
+      modelRef.current = null;
     };
+  }, [estimatorId, modelOptions]);
 
-    init();
+  // Object URLs for uploaded files are released once they are no longer shown.
+  useEffect(() => () => releaseSource(inputSource), [inputSource]);
+
+  // (Re)connects the pipeline whenever the input changes between camera, video file and photo.
+  useEffect(() => {
+    let cancelled = false;
+    const video = videoRef.current;
+
+    frameSourceRef.current = null;
+    smoothersRef.current.clear();
+    previousKeypointsRef.current.clear();
+    trackerRef.current.reset();
+    gestureRef.current.reset();
+    dressedPersonRef.current = null;
+    peopleKeyRef.current = '';
+    measurementRef.current.reset();
+    setSourceError(null);
+    setPeople([]);
+    setFocusedPerson(null);
+
+    const setupVideoFile = () => {
+      video.srcObject = null;
+      video.src = inputSource.url;
+      video.onloadedmetadata = () => {
+        // Pose models size video input from the width/height attributes
+        video.width = video.videoWidth;
+        video.height = video.videoHeight;
+        frameSourceRef.current = video;
+        setPlayback({ playing: false, currentTime: 0, duration: video.duration });
+      };
+      video.onerror = () => {
+        if (!cancelled) setSourceError('Unable to play the selected video file.');
+      };
+    };
+
+    const setupImage = async () => {
+      try {
+        const frame = await loadImageFrame(inputSource.url);
+        if (!cancelled) frameSourceRef.current = frame;
+      } catch (err) {
+        if (!cancelled) setSourceError(err.message);
+      }
+    };
+
+    // Replay needs no pixels, only the recorded frame size for the overlay canvas
+    const setupSession = () => {
+      const { session } = inputSource;
+      playerRef.current = createSessionPlayer(session);
+      replayIndexRef.current = -1;
+      frameSourceRef.current = { ...session.frameSize };
+      setPlayback({ playing: false, currentTime: 0, duration: session.durationMs / 1000 });
+    };
+
+    // The camera stream is attached below, whenever the shared camera provides one
+    if (inputSource.type === 'video') setupVideoFile();
+    else if (inputSource.type === 'image') setupImage();
+    else if (inputSource.type === 'session') setupSession();
 
     return () => {
-      if (stream) stream.getTracks().forEach(track => track.stop());
-      if (animationIdRef.current) cancelAnimationFrame(animationIdRef.current);
+      cancelled = true;
+      frameSourceRef.current = null;
+      playerRef.current = null;
+      if (video) {
+        video.pause();
+        video.onloadedmetadata = null;
+        video.onerror = null;
+        video.srcObject = null;
+        video.removeAttribute('src');
+      }
     };
-  }, []);
+  }, [inputSource]);
+
+  // The shared camera's stream changes on flip, device or resolution changes and reconnects.
+  const cameraStream = inputSource.type === 'camera' ? cameraState.stream : null;
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!cameraStream || !video) return undefined;
+
+    video.srcObject = cameraStream;
+    video.onloadedmetadata = () => {
+      // Pose models size video input from the width/height attributes
+      video.width = video.videoWidth;
+      video.height = video.videoHeight;
+      video.play();
+      frameSourceRef.current = video;
+    };
+
+    return () => {
+      frameSourceRef.current = null;
+      video.onloadedmetadata = null;
+      video.srcObject = null;
+    };
+  }, [cameraStream]);
+
+  useEffect(() => {
+    mirrorRef.current = mirrored;
+  }, [mirrored]);
+
+  useEffect(() => {
+    if (catalog && !selection) setSelection(defaultSelection(catalog));
+  }, [catalog, selection, setSelection]);
 
-  const applyTemporalSmoothing = (keypoints) => {
-    keypointHistoryRef.current.push(keypoints);
-    if (keypointHistoryRef.current.length > SMOOTHING_WINDOW) {
-      keypointHistoryRef.current.shift();
+  useEffect(() => {
+    if (!resolvedGarment) {
+      garmentRef.current = null;
+      return undefined;
     }
-    if (keypointHistoryRef.current.length < 2) return keypoints;
-    
-    const smoothedKeypoints = keypoints.map((kp, i) => {
-      let sumX = 0, sumY = 0, sumScore = 0, count = 0;
-      keypointHistoryRef.current.forEach(frame => {
-        if (frame[i] && frame[i].score >= CONFIDENCE_THRESHOLD) {
-          sumX += frame[i].position.x;
-          sumY += frame[i].position.y;
-          sumScore += frame[i].score;
-          count++;
-        }
+
+    let cancelled = false;
+    const { garment, color } = resolvedGarment;
+
+    loadGarmentImage(color.imageUrl)
+      .then(image => {
+        if (cancelled) return;
+        garmentRef.current = {
+          id: garment.id,
+          name: garment.name,
+          category: garment.category,
+          anchors: garment.anchors,
+          image
+        };
+        setGarmentError(null);
+      })
+      .catch(err => {
+        console.error('Error loading garment:', err);
+        if (cancelled) return;
+        // Don't keep drawing the garment that was picked before
+        garmentRef.current = null;
+        setGarmentError(err.message);
       });
-      if (count === 0) return kp;
-      return {
-        ...kp,
-        position: { x: sumX / count, y: sumY / count },
-        score: sumScore / count
-      };
-    });
-    return smoothedKeypoints;
+
+    return () => {
+      cancelled = true;
+    };
+  }, [resolvedGarment]);
+
+  // The detection loop is a long-lived closure, so overlay toggles are read through a ref.
+  useEffect(() => {
+    overlayRef.current = {
+      skeleton: showSkeleton, garment: showGarment, segmentation: showSegmentation, angles: showAngles, headPose: showHeadPose,
+    };
+  }, [showSkeleton, showGarment, showSegmentation, showAngles, showHeadPose]);
+
+  useEffect(() => {
+    if (showAngles) return;
+    formIssuesKeyRef.current = '';
+    formMessagesRef.current = '';
+    setFormIssues([]);
+  }, [showAngles]);
+
+  useEffect(() => {
+    backgroundRef.current = showScene ? background : null;
+    const canvas = sceneCanvasRef.current;
+    if (!showScene && canvas) canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+  }, [showScene, background]);
+
+  // New settings take effect on fresh filters
+  useEffect(() => {
+    smoothingRef.current = smoothing;
+    smoothersRef.current.clear();
+  }, [smoothing]);
+
+  // Tracking, smoothing and measurements start over with a new threshold;
+  // the gesture recognizer keeps its subscribers.
+  useEffect(() => {
+    trackerRef.current = createPoseTracker({ confidenceThreshold });
+    measurementRef.current = createMeasurementAccumulator({ confidenceThreshold });
+    gestureRef.current.configure({ confidenceThreshold });
+    smoothersRef.current.clear();
+    previousKeypointsRef.current.clear();
+    headPosesRef.current.clear();
+    dressedPersonRef.current = null;
+    peopleKeyRef.current = '';
+  }, [confidenceThreshold]);
+
+  useEffect(() => {
+    adaptiveRef.current = adaptiveQuality;
+  }, [adaptiveQuality]);
+
+  useEffect(() => {
+    multiPersonRef.current = multiPerson;
+    focusedPersonRef.current = focusedPerson;
+  }, [multiPerson, focusedPerson]);
+
+  useEffect(() => {
+    calibrationRef.current = calibration;
+    measurementRef.current.reset();
+    setMeasurementSummary(null);
+  }, [calibration]);
+
+  const applyTemporalSmoothing = (keypoints, personId, t) => {
+    if (!smoothersRef.current.has(personId)) {
+      smoothersRef.current.set(personId, createKeypointSmoother(smoothingRef.current, { confidenceThreshold: trackerSettingsRef.current.confidenceThreshold }));
+    }
+    return smoothersRef.current.get(personId).smooth(keypoints, t);
+  };
+
+  // Yaw, pitch and roll in degrees, or null while the face isn't visible
+  const updateHeadPose = (keypoints, personId, t) => {
+    if (!headPosesRef.current.has(personId)) {
+      headPosesRef.current.set(personId, createHeadPoseTracker({ confidenceThreshold: trackerSettingsRef.current.confidenceThreshold }));
+    }
+    return headPosesRef.current.get(personId).update(keypoints, t);
   };
 
   const calculatePartCenter = (keypoints, partIndices) => {
     let sumX = 0, sumY = 0, count = 0;
     partIndices.forEach(idx => {
       const kp = keypoints[idx];
-      if (kp && kp.score >= CONFIDENCE_THRESHOLD) {
+      if (kp && kp.score >= trackerSettingsRef.current.confidenceThreshold) {
         sumX += kp.position.x;
         sumY += kp.position.y;
         count++;
@@ -167,11 +636,33 @@ const BodyTracking = ({ onClose }) => {
     return { x: sumX / count, y: sumY / count };
   };
 
-  const analyzeMovement = (smoothedKeypoints) => {
+  // personLabel prefixes console messages when more than one person is tracked.
+  const analyzeMovement = (smoothedKeypoints, personId, personLabel = '') => {
     if (!smoothedKeypoints || smoothedKeypoints.length === 0) return;
+    const who = personLabel ? `${personLabel} ` : '';
+
+    // Head turns and tilts come from the head pose, so moving the whole body
+    // doesn't count as one
+    const headPose = headPosesRef.current.get(personId);
+    if (headPose) {
+      headPose.takeChanges().forEach(({ axis, direction, angle }) => {
+        const text = axis === 'yaw' ? `👤 Head turned ${direction}`
+          : axis === 'pitch' ? `👤 Head tilted ${direction}`
+          : `👤 Head tilted toward ${direction} shoulder`;
+        pendingMotionRef.current.push(createMotionEvent({
+          person: personId,
+          part: 'head',
+          type: axis === 'yaw' ? 'turn' : 'tilt',
+          direction,
+          magnitude: Math.abs(angle),
+          unit: '°',
+          text,
+        }));
+        console.log(`%c${who}${text} (${Math.abs(angle).toFixed(0)}°)`, 'color: #ff0000; font-weight: bold; font-size: 14px;');
+      });
+    }
 
     const currentParts = {
-      head: calculatePartCenter(smoothedKeypoints, BODY_PARTS.head),
       leftArm: calculatePartCenter(smoothedKeypoints, BODY_PARTS.leftArm),
       rightArm: calculatePartCenter(smoothedKeypoints, BODY_PARTS.rightArm),
       leftLeg: calculatePartCenter(smoothedKeypoints, BODY_PARTS.leftLeg),
@@ -179,40 +670,27 @@ const BodyTracking = ({ onClose }) => {
       torso: calculatePartCenter(smoothedKeypoints, BODY_PARTS.torso),
     };
 
-    if (previousKeypointsRef.current) {
+    const previousParts = previousKeypointsRef.current.get(personId);
+    if (previousParts) {
+      const { movementThreshold } = trackerSettingsRef.current;
       const movements = [];
-
-      const headCurrent = currentParts.head;
-      const headPrevious = previousKeypointsRef.current.head;
-      if (headCurrent && headPrevious) {
-        const headDeltaX = headCurrent.x - headPrevious.x;
-        const headDeltaY = headCurrent.y - headPrevious.y;
-        if (Math.abs(headDeltaX) > MOVEMENT_THRESHOLD) {
-          const direction = headDeltaX > 0 ? 'left' : 'right';
-          const message = `👤 Head turned ${direction} (${Math.abs(headDeltaX).toFixed(1)}px)`;
-          movements.push(`Head turned ${direction}`);
-          console.log(`%c${message}`, 'color: #ff0000; font-weight: bold; font-size: 14px;');
-        }
-        if (Math.abs(headDeltaY) > MOVEMENT_THRESHOLD) {
-          const direction = headDeltaY > 0 ? 'down' : 'up';
-          const message = `👤 Head tilted ${direction} (${Math.abs(headDeltaY).toFixed(1)}px)`;
-          movements.push(`Head tilted ${direction}`);
-          console.log(`%c${message}`, 'color: #ff0000; font-weight: bold; font-size: 14px;');
-        }
-      }
+      const event = (fields) => movements.push(createMotionEvent({ person: personId, ...fields }));
 
       ['leftArm', 'rightArm', 'leftLeg', 'rightLeg'].forEach(part => {
         const current = currentParts[part];
-        const previous = previousKeypointsRef.current[part];
+        const previous = previousParts[part];
         if (current && previous) {
           const distance = Math.sqrt(
             Math.pow(current.x - previous.x, 2) + Math.pow(current.y - previous.y, 2)
           );
-          if (distance > MOVEMENT_THRESHOLD) {
+          if (distance > movementThreshold) {
             const partName = part.replace(/([A-Z])/g, ' $1').trim();
             const emoji = part.includes('Arm') ? '💪' : '🦵';
-            const message = `${emoji} ${partName} moved (${distance.toFixed(1)}px)`;
-            movements.push(`${partName} movement`);
+            const message = `${who}${emoji} ${partName} moved (${distance.toFixed(1)}px)`;
+            // As seen on screen, so a mirrored view flips left and right
+            const dx = mirrorRef.current ? previous.x - current.x : current.x - previous.x;
+            const direction = directionOf(dx, current.y - previous.y);
+            event({ part, type: 'move', direction, magnitude: distance, unit: 'px', text: `${emoji} ${partName} moved ${direction}` });
             const color = BODY_COLORS[part].stroke;
             console.log(`%c${message}`, `color: ${color}; font-weight: bold; font-size: 14px;`);
           }
@@ -220,100 +698,60 @@ const BodyTracking = ({ onClose }) => {
       });
 
       const torsoCurrent = currentParts.torso;
-      const torsoPrevious = previousKeypointsRef.current.torso;
+      const torsoPrevious = previousParts.torso;
       if (torsoCurrent && torsoPrevious) {
         const distance = Math.sqrt(
           Math.pow(torsoCurrent.x - torsoPrevious.x, 2) +
           Math.pow(torsoCurrent.y - torsoPrevious.y, 2)
         );
-        if (distance > MOVEMENT_THRESHOLD * 1.5) {
-          const message = `🚶 Body moved (${distance.toFixed(1)}px)`;
-          movements.push('Body movement');
+        if (distance > movementThreshold * 1.5) {
+          const message = `${who}🚶 Body moved (${distance.toFixed(1)}px)`;
+          const dx = mirrorRef.current ? torsoPrevious.x - torsoCurrent.x : torsoCurrent.x - torsoPrevious.x;
+          const direction = directionOf(dx, torsoCurrent.y - torsoPrevious.y);
+          event({ part: 'torso', type: 'move', direction, magnitude: distance, unit: 'px', text: `🚶 Body moved ${direction}` });
           console.log(`%c${message}`, 'color: #ffa500; font-weight: bold; font-size: 14px;');
         }
       }
 
-      if (movements.length > 0) {
-        setMotionLog(prev => {
-          const timestamp = new Date().toLocaleTimeString();
-          const newEntries = movements.map(m => ({ text: m, time: timestamp }));
-          return [...newEntries, ...prev].slice(0, 10);
-        });
-      }
+      pendingMotionRef.current.push(...movements);
     }
 
-    previousKeypointsRef.current = currentParts;
+    previousKeypointsRef.current.set(personId, currentParts);
   };
 
-  // OpenPose-style skeleton connections
-  const SKELETON_CONNECTIONS = [
-    // Face connections
-    { start: 0, end: 1, color: '#FF0000', name: 'nose-leftEye' },
-    { start: 0, end: 2, color: '#FF0000', name: 'nose-rightEye' },
-    { start: 1, end: 3, color: '#FF0000', name: 'leftEye-leftEar' },
-    { start: 2, end: 4, color: '#FF0000', name: 'rightEye-rightEar' },
-    
-    // Torso connections
-    { start: 5, end: 6, color: '#FFA500', name: 'shoulders' },
-    { start: 5, end: 11, color: '#FFA500', name: 'leftTorso' },
-    { start: 6, end: 12, color: '#FFA500', name: 'rightTorso' },
-    { start: 11, end: 12, color: '#FFA500', name: 'hips' },
-    
-    // Left arm connections
-    { start: 5, end: 7, color: '#FF00FF', name: 'leftUpperArm' },
-    { start: 7, end: 9, color: '#FF00FF', name: 'leftForearm' },
-    
-    // Right arm connections
-    { start: 6, end: 8, color: '#00FFFF', name: 'rightUpperArm' },
-    { start: 8, end: 10, color: '#00FFFF', name: 'rightForearm' },
-    
-    // Left leg connections
-    { start: 11, end: 13, color: '#00FF00', name: 'leftThigh' },
-    { start: 13, end: 15, color: '#00FF00', name: 'leftShin' },
-    
-    // Right leg connections
-    { start: 12, end: 14, color: '#FFFF00', name: 'rightThigh' },
-    { start: 14, end: 16, color: '#FFFF00', name: 'rightShin' },
-  ];
-
-  const drawBodyParts = (keypoints) => {
-    const canvas = canvasRef.current;
-    const video = videoRef.current;
-    if (!canvas || !video) return;
-
-    const ctx = canvas.getContext('2d');
-    const videoWidth = video.videoWidth || 640;
-    const videoHeight = video.videoHeight || 480;
-    
-    canvas.width = videoWidth;
-    canvas.height = videoHeight;
-    
-    // Clear canvas (transparent, so video shows through)
-    ctx.clearRect(0, 0, videoWidth, videoHeight);
+  // One color per tracked person, used instead of the part colors once more
+  // than one skeleton is on screen.
+  const PERSON_COLORS = ['#00ff88', '#ff00ff', '#00ccff', '#ffaa00', '#ff4444'];
+  const personColor = (id) => PERSON_COLORS[(id - 1) % PERSON_COLORS.length];
+  const personLabel = (id) => `P${id}`;
 
+  // Skeleton lines, plus the fixed-radius blobs when there is no silhouette.
+  // color overrides the per-part colors (multi-person mode).
+  const drawSkeleton = (ctx, keypoints, toCanvasX, { color = null, blobs = true } = {}) => {
+    const { confidenceThreshold: threshold } = trackerSettingsRef.current;
     // Draw thick colored body segments covering the whole body area
     ctx.lineWidth = 60; // Very thick lines to cover body area
     ctx.lineCap = 'round';
     ctx.lineJoin = 'round';
-    
+  
     SKELETON_CONNECTIONS.forEach(connection => {
       const startKp = keypoints[connection.start];
       const endKp = keypoints[connection.end];
-      
+    
       if (startKp && endKp && 
-          startKp.score >= CONFIDENCE_THRESHOLD && 
-          endKp.score >= CONFIDENCE_THRESHOLD) {
-        
-        const startX = videoWidth - startKp.position.x;
+          startKp.score >= threshold && 
+          endKp.score >= threshold) {
+      
+        const startX = toCanvasX(startKp.position.x);
         const startY = startKp.position.y;
-        const endX = videoWidth - endKp.position.x;
+        const endX = toCanvasX(endKp.position.x);
         const endY = endKp.position.y;
-        
+      
         // Draw thick colored line with transparency
-        ctx.strokeStyle = connection.color + 'BB'; // Semi-transparent
-        ctx.shadowColor = connection.color;
+        ctx.strokeStyle = (color || connection.color) + 'BB'; // Semi-transparent
+        ctx.shadowColor = color || connection.color;
         ctx.shadowBlur = 15;
-        
+      
         ctx.beginPath();
         ctx.moveTo(startX, startY);
         ctx.lineTo(endX, endY);
@@ -321,45 +759,48 @@ const BodyTracking = ({ onClose }) => {
       }
     });
 
+    if (!blobs) return;
+
     // Draw large filled circles at each keypoint to cover body parts
     Object.entries(BODY_PARTS).forEach(([partName, indices]) => {
-      const color = BODY_COLORS[partName];
+      const partColor = BODY_COLORS[partName];
+      const fill = color ? color + 'B3' : partColor.fill;
       const validKeypoints = indices
         .map(idx => keypoints[idx])
-        .filter(kp => kp && kp.score >= CONFIDENCE_THRESHOLD);
+        .filter(kp => kp && kp.score >= threshold);
 
       if (validKeypoints.length === 0) return;
 
       // Draw large circles covering each body part
       validKeypoints.forEach(kp => {
-        const x = videoWidth - kp.position.x;
+        const x = toCanvasX(kp.position.x);
         const y = kp.position.y;
-        
+    
         // Determine radius based on body part
         let radius = 40;
         if (partName === 'head') radius = 70;
         else if (partName === 'torso') radius = 80;
         else if (partName === 'leftArm' || partName === 'rightArm') radius = 45;
         else if (partName === 'leftLeg' || partName === 'rightLeg') radius = 50;
-        
+    
         // Draw large shadow/glow
-        ctx.fillStyle = color.fill;
-        ctx.shadowColor = color.stroke;
+        ctx.fillStyle = fill;
+        ctx.shadowColor = color || partColor.stroke;
         ctx.shadowBlur = 25;
         ctx.beginPath();
         ctx.arc(x, y, radius, 0, 2 * Math.PI);
         ctx.fill();
-        
+    
         // Reset shadow
         ctx.shadowBlur = 0;
       });
 
       // Draw filled polygon connecting keypoints for solid coverage
       if (validKeypoints.length >= 2) {
-        ctx.fillStyle = color.fill;
+        ctx.fillStyle = fill;
         ctx.beginPath();
         validKeypoints.forEach((kp, i) => {
-          const x = videoWidth - kp.position.x;
+          const x = toCanvasX(kp.position.x);
           const y = kp.position.y;
           if (i === 0) {
             ctx.moveTo(x, y);
@@ -373,28 +814,323 @@ const BodyTracking = ({ onClose }) => {
     });
   };
 
+  // "P2" tag above the highest confident keypoint; the dressed person gets a 👕.
+  const drawPersonTag = (ctx, person, toCanvasX, dressed) => {
+    const visible = person.keypoints.filter(kp => kp.score >= trackerSettingsRef.current.confidenceThreshold);
+    if (visible.length === 0) return;
+    const top = visible.reduce((best, kp) => (kp.position.y < best.position.y ? kp : best));
+    const text = `${dressed ? '👕 ' : ''}${personLabel(person.id)}`;
+
+    ctx.save();
+    ctx.shadowBlur = 0;
+    ctx.font = 'bold 22px -apple-system, BlinkMacSystemFont, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.lineWidth = 4;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.fillStyle = personColor(person.id);
+    const x = toCanvasX(top.position.x);
+    const y = Math.max(24, top.position.y - 30);
+    ctx.strokeText(text, x, y);
+    ctx.fillText(text, x, y);
+    ctx.restore();
+  };
+
+  // people: [{ id, keypoints }]. The garment only goes on the dressed person.
+  // ghost: a normalized reference pose to dance next to them.
+  const drawBodyParts = (people, dressedId, masks = null, ghost = null) => {
+    const canvas = canvasRef.current;
+    const frame = frameSourceRef.current;
+    if (!canvas || !frame) return;
+
+    const ctx = canvas.getContext('2d');
+    const { width: videoWidth, height: videoHeight } = getFrameSize(frame);
+    const mirror = mirrorRef.current;
+    const toCanvasX = (x) => (mirror ? videoWidth - x : x);
+    
+    canvas.width = videoWidth;
+    canvas.height = videoHeight;
+    
+    // Clear canvas (transparent, so video shows through)
+    ctx.clearRect(0, 0, videoWidth, videoHeight);
+
+    const several = people.length > 1;
+
+    if (overlayRef.current.skeleton) {
+      const silhouette = masks && masks.silhouette;
+      people.forEach(person => {
+        drawSkeleton(ctx, person.keypoints, toCanvasX, {
+          color: several ? personColor(person.id) : null,
+          blobs: !silhouette,
+        });
+      });
+
+      if (silhouette) {
+        // Real silhouette from BodyPix instead of fixed-radius blobs
+        ctx.shadowBlur = 0;
+        drawSilhouette(ctx, silhouette, { width: videoWidth, height: videoHeight, mirror });
+      }
+    }
+
+    if (several) {
+      people.forEach(person => drawPersonTag(ctx, person, toCanvasX, person.id === dressedId));
+    }
+
+    const dressed = people.find(person => person.id === dressedId);
+    if (overlayRef.current.garment && garmentRef.current && dressed) {
+      // Garment goes on its own layer so occluding body parts can be cut out of it
+      if (!garmentLayerRef.current) garmentLayerRef.current = document.createElement('canvas');
+      const layer = garmentLayerRef.current;
+      layer.width = videoWidth;
+      layer.height = videoHeight;
+      const layerCtx = layer.getContext('2d');
+
+      const drawn = drawGarment(layerCtx, garmentRef.current, dressed.keypoints, {
+        videoWidth,
+        confidenceThreshold: trackerSettingsRef.current.confidenceThreshold,
+        mirror,
+      });
+      if (drawn) {
+        if (masks && masks.occlusion) {
+          eraseParts(layerCtx, masks.occlusion, {
+            width: videoWidth,
+            height: videoHeight,
+            mirror,
+          });
+        }
+        ctx.drawImage(layer, 0, 0);
+      }
+    }
+
+    if (overlayRef.current.angles && dressed) drawForm(ctx, dressed.keypoints, toCanvasX);
+
+    if (overlayRef.current.headPose) {
+      people.forEach(person => {
+        if (person.headPose) drawHeadAxes(ctx, person.keypoints, person.headPose, { toCanvasX, mirror });
+      });
+    }
+
+    if (ghost) {
+      drawGhost(ctx, ghost, dressed && dressed.keypoints, {
+        width: videoWidth,
+        height: videoHeight,
+        toCanvasX,
+        confidenceThreshold: trackerSettingsRef.current.confidenceThreshold,
+      });
+    }
+  };
+
+  // Joint angles on the canvas; form problems go to the overlay, which
+  // re-renders when one comes or goes, and otherwise at most once every
+  // frameSkip frames when the degrees in their messages change.
+  const drawForm = (ctx, keypoints, toCanvasX) => {
+    const angles = computeAngles(keypoints, { confidenceThreshold: trackerSettingsRef.current.confidenceThreshold });
+    const issues = checkForm(angles);
+    const flagged = {};
+    issues.forEach(issue => issue.joints.forEach(joint => {
+      if (flagged[joint] !== 'error') flagged[joint] = issue.severity;
+    }));
+    drawJointAngles(ctx, keypoints, angles, { toCanvasX, flagged });
+
+    const key = issues.map(issue => `${issue.id}:${issue.severity}`).join(',');
+    const messages = issues.map(issue => issue.message).join('\n');
+    const refresh = frameCountRef.current % trackerSettingsRef.current.frameSkip === 0 && messages !== formMessagesRef.current;
+    if (key !== formIssuesKeyRef.current || refresh) {
+      formIssuesKeyRef.current = key;
+      formMessagesRef.current = messages;
+      setFormIssues(issues);
+    }
+  };
+
+  // The person picked in the UI while they're around, otherwise whoever has
+  // been tracked the longest.
+  const pickDressedPerson = (tracked) => {
+    const picked = tracked.find(person => person.id === focusedPersonRef.current);
+    return picked || tracked[0] || null;
+  };
+
+  // The backdrop with the person cut out on top, in camera space like the video.
+  const drawScene = (frame, mask) => {
+    const canvas = sceneCanvasRef.current;
+    const settings = backgroundRef.current;
+    if (!canvas || !settings || !mask) return;
+
+    const { width, height } = getFrameSize(frame);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    if (!personLayerRef.current) personLayerRef.current = document.createElement('canvas');
+    replaceBackground(canvas.getContext('2d'), frame, mask, {
+      ...settings,
+      mirror: mirrorRef.current,
+      personLayer: personLayerRef.current,
+    });
+  };
+
+  // Everything downstream of pose estimation, shared by live tracking and session replay.
+  // t (ms) drives the smoothing filters: wall clock live, the recorded time on replay.
+  const processPoses = (poses, masks, t) => {
+    const tracker = trackerRef.current;
+    const tracked = tracker.update(poses);
+
+    // Forget smoothing and movement history of people the tracker dropped
+    const active = new Set(tracker.activeIds());
+    [smoothersRef.current, previousKeypointsRef.current, headPosesRef.current].forEach(byPerson => {
+      byPerson.forEach((_, id) => {
+        if (!active.has(id)) byPerson.delete(id);
+      });
+    });
+
+    const dressedRaw = pickDressedPerson(tracked);
+    if (dressedRaw && recorderRef.current) recorderRef.current.addFrame(dressedRaw);
+    // Measurements only make sense for one body at a time
+    if (dressedRaw && dressedRaw.id !== dressedPersonRef.current) {
+      dressedPersonRef.current = dressedRaw.id;
+      measurementRef.current.reset();
+      gestureRef.current.reset();
+    }
+
+    const smoothedPeople = tracked.map(person => {
+      const keypoints = applyTemporalSmoothing(person.keypoints, person.id, t);
+      return { id: person.id, keypoints, headPose: updateHeadPose(keypoints, person.id, t) };
+    });
+    const dressed = dressedRaw && smoothedPeople.find(person => person.id === dressedRaw.id);
+    latestKeypointsRef.current = dressed ? dressed.keypoints : null;
+    const routine = choreographyRef.current;
+    const routineTime = routine && routine.player.currentTime();
+    if (routine && dressed) routine.scorer.update(dressed.keypoints, routineTime);
+    drawBodyParts(smoothedPeople, dressed && dressed.id, masks, routine && routine.scorer.poseAt(routineTime));
+    if (dressed) {
+      // Predicted keypoints are guesses; keep them out of the measurements
+      const measured = dressed.keypoints.map(kp => (kp.predicted ? { ...kp, score: 0 } : kp));
+      measurementRef.current.add(measured, calibrationRef.current);
+      gestureRef.current.update(dressed.keypoints, t, { mirrored: mirrorRef.current });
+      if (dressed.headPose && onHeadPoseRef.current) onHeadPoseRef.current({ person: dressed.id, t, ...dressed.headPose });
+      if (repCounterRef.current) countReps(dressed.keypoints, t);
+    }
+
+    // The person list only re-renders when someone arrives or leaves
+    const peopleKey = tracked.map(person => person.id).join(',');
+    if (peopleKey !== peopleKeyRef.current) {
+      peopleKeyRef.current = peopleKey;
+      setPeople(tracked.map(person => person.id));
+    }
+
+    frameCountRef.current++;
+    if (frameCountRef.current % trackerSettingsRef.current.frameSkip === 0) {
+      const several = smoothedPeople.length > 1;
+      smoothedPeople.forEach(person => {
+        analyzeMovement(person.keypoints, person.id, several ? personLabel(person.id) : '');
+      });
+      if (calibrationRef.current) setMeasurementSummary(measurementRef.current.summary());
+      if (routine) setChoreography(prev => ({ ...prev, live: routine.scorer.live(routineTime) }));
+    }
+    if (routine && !routine.player.isPlaying()) finishRoutine();
+  };
+
+  // The panel only re-renders when a rep finishes or the phase changes.
+  const countReps = (keypoints, t) => {
+    const counter = repCounterRef.current;
+    const rep = counter.update(keypoints, t, { confidenceThreshold: trackerSettingsRef.current.confidenceThreshold });
+    const state = counter.state();
+    if (rep) {
+      const { label, emoji } = EXERCISES[counter.summary().exercise];
+      const text = `${emoji} ${label} rep ${state.repsInSet} (set ${state.setNumber}): ` +
+        `down ${formatTempo(rep.downMs)}, up ${formatTempo(rep.upMs)}`;
+      console.log(`%c${text}`, 'color: #00ff88; font-weight: bold; font-size: 14px;');
+      pendingMotionRef.current.push(createMotionEvent({
+        person: dressedPersonRef.current,
+        type: 'rep',
+        magnitude: rep.durationMs / 1000,
+        unit: 's',
+        text,
+      }));
+      setWorkoutSummary(counter.summary());
+    }
+    if (rep || state.phase !== repPhaseRef.current) {
+      repPhaseRef.current = state.phase;
+      setWorkoutState(state);
+    }
+  };
+
+  const replayFrame = () => {
+    const player = playerRef.current;
+    const { index, frame } = player.frameAt();
+    if (frame && index !== replayIndexRef.current) {
+      replayIndexRef.current = index;
+      processPoses([{ score: frame.score, keypoints: sessionFrameToKeypoints(frame) }], null, frame.t);
+      if (index % trackerSettingsRef.current.frameSkip === 0 || !player.isPlaying()) {
+        setPlayback({
+          playing: player.isPlaying(),
+          currentTime: player.currentTime() / 1000,
+          duration: player.duration() / 1000
+        });
+      }
+    }
+  };
+
+  // HUD numbers and the adaptive quality controller, a couple of times a second.
+  const trackPerformance = (latencyMs, t) => {
+    const monitor = performanceRef.current;
+    monitor.add(t, latencyMs);
+    if (t - hudUpdatedRef.current < HUD_REFRESH_MS) return;
+    hudUpdatedRef.current = t;
+    const stats = monitor.stats();
+    setPerformanceStats(stats);
+    if (!adaptiveRef.current) return;
+
+    const level = qualityRef.current.update(stats.latencyMs, t, qualityLevelsRef.current);
+    if (level === null) return;
+    // Latency from before the change says nothing about the new level
+    monitor.reset();
+    setQualityLevel(level);
+    console.log(
+      `%c⚡ Adaptive quality: ${QUALITY_LEVELS[level].label} (${Math.round(stats.latencyMs)} ms per frame)`,
+      'color: #ffaa00; font-size: 14px;'
+    );
+  };
+
+  const toggleAdaptiveQuality = () => {
+    qualityRef.current.reset();
+    setQualityLevel(0);
+    setAdaptiveQuality(prev => !prev);
+  };
+
   const detectPose = async () => {
-    if (!modelRef.current || !videoRef.current) return;
-    const video = videoRef.current;
-    if (video.readyState < 2) {
+    if (playerRef.current) {
+      replayFrame();
+      animationIdRef.current = requestAnimationFrame(detectPose);
+      return;
+    }
+
+    // The model or frame source is briefly missing while switching them; keep the loop alive.
+    const frame = frameSourceRef.current;
+    if (!modelRef.current || !inferenceRef.current || !isFrameReady(frame)) {
       animationIdRef.current = requestAnimationFrame(detectPose);
       return;
     }
 
     try {
-      const pose = await modelRef.current.estimateSinglePose(video, {
-        flipHorizontal: false,
-        decodingMethod: 'single-person'
+      // Only ask for the masks that will actually be drawn
+      const overlay = overlayRef.current;
+      const garment = garmentRef.current;
+      const maxPoses = multiPersonRef.current && modelRef.current.multiPerson ? MAX_PEOPLE : 1;
+      const started = performance.now();
+      const { poses, masks } = await inferenceRef.current.infer(frame, {
+        maxPoses,
+        ...(overlay.segmentation ? {
+          silhouetteColors: overlay.skeleton ? SILHOUETTE_COLORS : null,
+          occludingParts: overlay.garment && garment ? OCCLUDING_PARTS[garment.category] : null,
+        } : {}),
+        personMask: !!backgroundRef.current,
       });
+      const t = performance.now();
+      trackPerformance(t - started, t);
 
-      if (pose && pose.keypoints) {
-        const smoothedKeypoints = applyTemporalSmoothing(pose.keypoints);
-        drawBodyParts(smoothedKeypoints);
-        frameCountRef.current++;
-        if (frameCountRef.current % FRAME_SKIP === 0) {
-          analyzeMovement(smoothedKeypoints);
-        }
-      }
+      drawScene(frame, masks && masks.person);
+      processPoses(poses, masks, t);
+      releaseMasks(masks);
 
       animationIdRef.current = requestAnimationFrame(detectPose);
     } catch (err) {
@@ -404,7 +1140,7 @@ const BodyTracking = ({ onClose }) => {
   };
 
   const toggleDetection = () => {
-    if (!modelLoaded) {
+    if (!modelLoaded && inputSource.type !== 'session') {
       alert('Please wait for the model to load first!');
       return;
     }
@@ -414,6 +1150,8 @@ const BodyTracking = ({ onClose }) => {
       if (newState) {
         console.log('%c🎯 BODY TRACKING STARTED', 'color: #00ff88; font-size: 18px; font-weight: bold;');
         frameCountRef.current = 0;
+        performanceRef.current.reset();
+        setPerformanceStats(null);
         detectPose();
       } else {
         console.log('%c⏸ Body tracking paused', 'color: #ff4444; font-size: 16px; font-weight: bold;');
@@ -426,9 +1164,274 @@ const BodyTracking = ({ onClose }) => {
     });
   };
 
+  const switchToCamera = () => {
+    if (inputSource.type !== 'camera') setInputSource(CAMERA_SOURCE);
+  };
+
+  const handleFileSelected = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (isSessionFile(file)) {
+      readSessionFile(file)
+        .then(session => {
+          console.log(`%c🎬 Replaying session: ${file.name} (${session.frames.length} frames)`, 'color: #00ccff; font-size: 16px; font-weight: bold;');
+          setInputSource({ type: 'session', session, name: file.name });
+        })
+        .catch(err => setSourceError(err.message));
+      return;
+    }
+
+    const source = sourceFromFile(file);
+    if (!source) {
+      alert('Please choose a video, image or pose session (.json) file.');
+      return;
+    }
+    console.log(`%c📁 Tracking ${source.type}: ${source.name}`, 'color: #00ccff; font-size: 16px; font-weight: bold;');
+    setInputSource(source);
+  };
+
+  const toggleRecording = () => {
+    if (recorderRef.current) {
+      const session = recorderRef.current.finish();
+      recorderRef.current = null;
+      setRecording(false);
+      if (session.frames.length === 0) {
+        alert('No poses were recorded. Start detection before recording.');
+        return;
+      }
+      downloadJson(session, `pose-session-${fileTimestamp()}.json`);
+      console.log(`%c💾 Saved pose session (${session.frames.length} frames)`, 'color: #00ff88; font-size: 16px; font-weight: bold;');
+      return;
+    }
+
+    recorderRef.current = createSessionRecorder({
+      model: { estimator: estimatorId, ...modelConfig(activeSettings) },
+      frameSize: getFrameSize(frameSourceRef.current),
+      mirrored: mirrorRef.current,
+    });
+    setRecording(true);
+    console.log('%c⏺ Recording pose session...', 'color: #ff4444; font-size: 16px; font-weight: bold;');
+  };
+
+  const togglePlayback = () => {
+    const player = playerRef.current;
+    if (player) {
+      if (player.isPlaying()) player.pause();
+      else player.play();
+      setPlayback(prev => ({ ...prev, playing: player.isPlaying() }));
+      return;
+    }
+
+    const video = videoRef.current;
+    if (!video) return;
+    if (video.paused) video.play();
+    else video.pause();
+  };
+
+  const seek = (e) => {
+    const seconds = parseFloat(e.target.value);
+    if (playerRef.current) {
+      playerRef.current.seek(seconds * 1000);
+      setPlayback(prev => ({ ...prev, currentTime: seconds }));
+      return;
+    }
+    const video = videoRef.current;
+    if (video) video.currentTime = seconds;
+  };
+
+  const updatePlayback = () => {
+    const video = videoRef.current;
+    if (!video || inputSource.type !== 'video') return;
+    setPlayback({ playing: !video.paused, currentTime: video.currentTime, duration: video.duration || 0 });
+  };
+
+  const calibrate = (newCalibration) => {
+    setCalibrationError(null);
+    setCalibration(newCalibration);
+  };
+
+  const startReferenceMarking = (referenceCm) => {
+    if (!detecting) {
+      alert('Start detection first so your shoulders can be measured.');
+      return;
+    }
+    referenceMarkRef.current = { referenceCm, points: [] };
+    setCalibrationError(null);
+    setMarkingReference(true);
+  };
+
+  // Clicks on the video while marking pick the two ends of the reference object.
+  const handleVideoClick = (e) => {
+    const mark = referenceMarkRef.current;
+    const canvas = canvasRef.current;
+    if (!mark || !canvas) return;
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    mark.points.push({
+      x: ((e.clientX - rect.left) / rect.width) * canvas.width,
+      y: ((e.clientY - rect.top) / rect.height) * canvas.height,
+    });
+    if (mark.points.length < 2) return;
+
+    const [a, b] = mark.points;
+    const referencePx = Math.hypot(a.x - b.x, a.y - b.y);
+    const result = latestKeypointsRef.current &&
+      calibrateFromReference(referencePx, mark.referenceCm, latestKeypointsRef.current, confidenceThreshold);
+
+    referenceMarkRef.current = null;
+    setMarkingReference(false);
+    if (result) {
+      calibrate(result);
+    } else {
+      setCalibrationError('Could not calibrate: keep both shoulders in view and mark two distinct points.');
+    }
+  };
+
+  const resetMeasurements = () => {
+    measurementRef.current.reset();
+    setMeasurementSummary(null);
+  };
+
+  // Saves what's on screen to the gallery: the current frame with garment and overlays on top.
+  const capturePhoto = async () => {
+    const canvas = canvasRef.current;
+    const frame = frameSourceRef.current;
+    if (!canvas || !isFrameReady(frame)) return;
+
+    // Replayed sessions have no pixels, only the overlay; with a backdrop the scene stands in for the frame
+    const scene = showScene ? sceneCanvasRef.current : frame;
+    const snapshot = composeSnapshot(inputSource.type === 'session' ? null : scene, canvas, { mirror: mirrorRef.current });
+    try {
+      await addPhoto({
+        blob: await canvasToBlob(snapshot),
+        width: snapshot.width,
+        height: snapshot.height,
+        createdAt: Date.now(),
+        source: 'try-on',
+      });
+      console.log('%c📸 Photo saved to the gallery', 'color: #00ff88; font-size: 16px; font-weight: bold;');
+    } catch (err) {
+      console.error('❌ Error capturing photo:', err);
+    }
+  };
+
+  const toggleWorkout = () => {
+    if (workoutActive) {
+      const counter = repCounterRef.current;
+      setWorkoutSummary(counter.summary());
+      console.log(`%c🏁 Workout finished: ${counter.summary().totalReps} reps`, 'color: #00ff88; font-size: 16px; font-weight: bold;');
+      repCounterRef.current = null;
+      setWorkoutActive(false);
+      return;
+    }
+    repCounterRef.current = createRepCounter(exercise);
+    repPhaseRef.current = null;
+    setWorkoutState(repCounterRef.current.state());
+    setWorkoutSummary(null);
+    setWorkoutActive(true);
+  };
+
+  const endSet = () => {
+    repCounterRef.current.endSet();
+    setWorkoutState(repCounterRef.current.state());
+  };
+
+  const downloadWorkout = () => {
+    downloadJson({ ...workoutSummary, finishedAt: new Date().toISOString() }, `workout-${fileTimestamp()}.json`);
+  };
+
+  // A reference routine from a recorded session, or from a video run through the pose model.
+  const loadReference = (file) => {
+    const done = (session) => {
+      console.log(`%c💃 Reference routine: ${file.name} (${session.frames.length} poses)`, 'color: #00ccff; font-size: 16px; font-weight: bold;');
+      setChoreography(prev => ({ ...prev, reference: { name: file.name, session }, status: 'idle', result: null, error: null }));
+    };
+    const fail = (err) => setChoreography(prev => ({ ...prev, status: 'idle', error: err.message }));
+
+    if (isSessionFile(file)) {
+      readSessionFile(file).then(done).catch(fail);
+      return;
+    }
+    if (!file.type.startsWith('video/')) {
+      fail(new Error('Please choose a pose session (.json) or a video.'));
+      return;
+    }
+    if (!modelLoaded) {
+      fail(new Error('Wait for the pose model to load before processing a video.'));
+      return;
+    }
+    const url = URL.createObjectURL(file);
+    setChoreography(prev => ({ ...prev, status: 'processing', progress: 0, error: null }));
+    extractVideoPoses(url, (frame, options) => inferenceRef.current.infer(frame, options), {
+      model: { estimator: estimatorId, ...modelConfig(activeSettings) },
+      onProgress: (progress) => setChoreography(prev => ({ ...prev, progress })),
+    })
+      .then(done)
+      .catch(fail)
+      .finally(() => URL.revokeObjectURL(url));
+  };
+
+  const startRoutine = () => {
+    if (!detecting) {
+      alert('Start detection first, then dance along.');
+      return;
+    }
+    const { session } = choreography.reference;
+    const player = createSessionPlayer(session);
+    const scorer = createChoreographyScorer(session, { mirror: choreography.mirror, confidenceThreshold });
+    choreographyRef.current = { player, scorer };
+    player.play();
+    setChoreography(prev => ({ ...prev, status: 'running', live: null, result: null }));
+    console.log('%c💃 Dance along started', 'color: #ff00ff; font-size: 16px; font-weight: bold;');
+  };
+
+  const finishRoutine = () => {
+    const routine = choreographyRef.current;
+    if (!routine) return;
+    choreographyRef.current = null;
+    const result = routine.scorer.finish();
+    setChoreography(prev => ({ ...prev, status: 'idle', live: null, result }));
+    console.log(`%c💃 Routine score: ${result.score}/100 (${result.drift.length} drift${result.drift.length === 1 ? '' : 's'})`, 'color: #ff00ff; font-size: 16px; font-weight: bold;');
+  };
+
+  const startCapture = () => countdown.start(captureCountdown, capturePhoto);
+
+  const cycleCountdown = () => {
+    setCaptureCountdown(prev => CAPTURE_COUNTDOWNS[(CAPTURE_COUNTDOWNS.indexOf(prev) + 1) % CAPTURE_COUNTDOWNS.length]);
+  };
+
+  // Gesture -> action, for users standing too far away to reach the screen.
+  // Replaced every render so it sees current state from the detection loop.
+  gestureActionRef.current = (event) => {
+    if (!gestureControls || inputSource.type !== 'camera') return;
+    const action = actionFor(event, gestureMapping);
+    if (action === 'none') return;
+
+    if (action === 'nextGarment' || action === 'previousGarment') {
+      if (!catalog) return;
+      setSelection(stepGarment(catalog, selection, action === 'nextGarment' ? 1 : -1));
+    } else if (action === 'toggleCatalog') {
+      setCatalogOpen(prev => !prev);
+    } else if (action === 'capture') {
+      startCapture();
+    } else if (action === 'exit') {
+      if (!onClose) return;
+      onClose();
+    }
+
+    const { emoji, label } = GESTURE_ACTIONS[action];
+    console.log(`%c🖐 ${describeGesture(event)} → ${emoji} ${label}`, 'color: #ff00ff; font-size: 14px;');
+    setGestureToast({ id: event.timestamp, text: `${emoji} ${label}` });
+  };
+
+  const canDetect = modelLoaded || inputSource.type === 'session';
+  const canRecord = detecting && inputSource.type !== 'session';
+
   const clearLog = () => {
-    setMotionLog([]);
-    console.clear();
+    pendingMotionRef.current = [];
+    clearMotionEvents();
     console.log('%c🧹 Motion log cleared!', 'color: #00ccff; font-size: 16px; font-weight: bold;');
   };
 
@@ -436,7 +1439,7 @@ const BodyTracking = ({ onClose }) => {
     <div style={styles.container}>
       <div style={styles.header}>
         <h1 style={styles.title}>🎯 Real-Time AR Body Tracking</h1>
-        <p style={styles.subtitle}>Powered by TensorFlow.js PoseNet with OpenPose Skeleton</p>
+        <p style={styles.subtitle}>Powered by TensorFlow.js {ESTIMATORS[estimatorId].label} with OpenPose Skeleton</p>
         {onClose && (
           <button onClick={onClose} style={styles.closeButton}>
             ← Back to Home
@@ -451,26 +1454,64 @@ const BodyTracking = ({ onClose }) => {
             ...styles.statusValue,
             color: modelError ? '#ff4444' : (modelLoaded ? '#00ff00' : '#ffaa00')
           }}>
-            {modelError ? '❌ Error' : (modelLoaded ? '✅ Loaded' : '⏳ Loading...')}
+            {modelError ? '❌ Error' : (modelLoaded ? '✅ Loaded' : '⏳ Loading...')}
+          </span>
+        </div>
+        <div style={styles.statusItem}>
+          <span style={styles.statusLabel}>Detection:</span>
+          <span style={{
+            ...styles.statusValue,
+            color: detecting ? '#00ff00' : '#888'
+          }}>
+            {detecting ? '🟢 Active' : '⚫ Paused'}
           </span>
         </div>
         <div style={styles.statusItem}>
-          <span style={styles.statusLabel}>Detection:</span>
+          <span style={styles.statusLabel}>Segmentation:</span>
           <span style={{
             ...styles.statusValue,
-            color: detecting ? '#00ff00' : '#888'
+            color: segmenterStatus === 'error' ? '#ff4444' : (segmenterStatus === 'ready' ? '#00ff00' : '#ffaa00')
           }}>
-            {detecting ? '🟢 Active' : '⚫ Paused'}
+            {segmenterStatus === 'error' ? '❌ Unavailable' : (segmenterStatus === 'ready' ? '✅ BodyPix' : '⏳ Loading...')}
+          </span>
+        </div>
+        <div style={styles.statusItem}>
+          <span style={styles.statusLabel}>Backend:</span>
+          <span style={{ ...styles.statusValue, color: backendNotice ? '#ffaa00' : (tfBackend ? '#00ff00' : '#ffaa00') }}>
+            {tfBackend ? BACKENDS[tfBackend].label : '⏳ Starting...'}
           </span>
         </div>
         <div style={styles.statusItem}>
           <span style={styles.statusLabel}>Smoothing:</span>
           <span style={styles.statusValue}>
-            {SMOOTHING_WINDOW} frames
+            {SMOOTHING_FILTERS[smoothing.type].label}
           </span>
         </div>
       </div>
 
+      <div style={styles.modelPicker}>
+        <label style={styles.statusLabel} htmlFor="pose-estimator">🧠 Pose Model:</label>
+        <select
+          id="pose-estimator"
+          value={estimatorId}
+          onChange={(e) => updateTrackerSettings({ estimator: e.target.value, model: {} })}
+          disabled={!modelLoaded && !modelError}
+          style={styles.select}
+        >
+          {Object.entries(ESTIMATORS).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+        <span style={styles.modelDescription}>{ESTIMATORS[estimatorId].description}</span>
+      </div>
+
+      {backendNotice && (
+        <div style={styles.backendNotice}>
+          <span>⚠️ {backendNotice}</span>
+          <button onClick={() => setBackendNotice(null)} style={styles.noticeDismiss} aria-label="Dismiss">✕</button>
+        </div>
+      )}
+
       {modelError && (
         <div style={styles.errorAlert}>
           <h3 style={styles.errorTitle}>⚠️ Model Loading Failed</h3>
@@ -485,19 +1526,247 @@ const BodyTracking = ({ onClose }) => {
         <div style={styles.loadingAlert}>
           <div style={styles.loadingSpinner}></div>
           <p style={styles.loadingText}>
-            Loading PoseNet AI Model... This may take 10-30 seconds.
+            {modelProgress && modelProgress.fromCache
+              ? `Loading ${ESTIMATORS[estimatorId].label} AI Model from offline cache...`
+              : `Downloading ${ESTIMATORS[estimatorId].label} AI Model...`}
           </p>
+          {modelProgress && !modelProgress.fromCache && (
+            <>
+              <div style={styles.progressTrack}>
+                <div
+                  style={{
+                    ...styles.progressBar,
+                    width: modelProgress.total ? `${Math.min(100, (modelProgress.loaded / modelProgress.total) * 100)}%` : '100%',
+                    ...(modelProgress.total ? {} : { animation: 'pulse 1.5s ease-in-out infinite' })
+                  }}
+                />
+              </div>
+              <p style={styles.loadingSubtext}>
+                {formatMegabytes(modelProgress.loaded)}
+                {modelProgress.total ? ` / ${formatMegabytes(modelProgress.total)} MB (${Math.round((modelProgress.loaded / modelProgress.total) * 100)}%)` : ' MB'}
+              </p>
+            </>
+          )}
           <p style={styles.loadingSubtext}>
             Please wait until the model is fully loaded before starting detection.
           </p>
         </div>
       )}
 
-      <div style={styles.videoContainer}>
-        <video ref={videoRef} style={styles.video} playsInline muted />
+      <div style={styles.sourceBar}>
+        <button
+          onClick={switchToCamera}
+          style={{ ...styles.buttonToggle, ...(inputSource.type === 'camera' ? styles.buttonToggleOn : {}) }}
+        >
+          📷 Camera
+        </button>
+        <button
+          onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          style={{ ...styles.buttonToggle, ...(inputSource.type !== 'camera' ? styles.buttonToggleOn : {}) }}
+        >
+          📁 Video / Photo / Session
+        </button>
+        {inputSource.name && <span style={styles.sourceName}>{inputSource.name}</span>}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="video/*,image/*,.json,application/json"
+          style={{ display: 'none' }}
+          onChange={handleFileSelected}
+        />
+      </div>
+
+      {inputSource.type === 'camera' && <CameraSettings state={cameraState} />}
+
+      {sourceError && <p style={styles.sourceError}>⚠️ {sourceError}</p>}
+      {inputSource.type === 'camera' && cameraState.error && <p style={styles.sourceError}>⚠️ {cameraState.error}</p>}
+
+      <div
+        style={{ ...styles.videoContainer, ...(markingReference ? styles.videoContainerMarking : {}) }}
+        onClick={handleVideoClick}
+      >
+        <video
+          ref={videoRef}
+          style={{
+            ...styles.video,
+            ...(mirrored ? styles.mirrored : {}),
+            ...(inputSource.type === 'image' || inputSource.type === 'session' ? { display: 'none' } : {})
+          }}
+          playsInline
+          muted
+          onPlay={updatePlayback}
+          onPause={updatePlayback}
+          onTimeUpdate={updatePlayback}
+          onDurationChange={updatePlayback}
+        />
+        {inputSource.type === 'image' && (
+          <img src={inputSource.url} alt={inputSource.name} style={styles.video} />
+        )}
+        {inputSource.type === 'session' && (
+          <div
+            style={{
+              ...styles.replayBackdrop,
+              aspectRatio: `${inputSource.session.frameSize.width} / ${inputSource.session.frameSize.height}`
+            }}
+          />
+        )}
+        <canvas
+          ref={sceneCanvasRef}
+          style={{ ...styles.canvas, ...(mirrored ? styles.mirrored : {}), ...(showScene ? {} : { display: 'none' }) }}
+        />
         <canvas ref={canvasRef} style={styles.canvas} />
+        {showHud && detecting && inputSource.type !== 'session' && (
+          <PerformanceHud
+            stats={performanceStats}
+            backend={tfBackend}
+            mode={inferenceMode}
+            budgetMs={DEFAULT_QUALITY_OPTIONS.budgetMs}
+            adaptive={adaptiveQuality}
+            level={appliedLevel}
+            canAdapt={qualityLevels.length > 1}
+          />
+        )}
+        {showAngles && formIssues.length > 0 && (
+          <div style={styles.formIssues}>
+            {formIssues.map(issue => (
+              <div key={issue.id} style={{ ...styles.formIssue, borderColor: FORM_COLORS[issue.severity] }}>
+                <span style={{ color: FORM_COLORS[issue.severity] }}>{issue.severity === 'error' ? '⛔' : '⚠️'}</span>
+                {issue.message}
+              </div>
+            ))}
+          </div>
+        )}
+        {workoutActive && workoutState && (
+          <div style={styles.repBadge}>
+            {EXERCISES[exercise].emoji} {workoutState.repsInSet}
+            <span style={styles.repBadgeSet}>Set {workoutState.setNumber}</span>
+          </div>
+        )}
+        {countdown.remaining !== null && (
+          <div key={countdown.remaining} style={styles.countdown}>{countdown.remaining}</div>
+        )}
+        {gestureControls && detecting && inputSource.type === 'camera' && (
+          <GestureOverlay
+            mapping={gestureMapping}
+            toast={gestureToast}
+            catalogOpen={catalogOpen}
+            catalog={catalog}
+            selection={selection}
+          />
+        )}
       </div>
 
+      {(inputSource.type === 'video' || inputSource.type === 'session') && (
+        <div style={styles.playback}>
+          <button onClick={togglePlayback} style={styles.playButton}>
+            {playback.playing ? '⏸' : '▶️'}
+          </button>
+          <input
+            type="range"
+            min={0}
+            max={playback.duration || 0}
+            step={0.01}
+            value={playback.currentTime}
+            onChange={seek}
+            style={styles.seekBar}
+          />
+          <span style={styles.playbackTime}>
+            {formatTime(playback.currentTime)} / {formatTime(playback.duration)}
+          </span>
+        </div>
+      )}
+
+      {multiPerson && people.length > 1 && (
+        <div style={styles.peopleBar}>
+          <span style={styles.statusLabel}>👕 Dress:</span>
+          {people.map(id => {
+            const dressed = (people.includes(focusedPerson) ? focusedPerson : people[0]) === id;
+            return (
+              <button
+                key={id}
+                onClick={() => setFocusedPerson(id)}
+                style={{
+                  ...styles.personChip,
+                  borderColor: personColor(id),
+                  ...(dressed ? { background: personColor(id), color: '#000' } : {})
+                }}
+              >
+                {personLabel(id)}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      <GarmentPicker
+        catalog={catalog}
+        error={catalogError}
+        garmentError={garmentError}
+        selection={selection}
+        onChange={setSelection}
+      />
+
+      <MeasurementPanel
+        summary={measurementSummary}
+        calibration={calibration}
+        calibrationError={calibrationError}
+        marking={markingReference}
+        onCalibrate={calibrate}
+        onMarkReference={startReferenceMarking}
+        onReset={resetMeasurements}
+      />
+
+      <SizeRecommendation
+        brands={sizeCharts}
+        error={sizeChartError}
+        garment={resolvedGarment && resolvedGarment.garment}
+        summary={measurementSummary}
+        selectedSize={resolvedGarment && resolvedGarment.size}
+        onSelectSize={(size) => setSelection({ ...selection, size })}
+      />
+
+      <ChoreographyPanel
+        {...choreography}
+        onLoad={loadReference}
+        onToggleMirror={() => setChoreography(prev => ({ ...prev, mirror: !prev.mirror }))}
+        onStart={startRoutine}
+        onStop={finishRoutine}
+      />
+
+      <WorkoutPanel
+        exercise={exercise}
+        active={workoutActive}
+        state={workoutState}
+        summary={workoutSummary}
+        onSelectExercise={setExercise}
+        onToggle={toggleWorkout}
+        onEndSet={endSet}
+        onDownload={downloadWorkout}
+      />
+
+      <BackdropPicker settings={background} onChange={setBackground} segmenterStatus={segmenterStatus} />
+
+      <TrackerSettingsPanel
+        settings={trackerSettings}
+        profiles={trackerProfiles}
+        active={trackerProfile}
+        modelLoading={!modelLoaded && !modelError}
+        onChange={updateTrackerSettings}
+        onApplyProfile={applyProfile}
+        onSaveProfile={saveProfile}
+        onDeleteProfile={deleteProfile}
+        onImport={importProfiles}
+      />
+
+      <SmoothingPanel settings={smoothing} onChange={(next) => updateTrackerSettings({ smoothing: next })} />
+
+      <GestureControlsPanel
+        enabled={gestureControls}
+        mapping={gestureMapping}
+        onToggle={() => setGestureControls(prev => !prev)}
+        onChange={setGestureMapping}
+      />
+
       <div style={styles.legend}>
         <h4 style={styles.legendTitle}>Color Legend:</h4>
         <div style={styles.legendItems}>
@@ -513,63 +1782,175 @@ const BodyTracking = ({ onClose }) => {
       <div style={styles.controls}>
         <button
           onClick={toggleDetection}
-          disabled={!modelLoaded}
+          disabled={!canDetect}
           style={{
             ...styles.button,
             ...(detecting ? styles.buttonStop : styles.buttonStart),
-            ...(modelLoaded ? {} : styles.buttonDisabled)
+            ...(canDetect ? {} : styles.buttonDisabled)
           }}
         >
           {detecting ? '⏸ Stop Detection' : '▶️ Start Detection'}
         </button>
+        <button
+          onClick={toggleRecording}
+          disabled={!canRecord && !recording}
+          style={{
+            ...styles.buttonToggle,
+            ...(recording ? styles.buttonRecording : {}),
+            ...(canRecord || recording ? {} : styles.buttonDisabled)
+          }}
+        >
+          {recording ? '⏹ Save Session' : '⏺ Record Session'}
+        </button>
+        <button
+          onClick={countdown.remaining !== null ? countdown.cancel : startCapture}
+          disabled={!detecting}
+          style={{ ...styles.buttonToggle, ...(detecting ? {} : styles.buttonDisabled) }}
+        >
+          {countdown.remaining !== null ? `✕ Cancel (${countdown.remaining})` : '📸 Capture'}
+        </button>
+        <button onClick={cycleCountdown} style={styles.buttonToggle}>
+          ⏱ Timer: {captureCountdown ? `${captureCountdown}s` : 'Off'}
+        </button>
         <button onClick={clearLog} style={styles.buttonClear}>
           🧹 Clear Log
         </button>
+        <button
+          onClick={() => setShowGarment(prev => !prev)}
+          style={{
+            ...styles.buttonToggle,
+            ...(showGarment ? styles.buttonToggleOn : {})
+          }}
+        >
+          👕 Garment: {showGarment ? 'On' : 'Off'}
+        </button>
+        <button
+          onClick={() => setShowSkeleton(prev => !prev)}
+          style={{
+            ...styles.buttonToggle,
+            ...(showSkeleton ? styles.buttonToggleOn : {})
+          }}
+        >
+          🦴 Skeleton: {showSkeleton ? 'On' : 'Off'}
+        </button>
+        <button
+          onClick={() => setMultiPerson(prev => !prev)}
+          disabled={!ESTIMATORS[estimatorId].multiPerson}
+          title={ESTIMATORS[estimatorId].multiPerson ? undefined : `${ESTIMATORS[estimatorId].label} tracks one person only`}
+          style={{
+            ...styles.buttonToggle,
+            ...(multiPerson ? styles.buttonToggleOn : {}),
+            ...(ESTIMATORS[estimatorId].multiPerson ? {} : styles.buttonDisabled)
+          }}
+        >
+          👥 People: {multiPerson && ESTIMATORS[estimatorId].multiPerson ? `Up to ${MAX_PEOPLE}` : '1'}
+        </button>
+        <button
+          onClick={() => setShowSegmentation(prev => !prev)}
+          disabled={segmenterStatus !== 'ready'}
+          style={{
+            ...styles.buttonToggle,
+            ...(showSegmentation ? styles.buttonToggleOn : {}),
+            ...(segmenterStatus === 'ready' ? {} : styles.buttonDisabled)
+          }}
+        >
+          🎭 Segmentation: {showSegmentation ? 'On' : 'Off'}
+        </button>
+        <button
+          onClick={() => setShowAngles(prev => !prev)}
+          style={{
+            ...styles.buttonToggle,
+            ...(showAngles ? styles.buttonToggleOn : {})
+          }}
+        >
+          📐 Angles: {showAngles ? 'On' : 'Off'}
+        </button>
+        <button
+          onClick={() => setShowHeadPose(prev => !prev)}
+          style={{
+            ...styles.buttonToggle,
+            ...(showHeadPose ? styles.buttonToggleOn : {})
+          }}
+        >
+          🧭 Head: {showHeadPose ? 'On' : 'Off'}
+        </button>
+        <button
+          onClick={() => setShowHud(prev => !prev)}
+          style={{
+            ...styles.buttonToggle,
+            ...(showHud ? styles.buttonToggleOn : {})
+          }}
+        >
+          📈 Stats: {showHud ? 'On' : 'Off'}
+        </button>
+        <button
+          onClick={toggleAdaptiveQuality}
+          title={`Lowers PoseNet's input resolution when a frame takes over ${DEFAULT_QUALITY_OPTIONS.budgetMs} ms`}
+          style={{
+            ...styles.buttonToggle,
+            ...(adaptiveQuality ? styles.buttonToggleOn : {})
+          }}
+        >
+          ⚡ Adaptive: {adaptiveQuality ? 'On' : 'Off'}
+        </button>
       </div>
 
-      <div style={styles.logContainer}>
-        <h3 style={styles.logTitle}>📊 Motion Log (Real-time)</h3>
-        <div style={styles.logContent}>
-          {motionLog.length === 0 ? (
-            <p style={styles.emptyLog}>
-              {detecting 
-                ? '👋 Move around to detect body movements...' 
-                : '▶️ Start detection to see motion logs'}
-            </p>
-          ) : (
-            motionLog.map((log, index) => (
-              <div key={index} style={styles.logItem}>
-                <span style={styles.logTimestamp}>{log.time}</span>
-                <span style={styles.logText}>{log.text}</span>
-              </div>
-            ))
-          )}
-        </div>
-      </div>
+      <PhotoGallery photos={photos} error={galleryError} onDelete={removePhoto} />
+
+      <MotionLog
+        events={motionEvents}
+        error={motionLogError}
+        detecting={detecting}
+        personLabel={multiPerson ? personLabel : null}
+        personColor={personColor}
+      />
 
       <div style={styles.info}>
         <h3 style={styles.sectionTitle}>📋 Instructions</h3>
         <ul style={styles.instructionList}>
-          <li>✅ Allow camera access when prompted</li>
-          <li>🎯 Wait for PoseNet model to load (~10-30 seconds)</li>
+          <li>✅ Allow camera access when prompted, or load a video clip or photo instead</li>
+          <li>🎯 Wait for the pose model to load (instant once it is cached for offline use)</li>
+          <li>🧠 Switch models at any time: MoveNet and BlazePose track limbs better than PoseNet</li>
+          <li>👋 Wave, raise a hand, swipe, cross your arms, T-pose or hold still: gestures show up in the motion log</li>
+          <li>🖐 Standing back from the screen? Swipe to change garment, raise a hand for the catalog, hold a pose for a photo and put both arms up to go home (remap under Gesture Controls)</li>
+          <li>👥 Trying outfits together? Turn on People and pick who wears the garment</li>
           <li>▶️ Click "Start Detection" to begin</li>
           <li>🚶 Move around - the system tracks 17 body keypoints with OpenPose skeleton</li>
-          <li>� Motion logs appear when movements exceed {MOVEMENT_THRESHOLD}px threshold</li>
+          <li>� Motion logs appear when movements exceed {trackerSettings.movementThreshold}px threshold</li>
           <li>� Each body part is color-coded with smooth skeleton lines</li>
-          <li>🧹 Use "Clear Log" to reset the motion history</li>
+          <li>🧹 The motion log is kept between visits: filter it by body part or event type, export it as CSV or JSON, and use "Clear Log" to reset it</li>
+          <li>📸 Capture a photo of your try-on (with an optional self-timer); it is kept in the gallery to view, delete or download as PNG or JPEG</li>
+          <li>⏺ Record a pose session to save the keypoint stream as JSON, and load it back to replay without a camera</li>
+          <li>👕 Pick a garment, color and size from the catalog to try it on</li>
+          <li>📏 Enter your height (or mark a reference object) and hold still to measure your body</li>
+          <li>🎯 Your measurements are matched against the brand's size chart for the selected garment</li>
+          <li>🎭 With segmentation on, your silhouette is traced and hands and forearms stay in front of the garment</li>
+          <li>📐 Turn on Angles to see elbow, shoulder, hip and knee angles; knees bent too far, a leaning trunk or uneven sides are flagged on the video</li>
+          <li>🧭 Turn on Head to see which way your head faces: yaw, pitch and roll are read from your nose, eyes and ears against your shoulders, so stepping sideways is no longer a head turn</li>
+          <li>💃 Load a reference routine (a recorded session or a video) and dance along with its ghost; you get a score per limb and a timeline of where you drifted</li>
+          <li>💪 Start a workout to count squats, push-ups, curls, jumping jacks or lunges, with sets and tempo; it works on loaded pose sessions too</li>
+          <li>🏝️ Pick a backdrop to swap your room for a studio color or a location; it is kept in captured photos</li>
+          <li>📈 Stats shows frame rate, inference time and the TF.js backend on the video; with Adaptive on, slow machines drop PoseNet to a lower input resolution instead of crawling</li>
+          <li>🎛️ Tune thresholds, analysis rate and PoseNet load options under Tracker Settings while tracking; save them as named profiles and import or export them as JSON</li>
         </ul>
       </div>
 
       <div style={styles.techSpecs}>
         <h3 style={styles.sectionTitle}>⚙️ Technical Specifications</h3>
         <ul style={styles.specList}>
-          <li><strong>AI Model:</strong> PoseNet (MobileNetV1, OutputStride: 16)</li>
+          <li><strong>AI Model:</strong> {ESTIMATORS[estimatorId].label}</li>
+          <li>
+            <strong>Inference:</strong> {inferenceMode === 'worker' ? 'Web Worker (WebGL on OffscreenCanvas)' : (inferenceMode ? `Main thread (${BACKENDS[tfBackend].label})` : 'Starting...')}, backends tried in order WebGL, WebAssembly, CPU
+          </li>
           <li><strong>Keypoints Detected:</strong> 17 (head, torso, arms, legs)</li>
-          <li><strong>Confidence Threshold:</strong> {(CONFIDENCE_THRESHOLD * 100).toFixed(0)}%</li>
-          <li><strong>Movement Threshold:</strong> {MOVEMENT_THRESHOLD}px (torso: {(MOVEMENT_THRESHOLD * 1.5).toFixed(1)}px)</li>
-          <li><strong>Temporal Smoothing:</strong> {SMOOTHING_WINDOW}-frame window averaging</li>
-          <li><strong>Performance:</strong> Analysis every {FRAME_SKIP} frames</li>
+          <li><strong>Head Pose:</strong> Yaw, pitch and roll from nose, eyes and ears, roll relative to the shoulders; turns over {DEFAULT_HEAD_POSE_OPTIONS.yawDeg}° and tilts over {DEFAULT_HEAD_POSE_OPTIONS.pitchDeg}° are logged</li>
+          <li><strong>Profile:</strong> {trackerProfile || 'Custom'}</li>
+          <li><strong>Confidence Threshold:</strong> {(confidenceThreshold * 100).toFixed(0)}%</li>
+          <li><strong>Movement Threshold:</strong> {trackerSettings.movementThreshold}px (torso: {(trackerSettings.movementThreshold * 1.5).toFixed(1)}px)</li>
+          <li><strong>Temporal Smoothing:</strong> {SMOOTHING_FILTERS[smoothing.type].label} per keypoint group, lost keypoints predicted for {smoothing.predictMs} ms</li>
+          <li><strong>Performance:</strong> Analysis every {activeSettings.frameSkip} frames{appliedLevel > 0 ? `, adaptive: ${QUALITY_LEVELS[appliedLevel].label}` : ''}</li>
           <li><strong>Visualization:</strong> OpenPose-style skeleton with gradient lines</li>
+          <li><strong>Segmentation:</strong> BodyPix (MobileNetV1, 24 body parts) for silhouettes and occlusion</li>
         </ul>
       </div>
 
@@ -651,6 +2032,46 @@ const styles = {
     fontSize: '14px',
     fontWeight: 'bold',
   },
+  modelPicker: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: '10px',
+    flexWrap: 'wrap',
+    marginBottom: '20px',
+  },
+  select: {
+    padding: '8px 12px',
+    fontSize: '14px',
+    background: '#111',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '8px',
+    color: 'white',
+  },
+  modelDescription: {
+    fontSize: '13px',
+    opacity: 0.7,
+  },
+  backendNotice: {
+    maxWidth: '640px',
+    margin: '0 auto 20px',
+    padding: '12px 16px',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    gap: '10px',
+    fontSize: '14px',
+    background: 'rgba(255,170,0,0.15)',
+    border: '1px solid #ffaa00',
+    borderRadius: '10px',
+  },
+  noticeDismiss: {
+    background: 'none',
+    border: 'none',
+    color: 'white',
+    fontSize: '16px',
+    cursor: 'pointer',
+  },
   errorAlert: {
     maxWidth: '640px',
     margin: '0 auto 20px',
@@ -712,6 +2133,20 @@ const styles = {
     margin: '0',
     opacity: 0.9,
   },
+  progressTrack: {
+    maxWidth: '320px',
+    height: '8px',
+    margin: '0 auto 10px',
+    background: 'rgba(255,255,255,0.2)',
+    borderRadius: '4px',
+    overflow: 'hidden',
+  },
+  progressBar: {
+    height: '100%',
+    background: '#ffaa00',
+    borderRadius: '4px',
+    transition: 'width 0.2s ease',
+  },
   videoContainer: {
     position: 'relative',
     maxWidth: '640px',
@@ -721,11 +2156,142 @@ const styles = {
     boxShadow: '0 20px 60px rgba(0,0,0,0.5)',
     background: '#000',
   },
+  videoContainerMarking: {
+    cursor: 'crosshair',
+    outline: '3px dashed #00ff88',
+  },
   video: {
     width: '100%',
     display: 'block',
+  },
+  mirrored: {
     transform: 'scaleX(-1)',
   },
+  replayBackdrop: {
+    width: '100%',
+    background: 'repeating-linear-gradient(45deg, #111 0, #111 10px, #161616 10px, #161616 20px)',
+  },
+  sourceBar: {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: '10px',
+    marginBottom: '15px',
+    flexWrap: 'wrap',
+  },
+  sourceName: {
+    fontSize: '13px',
+    opacity: 0.8,
+    maxWidth: '200px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  sourceError: {
+    textAlign: 'center',
+    color: '#ff4444',
+    fontSize: '14px',
+    margin: '0 0 15px 0',
+  },
+  peopleBar: {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '15px',
+    flexWrap: 'wrap',
+  },
+  personChip: {
+    padding: '6px 14px',
+    fontSize: '14px',
+    fontWeight: 'bold',
+    background: 'transparent',
+    border: '2px solid',
+    borderRadius: '20px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  playback: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    maxWidth: '640px',
+    margin: '0 auto 20px',
+    padding: '10px 15px',
+    background: 'rgba(0,0,0,0.2)',
+    borderRadius: '15px',
+  },
+  playButton: {
+    width: '40px',
+    height: '40px',
+    fontSize: '18px',
+    background: 'rgba(255,255,255,0.15)',
+    border: 'none',
+    borderRadius: '50%',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  seekBar: {
+    flex: 1,
+    accentColor: '#00ff88',
+  },
+  playbackTime: {
+    fontSize: '13px',
+    fontVariantNumeric: 'tabular-nums',
+    minWidth: '90px',
+    textAlign: 'right',
+  },
+  formIssues: {
+    position: 'absolute',
+    left: '12px',
+    bottom: '12px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    pointerEvents: 'none',
+  },
+  formIssue: {
+    display: 'flex',
+    gap: '6px',
+    padding: '6px 10px',
+    fontSize: '13px',
+    fontWeight: '600',
+    color: 'white',
+    background: 'rgba(0,0,0,0.7)',
+    border: '2px solid',
+    borderRadius: '8px',
+  },
+  repBadge: {
+    position: 'absolute',
+    top: '12px',
+    right: '12px',
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    padding: '8px 14px',
+    fontSize: '32px',
+    fontWeight: 'bold',
+    color: '#00ff88',
+    background: 'rgba(0,0,0,0.6)',
+    borderRadius: '12px',
+    pointerEvents: 'none',
+  },
+  repBadgeSet: {
+    fontSize: '12px',
+    color: 'white',
+  },
+  countdown: {
+    position: 'absolute',
+    inset: 0,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    fontSize: '120px',
+    fontWeight: 'bold',
+    textShadow: '0 0 30px rgba(0,0,0,0.8)',
+    pointerEvents: 'none',
+    animation: 'slideIn 0.3s ease-out',
+  },
   canvas: {
     position: 'absolute',
     top: 0,
@@ -801,55 +2367,30 @@ const styles = {
     transition: 'all 0.3s ease',
     boxShadow: '0 4px 15px rgba(0,0,0,0.3)',
   },
-  buttonDisabled: {
-    background: '#666',
-    cursor: 'not-allowed',
-    opacity: 0.5,
-  },
-  logContainer: {
-    maxWidth: '640px',
-    margin: '0 auto 20px',
-    background: 'rgba(0,0,0,0.2)',
-    borderRadius: '15px',
-    padding: '20px',
-    backdropFilter: 'blur(10px)',
-  },
-  logTitle: {
-    margin: '0 0 15px 0',
-    fontSize: '18px',
+  buttonToggle: {
+    background: 'rgba(255,255,255,0.1)',
+    color: '#fff',
+    padding: '12px 30px',
+    fontSize: '16px',
     fontWeight: '600',
-  },
-  logContent: {
-    maxHeight: '200px',
-    overflowY: 'auto',
-    background: 'rgba(0,0,0,0.3)',
+    border: '2px solid rgba(255,255,255,0.3)',
     borderRadius: '10px',
-    padding: '15px',
-  },
-  emptyLog: {
-    textAlign: 'center',
-    opacity: 0.7,
-    fontStyle: 'italic',
-    margin: 0,
+    cursor: 'pointer',
+    transition: 'all 0.3s ease',
   },
-  logItem: {
-    display: 'flex',
-    alignItems: 'center',
-    gap: '10px',
-    padding: '8px',
-    marginBottom: '8px',
-    background: 'rgba(255,255,255,0.1)',
-    borderRadius: '8px',
-    animation: 'slideIn 0.3s ease-out',
+  buttonToggleOn: {
+    border: '2px solid #00ff88',
+    color: '#00ff88',
   },
-  logTimestamp: {
-    fontSize: '11px',
-    opacity: 0.7,
-    minWidth: '70px',
+  buttonRecording: {
+    border: '2px solid #ff4444',
+    color: '#ff4444',
+    animation: 'pulse 1.5s ease-in-out infinite',
   },
-  logText: {
-    fontSize: '14px',
-    fontWeight: '500',
+  buttonDisabled: {
+    background: '#666',
+    cursor: 'not-allowed',
+    opacity: 0.5,
   },
   info: {
     maxWidth: '640px',
@@ -0,0 +1,95 @@
+import React from 'react';
+import { RESOLUTIONS, camera } from './cameraManager';
+
+const STATUS_LABELS = {
+  idle: '⚫ Off',
+  starting: '⏳ Starting...',
+  live: '🟢 Live',
+  lost: '🔌 Reconnecting...',
+  denied: '🚫 Access denied',
+  error: '❌ Unavailable',
+};
+
+// Camera, resolution and flip for whichever screen shows the shared camera.
+const CameraSettings = ({ state }) => {
+  const { settings } = state;
+  const actual = settings && settings.width ? `${settings.width}×${settings.height}` : null;
+
+  return (
+    <div style={styles.container}>
+      <span style={styles.status}>
+        {STATUS_LABELS[state.status]}{state.status === 'live' && actual ? ` · ${actual}` : ''}
+      </span>
+      <select
+        value={state.deviceId || (settings && settings.deviceId) || ''}
+        onChange={(e) => camera.selectDevice(e.target.value)}
+        disabled={state.devices.length === 0}
+        style={styles.select}
+        aria-label="Camera"
+      >
+        {state.devices.length === 0 && <option value="">📷 Default camera</option>}
+        {state.devices.map(device => (
+          <option key={device.deviceId} value={device.deviceId}>📷 {device.label}</option>
+        ))}
+      </select>
+      <select
+        value={state.resolution}
+        onChange={(e) => camera.setResolution(e.target.value)}
+        style={styles.select}
+        aria-label="Resolution"
+      >
+        {Object.entries(RESOLUTIONS).map(([id, { label }]) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+      </select>
+      <button
+        onClick={() => camera.flip()}
+        disabled={state.devices.length < 2}
+        style={{ ...styles.button, ...(state.devices.length < 2 ? styles.buttonDisabled : {}) }}
+      >
+        🔄 Flip
+      </button>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    display: 'flex',
+    justifyContent: 'center',
+    alignItems: 'center',
+    gap: '10px',
+    flexWrap: 'wrap',
+    marginBottom: '15px',
+    color: 'white',
+  },
+  status: {
+    fontSize: '13px',
+    fontWeight: '600',
+  },
+  select: {
+    padding: '8px 12px',
+    fontSize: '14px',
+    background: '#111',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '8px',
+    color: 'white',
+    maxWidth: '220px',
+  },
+  button: {
+    padding: '8px 16px',
+    fontSize: '14px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.1)',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '8px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  buttonDisabled: {
+    cursor: 'not-allowed',
+    opacity: 0.5,
+  },
+};
+
+export default CameraSettings;
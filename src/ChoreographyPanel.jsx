@@ -0,0 +1,243 @@
+import React from 'react';
+import { LIMBS } from './choreography';
+import { formatTime } from './inputSource';
+
+const scoreColor = (score) => {
+  if (score === null) return 'rgba(255,255,255,0.3)';
+  if (score >= 80) return '#00ff88';
+  if (score >= 60) return '#ffaa00';
+  return '#ff4444';
+};
+
+const LimbScores = ({ limbs }) => (
+  <div style={styles.limbs}>
+    {Object.entries(LIMBS).map(([limb, { label }]) => (
+      <div key={limb} style={styles.limb}>
+        <span style={styles.limbLabel}>{label}</span>
+        <div style={styles.limbTrack}>
+          <div style={{ ...styles.limbBar, width: `${limbs[limb] || 0}%`, background: scoreColor(limbs[limb]) }} />
+        </div>
+        <span style={styles.limbValue}>{limbs[limb] === null || limbs[limb] === undefined ? '–' : limbs[limb]}</span>
+      </div>
+    ))}
+  </div>
+);
+
+// reference: { name, session } once loaded. live and result come from the
+// choreography scorer.
+const ChoreographyPanel = ({
+  reference, mirror, status, progress, live, result, error, onLoad, onToggleMirror, onStart, onStop,
+}) => {
+  const loadFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (file) onLoad(file);
+  };
+
+  return (
+    <div style={styles.container}>
+      <h3 style={styles.title}>💃 Dance Analysis</h3>
+
+      <div style={styles.row}>
+        <label style={styles.label}>
+          📂 Reference routine (pose session .json or video)
+          <input type="file" accept="application/json,.json,video/*" onChange={loadFile} disabled={status !== 'idle'} />
+        </label>
+        <label style={styles.checkbox}>
+          <input type="checkbox" checked={mirror} onChange={onToggleMirror} disabled={status !== 'idle'} />
+          Follow it like a mirror
+        </label>
+      </div>
+
+      {status === 'processing' && (
+        <p style={styles.status}>⏳ Extracting poses from the video... {Math.round(progress * 100)}%</p>
+      )}
+      {error && <p style={styles.error}>⚠️ {error}</p>}
+
+      {reference && (
+        <div style={styles.reference}>
+          <span>
+            🎬 {reference.name} · {formatTime(reference.session.durationMs / 1000)} · {reference.session.frames.length} poses
+          </span>
+          {status === 'running' ? (
+            <button onClick={onStop} style={{ ...styles.button, ...styles.buttonStop }}>⏹ Stop</button>
+          ) : (
+            <button onClick={onStart} disabled={status !== 'idle'} style={styles.button}>▶️ Dance along</button>
+          )}
+        </div>
+      )}
+
+      {status === 'running' && (
+        <div style={styles.live}>
+          <div style={{ ...styles.score, color: scoreColor(live ? live.score : null) }}>{live ? live.score : '–'}</div>
+          {live && <LimbScores limbs={live.limbs} />}
+        </div>
+      )}
+
+      {result && status !== 'running' && (
+        <div style={styles.result}>
+          <div style={styles.live}>
+            <div style={{ ...styles.score, color: scoreColor(result.score) }}>{result.score}</div>
+            <LimbScores limbs={result.limbs} />
+          </div>
+          <div style={styles.timeline} title="Match over the routine">
+            {result.timeline.map(entry => (
+              <div
+                key={entry.t}
+                style={{ ...styles.timelineBar, height: `${Math.max(4, entry.score)}%`, background: scoreColor(entry.score) }}
+              />
+            ))}
+          </div>
+          {result.drift.length === 0 ? (
+            <p style={styles.status}>🎉 No drift: you stayed with the routine all the way.</p>
+          ) : (
+            <ul style={styles.driftList}>
+              {result.drift.map(({ start, end, limb, score }) => (
+                <li key={start}>
+                  ⚠️ {formatTime(start / 1000)}–{formatTime(end / 1000)}: {LIMBS[limb] ? LIMBS[limb].label : 'Pose'} drifted ({score})
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    maxWidth: '640px',
+    margin: '0 auto 20px',
+    padding: '20px',
+    background: 'rgba(0,0,0,0.2)',
+    borderRadius: '15px',
+    backdropFilter: 'blur(10px)',
+    color: 'white',
+  },
+  title: {
+    margin: '0 0 15px 0',
+    fontSize: '18px',
+    fontWeight: '600',
+  },
+  row: {
+    display: 'flex',
+    gap: '15px',
+    flexWrap: 'wrap',
+    alignItems: 'flex-end',
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '13px',
+    fontWeight: '600',
+    flex: 1,
+    minWidth: '200px',
+  },
+  checkbox: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    fontSize: '13px',
+  },
+  status: {
+    margin: '10px 0 0 0',
+    fontSize: '13px',
+    opacity: 0.8,
+  },
+  error: {
+    margin: '10px 0 0 0',
+    fontSize: '13px',
+    color: '#ff4444',
+  },
+  reference: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '10px',
+    marginTop: '15px',
+    fontSize: '13px',
+  },
+  button: {
+    padding: '8px 16px',
+    fontSize: '13px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.1)',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '8px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  buttonStop: {
+    background: 'rgba(255,68,68,0.3)',
+    border: '1px solid #ff4444',
+  },
+  live: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '15px',
+    marginTop: '15px',
+  },
+  score: {
+    minWidth: '70px',
+    fontSize: '42px',
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  limbs: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    flex: 1,
+  },
+  limb: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    fontSize: '12px',
+  },
+  limbLabel: {
+    width: '70px',
+  },
+  limbTrack: {
+    flex: 1,
+    height: '8px',
+    background: 'rgba(255,255,255,0.1)',
+    borderRadius: '4px',
+    overflow: 'hidden',
+  },
+  limbBar: {
+    height: '100%',
+    borderRadius: '4px',
+  },
+  limbValue: {
+    width: '28px',
+    textAlign: 'right',
+  },
+  result: {
+    marginTop: '5px',
+  },
+  timeline: {
+    display: 'flex',
+    alignItems: 'flex-end',
+    gap: '1px',
+    height: '60px',
+    marginTop: '15px',
+    padding: '4px',
+    background: 'rgba(255,255,255,0.05)',
+    borderRadius: '8px',
+  },
+  timelineBar: {
+    flex: 1,
+    minWidth: '1px',
+  },
+  driftList: {
+    margin: '10px 0 0 0',
+    paddingLeft: '20px',
+    fontSize: '13px',
+    lineHeight: '1.6',
+  },
+};
+
+export default ChoreographyPanel;
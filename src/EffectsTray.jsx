@@ -0,0 +1,212 @@
+import React, { useState } from 'react';
+import { EFFECTS, addCustomLut, defaultParams, parseCubeLut } from './videoEffects';
+
+const SEGMENTER_STATUS = {
+  loading: '⏳ Loading person segmentation...',
+  error: '❌ Person segmentation unavailable',
+};
+
+// chain: [{ id, params }] in the order effects are applied.
+const EffectsTray = ({ chain, onChange, segmenterStatus }) => {
+  const [lutError, setLutError] = useState(null);
+  const activeIds = chain.map(effect => effect.id);
+
+  const toggle = (id) => {
+    onChange(activeIds.includes(id)
+      ? chain.filter(effect => effect.id !== id)
+      : [...chain, { id, params: defaultParams(id) }]);
+  };
+
+  const setParam = (id, name, value) => {
+    onChange(chain.map(effect => (effect.id === id ? { ...effect, params: { ...effect.params, [name]: value } } : effect)));
+  };
+
+  const move = (index, step) => {
+    const next = [...chain];
+    const [effect] = next.splice(index, 1);
+    next.splice(index + step, 0, effect);
+    onChange(next);
+  };
+
+  const loadLut = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text()
+      .then(text => {
+        const look = addCustomLut(file.name.replace(/\.cube$/i, ''), parseCubeLut(text));
+        setLutError(null);
+        setParam('colorGrade', 'look', look);
+      })
+      .catch(err => setLutError(err.message));
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.tray}>
+        {Object.entries(EFFECTS).map(([id, { label, emoji }]) => (
+          <button
+            key={id}
+            onClick={() => toggle(id)}
+            style={{ ...styles.effectButton, ...(activeIds.includes(id) ? styles.effectButtonOn : {}) }}
+          >
+            <span style={styles.effectEmoji}>{emoji}</span>
+            <span>{label}</span>
+          </button>
+        ))}
+      </div>
+
+      {chain.map((effect, index) => {
+        const { label, emoji, params, personMask } = EFFECTS[effect.id];
+        return (
+          <div key={effect.id} style={styles.card}>
+            <div style={styles.cardHeader}>
+              <span style={styles.cardTitle}>{index + 1}. {emoji} {label}</span>
+              <span>
+                <button onClick={() => move(index, -1)} disabled={index === 0} style={styles.smallButton}>▲</button>
+                <button onClick={() => move(index, 1)} disabled={index === chain.length - 1} style={styles.smallButton}>▼</button>
+                <button onClick={() => toggle(effect.id)} style={styles.smallButton}>✕</button>
+              </span>
+            </div>
+            {personMask && SEGMENTER_STATUS[segmenterStatus] && (
+              <p style={styles.status}>{SEGMENTER_STATUS[segmenterStatus]}</p>
+            )}
+            {Object.entries(params).map(([name, param]) => (
+              <label key={name} style={styles.paramLabel}>
+                {param.label}{param.options ? '' : `: ${effect.params[name]}`}
+                {param.options ? (
+                  <select
+                    value={effect.params[name]}
+                    onChange={(e) => setParam(effect.id, name, e.target.value)}
+                    style={styles.select}
+                  >
+                    {param.options().map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type="range"
+                    min={param.min}
+                    max={param.max}
+                    step={param.step}
+                    value={effect.params[name]}
+                    onChange={(e) => setParam(effect.id, name, Number(e.target.value))}
+                  />
+                )}
+              </label>
+            ))}
+            {effect.id === 'colorGrade' && (
+              <label style={styles.paramLabel}>
+                📂 Load a .cube LUT
+                <input type="file" accept=".cube" onChange={loadLut} />
+                {lutError && <span style={styles.error}>⚠️ {lutError}</span>}
+              </label>
+            )}
+          </div>
+        );
+      })}
+
+      {chain.length > 0 && (
+        <button onClick={() => onChange([])} style={styles.clearButton}>🧹 Remove all effects</button>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    maxWidth: '640px',
+    margin: '0 auto',
+    padding: '20px',
+    color: 'white',
+  },
+  tray: {
+    display: 'flex',
+    gap: '10px',
+    overflowX: 'auto',
+    paddingBottom: '10px',
+  },
+  effectButton: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '6px',
+    minWidth: '100px',
+    padding: '12px',
+    fontSize: '12px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.1)',
+    border: '2px solid rgba(255,255,255,0.2)',
+    borderRadius: '12px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  effectButtonOn: {
+    border: '2px solid #f093fb',
+    background: 'rgba(240,147,251,0.2)',
+  },
+  effectEmoji: {
+    fontSize: '24px',
+  },
+  card: {
+    marginTop: '10px',
+    padding: '12px',
+    background: 'rgba(255,255,255,0.1)',
+    borderRadius: '10px',
+  },
+  cardHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '8px',
+  },
+  cardTitle: {
+    fontSize: '14px',
+    fontWeight: '600',
+  },
+  smallButton: {
+    marginLeft: '4px',
+    padding: '2px 8px',
+    background: 'rgba(255,255,255,0.15)',
+    border: 'none',
+    borderRadius: '6px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  status: {
+    margin: '0 0 8px 0',
+    fontSize: '12px',
+    opacity: 0.8,
+  },
+  paramLabel: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    marginBottom: '8px',
+    fontSize: '12px',
+  },
+  select: {
+    padding: '6px',
+    background: '#111',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '6px',
+    color: 'white',
+  },
+  error: {
+    color: '#ff4444',
+  },
+  clearButton: {
+    marginTop: '10px',
+    padding: '8px 16px',
+    fontSize: '13px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.1)',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '8px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+};
+
+export default EffectsTray;
@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+import { CATEGORY_LABELS, GARMENT_CATEGORIES, resolveSelection } from './garmentCatalog';
+
+// error replaces the picker (no catalog to pick from); garmentError is shown
+// under it, so another garment can still be picked.
+const GarmentPicker = ({ catalog, error, garmentError = null, selection, onChange, compact = false }) => {
+  const [category, setCategory] = useState('all');
+
+  if (error) {
+    return (
+      <div style={styles.container}>
+        <p style={styles.error}>⚠️ {error}</p>
+      </div>
+    );
+  }
+
+  if (!catalog) {
+    return (
+      <div style={styles.container}>
+        <p style={styles.empty}>⏳ Loading catalog...</p>
+      </div>
+    );
+  }
+
+  const categories = GARMENT_CATEGORIES.filter(c => catalog.garments.some(g => g.category === c));
+  const garments = catalog.garments.filter(g => category === 'all' || g.category === category);
+  const resolved = resolveSelection(catalog, selection);
+
+  const selectGarment = (garment) => {
+    onChange({ garmentId: garment.id, colorId: garment.colors[0].id, size: null });
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.tabs}>
+        {['all', ...categories].map(c => (
+          <button
+            key={c}
+            onClick={() => setCategory(c)}
+            style={{ ...styles.tab, ...(category === c ? styles.tabActive : {}) }}
+          >
+            {c === 'all' ? '🛍️ All' : CATEGORY_LABELS[c]}
+          </button>
+        ))}
+      </div>
+
+      <div style={styles.items}>
+        {garments.map(garment => {
+          const isSelected = resolved && resolved.garment.id === garment.id;
+          const thumbnail = isSelected ? resolved.color.imageUrl : garment.colors[0].imageUrl;
+          return (
+            <button
+              key={garment.id}
+              onClick={() => selectGarment(garment)}
+              style={{
+                ...styles.item,
+                ...(compact ? styles.itemCompact : {}),
+                ...(isSelected ? styles.itemSelected : {})
+              }}
+            >
+              <img src={thumbnail} alt={garment.name} style={styles.thumbnail} />
+              <span style={styles.itemName}>{garment.name}</span>
+            </button>
+          );
+        })}
+      </div>
+
+      {resolved && (
+        <div style={styles.variants}>
+          <div style={styles.variantRow}>
+            <span style={styles.variantLabel}>Color:</span>
+            {resolved.garment.colors.map(color => (
+              <button
+                key={color.id}
+                title={color.name}
+                onClick={() => onChange({ ...selection, colorId: color.id })}
+                style={{
+                  ...styles.swatch,
+                  background: color.swatch,
+                  ...(resolved.color.id === color.id ? styles.swatchSelected : {})
+                }}
+              />
+            ))}
+            <span style={styles.variantName}>{resolved.color.name}</span>
+          </div>
+          <div style={styles.variantRow}>
+            <span style={styles.variantLabel}>Size:</span>
+            {resolved.garment.sizes.map(size => (
+              <button
+                key={size}
+                onClick={() => onChange({ ...selection, size })}
+                style={{ ...styles.size, ...(resolved.size === size ? styles.sizeSelected : {}) }}
+              >
+                {size}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {garmentError && <p style={{ ...styles.error, ...styles.garmentError }}>⚠️ {garmentError}</p>}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    maxWidth: '640px',
+    margin: '0 auto 20px',
+    padding: '15px',
+    background: 'rgba(0,0,0,0.2)',
+    borderRadius: '15px',
+    backdropFilter: 'blur(10px)',
+    color: 'white',
+  },
+  error: {
+    margin: 0,
+    color: '#ff4444',
+    whiteSpace: 'pre-line',
+    fontSize: '14px',
+  },
+  garmentError: {
+    marginTop: '10px',
+  },
+  empty: {
+    margin: 0,
+    textAlign: 'center',
+    opacity: 0.7,
+    fontStyle: 'italic',
+  },
+  tabs: {
+    display: 'flex',
+    gap: '8px',
+    marginBottom: '12px',
+    flexWrap: 'wrap',
+  },
+  tab: {
+    padding: '6px 14px',
+    fontSize: '13px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.1)',
+    border: '1px solid rgba(255,255,255,0.2)',
+    borderRadius: '20px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  tabActive: {
+    background: 'rgba(0,255,136,0.2)',
+    border: '1px solid #00ff88',
+    color: '#00ff88',
+  },
+  items: {
+    display: 'flex',
+    gap: '10px',
+    overflowX: 'auto',
+    paddingBottom: '5px',
+  },
+  item: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '6px',
+    minWidth: '100px',
+    padding: '10px',
+    background: 'rgba(255,255,255,0.08)',
+    border: '2px solid transparent',
+    borderRadius: '12px',
+    color: 'white',
+    cursor: 'pointer',
+    transition: 'all 0.3s ease',
+  },
+  itemCompact: {
+    minWidth: '80px',
+    padding: '6px',
+  },
+  itemSelected: {
+    border: '2px solid #00ff88',
+    background: 'rgba(0,255,136,0.1)',
+  },
+  thumbnail: {
+    width: '60px',
+    height: '60px',
+    objectFit: 'contain',
+  },
+  itemName: {
+    fontSize: '12px',
+    fontWeight: '600',
+  },
+  variants: {
+    marginTop: '12px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+  },
+  variantRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    flexWrap: 'wrap',
+  },
+  variantLabel: {
+    fontSize: '13px',
+    fontWeight: '600',
+    minWidth: '45px',
+  },
+  variantName: {
+    fontSize: '12px',
+    opacity: 0.8,
+  },
+  swatch: {
+    width: '24px',
+    height: '24px',
+    borderRadius: '50%',
+    border: '2px solid rgba(255,255,255,0.4)',
+    cursor: 'pointer',
+    padding: 0,
+  },
+  swatchSelected: {
+    border: '2px solid white',
+    boxShadow: '0 0 0 2px #00ff88',
+  },
+  size: {
+    minWidth: '36px',
+    padding: '4px 8px',
+    fontSize: '12px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.1)',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '6px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  sizeSelected: {
+    background: '#00ff88',
+    border: '1px solid #00ff88',
+    color: '#000',
+  },
+};
+
+export default GarmentPicker;
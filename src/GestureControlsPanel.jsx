@@ -0,0 +1,112 @@
+import React from 'react';
+import { DEFAULT_GESTURE_MAPPING, GESTURE_ACTIONS, GESTURE_TRIGGERS } from './gestureControls';
+
+const GestureControlsPanel = ({ enabled, mapping, onToggle, onChange }) => (
+  <div style={styles.container}>
+    <div style={styles.header}>
+      <h3 style={styles.title}>🖐 Gesture Controls</h3>
+      <button
+        onClick={onToggle}
+        style={{ ...styles.button, ...(enabled ? styles.buttonOn : {}) }}
+      >
+        {enabled ? 'On' : 'Off'}
+      </button>
+    </div>
+    <p style={styles.hint}>Live camera only. Stand back so your upper body is in view.</p>
+
+    <div style={styles.grid}>
+      {Object.entries(GESTURE_TRIGGERS).map(([trigger, { label, emoji }]) => (
+        <label key={trigger} style={styles.label}>
+          {emoji} {label}
+          <select
+            value={mapping[trigger]}
+            onChange={(e) => onChange({ ...mapping, [trigger]: e.target.value })}
+            style={styles.input}
+          >
+            {Object.entries(GESTURE_ACTIONS).map(([action, actionInfo]) => (
+              <option key={action} value={action}>{actionInfo.emoji} {actionInfo.label}</option>
+            ))}
+          </select>
+        </label>
+      ))}
+    </div>
+
+    <button onClick={() => onChange({ ...DEFAULT_GESTURE_MAPPING })} style={styles.resetButton}>
+      🔄 Reset to defaults
+    </button>
+  </div>
+);
+
+const styles = {
+  container: {
+    maxWidth: '640px',
+    margin: '0 auto 20px',
+    padding: '20px',
+    background: 'rgba(0,0,0,0.2)',
+    borderRadius: '15px',
+    backdropFilter: 'blur(10px)',
+    color: 'white',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    margin: 0,
+    fontSize: '18px',
+    fontWeight: '600',
+  },
+  hint: {
+    margin: '8px 0 15px 0',
+    fontSize: '13px',
+    opacity: 0.7,
+  },
+  grid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
+    gap: '10px',
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '13px',
+    fontWeight: '600',
+  },
+  input: {
+    padding: '8px',
+    fontSize: '14px',
+    background: 'rgba(255,255,255,0.1)',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '8px',
+    color: 'white',
+  },
+  button: {
+    padding: '6px 16px',
+    fontSize: '14px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.1)',
+    border: '2px solid rgba(255,255,255,0.3)',
+    borderRadius: '8px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  buttonOn: {
+    border: '2px solid #00ff88',
+    color: '#00ff88',
+  },
+  resetButton: {
+    marginTop: '15px',
+    padding: '8px 16px',
+    fontSize: '13px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.1)',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '8px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+};
+
+export default GestureControlsPanel;
@@ -0,0 +1,114 @@
+import React from 'react';
+import { GESTURE_ACTIONS, GESTURE_TRIGGERS } from './gestureControls';
+import { resolveSelection, stepGarment } from './garmentCatalog';
+
+// Drawn over the video: which gestures do what, the action that just ran,
+// and the catalog carousel while it is open. Sized to be read from a few
+// metres away.
+const GestureOverlay = ({ mapping, toast, catalogOpen, catalog, selection }) => {
+  const hints = Object.entries(mapping).filter(([, action]) => action !== 'none');
+  const current = resolveSelection(catalog, selection);
+
+  const carousel = current && [-1, 0, 1].map(step => {
+    const resolved = step === 0 ? current : resolveSelection(catalog, stepGarment(catalog, selection, step));
+    return { step, garment: resolved.garment, imageUrl: resolved.color.imageUrl };
+  });
+
+  return (
+    <div style={styles.overlay}>
+      {toast && (
+        <div key={toast.id} style={styles.toast}>{toast.text}</div>
+      )}
+
+      {catalogOpen && carousel && (
+        <div style={styles.catalog}>
+          {carousel.map(({ step, garment, imageUrl }) => (
+            <div key={step} style={{ ...styles.item, ...(step === 0 ? styles.itemCurrent : {}) }}>
+              <img src={imageUrl} alt={garment.name} style={styles.thumbnail} />
+              {step === 0 && <span style={styles.itemName}>{garment.name}</span>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {hints.length > 0 && (
+        <div style={styles.hints}>
+          {hints.map(([trigger, action]) => (
+            <span key={trigger} style={styles.hint}>
+              {GESTURE_TRIGGERS[trigger].emoji} {GESTURE_TRIGGERS[trigger].label}: {GESTURE_ACTIONS[action].label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  overlay: {
+    position: 'absolute',
+    inset: 0,
+    display: 'flex',
+    flexDirection: 'column',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '12px',
+    pointerEvents: 'none',
+  },
+  toast: {
+    padding: '10px 22px',
+    fontSize: '22px',
+    fontWeight: 'bold',
+    background: 'rgba(0,0,0,0.7)',
+    border: '2px solid #ff00ff',
+    borderRadius: '30px',
+    animation: 'slideIn 0.3s ease-out',
+  },
+  catalog: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '12px',
+    marginTop: 'auto',
+    background: 'rgba(0,0,0,0.6)',
+    borderRadius: '15px',
+    backdropFilter: 'blur(10px)',
+  },
+  item: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '6px',
+    opacity: 0.5,
+  },
+  itemCurrent: {
+    opacity: 1,
+  },
+  thumbnail: {
+    width: '90px',
+    height: '90px',
+    objectFit: 'contain',
+    background: 'rgba(255,255,255,0.1)',
+    borderRadius: '10px',
+  },
+  itemName: {
+    fontSize: '16px',
+    fontWeight: 'bold',
+  },
+  hints: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: '6px',
+    marginTop: 'auto',
+  },
+  hint: {
+    padding: '4px 10px',
+    fontSize: '13px',
+    fontWeight: '600',
+    background: 'rgba(0,0,0,0.6)',
+    borderRadius: '12px',
+  },
+};
+
+export default GestureOverlay;
@@ -0,0 +1,253 @@
+import React, { useState } from 'react';
+import { MEASUREMENTS, calibrateFromHeight } from './bodyMeasurements';
+
+const CREDIT_CARD_CM = 8.56;
+
+const MeasurementPanel = ({ summary, calibration, calibrationError, marking, onCalibrate, onMarkReference, onReset }) => {
+  const [mode, setMode] = useState('height');
+  const [heightCm, setHeightCm] = useState('170');
+  const [referenceCm, setReferenceCm] = useState(String(CREDIT_CARD_CM));
+
+  const applyHeight = () => {
+    const value = parseFloat(heightCm);
+    if (!(value >= 50 && value <= 250)) {
+      alert('Please enter a height between 50 and 250 cm.');
+      return;
+    }
+    onCalibrate(calibrateFromHeight(value));
+  };
+
+  const markReference = () => {
+    const value = parseFloat(referenceCm);
+    if (!(value > 0)) {
+      alert('Please enter the real length of the reference object.');
+      return;
+    }
+    onMarkReference(value);
+  };
+
+  const describeCalibration = () => {
+    if (!calibration) return 'Not calibrated';
+    if (calibration.type === 'height') return `Height ${calibration.heightCm} cm`;
+    return `Reference object (shoulders ${calibration.shoulderCm.toFixed(1)} cm)`;
+  };
+
+  return (
+    <div style={styles.container}>
+      <h3 style={styles.title}>📏 Body Measurements</h3>
+
+      <div style={styles.modeRow}>
+        <button
+          onClick={() => setMode('height')}
+          style={{ ...styles.modeButton, ...(mode === 'height' ? styles.modeButtonActive : {}) }}
+        >
+          🧍 My height
+        </button>
+        <button
+          onClick={() => setMode('reference')}
+          style={{ ...styles.modeButton, ...(mode === 'reference' ? styles.modeButtonActive : {}) }}
+        >
+          💳 Reference object
+        </button>
+      </div>
+
+      {mode === 'height' ? (
+        <div style={styles.inputRow}>
+          <label style={styles.label}>
+            Height (cm)
+            <input
+              type="number"
+              value={heightCm}
+              onChange={(e) => setHeightCm(e.target.value)}
+              style={styles.input}
+            />
+          </label>
+          <button onClick={applyHeight} style={styles.applyButton}>Calibrate</button>
+        </div>
+      ) : (
+        <div style={styles.inputRow}>
+          <label style={styles.label}>
+            Object length (cm)
+            <input
+              type="number"
+              step="0.01"
+              value={referenceCm}
+              onChange={(e) => setReferenceCm(e.target.value)}
+              style={styles.input}
+            />
+          </label>
+          <button onClick={markReference} style={styles.applyButton} disabled={marking}>
+            {marking ? '👆 Click both ends...' : '🎯 Mark on video'}
+          </button>
+        </div>
+      )}
+      {mode === 'reference' && (
+        <p style={styles.hint}>
+          Hold the object (a credit card is {CREDIT_CARD_CM} cm wide) against your chest, then click its two ends on the video.
+        </p>
+      )}
+
+      <div style={styles.statusRow}>
+        <span>Calibration: <strong>{describeCalibration()}</strong></span>
+        {summary && (
+          <span style={{ color: summary.stable ? '#00ff00' : '#ffaa00' }}>
+            {summary.stable ? '✅ Steady' : `⏳ Hold still (${summary.samples} frames)`}
+          </span>
+        )}
+      </div>
+      {calibrationError && <p style={styles.error}>⚠️ {calibrationError}</p>}
+
+      <div style={styles.grid}>
+        {Object.entries(MEASUREMENTS).map(([key, { label, emoji }]) => {
+          const value = summary && summary.values[key];
+          return (
+            <div key={key} style={styles.cell}>
+              <span style={styles.cellLabel}>{emoji} {label}</span>
+              {value ? (
+                <>
+                  <span style={styles.cellValue}>{value.mean.toFixed(1)} cm</span>
+                  <span style={styles.cellRange}>
+                    {Math.max(0, value.low).toFixed(1)} – {value.high.toFixed(1)} cm
+                  </span>
+                </>
+              ) : (
+                <span style={styles.cellEmpty}>—</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <button onClick={onReset} style={styles.resetButton}>🔄 Restart averaging</button>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    maxWidth: '640px',
+    margin: '0 auto 20px',
+    padding: '20px',
+    background: 'rgba(0,0,0,0.2)',
+    borderRadius: '15px',
+    backdropFilter: 'blur(10px)',
+    color: 'white',
+  },
+  title: {
+    margin: '0 0 15px 0',
+    fontSize: '18px',
+    fontWeight: '600',
+  },
+  modeRow: {
+    display: 'flex',
+    gap: '10px',
+    marginBottom: '12px',
+  },
+  modeButton: {
+    flex: 1,
+    padding: '8px 12px',
+    fontSize: '14px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.1)',
+    border: '1px solid rgba(255,255,255,0.2)',
+    borderRadius: '10px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  modeButtonActive: {
+    background: 'rgba(0,255,136,0.2)',
+    border: '1px solid #00ff88',
+    color: '#00ff88',
+  },
+  inputRow: {
+    display: 'flex',
+    alignItems: 'flex-end',
+    gap: '10px',
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '13px',
+    fontWeight: '600',
+    flex: 1,
+  },
+  input: {
+    padding: '8px',
+    fontSize: '14px',
+    background: 'rgba(255,255,255,0.1)',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '8px',
+    color: 'white',
+  },
+  applyButton: {
+    padding: '9px 18px',
+    fontSize: '14px',
+    fontWeight: '600',
+    background: 'linear-gradient(135deg, #00ff88 0%, #00cc66 100%)',
+    border: 'none',
+    borderRadius: '8px',
+    color: '#000',
+    cursor: 'pointer',
+  },
+  hint: {
+    margin: '8px 0 0 0',
+    fontSize: '12px',
+    opacity: 0.8,
+  },
+  statusRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    flexWrap: 'wrap',
+    gap: '10px',
+    margin: '15px 0 10px 0',
+    fontSize: '13px',
+  },
+  error: {
+    margin: '0 0 10px 0',
+    fontSize: '13px',
+    color: '#ff4444',
+  },
+  grid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
+    gap: '10px',
+  },
+  cell: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '2px',
+    padding: '10px',
+    background: 'rgba(255,255,255,0.1)',
+    borderRadius: '8px',
+  },
+  cellLabel: {
+    fontSize: '12px',
+    opacity: 0.8,
+  },
+  cellValue: {
+    fontSize: '18px',
+    fontWeight: 'bold',
+  },
+  cellRange: {
+    fontSize: '11px',
+    opacity: 0.7,
+  },
+  cellEmpty: {
+    fontSize: '18px',
+    opacity: 0.5,
+  },
+  resetButton: {
+    marginTop: '15px',
+    padding: '8px 16px',
+    fontSize: '13px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.1)',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '8px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+};
+
+export default MeasurementPanel;
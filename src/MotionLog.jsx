@@ -0,0 +1,197 @@
+import React, { useMemo, useState } from 'react';
+import { downloadBlob, downloadJson, fileTimestamp } from './download';
+import { MOTION_PARTS, MOTION_TYPES, eventsToCsv, filterEvents, formatEventTime } from './motionEvents';
+
+const ROW_HEIGHT = 40;
+const VIEWPORT_HEIGHT = 240;
+const OVERSCAN = 5;
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+
+// events: oldest first; shown newest first, rendering only the rows in view
+// so the history can grow without bound.
+const MotionLog = ({ events, error, detecting, personLabel, personColor }) => {
+  const [parts, setParts] = useState([]);
+  const [types, setTypes] = useState([]);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const shown = useMemo(() => filterEvents(events, { parts, types }).reverse(), [events, parts, types]);
+
+  const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const last = Math.min(shown.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+
+  const exportCsv = () => {
+    downloadBlob(new Blob([eventsToCsv(shown.slice().reverse())], { type: 'text/csv' }), `motion-log-${fileTimestamp()}.csv`);
+  };
+  const exportJson = () => downloadJson(shown.slice().reverse(), `motion-log-${fileTimestamp()}.json`);
+
+  const chip = (active, onClick, label, key) => (
+    <button key={key} onClick={onClick} style={{ ...styles.chip, ...(active ? styles.chipOn : {}) }}>{label}</button>
+  );
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <h3 style={styles.title}>📊 Motion Log ({shown.length}{shown.length !== events.length ? ` of ${events.length}` : ''})</h3>
+        <span>
+          <button onClick={exportCsv} disabled={shown.length === 0} style={styles.action}>⬇️ CSV</button>
+          <button onClick={exportJson} disabled={shown.length === 0} style={styles.action}>⬇️ JSON</button>
+        </span>
+      </div>
+
+      <div style={styles.filters}>
+        {chip(parts.length === 0, () => setParts([]), 'All parts', 'all')}
+        {Object.entries(MOTION_PARTS).map(([part, { label, emoji }]) =>
+          chip(parts.includes(part), () => setParts(prev => toggle(prev, part)), `${emoji} ${label}`, part))}
+      </div>
+      <div style={styles.filters}>
+        {chip(types.length === 0, () => setTypes([]), 'All types', 'all')}
+        {Object.entries(MOTION_TYPES).map(([type, { label }]) =>
+          chip(types.includes(type), () => setTypes(prev => toggle(prev, type)), label, type))}
+      </div>
+
+      {error && <p style={styles.error}>⚠️ {error}</p>}
+
+      <div style={styles.viewport} onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}>
+        {shown.length === 0 ? (
+          <p style={styles.empty}>
+            {events.length > 0
+              ? '🔍 No events match these filters'
+              : (detecting ? '👋 Move around to detect body movements...' : '▶️ Start detection to see motion logs')}
+          </p>
+        ) : (
+          <div style={{ position: 'relative', height: shown.length * ROW_HEIGHT }}>
+            {shown.slice(first, last).map((event, i) => (
+              <div
+                key={event.id}
+                style={{
+                  ...styles.row,
+                  top: (first + i) * ROW_HEIGHT,
+                  ...(event.type === 'gesture' ? styles.rowGesture : {}),
+                  ...(event.type === 'rep' ? styles.rowRep : {})
+                }}
+              >
+                <span style={styles.time}>{formatEventTime(event.t)}</span>
+                {event.person && personLabel && (
+                  <span style={{ ...styles.person, color: personColor(event.person) }}>{personLabel(event.person)}</span>
+                )}
+                <span style={styles.text}>{event.text}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    maxWidth: '640px',
+    margin: '0 auto 20px',
+    background: 'rgba(0,0,0,0.2)',
+    borderRadius: '15px',
+    padding: '20px',
+    backdropFilter: 'blur(10px)',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '10px',
+    marginBottom: '10px',
+  },
+  title: {
+    margin: 0,
+    fontSize: '18px',
+    fontWeight: '600',
+  },
+  action: {
+    marginLeft: '6px',
+    padding: '6px 10px',
+    fontSize: '12px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.1)',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '6px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  filters: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+    marginBottom: '8px',
+  },
+  chip: {
+    padding: '4px 10px',
+    fontSize: '12px',
+    background: 'rgba(255,255,255,0.08)',
+    border: '1px solid rgba(255,255,255,0.25)',
+    borderRadius: '12px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  chipOn: {
+    background: 'rgba(0,204,255,0.25)',
+    border: '1px solid #00ccff',
+  },
+  error: {
+    margin: '0 0 8px 0',
+    fontSize: '12px',
+    color: '#ffaa00',
+  },
+  viewport: {
+    height: `${VIEWPORT_HEIGHT}px`,
+    overflowY: 'auto',
+    background: 'rgba(0,0,0,0.3)',
+    borderRadius: '10px',
+    padding: '0 10px',
+  },
+  empty: {
+    textAlign: 'center',
+    opacity: 0.7,
+    fontStyle: 'italic',
+    margin: '15px 0',
+  },
+  row: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    height: `${ROW_HEIGHT - 6}px`,
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    padding: '0 8px',
+    marginTop: '6px',
+    background: 'rgba(255,255,255,0.1)',
+    borderRadius: '8px',
+    boxSizing: 'border-box',
+  },
+  rowGesture: {
+    borderLeft: '3px solid #ff00ff',
+  },
+  rowRep: {
+    borderLeft: '3px solid #00ff88',
+  },
+  time: {
+    fontSize: '11px',
+    opacity: 0.7,
+    minWidth: '90px',
+  },
+  person: {
+    fontSize: '12px',
+    fontWeight: 'bold',
+    minWidth: '24px',
+  },
+  text: {
+    fontSize: '14px',
+    fontWeight: '500',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+};
+
+export default MotionLog;
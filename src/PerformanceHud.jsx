@@ -0,0 +1,60 @@
+import React from 'react';
+import { BACKENDS } from './tfBackend';
+import { QUALITY_LEVELS } from './performanceMonitor';
+
+const latencyColor = (latencyMs, budgetMs) => {
+  if (latencyMs === null) return 'white';
+  if (latencyMs <= budgetMs * 0.5) return '#00ff88';
+  if (latencyMs <= budgetMs) return '#ffaa00';
+  return '#ff4444';
+};
+
+// Drawn over the video's top-left corner. stats come from the performance
+// monitor, level is the adaptive quality level in use; canAdapt is false for
+// models with no input resolution to lower.
+const PerformanceHud = ({ stats, backend, mode, budgetMs, adaptive, level, canAdapt = true }) => (
+  <div style={styles.hud}>
+    <div>
+      <strong>{stats ? Math.round(stats.fps) : '–'}</strong> fps
+      {' · '}
+      <strong style={{ color: latencyColor(stats ? stats.latencyMs : null, budgetMs) }}>
+        {stats && stats.latencyMs !== null ? Math.round(stats.latencyMs) : '–'}
+      </strong> ms
+    </div>
+    <div style={styles.detail}>
+      🧠 {backend ? (BACKENDS[backend] ? BACKENDS[backend].label : backend) : '…'}
+      {mode && ` · ${mode === 'worker' ? 'worker' : 'main thread'}`}
+    </div>
+    <div style={{ ...styles.detail, ...(adaptive && level > 0 ? styles.degraded : {}) }}>
+      ⚡ {!adaptive ? 'Adaptive off' : canAdapt ? QUALITY_LEVELS[level].label : 'Nothing to lower for this model'} · budget {budgetMs} ms
+    </div>
+  </div>
+);
+
+const styles = {
+  hud: {
+    position: 'absolute',
+    top: '12px',
+    left: '12px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '2px',
+    padding: '6px 10px',
+    fontSize: '13px',
+    fontVariantNumeric: 'tabular-nums',
+    color: 'white',
+    background: 'rgba(0,0,0,0.6)',
+    borderRadius: '8px',
+    pointerEvents: 'none',
+  },
+  detail: {
+    fontSize: '11px',
+    opacity: 0.85,
+  },
+  degraded: {
+    color: '#ffaa00',
+    opacity: 1,
+  },
+};
+
+export default PerformanceHud;
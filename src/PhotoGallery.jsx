@@ -0,0 +1,169 @@
+import React, { useEffect, useState } from 'react';
+import { PHOTO_FORMATS, convertPhoto, photoFilename } from './photoCapture';
+import { downloadBlob } from './download';
+
+const PhotoGallery = ({ photos, error, onDelete }) => {
+  const [urls, setUrls] = useState({});
+  const [viewingId, setViewingId] = useState(null);
+
+  // Blobs from IndexedDB need object URLs to be shown
+  useEffect(() => {
+    const next = Object.fromEntries(photos.map(photo => [photo.id, URL.createObjectURL(photo.blob)]));
+    setUrls(next);
+    return () => Object.values(next).forEach(url => URL.revokeObjectURL(url));
+  }, [photos]);
+
+  const viewing = photos.find(photo => photo.id === viewingId);
+
+  const download = async (photo, type) => {
+    try {
+      downloadBlob(await convertPhoto(photo.blob, type), photoFilename(photo, type));
+    } catch (err) {
+      console.error('Error exporting photo:', err);
+      alert(`Could not export the photo as ${PHOTO_FORMATS[type].label}.`);
+    }
+  };
+
+  const remove = async (photo) => {
+    try {
+      await onDelete(photo.id);
+      setViewingId(null);
+    } catch (err) {
+      console.error('Error deleting photo:', err);
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <h3 style={styles.title}>🖼️ Gallery {photos.length > 0 && `(${photos.length})`}</h3>
+
+      {error && <p style={styles.error}>⚠️ {error}</p>}
+      {!error && photos.length === 0 && (
+        <p style={styles.empty}>📸 No photos yet. Captures are kept on this device.</p>
+      )}
+
+      <div style={styles.grid}>
+        {photos.map(photo => urls[photo.id] && (
+          <button key={photo.id} onClick={() => setViewingId(photo.id)} style={styles.thumbButton}>
+            <img src={urls[photo.id]} alt={`Capture from ${new Date(photo.createdAt).toLocaleString()}`} style={styles.thumbnail} />
+          </button>
+        ))}
+      </div>
+
+      {viewing && urls[viewing.id] && (
+        <div style={styles.viewer} onClick={() => setViewingId(null)}>
+          <div style={styles.viewerContent} onClick={(e) => e.stopPropagation()}>
+            <img src={urls[viewing.id]} alt="Capture" style={styles.viewerImage} />
+            <p style={styles.viewerMeta}>
+              {new Date(viewing.createdAt).toLocaleString()} · {viewing.width}×{viewing.height}
+            </p>
+            <div style={styles.viewerActions}>
+              {Object.entries(PHOTO_FORMATS).map(([type, { label }]) => (
+                <button key={type} onClick={() => download(viewing, type)} style={styles.button}>
+                  ⬇️ {label}
+                </button>
+              ))}
+              <button onClick={() => remove(viewing)} style={{ ...styles.button, ...styles.deleteButton }}>
+                🗑️ Delete
+              </button>
+              <button onClick={() => setViewingId(null)} style={styles.button}>
+                ✕ Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    maxWidth: '640px',
+    margin: '0 auto 20px',
+    padding: '20px',
+    background: 'rgba(0,0,0,0.2)',
+    borderRadius: '15px',
+    backdropFilter: 'blur(10px)',
+    color: 'white',
+  },
+  title: {
+    margin: '0 0 15px 0',
+    fontSize: '18px',
+    fontWeight: '600',
+  },
+  error: {
+    margin: 0,
+    color: '#ff4444',
+    fontSize: '14px',
+  },
+  empty: {
+    margin: 0,
+    textAlign: 'center',
+    opacity: 0.7,
+    fontStyle: 'italic',
+  },
+  grid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fill, minmax(100px, 1fr))',
+    gap: '10px',
+  },
+  thumbButton: {
+    padding: 0,
+    background: 'none',
+    border: '2px solid transparent',
+    borderRadius: '10px',
+    overflow: 'hidden',
+    cursor: 'pointer',
+  },
+  thumbnail: {
+    width: '100%',
+    aspectRatio: '4 / 3',
+    objectFit: 'cover',
+    display: 'block',
+  },
+  viewer: {
+    position: 'fixed',
+    inset: 0,
+    zIndex: 1000,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    background: 'rgba(0,0,0,0.85)',
+  },
+  viewerContent: {
+    maxWidth: '90vw',
+    textAlign: 'center',
+  },
+  viewerImage: {
+    maxWidth: '100%',
+    maxHeight: '70vh',
+    borderRadius: '15px',
+  },
+  viewerMeta: {
+    fontSize: '13px',
+    opacity: 0.7,
+  },
+  viewerActions: {
+    display: 'flex',
+    justifyContent: 'center',
+    gap: '10px',
+    flexWrap: 'wrap',
+  },
+  button: {
+    padding: '10px 20px',
+    fontSize: '14px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.15)',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '10px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  deleteButton: {
+    border: '1px solid #ff4444',
+    color: '#ff4444',
+  },
+};
+
+export default PhotoGallery;
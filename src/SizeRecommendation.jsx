@@ -0,0 +1,186 @@
+import React from 'react';
+import { measurementMeans, recommendSize } from './sizeRecommender';
+
+const STATUS_COLORS = {
+  good: '#00ff88',
+  tight: '#ff4444',
+  short: '#ff4444',
+  loose: '#ffaa00',
+  long: '#ffaa00',
+};
+
+const SizeRecommendation = ({ brands, error, garment, summary, selectedSize, onSelectSize }) => {
+  const renderBody = () => {
+    if (error) return <p style={styles.error}>⚠️ {error}</p>;
+    if (!brands || !garment) return <p style={styles.empty}>⏳ Loading size charts...</p>;
+
+    const brand = brands[garment.brand];
+    const chart = brand && brand.charts[garment.category];
+    if (!chart) {
+      return <p style={styles.empty}>No size chart for {garment.name}.</p>;
+    }
+
+    const recommendation = recommendSize(chart, measurementMeans(summary));
+    if (!recommendation) {
+      return <p style={styles.empty}>📏 Calibrate and hold still to get a size recommendation.</p>;
+    }
+
+    return (
+      <>
+        <div style={styles.headline}>
+          <span style={styles.sizeBadge}>{recommendation.size}</span>
+          <div>
+            <div style={styles.brand}>{brand.name} · {garment.name}</div>
+            <div style={styles.summary}>{recommendation.summary}</div>
+            {recommendation.borderline && (
+              <div style={styles.borderline}>Between sizes: compare the fit below</div>
+            )}
+            {summary && !summary.stable && (
+              <div style={styles.borderline}>Still averaging, hold still for a steadier estimate</div>
+            )}
+          </div>
+        </div>
+
+        <div style={styles.table}>
+          {recommendation.alternatives.map(option => (
+            <div
+              key={option.size}
+              style={{
+                ...styles.row,
+                ...(option.size === recommendation.size ? styles.rowBest : {})
+              }}
+            >
+              <span style={styles.rowSize}>{option.size}</span>
+              <span style={styles.rowFits}>
+                {option.fits.map(fit => (
+                  <span key={fit.dimension} style={{ ...styles.fitTag, color: STATUS_COLORS[fit.status] }}>
+                    {fit.area}: {fit.status}
+                    {fit.status !== 'good' && ` (${Math.abs(fit.deltaCm).toFixed(1)} cm)`}
+                  </span>
+                ))}
+              </span>
+              {garment.sizes.includes(option.size) && (
+                <button
+                  onClick={() => onSelectSize(option.size)}
+                  style={{ ...styles.selectButton, ...(selectedSize === option.size ? styles.selectButtonActive : {}) }}
+                >
+                  {selectedSize === option.size ? '✓ Selected' : 'Select'}
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div style={styles.container}>
+      <h3 style={styles.title}>🎯 Size Recommendation</h3>
+      {renderBody()}
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    maxWidth: '640px',
+    margin: '0 auto 20px',
+    padding: '20px',
+    background: 'rgba(0,0,0,0.2)',
+    borderRadius: '15px',
+    backdropFilter: 'blur(10px)',
+    color: 'white',
+  },
+  title: {
+    margin: '0 0 15px 0',
+    fontSize: '18px',
+    fontWeight: '600',
+  },
+  error: {
+    margin: 0,
+    color: '#ff4444',
+    whiteSpace: 'pre-line',
+    fontSize: '14px',
+  },
+  empty: {
+    margin: 0,
+    textAlign: 'center',
+    opacity: 0.7,
+    fontStyle: 'italic',
+  },
+  headline: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '15px',
+    marginBottom: '15px',
+  },
+  sizeBadge: {
+    minWidth: '60px',
+    padding: '12px',
+    fontSize: '24px',
+    fontWeight: 'bold',
+    textAlign: 'center',
+    background: 'linear-gradient(135deg, #00ff88 0%, #00cc66 100%)',
+    borderRadius: '12px',
+    color: '#000',
+  },
+  brand: {
+    fontSize: '12px',
+    opacity: 0.7,
+  },
+  summary: {
+    fontSize: '16px',
+    fontWeight: '600',
+  },
+  borderline: {
+    fontSize: '12px',
+    color: '#ffaa00',
+  },
+  table: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    padding: '8px',
+    background: 'rgba(255,255,255,0.05)',
+    borderRadius: '8px',
+  },
+  rowBest: {
+    background: 'rgba(0,255,136,0.12)',
+  },
+  rowSize: {
+    minWidth: '40px',
+    fontWeight: 'bold',
+  },
+  rowFits: {
+    flex: 1,
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px',
+  },
+  fitTag: {
+    fontSize: '12px',
+  },
+  selectButton: {
+    padding: '4px 10px',
+    fontSize: '12px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.1)',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '6px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  selectButtonActive: {
+    background: '#00ff88',
+    border: '1px solid #00ff88',
+    color: '#000',
+  },
+};
+
+export default SizeRecommendation;
@@ -0,0 +1,156 @@
+import React from 'react';
+import { KEYPOINT_GROUPS, SMOOTHING_FILTERS, smoothingFor } from './keypointFilters';
+
+const GROUP_LABELS = {
+  head: '👤 Head',
+  torso: '🧍 Torso',
+  arms: '💪 Arms',
+  legs: '🦵 Legs',
+};
+
+const SmoothingPanel = ({ settings, onChange }) => {
+  const filter = SMOOTHING_FILTERS[settings.type];
+
+  const setParam = (group, param, value) => {
+    onChange({
+      ...settings,
+      groups: { ...settings.groups, [group]: { ...settings.groups[group], [param]: value } },
+    });
+  };
+
+  return (
+    <div style={styles.container}>
+      <h3 style={styles.title}>〰️ Smoothing</h3>
+
+      <div style={styles.row}>
+        <label style={styles.label}>
+          Filter
+          <select
+            value={settings.type}
+            onChange={(e) => onChange(smoothingFor(e.target.value, settings.predictMs))}
+            style={styles.input}
+          >
+            {Object.entries(SMOOTHING_FILTERS).map(([type, { label }]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={styles.label}>
+          Keep lost keypoints for {settings.predictMs} ms
+          <input
+            type="range"
+            min={0}
+            max={1000}
+            step={50}
+            value={settings.predictMs}
+            onChange={(e) => onChange({ ...settings, predictMs: Number(e.target.value) })}
+          />
+        </label>
+      </div>
+
+      {Object.keys(filter.params).length > 0 && (
+        <div style={styles.grid}>
+          {Object.keys(KEYPOINT_GROUPS).map(group => (
+            <div key={group} style={styles.cell}>
+              <span style={styles.cellLabel}>{GROUP_LABELS[group]}</span>
+              {Object.entries(filter.params).map(([param, { label, min, max, step }]) => (
+                <label key={param} style={styles.paramLabel}>
+                  {label}: {settings.groups[group][param]}
+                  <input
+                    type="range"
+                    min={min}
+                    max={max}
+                    step={step}
+                    value={settings.groups[group][param]}
+                    onChange={(e) => setParam(group, param, Number(e.target.value))}
+                  />
+                </label>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <button onClick={() => onChange(smoothingFor(settings.type, settings.predictMs))} style={styles.resetButton}>
+        🔄 Reset to defaults
+      </button>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    maxWidth: '640px',
+    margin: '0 auto 20px',
+    padding: '20px',
+    background: 'rgba(0,0,0,0.2)',
+    borderRadius: '15px',
+    backdropFilter: 'blur(10px)',
+    color: 'white',
+  },
+  title: {
+    margin: '0 0 15px 0',
+    fontSize: '18px',
+    fontWeight: '600',
+  },
+  row: {
+    display: 'flex',
+    gap: '15px',
+    flexWrap: 'wrap',
+    marginBottom: '12px',
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '13px',
+    fontWeight: '600',
+    flex: 1,
+    minWidth: '200px',
+  },
+  input: {
+    padding: '8px',
+    fontSize: '14px',
+    background: 'rgba(255,255,255,0.1)',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '8px',
+    color: 'white',
+  },
+  grid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
+    gap: '10px',
+  },
+  cell: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    padding: '10px',
+    background: 'rgba(255,255,255,0.1)',
+    borderRadius: '8px',
+  },
+  cellLabel: {
+    fontSize: '13px',
+    fontWeight: '600',
+  },
+  paramLabel: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '2px',
+    fontSize: '11px',
+    opacity: 0.9,
+  },
+  resetButton: {
+    marginTop: '15px',
+    padding: '8px 16px',
+    fontSize: '13px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.1)',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '8px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+};
+
+export default SmoothingPanel;
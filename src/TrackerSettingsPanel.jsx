@@ -0,0 +1,253 @@
+import React, { useState } from 'react';
+import { ESTIMATORS } from './poseEstimators';
+import {
+  BUILTIN_PROFILES,
+  POSENET_ARCHITECTURES,
+  TRACKER_PARAMS,
+  exportProfiles,
+  modelOptionsFor,
+  parseProfiles,
+  sameSettings
+} from './trackerSettings';
+import { downloadJson, fileTimestamp } from './download';
+
+const formatOption = (value) => (typeof value === 'object' ? `${value.width}×${value.height}` : String(value));
+
+const formatParam = (key, value) => (key === 'confidenceThreshold' ? `${Math.round(value * 100)}%` : value);
+
+// settings, profiles and active come from useTrackerSettings. Thresholds
+// apply on the next frame; load options reload the model.
+const TrackerSettingsPanel = ({
+  settings, profiles, active, modelLoading, onChange, onApplyProfile, onSaveProfile, onDeleteProfile, onImport,
+}) => {
+  const [profileName, setProfileName] = useState('');
+  const [importError, setImportError] = useState(null);
+  const config = ESTIMATORS[settings.estimator].config;
+  const modelOptions = modelOptionsFor(settings.estimator);
+  const modified = active && profiles[active] && !sameSettings(profiles[active], settings);
+
+  const setModelOption = (key, value) => onChange({ model: { ...settings.model, [key]: value } });
+
+  const save = () => {
+    const name = profileName.trim();
+    if (!name) return;
+    onSaveProfile(name);
+    setProfileName('');
+  };
+
+  const importFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text()
+      .then(text => {
+        onImport(parseProfiles(text));
+        setImportError(null);
+      })
+      .catch(err => setImportError(`Could not import ${file.name}: ${err.message}`));
+  };
+
+  return (
+    <div style={styles.container}>
+      <h3 style={styles.title}>🎛️ Tracker Settings</h3>
+
+      <div style={styles.row}>
+        <label style={styles.label}>
+          Profile{modified ? ' (modified)' : ''}
+          <select value={active || ''} onChange={(e) => onApplyProfile(e.target.value)} style={styles.input}>
+            {!active && <option value="">Custom</option>}
+            {Object.keys(profiles).map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+        <label style={styles.label}>
+          Save current settings as
+          <span style={styles.inline}>
+            <input
+              type="text"
+              value={profileName}
+              placeholder={active || 'e.g. kiosk accuracy'}
+              onChange={(e) => setProfileName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && save()}
+              style={{ ...styles.input, flex: 1 }}
+            />
+            <button onClick={save} disabled={!profileName.trim()} style={styles.button}>💾 Save</button>
+          </span>
+        </label>
+      </div>
+
+      <div style={styles.actions}>
+        {modified && (
+          <button onClick={() => onSaveProfile(active)} style={styles.button}>💾 Update "{active}"</button>
+        )}
+        {active && !BUILTIN_PROFILES[active] && (
+          <button onClick={() => onDeleteProfile(active)} style={styles.button}>🗑️ Delete "{active}"</button>
+        )}
+        <button
+          onClick={() => downloadJson(exportProfiles(profiles), `tracker-profiles-${fileTimestamp()}.json`)}
+          style={styles.button}
+        >
+          ⬇️ Export profiles
+        </button>
+        <label style={styles.button}>
+          📂 Import profiles
+          <input type="file" accept="application/json,.json" onChange={importFile} style={styles.hiddenInput} />
+        </label>
+      </div>
+      {importError && <p style={styles.error}>⚠️ {importError}</p>}
+
+      <div style={styles.grid}>
+        {Object.entries(TRACKER_PARAMS).map(([key, { label, min, max, step }]) => (
+          <label key={key} style={styles.paramLabel}>
+            {label}: {formatParam(key, settings[key])}
+            <input
+              type="range"
+              min={min}
+              max={max}
+              step={step}
+              value={settings[key]}
+              onChange={(e) => onChange({ [key]: Number(e.target.value) })}
+            />
+          </label>
+        ))}
+      </div>
+
+      <h4 style={styles.subtitle}>
+        🧠 {ESTIMATORS[settings.estimator].label} load options {modelLoading && <span style={styles.note}>⏳ reloading...</span>}
+      </h4>
+      {modelOptions.length === 0 ? (
+        <p style={styles.note}>This model has no load options. Pick a PoseNet model to tune them.</p>
+      ) : (
+        <div style={styles.grid}>
+          <label style={styles.paramLabel}>
+            Architecture
+            <select
+              value={config.architecture}
+              onChange={(e) => onChange({ estimator: POSENET_ARCHITECTURES[e.target.value], model: {} })}
+              disabled={modelLoading}
+              style={styles.input}
+            >
+              {Object.keys(POSENET_ARCHITECTURES).map(architecture => (
+                <option key={architecture} value={architecture}>{architecture}</option>
+              ))}
+            </select>
+          </label>
+          {modelOptions.map(([key, { label }, values]) => {
+            const current = key in settings.model ? settings.model[key] : config[key];
+            return (
+              <label key={key} style={styles.paramLabel}>
+                {label}
+                <select
+                  value={values.findIndex(value => sameSettings(value, current))}
+                  onChange={(e) => setModelOption(key, values[Number(e.target.value)])}
+                  disabled={modelLoading}
+                  style={styles.input}
+                >
+                  {values.map((value, i) => (
+                    <option key={formatOption(value)} value={i}>{formatOption(value)}</option>
+                  ))}
+                </select>
+              </label>
+            );
+          })}
+        </div>
+      )}
+      <p style={styles.note}>Profiles also keep the model and smoothing settings.</p>
+    </div>
+  );
+};
+
+const styles = {
+  container: {
+    maxWidth: '640px',
+    margin: '0 auto 20px',
+    padding: '20px',
+    background: 'rgba(0,0,0,0.2)',
+    borderRadius: '15px',
+    backdropFilter: 'blur(10px)',
+    color: 'white',
+  },
+  title: {
+    margin: '0 0 15px 0',
+    fontSize: '18px',
+    fontWeight: '600',
+  },
+  subtitle: {
+    margin: '15px 0 10px 0',
+    fontSize: '14px',
+    fontWeight: '600',
+  },
+  row: {
+    display: 'flex',
+    gap: '15px',
+    flexWrap: 'wrap',
+    marginBottom: '12px',
+  },
+  label: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    fontSize: '13px',
+    fontWeight: '600',
+    flex: 1,
+    minWidth: '200px',
+  },
+  inline: {
+    display: 'flex',
+    gap: '6px',
+  },
+  input: {
+    padding: '8px',
+    fontSize: '14px',
+    background: 'rgba(255,255,255,0.1)',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '8px',
+    color: 'white',
+  },
+  actions: {
+    display: 'flex',
+    gap: '8px',
+    flexWrap: 'wrap',
+    marginBottom: '12px',
+  },
+  button: {
+    padding: '8px 14px',
+    fontSize: '13px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.1)',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '8px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  hiddenInput: {
+    display: 'none',
+  },
+  error: {
+    margin: '0 0 12px 0',
+    fontSize: '13px',
+    color: '#ff4444',
+  },
+  grid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
+    gap: '10px',
+  },
+  paramLabel: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    padding: '10px',
+    fontSize: '12px',
+    background: 'rgba(255,255,255,0.1)',
+    borderRadius: '8px',
+  },
+  note: {
+    margin: '10px 0 0 0',
+    fontSize: '12px',
+    opacity: 0.7,
+  },
+};
+
+export default TrackerSettingsPanel;
@@ -0,0 +1,201 @@
+import React from 'react';
+import { EXERCISES, formatTempo } from './workout';
+
+const PHASES = {
+  rest: '🧍 Ready',
+  moving: '⬇️ Going down',
+  bottom: '⬆️ Coming up',
+};
+
+// state and summary come from the rep counter; null until a workout starts.
+const WorkoutPanel = ({ exercise, active, state, summary, onSelectExercise, onToggle, onEndSet, onDownload }) => (
+  <div style={styles.container}>
+    <div style={styles.header}>
+      <h3 style={styles.title}>💪 Workout Mode</h3>
+      <button onClick={onToggle} style={{ ...styles.toggle, ...(active ? styles.toggleOn : {}) }}>
+        {active ? '⏹ Finish workout' : '▶️ Start workout'}
+      </button>
+    </div>
+
+    <div style={styles.exercises}>
+      {Object.entries(EXERCISES).map(([id, { label, emoji }]) => (
+        <button
+          key={id}
+          onClick={() => onSelectExercise(id)}
+          disabled={active}
+          style={{
+            ...styles.exercise,
+            ...(exercise === id ? styles.exerciseOn : {}),
+            ...(active && exercise !== id ? styles.disabled : {})
+          }}
+        >
+          {emoji} {label}
+        </button>
+      ))}
+    </div>
+
+    {active && state && (
+      <div style={styles.live}>
+        <div style={styles.count}>{state.repsInSet}</div>
+        <div style={styles.liveDetail}>
+          <span>Set {state.setNumber} · {state.totalReps} reps in total</span>
+          <span>{PHASES[state.phase]}</span>
+          <span>{EXERCISES[exercise].joint}: {state.angle === null ? '–' : `${state.angle}°`}</span>
+        </div>
+        <button onClick={onEndSet} disabled={state.repsInSet === 0} style={styles.smallButton}>⏭ End set</button>
+      </div>
+    )}
+
+    {summary && summary.sets.length > 0 && (
+      <>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.cell}>Set</th>
+              <th style={styles.cell}>Reps</th>
+              <th style={styles.cell}>Down</th>
+              <th style={styles.cell}>Up</th>
+              <th style={styles.cell}>Per rep</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.sets.map(set => (
+              <tr key={set.set}>
+                <td style={styles.cell}>{set.set}</td>
+                <td style={styles.cell}>{set.reps}</td>
+                <td style={styles.cell}>{formatTempo(set.avgDownMs)}</td>
+                <td style={styles.cell}>{formatTempo(set.avgUpMs)}</td>
+                <td style={styles.cell}>{formatTempo(set.avgRepMs)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p style={styles.total}>
+          {EXERCISES[summary.exercise].emoji} {summary.totalReps} {EXERCISES[summary.exercise].label.toLowerCase()} in{' '}
+          {summary.sets.length} set{summary.sets.length === 1 ? '' : 's'} over {formatTempo(summary.durationMs)}
+        </p>
+        <button onClick={onDownload} style={styles.smallButton}>💾 Download summary</button>
+      </>
+    )}
+
+    <p style={styles.hint}>
+      Stand side-on for squats, push-ups and lunges, and facing the camera for curls and jumping jacks.
+      Loaded pose sessions are counted too.
+    </p>
+  </div>
+);
+
+const styles = {
+  container: {
+    maxWidth: '640px',
+    margin: '0 auto 20px',
+    padding: '20px',
+    background: 'rgba(0,0,0,0.2)',
+    borderRadius: '15px',
+    backdropFilter: 'blur(10px)',
+    color: 'white',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '15px',
+  },
+  title: {
+    margin: 0,
+    fontSize: '18px',
+    fontWeight: '600',
+  },
+  toggle: {
+    padding: '8px 16px',
+    fontSize: '13px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.1)',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '8px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  toggleOn: {
+    background: 'rgba(255,68,68,0.3)',
+    border: '1px solid #ff4444',
+  },
+  exercises: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px',
+  },
+  exercise: {
+    padding: '8px 12px',
+    fontSize: '13px',
+    background: 'rgba(255,255,255,0.1)',
+    border: '2px solid rgba(255,255,255,0.2)',
+    borderRadius: '8px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  exerciseOn: {
+    border: '2px solid #00ff88',
+    background: 'rgba(0,255,136,0.15)',
+  },
+  disabled: {
+    opacity: 0.4,
+    cursor: 'not-allowed',
+  },
+  live: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '15px',
+    marginTop: '15px',
+    padding: '12px',
+    background: 'rgba(255,255,255,0.1)',
+    borderRadius: '10px',
+  },
+  count: {
+    minWidth: '60px',
+    fontSize: '48px',
+    fontWeight: 'bold',
+    textAlign: 'center',
+    color: '#00ff88',
+  },
+  liveDetail: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    flex: 1,
+    fontSize: '13px',
+  },
+  smallButton: {
+    padding: '6px 12px',
+    fontSize: '12px',
+    fontWeight: '600',
+    background: 'rgba(255,255,255,0.15)',
+    border: '1px solid rgba(255,255,255,0.3)',
+    borderRadius: '6px',
+    color: 'white',
+    cursor: 'pointer',
+  },
+  table: {
+    width: '100%',
+    marginTop: '15px',
+    borderCollapse: 'collapse',
+    fontSize: '13px',
+  },
+  cell: {
+    padding: '6px',
+    textAlign: 'center',
+    borderBottom: '1px solid rgba(255,255,255,0.15)',
+  },
+  total: {
+    margin: '10px 0',
+    fontSize: '14px',
+    fontWeight: '600',
+  },
+  hint: {
+    margin: '12px 0 0 0',
+    fontSize: '12px',
+    opacity: 0.7,
+  },
+};
+
+export default WorkoutPanel;
@@ -0,0 +1,103 @@
+// Swaps the camera background for a backdrop, keeping the person from a
+// segmentation mask with softened (feathered) edges.
+//
+// Backdrops are studio colors or images; the bundled images live in
+// public/backdrops, and users can add their own for the session.
+import { drawableMask } from './bodySegmentation';
+import { getFrameSize } from './inputSource';
+
+const BACKDROP_DIR = `${process.env.PUBLIC_URL}/backdrops`;
+
+export const BACKDROPS = {
+  studioWhite: { label: 'Studio white', color: '#f2f2f2' },
+  studioGrey: { label: 'Studio grey', color: '#777777' },
+  studioBlack: { label: 'Studio black', color: '#111111' },
+  beach: { label: 'Beach', image: `${BACKDROP_DIR}/beach.svg` },
+  city: { label: 'City at night', image: `${BACKDROP_DIR}/city-night.svg` },
+  boutique: { label: 'Boutique', image: `${BACKDROP_DIR}/boutique.svg` },
+  runway: { label: 'Runway', image: `${BACKDROP_DIR}/runway.svg` },
+};
+
+export const DEFAULT_FEATHER = 6;
+
+const customBackdrops = new Map();
+
+// url: an object URL or any image the page may draw. Returns the backdrop id.
+export const addCustomBackdrop = (name, url) => {
+  const id = `custom:${name}`;
+  customBackdrops.set(id, { label: `📁 ${name}`, image: url });
+  return id;
+};
+
+export const backdropFor = (id) => BACKDROPS[id] || customBackdrops.get(id) || null;
+
+export const backdropOptions = () => [
+  ...Object.entries(BACKDROPS).map(([value, { label }]) => ({ value, label })),
+  ...[...customBackdrops].map(([value, { label }]) => ({ value, label })),
+];
+
+// Loaded images by URL; null while loading. Drawing happens every frame, so
+// this never waits: the first frames just get a plain fill.
+const images = new Map();
+
+const backdropImage = (url) => {
+  if (!images.has(url)) {
+    images.set(url, null);
+    const image = new Image();
+    image.onload = () => images.set(url, image);
+    image.onerror = () => console.error(`❌ Failed to load backdrop: ${url}`);
+    image.src = url;
+  }
+  return images.get(url);
+};
+
+// Fills width×height like CSS `object-fit: cover`. mirror pre-flips the
+// backdrop for canvases shown mirrored, so it still reads the right way round.
+export const drawBackdrop = (ctx, id, width, height, { mirror = false } = {}) => {
+  const backdrop = backdropFor(id);
+  const image = backdrop && backdrop.image ? backdropImage(backdrop.image) : null;
+
+  ctx.save();
+  if (!image) {
+    ctx.fillStyle = (backdrop && backdrop.color) || '#333';
+    ctx.fillRect(0, 0, width, height);
+    ctx.restore();
+    return;
+  }
+  if (mirror) {
+    ctx.translate(width, 0);
+    ctx.scale(-1, 1);
+  }
+  const scale = Math.max(width / image.naturalWidth, height / image.naturalHeight);
+  const drawWidth = image.naturalWidth * scale;
+  const drawHeight = image.naturalHeight * scale;
+  ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+  ctx.restore();
+};
+
+// Draws source onto target, keeping only the person. feather (px) blurs the
+// mask so the cut-out blends into whatever goes behind it.
+export const cutOutPerson = (source, mask, target, { feather = 0 } = {}) => {
+  const { width, height } = getFrameSize(source);
+  if (target.width !== width || target.height !== height) {
+    target.width = width;
+    target.height = height;
+  }
+  const ctx = target.getContext('2d');
+  ctx.clearRect(0, 0, width, height);
+  ctx.drawImage(source, 0, 0, width, height);
+  ctx.save();
+  ctx.globalCompositeOperation = 'destination-in';
+  if (feather > 0) ctx.filter = `blur(${feather}px)`;
+  ctx.drawImage(drawableMask(mask), 0, 0, width, height);
+  ctx.restore();
+};
+
+// The backdrop with the person from frame on top, filling ctx's canvas.
+// Everything is in camera space, like the frame and the mask.
+export const replaceBackground = (ctx, frame, mask, { backdrop, feather = DEFAULT_FEATHER, mirror = false, personLayer }) => {
+  const { width, height } = ctx.canvas;
+  drawBackdrop(ctx, backdrop, width, height, { mirror });
+  cutOutPerson(frame, mask, personLayer, { feather });
+  ctx.drawImage(personLayer, 0, 0, width, height);
+};
@@ -0,0 +1,106 @@
+import { addCustomBackdrop, backdropFor, backdropOptions, cutOutPerson, drawBackdrop } from './backgroundReplacement';
+
+test('offers the bundled backdrops and ones added by the user', () => {
+  expect(backdropFor('studioGrey').color).toBe('#777777');
+  expect(backdropFor('beach').image).toMatch(/\/backdrops\/beach\.svg$/);
+  expect(backdropFor('nowhere')).toBeNull();
+
+  const id = addCustomBackdrop('garden', 'blob:garden');
+
+  expect(id).toBe('custom:garden');
+  expect(backdropFor(id).image).toBe('blob:garden');
+  expect(backdropOptions().map(option => option.value)).toEqual(expect.arrayContaining(['studioWhite', 'runway', id]));
+});
+
+// Records what was drawn and with which transform and compositing state.
+const recordingContext = () => {
+  const calls = [];
+  const ctx = {
+    calls,
+    globalCompositeOperation: 'source-over',
+    filter: 'none',
+    save: () => calls.push(['save']),
+    restore: () => calls.push(['restore']),
+    translate: (...args) => calls.push(['translate', ...args]),
+    scale: (...args) => calls.push(['scale', ...args]),
+    clearRect: (...args) => calls.push(['clearRect', ...args]),
+    fillRect: (...args) => calls.push(['fillRect', ...args]),
+    drawImage: (...args) => calls.push(['drawImage', ...args, { composite: ctx.globalCompositeOperation, filter: ctx.filter }]),
+  };
+  return ctx;
+};
+
+// Images "load" as soon as their src is set.
+class LoadedImage {
+  constructor() {
+    this.naturalWidth = 1000;
+    this.naturalHeight = 500;
+  }
+
+  set src(url) {
+    this.url = url;
+    this.onload();
+  }
+}
+
+const RealImage = global.Image;
+beforeAll(() => {
+  global.Image = LoadedImage;
+});
+afterAll(() => {
+  global.Image = RealImage;
+});
+
+test('fills with the studio color', () => {
+  const ctx = recordingContext();
+  drawBackdrop(ctx, 'studioBlack', 640, 480);
+
+  expect(ctx.fillStyle).toBe('#111111');
+  expect(ctx.calls).toContainEqual(['fillRect', 0, 0, 640, 480]);
+});
+
+test('covers the canvas with the image, centered and cropped', () => {
+  const ctx = recordingContext();
+  drawBackdrop(ctx, 'beach', 640, 480);
+
+  // 1000×500 scaled by 480/500 to 960×480, overflowing 160 px on each side
+  const draw = ctx.calls.find(([name]) => name === 'drawImage');
+  expect(draw.slice(2, 6)).toEqual([-160, 0, 960, 480]);
+  expect(ctx.calls.some(([name]) => name === 'scale')).toBe(false);
+});
+
+test('flips the image for mirrored canvases', () => {
+  const ctx = recordingContext();
+  drawBackdrop(ctx, 'city', 640, 480, { mirror: true });
+
+  const names = ctx.calls.map(([name]) => name);
+  expect(ctx.calls).toContainEqual(['translate', 640, 0]);
+  expect(ctx.calls).toContainEqual(['scale', -1, 1]);
+  expect(names.indexOf('scale')).toBeLessThan(names.indexOf('drawImage'));
+  expect(names[names.length - 1]).toBe('restore');
+});
+
+const frame = { videoWidth: 640, videoHeight: 480 };
+const mask = { width: 320, height: 240 };
+
+test('keeps the frame only where the feathered mask is', () => {
+  const ctx = recordingContext();
+  const target = { width: 0, height: 0, getContext: () => ctx };
+
+  cutOutPerson(frame, mask, target, { feather: 6 });
+
+  expect(target).toMatchObject({ width: 640, height: 480 });
+  const [source, cut] = ctx.calls.filter(([name]) => name === 'drawImage');
+  expect(source).toEqual(['drawImage', frame, 0, 0, 640, 480, { composite: 'source-over', filter: 'none' }]);
+  expect(cut).toEqual(['drawImage', mask, 0, 0, 640, 480, { composite: 'destination-in', filter: 'blur(6px)' }]);
+  // Compositing is put back for whatever draws next
+  expect(ctx.calls[ctx.calls.length - 1]).toEqual(['restore']);
+});
+
+test('leaves the edges sharp without feathering', () => {
+  const ctx = recordingContext();
+  cutOutPerson(frame, mask, { width: 640, height: 480, getContext: () => ctx });
+
+  const cut = ctx.calls.filter(([name]) => name === 'drawImage')[1];
+  expect(cut[cut.length - 1]).toEqual({ composite: 'destination-in', filter: 'none' });
+});
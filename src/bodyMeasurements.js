@@ -0,0 +1,166 @@
+// Body measurement estimation from PoseNet keypoints.
+//
+// Raw measurements are keypoint-to-keypoint distances in pixels. A calibration
+// turns them into centimetres, and an accumulator averages them over a steady
+// pose so a single noisy frame doesn't decide someone's size.
+
+export const MEASUREMENTS = {
+  shoulderWidth: { label: 'Shoulder width', emoji: '↔️' },
+  torsoLength: { label: 'Torso length', emoji: '↕️' },
+  armLength: { label: 'Arm length', emoji: '💪' },
+  inseam: { label: 'Inseam', emoji: '🦵' },
+  hipWidth: { label: 'Hip width', emoji: '🍑' },
+};
+
+// Eye height and ankle height as a fraction of stature (adult anthropometric
+// averages), so eye-to-ankle spans this much of the user's height.
+const EYE_TO_ANKLE_RATIO = 0.936 - 0.039;
+
+// A frame counts as steady when no torso keypoint moved more than this
+// fraction of the shoulder width since the previous frame.
+const STEADY_MOTION_RATIO = 0.04;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+const visible = (keypoints, indices, threshold) =>
+  indices.every(i => keypoints[i] && keypoints[i].score >= threshold);
+
+const pos = (keypoints, i) => keypoints[i].position;
+
+// Sums segment lengths along a chain of keypoints (e.g. shoulder-elbow-wrist).
+const chainLength = (keypoints, chain) =>
+  chain.slice(1).reduce((sum, idx, i) => sum + distance(pos(keypoints, chain[i]), pos(keypoints, idx)), 0);
+
+// Averages the left/right chains that are visible, or null when neither is.
+const bilateral = (keypoints, left, right, threshold) => {
+  const lengths = [left, right]
+    .filter(chain => visible(keypoints, chain, threshold))
+    .map(chain => chainLength(keypoints, chain));
+  if (lengths.length === 0) return null;
+  return lengths.reduce((a, b) => a + b, 0) / lengths.length;
+};
+
+// Pixel measurements for one frame. Any that can't be seen are null.
+export const measureKeypoints = (keypoints, confidenceThreshold = 0.5) => {
+  const has = (indices) => visible(keypoints, indices, confidenceThreshold);
+
+  return {
+    shoulderWidth: has([5, 6]) ? distance(pos(keypoints, 5), pos(keypoints, 6)) : null,
+    hipWidth: has([11, 12]) ? distance(pos(keypoints, 11), pos(keypoints, 12)) : null,
+    torsoLength: has([5, 6, 11, 12])
+      ? distance(midpoint(pos(keypoints, 5), pos(keypoints, 6)), midpoint(pos(keypoints, 11), pos(keypoints, 12)))
+      : null,
+    armLength: bilateral(keypoints, [5, 7, 9], [6, 8, 10], confidenceThreshold),
+    inseam: bilateral(keypoints, [11, 13, 15], [12, 14, 16], confidenceThreshold),
+  };
+};
+
+// Calibrations:
+//   { type: 'height', heightCm }  - scale from eye-to-ankle span every frame
+//   { type: 'reference', shoulderCm } - from an object of known size held in
+//     frame; stored as the shoulder width it implied so the scale keeps up
+//     as the user moves closer or further away.
+export const calibrateFromHeight = (heightCm) => ({ type: 'height', heightCm });
+
+export const calibrateFromReference = (referencePx, referenceCm, keypoints, confidenceThreshold = 0.5) => {
+  if (!(referencePx > 0) || !(referenceCm > 0)) return null;
+  const { shoulderWidth } = measureKeypoints(keypoints, confidenceThreshold);
+  if (!shoulderWidth) return null;
+  return { type: 'reference', shoulderCm: shoulderWidth * (referenceCm / referencePx) };
+};
+
+// Centimetres per pixel for the current frame, or null if the calibration
+// keypoints aren't visible.
+export const scaleForFrame = (calibration, keypoints, confidenceThreshold = 0.5) => {
+  if (!calibration) return null;
+
+  if (calibration.type === 'height') {
+    const eyes = [1, 2].filter(i => keypoints[i] && keypoints[i].score >= confidenceThreshold);
+    const ankles = [15, 16].filter(i => keypoints[i] && keypoints[i].score >= confidenceThreshold);
+    if (eyes.length === 0 || ankles.length === 0) return null;
+
+    const average = (indices) => {
+      const points = indices.map(i => pos(keypoints, i));
+      return {
+        x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+        y: points.reduce((sum, p) => sum + p.y, 0) / points.length,
+      };
+    };
+    const spanPx = distance(average(eyes), average(ankles));
+    if (spanPx <= 0) return null;
+    return (calibration.heightCm * EYE_TO_ANKLE_RATIO) / spanPx;
+  }
+
+  if (calibration.type === 'reference') {
+    const { shoulderWidth } = measureKeypoints(keypoints, confidenceThreshold);
+    return shoulderWidth ? calibration.shoulderCm / shoulderWidth : null;
+  }
+
+  return null;
+};
+
+const isSteady = (previous, current, confidenceThreshold) => {
+  if (!previous) return true;
+  const torso = [5, 6, 11, 12];
+  if (!visible(current, torso, confidenceThreshold) || !visible(previous, torso, confidenceThreshold)) return false;
+
+  const shoulderPx = distance(pos(current, 5), pos(current, 6));
+  const maxMotion = Math.max(...torso.map(i => distance(pos(current, i), pos(previous, i))));
+  return maxMotion <= shoulderPx * STEADY_MOTION_RATIO;
+};
+
+// Rolling average of calibrated measurements over a steady pose. Movement
+// resets the window; `stable` turns true once it has filled up.
+export const createMeasurementAccumulator = ({ windowSize = 30, confidenceThreshold = 0.5 } = {}) => {
+  let samples = [];
+  let previousKeypoints = null;
+
+  const reset = () => {
+    samples = [];
+    previousKeypoints = null;
+  };
+
+  const add = (keypoints, calibration) => {
+    const steady = isSteady(previousKeypoints, keypoints, confidenceThreshold);
+    previousKeypoints = keypoints;
+    if (!steady) {
+      samples = [];
+      return false;
+    }
+
+    const cmPerPx = scaleForFrame(calibration, keypoints, confidenceThreshold);
+    if (!cmPerPx) return false;
+
+    const raw = measureKeypoints(keypoints, confidenceThreshold);
+    const sample = {};
+    Object.keys(MEASUREMENTS).forEach(key => {
+      sample[key] = raw[key] === null ? null : raw[key] * cmPerPx;
+    });
+
+    samples.push(sample);
+    if (samples.length > windowSize) samples.shift();
+    return true;
+  };
+
+  // Mean and a ±2σ range per measurement across the window.
+  const summary = () => {
+    const result = { samples: samples.length, stable: samples.length >= windowSize, values: {} };
+
+    Object.keys(MEASUREMENTS).forEach(key => {
+      const values = samples.map(s => s[key]).filter(v => v !== null);
+      if (values.length === 0) {
+        result.values[key] = null;
+        return;
+      }
+      const mean = values.reduce((a, b) => a + b, 0) / values.length;
+      const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+      const spread = 2 * Math.sqrt(variance);
+      result.values[key] = { mean, low: mean - spread, high: mean + spread, count: values.length };
+    });
+
+    return result;
+  };
+
+  return { add, reset, summary };
+};
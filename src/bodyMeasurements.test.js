@@ -0,0 +1,65 @@
+import {
+  calibrateFromHeight,
+  calibrateFromReference,
+  createMeasurementAccumulator,
+  measureKeypoints,
+  scaleForFrame,
+} from './bodyMeasurements';
+
+// A front-facing figure: shoulders 100px apart, 150px torso, eyes at y=0, ankles at y=450.
+const figure = (offsetX = 0, scale = 1) => {
+  const points = {
+    1: [10, 0], 2: [-10, 0],
+    5: [50, 50], 6: [-50, 50],
+    7: [60, 120], 8: [-60, 120],
+    9: [65, 190], 10: [-65, 190],
+    11: [40, 200], 12: [-40, 200],
+    13: [40, 320], 14: [-40, 320],
+    15: [40, 450], 16: [-40, 450],
+  };
+  return Array.from({ length: 17 }, (_, i) => (points[i]
+    ? { position: { x: 320 + offsetX + points[i][0] * scale, y: 20 + points[i][1] * scale }, score: 0.9 }
+    : { position: { x: 0, y: 0 }, score: 0.1 }));
+};
+
+test('measures keypoint distances in pixels', () => {
+  const m = measureKeypoints(figure());
+
+  expect(m.shoulderWidth).toBeCloseTo(100);
+  expect(m.hipWidth).toBeCloseTo(80);
+  expect(m.torsoLength).toBeCloseTo(150);
+  expect(m.inseam).toBeCloseTo(250);
+  expect(m.armLength).toBeCloseTo(Math.hypot(10, 70) + Math.hypot(5, 70));
+});
+
+test('height calibration keeps measurements constant across camera distance', () => {
+  const calibration = calibrateFromHeight(180);
+  const near = measureKeypoints(figure(0, 1.5)).shoulderWidth * scaleForFrame(calibration, figure(0, 1.5));
+  const far = measureKeypoints(figure(0, 0.5)).shoulderWidth * scaleForFrame(calibration, figure(0, 0.5));
+
+  expect(near).toBeCloseTo(far);
+  expect(near).toBeCloseTo((100 / 450) * 180 * (0.936 - 0.039));
+});
+
+test('reference calibration is anchored to the shoulders', () => {
+  // An 8.56cm card spanning 20px makes 100px shoulders 42.8cm.
+  const calibration = calibrateFromReference(20, 8.56, figure());
+
+  expect(calibration.shoulderCm).toBeCloseTo(42.8);
+  expect(scaleForFrame(calibration, figure(0, 2))).toBeCloseTo(42.8 / 200);
+});
+
+test('accumulator averages a steady pose and resets on movement', () => {
+  const accumulator = createMeasurementAccumulator({ windowSize: 3 });
+  const calibration = calibrateFromHeight(180);
+
+  [0, 1, 0].forEach(offset => accumulator.add(figure(offset), calibration));
+  let summary = accumulator.summary();
+  expect(summary.stable).toBe(true);
+  expect(summary.values.shoulderWidth.low).toBeLessThanOrEqual(summary.values.shoulderWidth.mean);
+
+  accumulator.add(figure(60), calibration);
+  summary = accumulator.summary();
+  expect(summary.samples).toBe(0);
+  expect(summary.values.shoulderWidth).toBeNull();
+});
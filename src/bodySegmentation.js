@@ -0,0 +1,139 @@
+import * as bodyPix from '@tensorflow-models/body-pix';
+
+// BodyPix part ids (see bodyPix.PART_CHANNELS) grouped the same way as the
+// PoseNet BODY_PARTS in BodyTracking, so silhouettes reuse the legend colors.
+export const PART_GROUPS = {
+  head: [0, 1],
+  leftArm: [2, 3, 6, 7, 10],
+  rightArm: [4, 5, 8, 9, 11],
+  torso: [12, 13],
+  leftLeg: [14, 15, 18, 19, 22],
+  rightLeg: [16, 17, 20, 21, 23],
+};
+
+// Parts that are drawn over a garment of the given category. Upper arms are
+// left out for tops so sleeves are not punched through at rest; forearms and
+// hands crossing the body are what read as "in front".
+export const OCCLUDING_PARTS = {
+  top: [6, 7, 8, 9, 10, 11],
+  outerwear: [6, 7, 8, 9, 10, 11],
+  dress: [6, 7, 8, 9, 10, 11],
+  bottom: [10, 11],
+};
+
+export const SEGMENTER_CONFIG = {
+  architecture: 'MobileNetV1',
+  outputStride: 16,
+  multiplier: 0.75,
+  quantBytes: 2,
+};
+
+// configOverrides carries the modelUrl resolved by modelAssets.
+export const loadSegmenter = (configOverrides = {}) => bodyPix.load({ ...SEGMENTER_CONFIG, ...configOverrides });
+
+export const segmentFrame = (net, input) => net.segmentPersonParts(input, {
+  flipHorizontal: false,
+  internalResolution: 'medium',
+  segmentationThreshold: 0.7,
+  maxDetections: 1,
+});
+
+// Hex colors ('#ff00ff') to the [r, g, b] triples bodyPix expects, one per part id.
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+export const buildPartColors = (groupColors) => {
+  const colors = bodyPix.PART_CHANNELS.map(() => [128, 128, 128]);
+  Object.entries(PART_GROUPS).forEach(([group, ids]) => {
+    if (!groupColors[group]) return;
+    const rgb = hexToRgb(groupColors[group]);
+    ids.forEach(id => {
+      colors[id] = rgb;
+    });
+  });
+  return colors;
+};
+
+// Per-part silhouette colored with buildPartColors(), as ImageData.
+export const silhouetteMask = (segmentation, partColors) =>
+  bodyPix.toColoredPartMask(segmentation, partColors);
+
+// Opaque where any of partIds is, transparent elsewhere; null when there is
+// nothing to cut out.
+export const occlusionMask = (segmentation, partIds) => {
+  if (!partIds || partIds.length === 0) return null;
+  return bodyPix.toMask(
+    segmentation,
+    { r: 0, g: 0, b: 0, a: 255 },
+    { r: 0, g: 0, b: 0, a: 0 },
+    false,
+    partIds
+  );
+};
+
+// Whole-person segmentation for effects that only need person vs background.
+export const segmentPerson = (net, input) => net.segmentPerson(input, {
+  flipHorizontal: false,
+  internalResolution: 'medium',
+  segmentationThreshold: 0.7,
+});
+
+// Opaque where the person is, transparent elsewhere, as ImageData.
+export const personMask = (segmentation) => bodyPix.toMask(
+  segmentation,
+  { r: 0, g: 0, b: 0, a: 255 },
+  { r: 0, g: 0, b: 0, a: 0 }
+);
+
+const ALL_PARTS = bodyPix.PART_CHANNELS.map((name, id) => id);
+
+// Opaque wherever any body part is, from a part segmentation.
+export const wholeBodyMask = (segmentation) => occlusionMask(segmentation, ALL_PARTS);
+
+let scratchCanvas = null;
+
+// Masks are ImageData when built on this thread and ImageBitmaps when they
+// come from the worker; this gives something drawImage accepts. The scratch
+// canvas is reused, so draw the result before asking for another.
+export const drawableMask = (mask) => {
+  if (typeof ImageData === 'undefined' || !(mask instanceof ImageData)) return mask;
+  if (!scratchCanvas) scratchCanvas = document.createElement('canvas');
+  scratchCanvas.width = mask.width;
+  scratchCanvas.height = mask.height;
+  scratchCanvas.getContext('2d').putImageData(mask, 0, 0);
+  return scratchCanvas;
+};
+
+// Paints a mask (in camera space) onto ctx, mirrored to match the video
+// element when needed and stretched to the target size.
+const drawMask = (ctx, mask, width, height, mirror) => {
+  const source = drawableMask(mask);
+
+  ctx.save();
+  if (mirror) {
+    ctx.translate(width, 0);
+    ctx.scale(-1, 1);
+  }
+  ctx.drawImage(source, 0, 0, width, height);
+  ctx.restore();
+};
+
+// Draws the per-part silhouette in place of the fixed-radius blobs.
+export const drawSilhouette = (ctx, mask, { width, height, opacity = 0.7, mirror = true }) => {
+  ctx.save();
+  ctx.globalAlpha = opacity;
+  drawMask(ctx, mask, width, height, mirror);
+  ctx.restore();
+};
+
+// Erases an occlusion mask from whatever is already on ctx, so the video
+// underneath shows through (e.g. a forearm crossing in front of a shirt).
+export const eraseParts = (ctx, mask, { width, height, mirror = true }) => {
+  if (!mask) return;
+  ctx.save();
+  ctx.globalCompositeOperation = 'destination-out';
+  drawMask(ctx, mask, width, height, mirror);
+  ctx.restore();
+};
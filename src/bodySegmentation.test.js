@@ -0,0 +1,44 @@
+import * as bodyPix from '@tensorflow-models/body-pix';
+import { OCCLUDING_PARTS, PART_GROUPS, buildPartColors, occlusionMask, wholeBodyMask } from './bodySegmentation';
+
+jest.mock('@tensorflow-models/body-pix', () => ({
+  PART_CHANNELS: Array.from({ length: 24 }, (_, id) => `part${id}`),
+  toMask: jest.fn(),
+  toColoredPartMask: jest.fn(),
+}));
+
+test('every BodyPix part belongs to exactly one group', () => {
+  const ids = Object.values(PART_GROUPS).flat().sort((a, b) => a - b);
+  expect(ids).toEqual(bodyPix.PART_CHANNELS.map((_, id) => id));
+});
+
+test('colors each part with its group color and leaves the rest grey', () => {
+  const colors = buildPartColors({ head: '#ff0000', leftArm: '#00ff88' });
+
+  expect(colors).toHaveLength(24);
+  PART_GROUPS.head.forEach(id => expect(colors[id]).toEqual([255, 0, 0]));
+  PART_GROUPS.leftArm.forEach(id => expect(colors[id]).toEqual([0, 255, 136]));
+  PART_GROUPS.torso.forEach(id => expect(colors[id]).toEqual([128, 128, 128]));
+});
+
+test('occlusion masks only cover the requested parts', () => {
+  const segmentation = { width: 2, height: 2 };
+  bodyPix.toMask.mockReturnValue('mask');
+
+  expect(occlusionMask(segmentation, OCCLUDING_PARTS.bottom)).toBe('mask');
+  const [, foreground, background, , partIds] = bodyPix.toMask.mock.calls[0];
+  expect(partIds).toEqual([10, 11]);
+  expect(foreground.a).toBe(255);
+  expect(background.a).toBe(0);
+});
+
+test('no parts to cut out means no mask', () => {
+  expect(occlusionMask({}, [])).toBeNull();
+  expect(occlusionMask({}, null)).toBeNull();
+  expect(bodyPix.toMask).not.toHaveBeenCalled();
+});
+
+test('the whole-body mask asks for every part', () => {
+  wholeBodyMask({});
+  expect(bodyPix.toMask.mock.calls[0][4]).toHaveLength(24);
+});
@@ -0,0 +1,246 @@
+// One camera for the whole app.
+//
+// Screens that show the camera call acquire() (or use the useCamera hook)
+// and all get the same MediaStream; the camera stops shortly after the last
+// one lets go, so moving between screens doesn't restart it. The manager
+// also lists the cameras, flips between front and back, changes resolution,
+// and reconnects when the camera is unplugged or access is revoked and
+// granted again. The chosen camera and resolution are kept in localStorage.
+import { useEffect, useSyncExternalStore } from 'react';
+
+export const RESOLUTIONS = {
+  '480p': { label: '640×480', width: 640, height: 480 },
+  '720p': { label: '1280×720 (HD)', width: 1280, height: 720 },
+  '1080p': { label: '1920×1080 (Full HD)', width: 1920, height: 1080 },
+};
+
+export const DEFAULT_CAMERA = { deviceId: null, facingMode: 'user', resolution: '480p' };
+
+const STORAGE_KEY = 'ar-tryon-camera';
+const RELEASE_DELAY_MS = 1000;
+const RETRY_MS = 2000;
+
+export const cameraConstraints = ({ deviceId, facingMode, resolution }) => {
+  const { width, height } = RESOLUTIONS[resolution] || RESOLUTIONS[DEFAULT_CAMERA.resolution];
+  return {
+    audio: false,
+    video: {
+      width: { ideal: width },
+      height: { ideal: height },
+      ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode }),
+    },
+  };
+};
+
+const loadPreferences = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    return {
+      deviceId: typeof stored.deviceId === 'string' ? stored.deviceId : null,
+      facingMode: stored.facingMode === 'environment' ? 'environment' : 'user',
+      resolution: RESOLUTIONS[stored.resolution] ? stored.resolution : DEFAULT_CAMERA.resolution,
+    };
+  } catch (err) {
+    return { ...DEFAULT_CAMERA };
+  }
+};
+
+const savePreferences = ({ deviceId, facingMode, resolution }) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ deviceId, facingMode, resolution }));
+  } catch (err) {
+    console.warn('⚠️ Could not save camera settings:', err);
+  }
+};
+
+// State: { status: 'idle' | 'starting' | 'live' | 'lost' | 'denied' | 'error',
+//   stream, error, devices: [{ deviceId, label }], settings (of the live
+//   track), facing: 'user' | 'environment', deviceId, facingMode, resolution }
+export const createCameraManager = ({ mediaDevices } = {}) => {
+  const media = () => mediaDevices || (typeof navigator !== 'undefined' ? navigator.mediaDevices : undefined);
+  const listeners = new Set();
+  let state = { status: 'idle', stream: null, error: null, devices: [], settings: null, facing: 'user', ...loadPreferences() };
+  let users = 0;
+  let requestId = 0;
+  let releaseTimer = null;
+  let retryTimer = null;
+  let watching = false;
+
+  const setState = (patch) => {
+    state = { ...state, ...patch };
+    listeners.forEach(listener => listener());
+  };
+
+  const setPreferences = (patch) => {
+    setState(patch);
+    savePreferences(state);
+  };
+
+  const stopStream = () => {
+    if (state.stream) state.stream.getTracks().forEach(track => track.stop());
+  };
+
+  const refreshDevices = async () => {
+    const devices = media();
+    if (!devices || !devices.enumerateDevices) return state.devices;
+    const all = await devices.enumerateDevices();
+    const cameras = all
+      .filter(device => device.kind === 'videoinput')
+      .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Camera ${i + 1}` }));
+    setState({ devices: cameras });
+    return cameras;
+  };
+
+  const scheduleRetry = () => {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(() => {
+      if (users > 0) open();
+    }, RETRY_MS);
+  };
+
+  const open = async () => {
+    const id = ++requestId;
+    clearTimeout(retryTimer);
+    const devices = media();
+    if (!devices || !devices.getUserMedia) {
+      setState({ status: 'error', error: 'This browser cannot access the camera.' });
+      return;
+    }
+
+    stopStream();
+    setState({ status: 'starting', stream: null, error: null });
+    try {
+      const stream = await devices.getUserMedia(cameraConstraints(state));
+      if (id !== requestId || users === 0) {
+        stream.getTracks().forEach(track => track.stop());
+        return;
+      }
+      const [track] = stream.getVideoTracks();
+      const settings = track.getSettings ? track.getSettings() : {};
+      // Fired when the camera is unplugged or access is revoked
+      track.addEventListener('ended', () => {
+        if (state.stream !== stream) return;
+        console.warn('⚠️ Camera disconnected, reconnecting...');
+        stopStream();
+        setState({ status: 'lost', stream: null, error: 'The camera was disconnected. Reconnecting...' });
+        scheduleRetry();
+      });
+      setState({ status: 'live', stream, settings, facing: settings.facingMode || state.facingMode, error: null });
+      // Labels are only available once access has been granted
+      refreshDevices().catch(() => {});
+    } catch (err) {
+      if (id !== requestId) return;
+      // A remembered camera that's gone: fall back to any camera
+      if (state.deviceId && (err.name === 'NotFoundError' || err.name === 'OverconstrainedError')) {
+        setPreferences({ deviceId: null });
+        open();
+        return;
+      }
+      const denied = err.name === 'NotAllowedError' || err.name === 'SecurityError';
+      console.error('Error accessing camera:', err);
+      setState({
+        status: denied ? 'denied' : 'error',
+        error: denied
+          ? 'Camera access was denied. Allow camera permissions in your browser to continue.'
+          : `Unable to start the camera: ${err.message}`,
+      });
+      // Busy or missing cameras may come back; a denial needs the user
+      if (!denied) scheduleRetry();
+    }
+  };
+
+  const close = () => {
+    requestId++;
+    clearTimeout(retryTimer);
+    stopStream();
+    setState({ status: 'idle', stream: null, error: null, settings: null });
+  };
+
+  const needsRestart = () => users > 0 && state.status !== 'live' && state.status !== 'starting';
+
+  // Plugged-in cameras and re-granted permissions bring the stream back.
+  const watch = () => {
+    if (watching) return;
+    watching = true;
+    const devices = media();
+    if (devices && devices.addEventListener) {
+      devices.addEventListener('devicechange', () => {
+        refreshDevices().catch(() => {});
+        if (needsRestart()) open();
+      });
+    }
+    if (typeof navigator !== 'undefined' && navigator.permissions && navigator.permissions.query) {
+      navigator.permissions.query({ name: 'camera' })
+        .then(permission => {
+          permission.addEventListener('change', () => {
+            if (permission.state === 'granted' && needsRestart()) open();
+          });
+        })
+        .catch(() => {});
+    }
+  };
+
+  // Returns a release function; the camera runs while anyone holds it.
+  const acquire = () => {
+    users++;
+    clearTimeout(releaseTimer);
+    watch();
+    if (!state.stream && state.status !== 'starting') open();
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      users--;
+      if (users === 0) releaseTimer = setTimeout(close, RELEASE_DELAY_MS);
+    };
+  };
+
+  const restart = () => (users > 0 ? open() : Promise.resolve());
+
+  const selectDevice = (deviceId) => {
+    setPreferences({ deviceId: deviceId || null });
+    return restart();
+  };
+
+  const setResolution = (resolution) => {
+    setPreferences({ resolution });
+    return restart();
+  };
+
+  const flip = async () => {
+    const previous = state.settings && state.settings.deviceId;
+    setPreferences({ deviceId: null, facingMode: state.facing === 'environment' ? 'user' : 'environment' });
+    await restart();
+
+    // Desktop webcams have no facing mode and ignore it; step to the next camera instead
+    const current = state.settings && state.settings.deviceId;
+    if (previous && current === previous && state.devices.length > 1) {
+      const index = state.devices.findIndex(device => device.deviceId === current);
+      setPreferences({ deviceId: state.devices[(index + 1) % state.devices.length].deviceId, facingMode: 'user' });
+      await restart();
+    }
+  };
+
+  return {
+    acquire,
+    flip,
+    selectDevice,
+    setResolution,
+    refreshDevices,
+    getState: () => state,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+export const camera = createCameraManager();
+
+// Camera state for a component; holds the camera while `active`.
+export const useCamera = (active = true, manager = camera) => {
+  const state = useSyncExternalStore(manager.subscribe, manager.getState);
+  useEffect(() => (active ? manager.acquire() : undefined), [active, manager]);
+  return state;
+};
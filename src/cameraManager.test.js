@@ -0,0 +1,91 @@
+import { cameraConstraints, createCameraManager } from './cameraManager';
+
+const fakeStream = (settings) => {
+  const listeners = {};
+  const track = {
+    stop: jest.fn(),
+    getSettings: () => settings,
+    addEventListener: (type, listener) => {
+      listeners[type] = listener;
+    },
+    end: () => listeners.ended(),
+  };
+  return { track, getTracks: () => [track], getVideoTracks: () => [track] };
+};
+
+const fakeMediaDevices = (cameras) => ({
+  getUserMedia: jest.fn(async ({ video }) => {
+    const camera = (video.deviceId && cameras.find(c => c.deviceId === video.deviceId.exact)) ||
+      cameras.find(c => c.facingMode === video.facingMode) || cameras[0];
+    return fakeStream({ deviceId: camera.deviceId, facingMode: camera.facingMode, width: 640, height: 480 });
+  }),
+  enumerateDevices: jest.fn(async () => cameras.map(c => ({ kind: 'videoinput', deviceId: c.deviceId, label: c.deviceId }))),
+});
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+afterEach(() => localStorage.clear());
+
+test('asks for the chosen camera, or a facing mode when none is chosen', () => {
+  expect(cameraConstraints({ deviceId: null, facingMode: 'user', resolution: '720p' }).video)
+    .toEqual({ width: { ideal: 1280 }, height: { ideal: 720 }, facingMode: 'user' });
+  expect(cameraConstraints({ deviceId: 'usb', facingMode: 'user', resolution: '480p' }).video.deviceId)
+    .toEqual({ exact: 'usb' });
+});
+
+test('shares one stream between screens and stops it after the last one leaves', async () => {
+  const mediaDevices = fakeMediaDevices([{ deviceId: 'front', facingMode: 'user' }]);
+  const manager = createCameraManager({ mediaDevices });
+
+  const releaseHome = manager.acquire();
+  const releaseTracking = manager.acquire();
+  await flush();
+  const { stream } = manager.getState();
+
+  expect(mediaDevices.getUserMedia).toHaveBeenCalledTimes(1);
+  expect(manager.getState().status).toBe('live');
+
+  jest.useFakeTimers();
+  releaseHome();
+  releaseTracking();
+  jest.advanceTimersByTime(1000);
+
+  expect(stream.track.stop).toHaveBeenCalled();
+  expect(manager.getState().status).toBe('idle');
+  jest.useRealTimers();
+});
+
+test('flips between the front and back camera', async () => {
+  const mediaDevices = fakeMediaDevices([
+    { deviceId: 'front', facingMode: 'user' },
+    { deviceId: 'back', facingMode: 'environment' },
+  ]);
+  const manager = createCameraManager({ mediaDevices });
+  const release = manager.acquire();
+  await flush();
+
+  await manager.flip();
+
+  expect(manager.getState().facing).toBe('environment');
+  expect(manager.getState().settings.deviceId).toBe('back');
+  release();
+});
+
+test('reconnects when the camera is unplugged', async () => {
+  const mediaDevices = fakeMediaDevices([{ deviceId: 'usb', facingMode: undefined }]);
+  const manager = createCameraManager({ mediaDevices });
+  const release = manager.acquire();
+  await flush();
+
+  jest.useFakeTimers();
+  manager.getState().stream.track.end();
+  expect(manager.getState().status).toBe('lost');
+
+  jest.advanceTimersByTime(2000);
+  jest.useRealTimers();
+  await flush();
+
+  expect(mediaDevices.getUserMedia).toHaveBeenCalledTimes(2);
+  expect(manager.getState().status).toBe('live');
+  release();
+});
@@ -0,0 +1,357 @@
+// Scores how closely someone follows a reference routine.
+//
+// The reference is a pose session (recorded with this app, or extracted from
+// a video with extractVideoPoses). Poses are compared limb by limb on bone
+// directions, so position, size and distance from the camera don't matter,
+// and the two sequences are aligned in time with dynamic time warping (DTW),
+// so being a little early or late costs nothing.
+//
+//   const scorer = createChoreographyScorer(session);
+//   scorer.update(keypoints, t);   // t: time into the reference, ms
+//   scorer.live(t);                // { score, limbs } over the last moments
+//   scorer.finish();               // { score, limbs, timeline, drift }
+//
+// Scores are 0-100. With `mirror` (the default) the user follows the
+// reference like a mirror: their left arm copies the reference's right.
+import { SKELETON_CONNECTIONS } from './kinematics';
+import { KEYPOINT_NAMES } from './poseEstimators';
+import { createSessionRecorder, frameIndexAt, sessionFrameToKeypoints } from './poseSession';
+
+export const LIMBS = {
+  leftArm: { label: 'Left arm', bones: ['leftUpperArm', 'leftForearm'] },
+  rightArm: { label: 'Right arm', bones: ['rightUpperArm', 'rightForearm'] },
+  leftLeg: { label: 'Left leg', bones: ['leftThigh', 'leftShin'] },
+  rightLeg: { label: 'Right leg', bones: ['rightThigh', 'rightShin'] },
+  torso: { label: 'Torso', bones: ['shoulders', 'leftTorso', 'rightTorso', 'hips'] },
+};
+
+export const DEFAULT_CHOREOGRAPHY_OPTIONS = {
+  mirror: true,
+  confidenceThreshold: 0.5,
+  windowMs: 1500,
+  // How far the live window may look ahead of or behind the reference
+  slackMs: 750,
+  driftThreshold: 60,
+  minDriftMs: 300,
+  maxFrames: 600,
+};
+
+const BONES = Object.fromEntries(SKELETON_CONNECTIONS.map(connection => [connection.name, connection]));
+
+// Keypoint index of the other side's counterpart (leftWrist <-> rightWrist)
+const OPPOSITE = KEYPOINT_NAMES.map(name => {
+  const swapped = name.replace(/^(left|right)/, side => (side === 'left' ? 'right' : 'left'));
+  return KEYPOINT_NAMES.indexOf(swapped);
+});
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const known = (values) => values.filter(value => value !== null && value !== undefined);
+
+// Keypoint positions centered on the hips and measured in torso lengths, or
+// null when the torso isn't visible. mirror swaps sides and flips x.
+export const normalizePose = (keypoints, { mirror = false, confidenceThreshold = 0.5 } = {}) => {
+  const source = mirror ? OPPOSITE.map(i => keypoints[i]) : keypoints;
+  const usable = (kp) => kp && kp.score >= confidenceThreshold && !kp.predicted;
+  const flip = mirror ? -1 : 1;
+  const torso = [5, 6, 11, 12].map(i => source[i]);
+  if (!torso.every(usable)) return null;
+
+  const hipX = (torso[2].position.x + torso[3].position.x) / 2;
+  const hipY = (torso[2].position.y + torso[3].position.y) / 2;
+  const shoulderX = (torso[0].position.x + torso[1].position.x) / 2;
+  const shoulderY = (torso[0].position.y + torso[1].position.y) / 2;
+  const scale = Math.hypot(shoulderX - hipX, shoulderY - hipY);
+  if (scale < 1) return null;
+
+  return source.map(kp => (usable(kp)
+    ? { x: flip * (kp.position.x - hipX) / scale, y: (kp.position.y - hipY) / scale }
+    : null));
+};
+
+const boneDirection = (points, { start, end }) => {
+  const a = points[start];
+  const b = points[end];
+  if (!a || !b) return null;
+  const length = Math.hypot(b.x - a.x, b.y - a.y);
+  return length > 0 ? { x: (b.x - a.x) / length, y: (b.y - a.y) / length } : null;
+};
+
+// 0-1 per limb from the cosine between matching bones; null when a limb
+// isn't visible in both poses.
+export const limbSimilarity = (a, b) => Object.fromEntries(Object.entries(LIMBS).map(([limb, { bones }]) => {
+  const scores = known(bones.map(name => {
+    const u = boneDirection(a, BONES[name]);
+    const v = boneDirection(b, BONES[name]);
+    return u && v ? Math.max(0, u.x * v.x + u.y * v.y) : null;
+  }));
+  return [limb, scores.length > 0 ? mean(scores) : null];
+}));
+
+export const poseDistance = (a, b) => {
+  const scores = known(Object.values(limbSimilarity(a, b)));
+  return scores.length > 0 ? 1 - mean(scores) : 1;
+};
+
+// Dynamic time warping of a onto b. band limits how far (in frames) the
+// alignment may stray from the diagonal; with subsequence, a may match any
+// stretch of b rather than all of it. cost is per step of the path.
+export const dtw = (a, b, distance, { band = Infinity, subsequence = false } = {}) => {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0) return { cost: Infinity, path: [] };
+  const cost = new Float64Array(n * m).fill(Infinity);
+  const at = (i, j) => i * m + j;
+
+  for (let i = 0; i < n; i++) {
+    const center = Math.round(i * (m - 1) / Math.max(1, n - 1));
+    const from = subsequence ? 0 : Math.max(0, center - band);
+    const to = subsequence ? m - 1 : Math.min(m - 1, center + band);
+    for (let j = from; j <= to; j++) {
+      const d = distance(a[i], b[j]);
+      if (i === 0) {
+        cost[at(i, j)] = subsequence || j === 0 ? d : d + cost[at(i, j - 1)];
+      } else {
+        const previous = Math.min(cost[at(i - 1, j)], j > 0 ? cost[at(i - 1, j - 1)] : Infinity, j > 0 ? cost[at(i, j - 1)] : Infinity);
+        cost[at(i, j)] = d + previous;
+      }
+    }
+  }
+
+  let j = m - 1;
+  if (subsequence) {
+    for (let k = 0; k < m; k++) if (cost[at(n - 1, k)] < cost[at(n - 1, j)]) j = k;
+  }
+  const total = cost[at(n - 1, j)];
+  if (!Number.isFinite(total)) return { cost: Infinity, path: [] };
+
+  const path = [[n - 1, j]];
+  let i = n - 1;
+  while (i > 0 || (j > 0 && !subsequence)) {
+    const steps = [
+      i > 0 && j > 0 ? [i - 1, j - 1] : null,
+      i > 0 ? [i - 1, j] : null,
+      j > 0 ? [i, j - 1] : null,
+    ].filter(Boolean);
+    [i, j] = steps.reduce((best, step) => (cost[at(...step)] < cost[at(...best)] ? step : best));
+    path.unshift([i, j]);
+  }
+  return { cost: total / path.length, path };
+};
+
+// Every stride-th item, so long routines stay quick to align.
+const thin = (frames, maxFrames) => {
+  const stride = Math.ceil(frames.length / maxFrames);
+  return stride > 1 ? frames.filter((frame, i) => i % stride === 0) : frames;
+};
+
+const toPercent = (value) => (value === null ? null : Math.round(value * 100));
+
+// Averages limb similarity over the aligned pairs, per reference frame.
+const alignedScores = (performance, reference, path) => {
+  const byReference = new Map();
+  path.forEach(([i, j]) => {
+    if (!byReference.has(j)) byReference.set(j, []);
+    byReference.get(j).push(limbSimilarity(performance[i].pose, reference[j].pose));
+  });
+  return [...byReference].map(([j, similarities]) => {
+    const limbs = Object.fromEntries(Object.keys(LIMBS).map(limb => {
+      const scores = known(similarities.map(s => s[limb]));
+      return [limb, scores.length > 0 ? mean(scores) : null];
+    }));
+    const overall = known(Object.values(limbs));
+    return { t: reference[j].t, score: overall.length > 0 ? mean(overall) : 0, limbs };
+  });
+};
+
+const summarize = (entries) => {
+  const limbs = Object.fromEntries(Object.keys(LIMBS).map(limb => {
+    const scores = known(entries.map(entry => entry.limbs[limb]));
+    return [limb, scores.length > 0 ? toPercent(mean(scores)) : null];
+  }));
+  return { score: entries.length > 0 ? toPercent(mean(entries.map(entry => entry.score))) : 0, limbs };
+};
+
+// Stretches where some limb's (percent) score stayed under the threshold,
+// with the limb that was furthest off.
+const findDrift = (timeline, { driftThreshold, minDriftMs }) => {
+  const drift = [];
+  let run = [];
+  const close = () => {
+    if (run.length > 0 && run[run.length - 1].t - run[0].t >= minDriftMs) {
+      const limbScores = Object.keys(LIMBS)
+        .map(limb => [limb, known(run.map(entry => entry.limbs[limb]))])
+        .filter(([, scores]) => scores.length > 0)
+        .map(([limb, scores]) => [limb, mean(scores)]);
+      const worst = limbScores.reduce((a, b) => (a === null || b[1] < a[1] ? b : a), null);
+      drift.push({
+        start: run[0].t,
+        end: run[run.length - 1].t,
+        limb: worst && worst[0],
+        score: Math.round(mean(run.map(entry => entry.score))),
+      });
+    }
+    run = [];
+  };
+  timeline.forEach(entry => {
+    if (Math.min(...known(Object.values(entry.limbs))) < driftThreshold) run.push(entry);
+    else close();
+  });
+  close();
+  return drift;
+};
+
+// Whole-routine score. reference and performance: [{ t, pose }] with poses
+// from normalizePose, in the same space (mirroring already applied).
+export const scorePerformance = (reference, performance, options = {}) => {
+  const config = { ...DEFAULT_CHOREOGRAPHY_OPTIONS, ...options };
+  const a = thin(performance.filter(frame => frame.pose), config.maxFrames);
+  const b = thin(reference.filter(frame => frame.pose), config.maxFrames);
+  const { path } = dtw(a, b, (x, y) => poseDistance(x.pose, y.pose));
+  if (path.length === 0) return { score: 0, limbs: {}, timeline: [], drift: [] };
+
+  const aligned = alignedScores(a, b, path);
+  const timeline = aligned.map(entry => ({
+    t: entry.t,
+    score: toPercent(entry.score),
+    limbs: Object.fromEntries(Object.entries(entry.limbs).map(([limb, value]) => [limb, toPercent(value)])),
+  }));
+  return {
+    ...summarize(aligned),
+    timeline,
+    drift: findDrift(timeline, config),
+  };
+};
+
+export const createChoreographyScorer = (session, options = {}) => {
+  const config = { ...DEFAULT_CHOREOGRAPHY_OPTIONS, ...options };
+  const reference = session.frames.map(frame => ({
+    t: frame.t,
+    pose: normalizePose(sessionFrameToKeypoints(frame), config),
+  }));
+  let performance = [];
+
+  // keypoints: the user, in camera space. t: time into the reference (ms).
+  const update = (keypoints, t) => {
+    if (performance.length > 0 && t < performance[performance.length - 1].t) performance = [];
+    const pose = normalizePose(keypoints, { confidenceThreshold: config.confidenceThreshold });
+    if (pose) performance.push({ t, pose });
+  };
+
+  // Score over the last windowMs, aligned against the matching stretch of
+  // the reference give or take slackMs.
+  const live = (t) => {
+    const recent = performance.filter(frame => t - frame.t <= config.windowMs);
+    const nearby = reference.filter(frame =>
+      frame.pose && frame.t >= t - config.windowMs - config.slackMs && frame.t <= t + config.slackMs);
+    if (recent.length < 2 || nearby.length === 0) return null;
+    const { path } = dtw(recent, nearby, (x, y) => poseDistance(x.pose, y.pose), { subsequence: true });
+    return path.length > 0 ? summarize(alignedScores(recent, nearby, path)) : null;
+  };
+
+  const finish = () => scorePerformance(reference, performance, config);
+
+  // The reference pose at t, normalized like the user's (for the ghost).
+  const poseAt = (t) => {
+    const frame = reference[frameIndexAt(session.frames, t)];
+    return frame ? frame.pose : null;
+  };
+
+  return { update, live, finish, poseAt, duration: () => session.durationMs };
+};
+
+// Draws a normalized pose as a ghost beside the user: scaled to their torso
+// and on whichever side has more room. Without a user it stands in the middle.
+export const drawGhost = (ctx, pose, userKeypoints, { width, height, toCanvasX = (x) => x, confidenceThreshold = 0.5 }) => {
+  if (!pose) return;
+  const user = userKeypoints && normalizePose(userKeypoints, { confidenceThreshold });
+  let anchor = { x: width / 2, y: height * 0.6 };
+  let scale = height / 4;
+  if (user) {
+    const hips = [11, 12].map(i => userKeypoints[i].position);
+    const shoulders = [5, 6].map(i => userKeypoints[i].position);
+    const hipX = (hips[0].x + hips[1].x) / 2;
+    const hipY = (hips[0].y + hips[1].y) / 2;
+    scale = Math.hypot((shoulders[0].x + shoulders[1].x) / 2 - hipX, (shoulders[0].y + shoulders[1].y) / 2 - hipY);
+    anchor = { x: hipX + (hipX < width / 2 ? 1 : -1) * 2.5 * scale, y: hipY };
+  }
+  const point = (p) => ({ x: toCanvasX(anchor.x + p.x * scale), y: anchor.y + p.y * scale });
+
+  ctx.save();
+  ctx.shadowBlur = 0;
+  ctx.lineWidth = 8;
+  ctx.lineCap = 'round';
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.55)';
+  ctx.setLineDash([12, 8]);
+  SKELETON_CONNECTIONS.forEach(({ start, end }) => {
+    if (!pose[start] || !pose[end]) return;
+    const a = point(pose[start]);
+    const b = point(pose[end]);
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  pose.forEach(p => {
+    if (!p) return;
+    const { x, y } = point(p);
+    ctx.beginPath();
+    ctx.arc(x, y, 5, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+  ctx.restore();
+};
+
+const once = (target, type) => new Promise((resolve, reject) => {
+  const onError = () => {
+    target.removeEventListener(type, onEvent);
+    reject(new Error('Unable to read the reference video.'));
+  };
+  const onEvent = () => {
+    target.removeEventListener('error', onError);
+    resolve();
+  };
+  target.addEventListener(type, onEvent, { once: true });
+  target.addEventListener('error', onError, { once: true });
+});
+
+// Runs a video through the pose model frame by frame into a pose session.
+// infer: (frame, options) -> Promise<{ poses }>, as from poseInference.
+export const extractVideoPoses = async (url, infer, { model, fps = 15, onProgress = () => {} } = {}) => {
+  const video = document.createElement('video');
+  video.muted = true;
+  video.preload = 'auto';
+  video.src = url;
+  await once(video, 'loadeddata');
+
+  // MediaRecorder webm files often report Infinity, which would never finish
+  const duration = video.duration;
+  if (!Number.isFinite(duration) || duration <= 0) {
+    video.removeAttribute('src');
+    video.load();
+    throw new Error('The reference video has no known length. Try re-encoding it, e.g. as MP4.');
+  }
+
+  let time = 0;
+  const recorder = createSessionRecorder({
+    model,
+    frameSize: { width: video.videoWidth, height: video.videoHeight },
+    mirrored: false,
+    now: () => time,
+  });
+  for (let seconds = 0; seconds <= duration; seconds += 1 / fps) {
+    video.currentTime = seconds;
+    await once(video, 'seeked');
+    time = seconds * 1000;
+    const { poses } = await infer(video, { maxPoses: 1 });
+    if (poses[0]) recorder.addFrame(poses[0]);
+    onProgress(Math.min(1, seconds / duration));
+  }
+  video.removeAttribute('src');
+  video.load();
+
+  const session = recorder.finish();
+  if (session.frames.length === 0) throw new Error('No one was found in the reference video.');
+  return session;
+};
@@ -0,0 +1,109 @@
+import { createChoreographyScorer, dtw, extractVideoPoses, limbSimilarity, normalizePose, scorePerformance } from './choreography';
+import { body as standing } from './testUtils/poseFixtures';
+
+// The left arm swings up by `raise` degrees.
+const body = (raise = 0, { dx = 0, scale = 1 } = {}) => {
+  const radians = raise * Math.PI / 180;
+  const arm = (length) => [300 + length * Math.sin(radians), 200 + length * Math.cos(radians)];
+  return standing({ 7: arm(70), 9: arm(140) })
+    .map(({ score, position: { x, y } }) => ({ score, position: { x: x * scale + dx, y: y * scale } }));
+};
+
+const sequence = (raises, step = 50) => raises.map((raise, i) => ({ t: i * step, pose: normalizePose(body(raise)) }));
+
+test('aligns sequences that only differ in timing', () => {
+  const distance = (a, b) => Math.abs(a - b);
+
+  const { cost, path } = dtw([0, 1, 1, 2, 3, 3, 3], [0, 1, 2, 3], distance);
+  expect(cost).toBe(0);
+  expect(path[0]).toEqual([0, 0]);
+  expect(path[path.length - 1]).toEqual([6, 3]);
+
+  const { path: stretch } = dtw([5, 6, 7], [0, 1, 5, 6, 7, 9], distance, { subsequence: true });
+  expect(stretch.map(([, j]) => j)).toEqual([2, 3, 4]);
+});
+
+test('compares poses regardless of where and how big the person is', () => {
+  const near = normalizePose(body(90));
+  const far = normalizePose(body(90, { dx: 120, scale: 0.5 }));
+
+  expect(far[9].x).toBeCloseTo(near[9].x);
+  expect(far[9].y).toBeCloseTo(near[9].y);
+  expect(limbSimilarity(near, far).leftArm).toBeCloseTo(1);
+  expect(limbSimilarity(near, normalizePose(body(0))).leftArm).toBeLessThan(0.1);
+});
+
+test('mirroring swaps sides', () => {
+  const mirrored = normalizePose(body(90), { mirror: true });
+  const plain = normalizePose(body(90));
+
+  expect(mirrored[10].x).toBeCloseTo(-plain[9].x);
+  expect(mirrored[10].y).toBeCloseTo(plain[9].y);
+});
+
+test('scores a late but accurate performance highly', () => {
+  const raises = [0, 30, 60, 90, 120, 150, 180, 150, 120, 90, 60, 30, 0];
+  const reference = sequence(raises);
+  const late = sequence([0, 0, 0, ...raises.flatMap(raise => [raise, raise])]);
+
+  const result = scorePerformance(reference, late);
+
+  expect(result.score).toBeGreaterThan(95);
+  expect(result.limbs.leftArm).toBeGreaterThan(95);
+  expect(result.drift).toEqual([]);
+});
+
+test('reports where and which limb drifted', () => {
+  const reference = sequence([...Array(20).fill(0), ...Array(20).fill(180), ...Array(20).fill(0)]);
+  const performance = sequence(Array(60).fill(0));
+
+  const { score, limbs, timeline, drift } = scorePerformance(reference, performance);
+
+  expect(score).toBeLessThan(95);
+  expect(limbs.leftArm).toBeLessThan(limbs.rightArm);
+  expect(timeline).toHaveLength(60);
+  expect(drift).toHaveLength(1);
+  expect(drift[0]).toMatchObject({ start: 1000, end: 1950, limb: 'leftArm' });
+});
+
+test('scores live against a recorded session', () => {
+  const raises = Array.from({ length: 40 }, (_, i) => (i % 20) * 9);
+  const session = {
+    durationMs: 39 * 50,
+    frames: raises.map((raise, i) => ({
+      t: i * 50,
+      score: 0.9,
+      keypoints: body(raise).map(kp => ({ part: '', x: kp.position.x, y: kp.position.y, score: kp.score })),
+    })),
+  };
+  const scorer = createChoreographyScorer(session, { mirror: false });
+
+  raises.forEach((raise, i) => scorer.update(body(raise, { dx: 50 }), i * 50));
+
+  expect(scorer.live(39 * 50).score).toBeGreaterThan(95);
+  expect(scorer.finish().score).toBeGreaterThan(95);
+  expect(scorer.poseAt(500)).toEqual(normalizePose(body(90)));
+});
+
+test('refuses reference videos without a finite length', async () => {
+  const infer = jest.fn();
+  const video = (duration) => ({
+    duration,
+    videoWidth: 640,
+    videoHeight: 480,
+    addEventListener: (type, listener) => {
+      if (type === 'loadeddata') setTimeout(listener);
+    },
+    removeEventListener: () => {},
+    removeAttribute: () => {},
+    load: () => {},
+  });
+  const createElement = jest.spyOn(document, 'createElement');
+
+  for (const duration of [Infinity, NaN]) {
+    createElement.mockReturnValueOnce(video(duration));
+    await expect(extractVideoPoses('blob:clip', infer)).rejects.toThrow('no known length');
+  }
+  expect(infer).not.toHaveBeenCalled();
+  createElement.mockRestore();
+});
@@ -0,0 +1,24 @@
+// Browser downloads for generated files (sessions, exports, captures).
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Give the browser a tick to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadJson = (data, filename) => {
+  downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), filename);
+};
+
+// Filesystem-safe local timestamp, e.g. 2024-05-01_14-03-22
+export const fileTimestamp = (date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}_` +
+    `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+};
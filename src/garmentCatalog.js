@@ -0,0 +1,205 @@
+import { useEffect, useState } from 'react';
+
+// Garment catalog manifest (public/garments/catalog.json):
+//
+// {
+//   "version": 1,
+//   "garments": [{
+//     "id": "basic-tee", "name": "Basic Tee", "brand": "vogue-basics", "category": "top",
+//     "anchors": [{ "keypoint": 5, "x": 110, "y": 60 }, ...],
+//     "sizes": ["S", "M", "L"],
+//     "colors": [{ "id": "ocean-blue", "name": "Ocean Blue", "swatch": "#2f6fdf", "image": "basic-tee-blue.svg" }]
+//   }]
+// }
+//
+// Anchors are image-space points mapped to PoseNet keypoint indices (see
+// garmentRenderer). Image paths resolve relative to the manifest URL.
+
+export const DEFAULT_CATALOG_URL = `${process.env.PUBLIC_URL}/garments/catalog.json`;
+
+export const GARMENT_CATEGORIES = ['top', 'bottom', 'dress', 'outerwear'];
+
+export const CATEGORY_LABELS = {
+  top: '👕 Tops',
+  bottom: '👖 Bottoms',
+  dress: '👗 Dresses',
+  outerwear: '🧥 Outerwear',
+};
+
+const KEYPOINT_COUNT = 17;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Returns a list of human-readable problems; an empty list means the manifest is valid.
+export const validateCatalog = (manifest) => {
+  const errors = [];
+
+  if (!manifest || typeof manifest !== 'object') return ['Catalog must be a JSON object'];
+  if (!Array.isArray(manifest.garments)) return ['Catalog is missing a "garments" array'];
+
+  const seenIds = new Set();
+
+  manifest.garments.forEach((garment, i) => {
+    const label = garment && isNonEmptyString(garment.id) ? `Garment "${garment.id}"` : `Garment #${i}`;
+
+    if (!garment || typeof garment !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(garment.id)) errors.push(`${label} is missing an id`);
+    else if (seenIds.has(garment.id)) errors.push(`${label} is defined more than once`);
+    else seenIds.add(garment.id);
+
+    if (!isNonEmptyString(garment.name)) errors.push(`${label} is missing a name`);
+    if (!GARMENT_CATEGORIES.includes(garment.category)) {
+      errors.push(`${label} has unknown category "${garment.category}" (expected ${GARMENT_CATEGORIES.join(', ')})`);
+    }
+
+    if (!Array.isArray(garment.anchors) || garment.anchors.length < 2) {
+      errors.push(`${label} needs at least two anchors`);
+    } else {
+      const seenKeypoints = new Set();
+      garment.anchors.forEach((anchor, j) => {
+        if (!anchor || !Number.isInteger(anchor.keypoint) || anchor.keypoint < 0 || anchor.keypoint >= KEYPOINT_COUNT) {
+          errors.push(`${label} anchor #${j} has an invalid keypoint index`);
+        } else if (seenKeypoints.has(anchor.keypoint)) {
+          errors.push(`${label} anchors keypoint ${anchor.keypoint} more than once`);
+        } else {
+          seenKeypoints.add(anchor.keypoint);
+        }
+        if (!anchor || !isFiniteNumber(anchor.x) || !isFiniteNumber(anchor.y)) {
+          errors.push(`${label} anchor #${j} needs numeric x and y`);
+        }
+      });
+    }
+
+    if (!Array.isArray(garment.sizes) || garment.sizes.length === 0 || !garment.sizes.every(isNonEmptyString)) {
+      errors.push(`${label} needs a non-empty list of sizes`);
+    }
+
+    if (!Array.isArray(garment.colors) || garment.colors.length === 0) {
+      errors.push(`${label} needs at least one color variant`);
+    } else {
+      garment.colors.forEach((color, j) => {
+        if (!color || !isNonEmptyString(color.id)) errors.push(`${label} color #${j} is missing an id`);
+        if (!color || !isNonEmptyString(color.image)) errors.push(`${label} color #${j} is missing an image`);
+      });
+    }
+  });
+
+  return errors;
+};
+
+const resolveUrl = (path, baseUrl) => {
+  try {
+    return new URL(path, new URL(baseUrl, window.location.href)).href;
+  } catch (err) {
+    return path;
+  }
+};
+
+// Converts a validated manifest into the shape the app uses: anchors keyed by
+// keypoint index and image URLs made absolute.
+export const normalizeCatalog = (manifest, baseUrl) => ({
+  version: manifest.version || 1,
+  garments: manifest.garments.map(garment => ({
+    id: garment.id,
+    name: garment.name,
+    brand: garment.brand || null,
+    category: garment.category,
+    anchors: garment.anchors.reduce((acc, { keypoint, x, y }) => {
+      acc[keypoint] = { x, y };
+      return acc;
+    }, {}),
+    sizes: [...garment.sizes],
+    colors: garment.colors.map(color => ({
+      id: color.id,
+      name: color.name || color.id,
+      swatch: color.swatch || '#888888',
+      imageUrl: resolveUrl(color.image, baseUrl),
+    })),
+  })),
+});
+
+const catalogCache = new Map();
+
+export const loadCatalog = (url = DEFAULT_CATALOG_URL) => {
+  if (catalogCache.has(url)) return catalogCache.get(url);
+
+  const promise = Promise.resolve()
+    .then(() => fetch(url))
+    .then(response => {
+      if (!response.ok) throw new Error(`Catalog request failed (${response.status})`);
+      return response.json();
+    })
+    .then(manifest => {
+      const errors = validateCatalog(manifest);
+      if (errors.length > 0) {
+        throw new Error(`Invalid garment catalog:\n- ${errors.join('\n- ')}`);
+      }
+      return normalizeCatalog(manifest, url);
+    })
+    .catch(err => {
+      catalogCache.delete(url);
+      throw err;
+    });
+
+  catalogCache.set(url, promise);
+  return promise;
+};
+
+export const defaultSelection = (catalog) => {
+  const garment = catalog && catalog.garments[0];
+  if (!garment) return null;
+  return { garmentId: garment.id, colorId: garment.colors[0].id, size: null };
+};
+
+// Looks up the garment, color variant and size described by a selection.
+export const resolveSelection = (catalog, selection) => {
+  if (!catalog || !selection) return null;
+  const garment = catalog.garments.find(g => g.id === selection.garmentId);
+  if (!garment) return null;
+  const color = garment.colors.find(c => c.id === selection.colorId) || garment.colors[0];
+  const size = garment.sizes.includes(selection.size) ? selection.size : null;
+  return { garment, color, size };
+};
+
+// Selection for the garment `step` places away in catalog order, wrapping
+// around. Keeps the size when the new garment comes in it.
+export const stepGarment = (catalog, selection, step) => {
+  if (!catalog || catalog.garments.length === 0) return selection;
+  const { garments } = catalog;
+  const current = selection ? garments.findIndex(g => g.id === selection.garmentId) : -1;
+  const index = current === -1 ? 0 : (((current + step) % garments.length) + garments.length) % garments.length;
+  const garment = garments[index];
+  const size = selection && garment.sizes.includes(selection.size) ? selection.size : null;
+  return { garmentId: garment.id, colorId: garment.colors[0].id, size };
+};
+
+export const useGarmentCatalog = (url = DEFAULT_CATALOG_URL) => {
+  const [catalog, setCatalog] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadCatalog(url)
+      .then(result => {
+        if (!cancelled) {
+          setCatalog(result);
+          setError(null);
+        }
+      })
+      .catch(err => {
+        console.error('Error loading garment catalog:', err);
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  return { catalog, error };
+};
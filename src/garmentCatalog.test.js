@@ -0,0 +1,73 @@
+import { normalizeCatalog, resolveSelection, stepGarment, validateCatalog } from './garmentCatalog';
+
+const validManifest = () => ({
+  version: 1,
+  garments: [
+    {
+      id: 'tee',
+      name: 'Tee',
+      category: 'top',
+      anchors: [
+        { keypoint: 5, x: 10, y: 10 },
+        { keypoint: 6, x: 90, y: 10 },
+      ],
+      sizes: ['S', 'M'],
+      colors: [
+        { id: 'blue', name: 'Blue', swatch: '#00f', image: 'tee-blue.png' },
+        { id: 'red', image: 'tee-red.png' },
+      ],
+    },
+  ],
+});
+
+test('accepts a well-formed manifest', () => {
+  expect(validateCatalog(validManifest())).toEqual([]);
+});
+
+test('reports unknown categories, bad anchors and missing variants', () => {
+  const manifest = validManifest();
+  manifest.garments[0].category = 'hat';
+  manifest.garments[0].anchors[1].keypoint = 42;
+  manifest.garments[0].colors = [];
+  manifest.garments.push({ ...validManifest().garments[0] });
+
+  const errors = validateCatalog(manifest);
+
+  expect(errors).toEqual(expect.arrayContaining([
+    expect.stringMatching(/unknown category "hat"/),
+    expect.stringMatching(/anchor #1 has an invalid keypoint index/),
+    expect.stringMatching(/needs at least one color variant/),
+    expect.stringMatching(/defined more than once/),
+  ]));
+});
+
+test('normalizes anchors by keypoint and resolves image URLs against the manifest', () => {
+  const catalog = normalizeCatalog(validManifest(), 'http://shop.test/garments/catalog.json');
+  const [tee] = catalog.garments;
+
+  expect(tee.anchors).toEqual({ 5: { x: 10, y: 10 }, 6: { x: 90, y: 10 } });
+  expect(tee.colors[0].imageUrl).toBe('http://shop.test/garments/tee-blue.png');
+  expect(tee.colors[1].name).toBe('red');
+});
+
+test('resolves a selection, falling back to the first color and dropping unknown sizes', () => {
+  const catalog = normalizeCatalog(validManifest(), 'http://shop.test/catalog.json');
+
+  const resolved = resolveSelection(catalog, { garmentId: 'tee', colorId: 'green', size: 'XL' });
+
+  expect(resolved.color.id).toBe('blue');
+  expect(resolved.size).toBeNull();
+  expect(resolveSelection(catalog, { garmentId: 'missing' })).toBeNull();
+});
+
+test('steps through garments in catalog order, wrapping around and keeping sizes that exist', () => {
+  const manifest = validManifest();
+  manifest.garments.push({ ...validManifest().garments[0], id: 'hoodie', sizes: ['M', 'L'] });
+  const catalog = normalizeCatalog(manifest, 'http://shop.test/catalog.json');
+
+  expect(stepGarment(catalog, { garmentId: 'tee', colorId: 'red', size: 'M' }, 1))
+    .toEqual({ garmentId: 'hoodie', colorId: 'blue', size: 'M' });
+  expect(stepGarment(catalog, { garmentId: 'tee', colorId: 'blue', size: 'S' }, -1))
+    .toEqual({ garmentId: 'hoodie', colorId: 'blue', size: null });
+  expect(stepGarment(catalog, null, 1).garmentId).toBe('tee');
+});
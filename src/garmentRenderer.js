@@ -0,0 +1,125 @@
+// Keypoint-anchored 2D garment rendering.
+//
+// A garment is a transparent image plus a set of anchors: image-space points
+// keyed by PoseNet keypoint index. Each frame we fit the transform that maps
+// those anchors onto the (mirrored) keypoint positions and draw the image
+// through it. Anchors are authored in mirror view, i.e. the wearer's left
+// shoulder (5) sits on the left of the image, the same way the camera overlay
+// is shown.
+
+const imageCache = new Map();
+
+export const loadGarmentImage = (url) => {
+  if (imageCache.has(url)) return imageCache.get(url);
+
+  const promise = new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => {
+      imageCache.delete(url);
+      reject(new Error(`Failed to load garment image: ${url}`));
+    };
+    image.src = url;
+  });
+
+  imageCache.set(url, promise);
+  return promise;
+};
+
+// Solves a 3x3 linear system with Cramer's rule. Returns null when singular.
+const solve3 = (m, v) => {
+  const det = (a) =>
+    a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+    a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+    a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+
+  const d = det(m);
+  if (Math.abs(d) < 1e-9) return null;
+
+  return [0, 1, 2].map(col => {
+    const replaced = m.map((row, r) => row.map((value, c) => (c === col ? v[r] : value)));
+    return det(replaced) / d;
+  });
+};
+
+// Least-squares affine fit from image points to screen points (needs >= 3 pairs).
+const fitAffine = (pairs) => {
+  const ata = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const atx = [0, 0, 0];
+  const aty = [0, 0, 0];
+
+  pairs.forEach(({ from, to }) => {
+    const row = [from.x, from.y, 1];
+    for (let r = 0; r < 3; r++) {
+      for (let c = 0; c < 3; c++) ata[r][c] += row[r] * row[c];
+      atx[r] += row[r] * to.x;
+      aty[r] += row[r] * to.y;
+    }
+  });
+
+  const xs = solve3(ata, atx);
+  const ys = solve3(ata, aty);
+  if (!xs || !ys) return null;
+
+  // Canvas setTransform order: a, b, c, d, e, f
+  return { a: xs[0], b: ys[0], c: xs[1], d: ys[1], e: xs[2], f: ys[2] };
+};
+
+// Similarity (scale + rotation + translation) from exactly two pairs.
+const fitSimilarity = ([p, q]) => {
+  const fx = q.from.x - p.from.x;
+  const fy = q.from.y - p.from.y;
+  const tx = q.to.x - p.to.x;
+  const ty = q.to.y - p.to.y;
+  const denom = fx * fx + fy * fy;
+  if (denom < 1e-9) return null;
+
+  // Complex division (tx + i ty) / (fx + i fy)
+  const re = (tx * fx + ty * fy) / denom;
+  const im = (ty * fx - tx * fy) / denom;
+
+  return {
+    a: re,
+    b: im,
+    c: -im,
+    d: re,
+    e: p.to.x - (re * p.from.x - im * p.from.y),
+    f: p.to.y - (im * p.from.x + re * p.from.y),
+  };
+};
+
+// Builds the image-to-canvas transform for a garment, or null when too few
+// anchor keypoints are visible to place it. The fit is always done in mirror
+// view; for unmirrored input the result is flipped, which keeps the
+// two-anchor (rotation-only) fit from turning the garment upside down.
+export const computeGarmentTransform = (keypoints, anchors, { videoWidth, confidenceThreshold = 0.5, mirror = true }) => {
+  const pairs = Object.entries(anchors)
+    .map(([index, point]) => ({ kp: keypoints[Number(index)], point }))
+    .filter(({ kp }) => kp && kp.score >= confidenceThreshold)
+    .map(({ kp, point }) => ({
+      from: point,
+      to: { x: videoWidth - kp.position.x, y: kp.position.y },
+    }));
+
+  let transform = null;
+  if (pairs.length >= 3) transform = fitAffine(pairs);
+  else if (pairs.length === 2) transform = fitSimilarity(pairs);
+  if (!transform || mirror) return transform;
+
+  return { ...transform, a: -transform.a, c: -transform.c, e: videoWidth - transform.e };
+};
+
+export const drawGarment = (ctx, garment, keypoints, options) => {
+  if (!garment || !garment.image) return false;
+
+  const transform = computeGarmentTransform(keypoints, garment.anchors, options);
+  if (!transform) return false;
+
+  ctx.save();
+  ctx.setTransform(transform.a, transform.b, transform.c, transform.d, transform.e, transform.f);
+  ctx.globalAlpha = garment.opacity ?? 1;
+  ctx.drawImage(garment.image, 0, 0);
+  ctx.restore();
+  return true;
+};
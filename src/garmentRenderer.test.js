@@ -0,0 +1,67 @@
+import { computeGarmentTransform } from './garmentRenderer';
+
+const kp = (x, y, score = 0.9) => ({ position: { x, y }, score });
+
+const keypointsWith = (points) => {
+  const keypoints = Array.from({ length: 17 }, () => kp(0, 0, 0));
+  Object.entries(points).forEach(([index, point]) => {
+    keypoints[index] = point;
+  });
+  return keypoints;
+};
+
+const apply = (t, { x, y }) => ({ x: t.a * x + t.c * y + t.e, y: t.b * x + t.d * y + t.f });
+
+test('maps shoulder and hip anchors onto mirrored keypoints', () => {
+  const anchors = {
+    5: { x: 100, y: 50 },
+    6: { x: 300, y: 50 },
+    11: { x: 100, y: 450 },
+    12: { x: 300, y: 450 },
+  };
+  // Camera-space: the wearer's left side appears on the right of the frame.
+  const keypoints = keypointsWith({
+    5: kp(400, 100),
+    6: kp(300, 100),
+    11: kp(400, 300),
+    12: kp(300, 300),
+  });
+
+  const t = computeGarmentTransform(keypoints, anchors, { videoWidth: 640 });
+
+  expect(apply(t, anchors[5]).x).toBeCloseTo(240);
+  expect(apply(t, anchors[5]).y).toBeCloseTo(100);
+  expect(apply(t, anchors[12]).x).toBeCloseTo(340);
+  expect(apply(t, anchors[12]).y).toBeCloseTo(300);
+});
+
+test('falls back to a rotation-preserving fit with only the shoulders visible', () => {
+  const anchors = { 5: { x: 0, y: 0 }, 6: { x: 100, y: 0 }, 11: { x: 0, y: 200 } };
+  const keypoints = keypointsWith({ 5: kp(640, 0), 6: kp(640, 50) });
+
+  const t = computeGarmentTransform(keypoints, anchors, { videoWidth: 640 });
+
+  // Shoulder line rotated 90 degrees at half scale.
+  expect(apply(t, anchors[6]).x).toBeCloseTo(0);
+  expect(apply(t, anchors[6]).y).toBeCloseTo(50);
+  expect(Math.hypot(t.a, t.b)).toBeCloseTo(0.5);
+});
+
+test('returns null when fewer than two anchors are confident', () => {
+  const keypoints = keypointsWith({ 5: kp(100, 100), 6: kp(200, 100, 0.2) });
+  const anchors = { 5: { x: 0, y: 0 }, 6: { x: 100, y: 0 } };
+
+  expect(computeGarmentTransform(keypoints, anchors, { videoWidth: 640 })).toBeNull();
+});
+
+test('flips the garment for unmirrored input instead of rotating it', () => {
+  const anchors = { 5: { x: 0, y: 0 }, 6: { x: 100, y: 0 } };
+  const keypoints = keypointsWith({ 5: kp(400, 100), 6: kp(300, 100) });
+
+  const t = computeGarmentTransform(keypoints, anchors, { videoWidth: 640, mirror: false });
+
+  expect(apply(t, anchors[5])).toEqual({ x: 400, y: 100 });
+  expect(apply(t, anchors[6]).x).toBeCloseTo(300);
+  // Image "down" still points down the frame.
+  expect(t.d).toBeGreaterThan(0);
+});
@@ -0,0 +1,103 @@
+// Body gestures as a remote control, for mirror and kiosk setups where the
+// user stands too far away to reach the screen.
+//
+// Recognized gestures (see gestureRecognizer) are narrowed down to triggers,
+// e.g. a swipe becomes swipeLeft or swipeRight, and a mapping assigns each
+// trigger an action. The mapping is user-configurable and kept in
+// localStorage.
+
+export const GESTURE_ACTIONS = {
+  none: { label: 'Nothing', emoji: '🚫' },
+  nextGarment: { label: 'Next garment', emoji: '➡️' },
+  previousGarment: { label: 'Previous garment', emoji: '⬅️' },
+  toggleCatalog: { label: 'Open / close catalog', emoji: '🛍️' },
+  capture: { label: 'Take a photo', emoji: '📸' },
+  exit: { label: 'Back to home', emoji: '🏠' },
+};
+
+export const GESTURE_TRIGGERS = {
+  swipeLeft: {
+    label: 'Swipe left',
+    emoji: '👈',
+    matches: (event) => event.type === 'swipe' && event.detail.direction === 'left',
+  },
+  swipeRight: {
+    label: 'Swipe right',
+    emoji: '👉',
+    matches: (event) => event.type === 'swipe' && event.detail.direction === 'right',
+  },
+  handRaise: {
+    label: 'Raise a hand',
+    emoji: '🙋',
+    matches: (event) => event.type === 'handRaise' && event.detail.hand !== 'both',
+  },
+  bothArmsUp: {
+    label: 'Both arms up',
+    emoji: '🙌',
+    matches: (event) => event.type === 'handRaise' && event.detail.hand === 'both',
+  },
+  holdStill: {
+    label: 'Hold a pose',
+    emoji: '🗿',
+    matches: (event) => event.type === 'holdStill',
+  },
+  tPose: {
+    label: 'T-pose',
+    emoji: '🧍',
+    matches: (event) => event.type === 'tPose',
+  },
+  wave: {
+    label: 'Wave',
+    emoji: '👋',
+    matches: (event) => event.type === 'wave',
+  },
+  armsCrossed: {
+    label: 'Cross arms',
+    emoji: '🙅',
+    matches: (event) => event.type === 'armsCrossed',
+  },
+};
+
+export const DEFAULT_GESTURE_MAPPING = {
+  swipeLeft: 'previousGarment',
+  swipeRight: 'nextGarment',
+  handRaise: 'toggleCatalog',
+  bothArmsUp: 'exit',
+  holdStill: 'capture',
+  tPose: 'none',
+  wave: 'none',
+  armsCrossed: 'none',
+};
+
+const STORAGE_KEY = 'ar-tryon-gesture-mapping';
+
+export const triggerFor = (event) =>
+  Object.keys(GESTURE_TRIGGERS).find(trigger => GESTURE_TRIGGERS[trigger].matches(event)) || null;
+
+export const actionFor = (event, mapping = DEFAULT_GESTURE_MAPPING) => {
+  const trigger = triggerFor(event);
+  return (trigger && mapping[trigger]) || 'none';
+};
+
+// Unknown triggers and actions (e.g. from an older version) are dropped in
+// favor of the defaults.
+export const loadGestureMapping = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    const mapping = { ...DEFAULT_GESTURE_MAPPING };
+    Object.keys(mapping).forEach(trigger => {
+      if (GESTURE_ACTIONS[stored[trigger]]) mapping[trigger] = stored[trigger];
+    });
+    return mapping;
+  } catch (err) {
+    return { ...DEFAULT_GESTURE_MAPPING };
+  }
+};
+
+export const saveGestureMapping = (mapping) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(mapping));
+  } catch (err) {
+    console.warn('⚠️ Could not save gesture mapping:', err);
+  }
+};
@@ -0,0 +1,30 @@
+import { DEFAULT_GESTURE_MAPPING, actionFor, loadGestureMapping, saveGestureMapping, triggerFor } from './gestureControls';
+
+const event = (type, detail) => ({ type, confidence: 0.9, timestamp: 1000, startedAt: 500, detail });
+
+afterEach(() => localStorage.clear());
+
+test('tells one-handed raises, both arms up and swipe directions apart', () => {
+  expect(triggerFor(event('handRaise', { hand: 'left' }))).toBe('handRaise');
+  expect(triggerFor(event('handRaise', { hand: 'both' }))).toBe('bothArmsUp');
+  expect(triggerFor(event('swipe', { direction: 'left', hand: 'right' }))).toBe('swipeLeft');
+  expect(triggerFor(event('swipe', { direction: 'right', hand: 'left' }))).toBe('swipeRight');
+});
+
+test('maps gestures to actions, defaulting to the kiosk layout', () => {
+  expect(actionFor(event('swipe', { direction: 'right', hand: 'left' }))).toBe('nextGarment');
+  expect(actionFor(event('handRaise', { hand: 'both' }))).toBe('exit');
+  expect(actionFor(event('holdStill'))).toBe('capture');
+  expect(actionFor(event('wave', { hand: 'left' }))).toBe('none');
+  expect(actionFor(event('wave', { hand: 'left' }), { ...DEFAULT_GESTURE_MAPPING, wave: 'capture' })).toBe('capture');
+});
+
+test('round-trips the mapping through localStorage, ignoring unknown actions', () => {
+  saveGestureMapping({ ...DEFAULT_GESTURE_MAPPING, tPose: 'capture', holdStill: 'teleport' });
+
+  const mapping = loadGestureMapping();
+
+  expect(mapping.tPose).toBe('capture');
+  expect(mapping.holdStill).toBe('capture');
+  expect(mapping.swipeLeft).toBe('previousGarment');
+});
@@ -0,0 +1,272 @@
+// Discrete body gestures recognized from a stream of keypoints.
+//
+// Feed it one person's (smoothed) keypoints every frame with update(), and
+// subscribe to the gestures you care about:
+//
+//   const recognizer = createGestureRecognizer();
+//   const unsubscribe = recognizer.subscribe('swipe', (event) => ...);
+//   recognizer.subscribe('*', (event) => ...); // everything
+//
+// Events look like
+//   { type: 'swipe', confidence: 0.87, timestamp: 5230, startedAt: 4890, detail: { direction: 'left' } }
+// with times in the same milliseconds passed to update(). Distances are
+// measured in shoulder widths so recognition doesn't depend on how far the
+// person stands from the camera.
+
+export const GESTURES = {
+  wave: { label: 'Wave', emoji: '👋' },
+  handRaise: { label: 'Hand raised', emoji: '🙋' },
+  armsCrossed: { label: 'Arms crossed', emoji: '🙅' },
+  swipe: { label: 'Swipe', emoji: '👉' },
+  tPose: { label: 'T-pose', emoji: '🧍' },
+  holdStill: { label: 'Holding still', emoji: '🗿' },
+};
+
+export const describeGesture = (event) => {
+  const { label, emoji } = GESTURES[event.type];
+  const detail = event.detail && (event.detail.hand || event.detail.direction);
+  return `${emoji} ${label}${detail ? ` (${detail})` : ''}`;
+};
+
+const KP = {
+  nose: 0,
+  leftShoulder: 5,
+  rightShoulder: 6,
+  leftElbow: 7,
+  rightElbow: 8,
+  leftWrist: 9,
+  rightWrist: 10,
+  leftHip: 11,
+  rightHip: 12,
+};
+
+const HANDS = {
+  left: { wrist: KP.leftWrist, elbow: KP.leftElbow, shoulder: KP.leftShoulder },
+  right: { wrist: KP.rightWrist, elbow: KP.rightElbow, shoulder: KP.rightShoulder },
+};
+
+export const DEFAULT_GESTURE_OPTIONS = {
+  confidenceThreshold: 0.5,
+  windowMs: 1500,
+  cooldownMs: 1200,
+  holdMs: 500,
+  stillMs: 1500,
+  swipeMs: 500,
+  swipeDistance: 1.2,
+  waveAmplitude: 0.25,
+  waveReversals: 3,
+  stillTolerance: 0.06,
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+export const createGestureRecognizer = (options = {}) => {
+  const config = { ...DEFAULT_GESTURE_OPTIONS, ...options };
+  const listeners = new Map();
+  let history = [];
+  // Start times of held conditions and last emission per gesture key
+  const heldSince = new Map();
+  const lastFired = new Map();
+  // Gestures that fired and must be released before they can fire again
+  const latched = new Set();
+
+  const ok = (kp) => kp && kp.score >= config.confidenceThreshold && !kp.predicted;
+  const scoreOf = (keypoints, indices) => mean(indices.map(i => (keypoints[i] ? keypoints[i].score : 0)));
+
+  const emit = (event) => {
+    [event.type, '*'].forEach(key => {
+      const set = listeners.get(key);
+      if (set) set.forEach(listener => listener(event));
+    });
+  };
+
+  const fire = (key, t, event) => {
+    const last = lastFired.get(key);
+    if (last !== undefined && t - last < config.cooldownMs) return;
+    lastFired.set(key, t);
+    emit({ timestamp: t, ...event });
+  };
+
+  // Fires once a condition has held for holdMs, then waits for it to end.
+  const hold = (key, active, t, holdMs, makeEvent) => {
+    if (!active) {
+      heldSince.delete(key);
+      latched.delete(key);
+      return;
+    }
+    if (!heldSince.has(key)) heldSince.set(key, t);
+    const since = heldSince.get(key);
+    if (t - since >= holdMs && !latched.has(key)) {
+      latched.add(key);
+      fire(key, t, { startedAt: since, ...makeEvent() });
+    }
+  };
+
+  const detectHandRaise = (kps, t) => {
+    const nose = kps[KP.nose];
+    const raised = {};
+    Object.entries(HANDS).forEach(([hand, { wrist, shoulder }]) => {
+      const reference = ok(nose) ? nose : kps[shoulder];
+      raised[hand] = ok(kps[wrist]) && ok(reference) && kps[wrist].position.y < reference.position.y;
+    });
+    const indices = [KP.nose, KP.leftWrist, KP.rightWrist];
+
+    hold('handRaise:both', raised.left && raised.right, t, config.holdMs, () => ({
+      type: 'handRaise', confidence: scoreOf(kps, indices), detail: { hand: 'both' },
+    }));
+    ['left', 'right'].forEach(hand => {
+      hold(`handRaise:${hand}`, raised[hand] && !(raised.left && raised.right), t, config.holdMs, () => ({
+        type: 'handRaise', confidence: scoreOf(kps, [KP.nose, HANDS[hand].wrist]), detail: { hand },
+      }));
+    });
+  };
+
+  const detectArmsCrossed = (kps, t, scale) => {
+    const needed = [KP.leftWrist, KP.rightWrist, KP.leftShoulder, KP.rightShoulder];
+    let crossed = false;
+    if (needed.every(i => ok(kps[i]))) {
+      const shoulderSide = Math.sign(kps[KP.leftShoulder].position.x - kps[KP.rightShoulder].position.x);
+      const wristSide = Math.sign(kps[KP.leftWrist].position.x - kps[KP.rightWrist].position.x);
+      const shoulderY = (kps[KP.leftShoulder].position.y + kps[KP.rightShoulder].position.y) / 2;
+      const atChest = [KP.leftWrist, KP.rightWrist].every(i =>
+        kps[i].position.y > shoulderY && kps[i].position.y < shoulderY + 2 * scale);
+      crossed = wristSide !== 0 && wristSide === -shoulderSide && atChest;
+    }
+    hold('armsCrossed', crossed, t, config.holdMs, () => ({
+      type: 'armsCrossed', confidence: scoreOf(kps, needed),
+    }));
+  };
+
+  const detectTPose = (kps, t, scale) => {
+    const needed = [KP.leftShoulder, KP.rightShoulder, KP.leftElbow, KP.rightElbow, KP.leftWrist, KP.rightWrist];
+    let tPose = false;
+    if (needed.every(i => ok(kps[i]))) {
+      const shoulderY = (kps[KP.leftShoulder].position.y + kps[KP.rightShoulder].position.y) / 2;
+      const level = needed.every(i => Math.abs(kps[i].position.y - shoulderY) < 0.4 * scale);
+      const span = Math.abs(kps[KP.leftWrist].position.x - kps[KP.rightWrist].position.x);
+      tPose = level && span > 3 * scale;
+    }
+    hold('tPose', tPose, t, config.holdMs, () => ({
+      type: 'tPose', confidence: scoreOf(kps, needed),
+    }));
+  };
+
+  const detectHoldStill = (kps, t, scale) => {
+    const window = history.filter(frame => t - frame.t <= config.stillMs);
+    let still = false;
+    if (window.length >= 2 && t - window[0].t >= config.stillMs * 0.9) {
+      const first = window[0].keypoints;
+      const shared = kps.map((kp, i) => i).filter(i => ok(kps[i]) && ok(first[i]));
+      still = shared.length >= 8 && window.every(frame => shared.every(i =>
+        !ok(frame.keypoints[i]) ||
+        Math.hypot(frame.keypoints[i].position.x - kps[i].position.x, frame.keypoints[i].position.y - kps[i].position.y) <
+          config.stillTolerance * scale));
+    }
+    hold('holdStill', still, t, 0, () => ({
+      type: 'holdStill', confidence: scoreOf(kps, kps.map((kp, i) => i)), startedAt: t - config.stillMs,
+    }));
+  };
+
+  // Horizontal wrist sweeps in front of the torso. Direction is as seen on
+  // screen, so a mirrored camera view flips it.
+  const detectSwipe = (kps, t, scale, mirrored) => {
+    const shoulderY = (kps[KP.leftShoulder].position.y + kps[KP.rightShoulder].position.y) / 2;
+    Object.entries(HANDS).forEach(([hand, { wrist }]) => {
+      const recent = history.filter(frame => t - frame.t <= config.swipeMs && ok(frame.keypoints[wrist]));
+      if (recent.length < 3 || !ok(kps[wrist])) return;
+      const start = recent[0].keypoints[wrist].position;
+      const end = kps[wrist].position;
+      const inFront = end.y > shoulderY - 0.5 * scale && end.y < shoulderY + 3 * scale;
+      const dx = (end.x - start.x) / scale;
+      const dy = Math.abs(end.y - start.y) / scale;
+      if (!inFront || Math.abs(dx) < config.swipeDistance || dy > Math.abs(dx) / 2) return;
+
+      const direction = (dx > 0) !== mirrored ? 'right' : 'left';
+      fire('swipe', t, {
+        type: 'swipe',
+        confidence: Math.min(1, Math.abs(dx) / (config.swipeDistance * 1.5)) * scoreOf(kps, [wrist]),
+        startedAt: recent[0].t,
+        detail: { direction, hand },
+      });
+    });
+  };
+
+  // Side-to-side wrist oscillation around the elbow with the hand up.
+  const detectWave = (kps, t, scale) => {
+    Object.entries(HANDS).forEach(([hand, { wrist, elbow }]) => {
+      const frames = history.filter(frame =>
+        t - frame.t <= config.windowMs &&
+        ok(frame.keypoints[wrist]) && ok(frame.keypoints[elbow]) &&
+        frame.keypoints[wrist].position.y < frame.keypoints[elbow].position.y);
+      if (frames.length < 6) return;
+
+      const offsets = frames.map(frame => (frame.keypoints[wrist].position.x - frame.keypoints[elbow].position.x) / scale);
+      let reversals = 0;
+      let direction = 0;
+      let extreme = offsets[0];
+      offsets.forEach(offset => {
+        const delta = offset - extreme;
+        if (direction >= 0 && delta < -config.waveAmplitude) {
+          if (direction > 0) reversals++;
+          direction = -1;
+          extreme = offset;
+        } else if (direction <= 0 && delta > config.waveAmplitude) {
+          if (direction < 0) reversals++;
+          direction = 1;
+          extreme = offset;
+        } else if ((direction > 0 && offset > extreme) || (direction < 0 && offset < extreme)) {
+          extreme = offset;
+        }
+      });
+
+      if (reversals >= config.waveReversals - 1) {
+        fire(`wave:${hand}`, t, {
+          type: 'wave',
+          confidence: Math.min(1, reversals / config.waveReversals) * scoreOf(kps, [wrist, elbow]),
+          startedAt: frames[0].t,
+          detail: { hand },
+        });
+      }
+    });
+  };
+
+  const reset = () => {
+    history = [];
+    heldSince.clear();
+    lastFired.clear();
+    latched.clear();
+  };
+
+  // keypoints: one person, PoseNet order. t: milliseconds.
+  const update = (keypoints, t, { mirrored = false } = {}) => {
+    if (history.length > 0 && t < history[history.length - 1].t) reset();
+    history.push({ t, keypoints });
+    history = history.filter(frame => t - frame.t <= Math.max(config.windowMs, config.stillMs));
+
+    const ls = keypoints[KP.leftShoulder];
+    const rs = keypoints[KP.rightShoulder];
+    if (!ok(ls) || !ok(rs)) return;
+    const scale = Math.max(1, Math.hypot(ls.position.x - rs.position.x, ls.position.y - rs.position.y));
+
+    detectHandRaise(keypoints, t);
+    detectArmsCrossed(keypoints, t, scale);
+    detectTPose(keypoints, t, scale);
+    detectHoldStill(keypoints, t, scale);
+    detectSwipe(keypoints, t, scale, mirrored);
+    detectWave(keypoints, t, scale);
+  };
+
+  const subscribe = (type, listener) => {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(listener);
+    return () => listeners.get(type).delete(listener);
+  };
+
+  // Changes options (e.g. confidenceThreshold) from the next update on,
+  // keeping subscribers.
+  const configure = (options) => {
+    Object.assign(config, options);
+  };
+
+  return { update, subscribe, reset, configure };
+};
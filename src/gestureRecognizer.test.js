@@ -0,0 +1,58 @@
+import { createGestureRecognizer } from './gestureRecognizer';
+import { body as standing } from './testUtils/poseFixtures';
+
+// Facing the camera with the elbows slightly out; overrides as for standing().
+const body = (overrides = {}) => standing({
+  7: [310, 270], 8: [190, 270], 9: [310, 330], 10: [190, 330],
+  ...overrides,
+});
+
+const feed = (recognizer, frames, { start = 0, step = 33, mirrored = false } = {}) => {
+  frames.forEach((keypoints, i) => recognizer.update(keypoints, start + i * step, { mirrored }));
+};
+
+test('emits one typed hand raise per raise, after it is held', () => {
+  const recognizer = createGestureRecognizer();
+  const events = [];
+  recognizer.subscribe('handRaise', event => events.push(event));
+
+  feed(recognizer, Array.from({ length: 30 }, () => body({ 10: [190, 80] })));
+
+  expect(events).toHaveLength(1);
+  expect(events[0]).toMatchObject({ type: 'handRaise', detail: { hand: 'right' } });
+  expect(events[0].timestamp - events[0].startedAt).toBeGreaterThanOrEqual(500);
+  expect(events[0].confidence).toBeCloseTo(0.9);
+});
+
+test('swipe direction follows what the user sees', () => {
+  const sweep = Array.from({ length: 10 }, (_, i) => body({ 10: [150 + i * 20, 260] }));
+
+  const plain = createGestureRecognizer();
+  const plainEvents = [];
+  plain.subscribe('*', event => plainEvents.push(event));
+  feed(plain, sweep);
+
+  const mirrored = createGestureRecognizer();
+  const mirroredEvents = [];
+  mirrored.subscribe('swipe', event => mirroredEvents.push(event));
+  feed(mirrored, sweep, { mirrored: true });
+
+  expect(plainEvents.filter(e => e.type === 'swipe').map(e => e.detail.direction)).toEqual(['right']);
+  expect(mirroredEvents.map(e => e.detail.direction)).toEqual(['left']);
+});
+
+test('recognizes a held T-pose and stillness, and stops notifying after unsubscribe', () => {
+  const recognizer = createGestureRecognizer();
+  const types = [];
+  const unsubscribe = recognizer.subscribe('*', event => types.push(event.type));
+
+  const tPose = body({ 7: [380, 200], 8: [120, 200], 9: [460, 205], 10: [40, 205] });
+  feed(recognizer, Array.from({ length: 60 }, () => tPose));
+  expect(types).toEqual(expect.arrayContaining(['tPose', 'holdStill']));
+
+  unsubscribe();
+  types.length = 0;
+  recognizer.reset();
+  feed(recognizer, Array.from({ length: 60 }, () => tPose));
+  expect(types).toEqual([]);
+});
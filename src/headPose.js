@@ -0,0 +1,248 @@
+// Head orientation from the facial keypoints, relative to the shoulders.
+//
+// Angles are in degrees from the subject's point of view, so they read the
+// same whether or not the view is mirrored:
+//   yaw   > 0 turned to their left,        < 0 to their right
+//   pitch > 0 looking up,                  < 0 down
+//   roll  > 0 tilted toward their left shoulder, < 0 toward the right
+//
+// Only the shape of the face is used (where the nose sits between the ears
+// and below the eyes), so moving the whole body doesn't change them. Roll is
+// measured against the shoulder line, so leaning the body isn't a head tilt.
+import { createOneEuroFilter } from './keypointFilters';
+
+const KP = {
+  nose: 0,
+  leftEye: 1,
+  rightEye: 2,
+  leftEar: 3,
+  rightEar: 4,
+  leftShoulder: 5,
+  rightShoulder: 6,
+};
+
+// A rough average face, in units of half the ear (or eye) spacing:
+// the nose tip sits EAR_NOSE_DEPTH in front of the line between the ears;
+// it projects EYE_YAW_GAIN times further off the eye midpoint than from a
+// frontal view would suggest; and it is NOSE_DROP below and NOSE_DEPTH in
+// front of the eyes, as a fraction of the full eye spacing.
+const EAR_NOSE_DEPTH = 1.3;
+const EYE_YAW_GAIN = 1.5;
+const NOSE_DROP = 0.6;
+const NOSE_DEPTH = 0.4;
+
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const wrapDegrees = (degrees) => ((((degrees + 180) % 360) + 360) % 360) - 180;
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Unit vector from the subject's right to their left, and its length.
+const axisBetween = (right, left) => {
+  const dx = left.x - right.x;
+  const dy = left.y - right.y;
+  const length = Math.hypot(dx, dy);
+  return length > 0 ? { x: dx / length, y: dy / length, length } : null;
+};
+
+// { yaw, pitch, roll, confidence } or null without a nose and a pair of eyes
+// or ears. pitch is null when the eyes aren't both visible.
+export const estimateHeadPose = (keypoints, { confidenceThreshold = 0.5 } = {}) => {
+  const usable = (i) => keypoints[i] && keypoints[i].score >= confidenceThreshold && !keypoints[i].predicted;
+  const at = (i) => keypoints[i].position;
+  if (!usable(KP.nose)) return null;
+
+  const ears = usable(KP.leftEar) && usable(KP.rightEar);
+  const eyes = usable(KP.leftEye) && usable(KP.rightEye);
+  if (!ears && !eyes) return null;
+
+  const nose = at(KP.nose);
+  const used = [KP.nose];
+
+  // Yaw: how far the nose sits off the middle of the head, along the head's own axis
+  let axis;
+  let yaw;
+  if (ears) {
+    axis = axisBetween(at(KP.rightEar), at(KP.leftEar));
+    const center = midpoint(at(KP.rightEar), at(KP.leftEar));
+    const offset = (nose.x - center.x) * axis.x + (nose.y - center.y) * axis.y;
+    yaw = toDegrees(Math.atan2(offset, (axis.length / 2) * EAR_NOSE_DEPTH));
+    used.push(KP.leftEar, KP.rightEar);
+  }
+  let pitch = null;
+  if (eyes) {
+    const eyeAxis = axisBetween(at(KP.rightEye), at(KP.leftEye));
+    const center = midpoint(at(KP.rightEye), at(KP.leftEye));
+    if (!axis) {
+      axis = eyeAxis;
+      const offset = (nose.x - center.x) * axis.x + (nose.y - center.y) * axis.y;
+      yaw = toDegrees(Math.atan2(offset * EYE_YAW_GAIN, axis.length / 2));
+    }
+    used.push(KP.leftEye, KP.rightEye);
+
+    // Pitch: the nose drops below the eyes when looking down and rises toward
+    // them when looking up. The eye spacing shrinks as the head turns, so
+    // undo that before comparing.
+    const drop = -(nose.x - center.x) * eyeAxis.y + (nose.y - center.y) * eyeAxis.x;
+    const spacing = eyeAxis.length / Math.max(0.2, Math.cos((yaw * Math.PI) / 180));
+    const reach = Math.hypot(NOSE_DROP, NOSE_DEPTH);
+    const phase = Math.atan2(NOSE_DEPTH, NOSE_DROP);
+    pitch = toDegrees(Math.acos(clamp(drop / spacing / reach, -1, 1)) - phase);
+  }
+
+  // Roll: the head's axis against the shoulders' (or the image horizontal)
+  const shoulders = usable(KP.leftShoulder) && usable(KP.rightShoulder)
+    ? axisBetween(at(KP.rightShoulder), at(KP.leftShoulder))
+    : null;
+  const reference = shoulders ? Math.atan2(shoulders.y, shoulders.x) : 0;
+  const roll = wrapDegrees(toDegrees(Math.atan2(axis.y, axis.x) - reference));
+  if (shoulders) used.push(KP.leftShoulder, KP.rightShoulder);
+
+  return {
+    yaw,
+    pitch,
+    roll,
+    confidence: Math.min(...used.map(i => keypoints[i].score)),
+  };
+};
+
+export const HEAD_AXES = {
+  yaw: { label: 'Yaw', directions: ['right', 'left'], type: 'turn' },
+  pitch: { label: 'Pitch', directions: ['down', 'up'], type: 'tilt' },
+  roll: { label: 'Roll', directions: ['right', 'left'], type: 'tilt' },
+};
+
+export const DEFAULT_HEAD_POSE_OPTIONS = {
+  confidenceThreshold: 0.5,
+  // Angles that count as turned or tilted, and the share of them to come
+  // back under before it counts again
+  yawDeg: 25,
+  pitchDeg: 15,
+  rollDeg: 15,
+  release: 0.6,
+  // One Euro filter on each angle, in degrees
+  minCutoff: 1,
+  beta: 0.02,
+};
+
+// The head pose of one person as a smoothed, continuous signal. update()
+// returns the latest pose (null while the face isn't visible); takeChanges()
+// hands over every turn or tilt since the last call as
+// { axis, direction, angle }.
+export const createHeadPoseTracker = (options = {}) => {
+  const config = { ...DEFAULT_HEAD_POSE_OPTIONS, ...options };
+  const filters = Object.fromEntries(Object.keys(HEAD_AXES).map(axis => [
+    axis, createOneEuroFilter({ minCutoff: config.minCutoff, beta: config.beta }),
+  ]));
+  // Per axis: -1, 0 or 1 for which side it is turned or tilted to
+  const zones = { yaw: 0, pitch: 0, roll: 0 };
+  let pose = null;
+  let changes = [];
+
+  const updateZone = (axis, angle) => {
+    const limit = config[`${axis}Deg`];
+    const zone = zones[axis];
+    let next = zone;
+    if (Math.abs(angle) > limit) next = Math.sign(angle);
+    else if (zone !== 0 && Math.abs(angle) < limit * config.release) next = 0;
+    if (next === zone) return;
+    zones[axis] = next;
+    if (next !== 0) changes.push({ axis, direction: HEAD_AXES[axis].directions[next > 0 ? 1 : 0], angle });
+  };
+
+  const update = (keypoints, t) => {
+    const raw = estimateHeadPose(keypoints, { confidenceThreshold: config.confidenceThreshold });
+    if (!raw) {
+      pose = null;
+      return null;
+    }
+    const smoothed = { confidence: raw.confidence };
+    Object.keys(HEAD_AXES).forEach(axis => {
+      smoothed[axis] = raw[axis] === null ? null : filters[axis].filter(raw[axis], t);
+      if (smoothed[axis] !== null) updateZone(axis, smoothed[axis]);
+    });
+    pose = smoothed;
+    return pose;
+  };
+
+  const takeChanges = () => {
+    const taken = changes;
+    changes = [];
+    return taken;
+  };
+
+  const reset = () => {
+    Object.values(filters).forEach(filter => filter.reset());
+    Object.keys(zones).forEach(axis => {
+      zones[axis] = 0;
+    });
+    pose = null;
+    changes = [];
+  };
+
+  return { update, takeChanges, reset, pose: () => pose };
+};
+
+// Rotation of the head: roll about the view axis, after yaw about the
+// vertical, after pitch about the horizontal. Image space: x right, y down,
+// z toward the camera.
+const rotate = ({ yaw, pitch, roll }, [x, y, z]) => {
+  const [a, b, c] = [yaw, pitch || 0, roll].map(deg => (deg * Math.PI) / 180);
+  // Pitch (up is -y)
+  const y1 = y * Math.cos(b) - z * Math.sin(b);
+  const z1 = y * Math.sin(b) + z * Math.cos(b);
+  // Yaw (their left is +x)
+  const x2 = x * Math.cos(a) + z1 * Math.sin(a);
+  const z2 = -x * Math.sin(a) + z1 * Math.cos(a);
+  // Roll
+  return [x2 * Math.cos(c) - y1 * Math.sin(c), x2 * Math.sin(c) + y1 * Math.cos(c), z2];
+};
+
+export const HEAD_AXIS_COLORS = {
+  left: '#ff4444',
+  up: '#00ff88',
+  forward: '#00ccff',
+};
+
+// Their left, up and forward drawn from the nose, sized to the head.
+export const drawHeadAxes = (ctx, keypoints, pose, { toCanvasX = (x) => x, mirror = false } = {}) => {
+  const nose = keypoints[KP.nose].position;
+  const [left, right] = [KP.leftEar, KP.rightEar].map(i => keypoints[i].position);
+  const [leftEye, rightEye] = [KP.leftEye, KP.rightEye].map(i => keypoints[i].position);
+  const span = Math.max(Math.hypot(left.x - right.x, left.y - right.y), 2 * Math.hypot(leftEye.x - rightEye.x, leftEye.y - rightEye.y));
+  const length = Math.max(30, span * 0.8);
+  const origin = { x: toCanvasX(nose.x), y: nose.y };
+  const axes = {
+    left: [1, 0, 0],
+    up: [0, -1, 0],
+    forward: [0, 0, 1],
+  };
+
+  ctx.save();
+  ctx.lineWidth = 4;
+  ctx.lineCap = 'round';
+  ctx.shadowBlur = 0;
+  Object.entries(axes).forEach(([name, direction]) => {
+    const [x, y] = rotate(pose, direction);
+    ctx.strokeStyle = HEAD_AXIS_COLORS[name];
+    ctx.beginPath();
+    ctx.moveTo(origin.x, origin.y);
+    ctx.lineTo(toCanvasX(nose.x + x * length), nose.y + y * length);
+    ctx.stroke();
+  });
+
+  const label = `yaw ${Math.round(pose.yaw)}° · pitch ${pose.pitch === null ? '–' : Math.round(pose.pitch)}° · roll ${Math.round(pose.roll)}°`;
+  ctx.font = 'bold 13px -apple-system, BlinkMacSystemFont, sans-serif';
+  ctx.textAlign = mirror ? 'right' : 'left';
+  ctx.textBaseline = 'bottom';
+  const x = origin.x + (mirror ? -1 : 1) * (length * 0.3);
+  const y = origin.y - length - 6;
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+  ctx.strokeText(label, x, y);
+  ctx.fillStyle = 'white';
+  ctx.fillText(label, x, y);
+  ctx.restore();
+};
@@ -0,0 +1,91 @@
+import { createHeadPoseTracker, estimateHeadPose } from './headPose';
+
+const PARTS = ['nose', 'leftEye', 'rightEye', 'leftEar', 'rightEar', 'leftShoulder', 'rightShoulder'];
+
+// A face in 3D (x toward the subject's left, y down, z toward the camera),
+// rotated by pitch, then yaw, then roll and projected straight onto the image.
+const FACE = {
+  nose: [0, 3.6, 9.1],
+  leftEye: [3, 0, 6.7],
+  rightEye: [-3, 0, 6.7],
+  leftEar: [7, 0, 0],
+  rightEar: [-7, 0, 0],
+};
+
+const project = ([x, y, z], { yaw = 0, pitch = 0, roll = 0 }) => {
+  const [a, b, c] = [yaw, pitch, roll].map(deg => (deg * Math.PI) / 180);
+  const y1 = y * Math.cos(b) - z * Math.sin(b);
+  const z1 = y * Math.sin(b) + z * Math.cos(b);
+  const x2 = x * Math.cos(a) + z1 * Math.sin(a);
+  return { x: x2 * Math.cos(c) - y1 * Math.sin(c), y: x2 * Math.sin(c) + y1 * Math.cos(c) };
+};
+
+const face = (angles = {}, { at = { x: 320, y: 120 }, scale = 5, shoulderTilt = 0, score = 0.9 } = {}) => {
+  const shoulder = (side) => {
+    const t = (shoulderTilt * Math.PI) / 180;
+    return { x: at.x + side * 100 * Math.cos(t), y: at.y + 150 + side * 100 * Math.sin(t) };
+  };
+  const positions = {
+    ...Object.fromEntries(Object.entries(FACE).map(([part, point]) => {
+      const { x, y } = project(point, angles);
+      return [part, { x: at.x + x * scale, y: at.y + y * scale }];
+    })),
+    leftShoulder: shoulder(1),
+    rightShoulder: shoulder(-1),
+  };
+  return PARTS.map(part => ({ part, score, position: positions[part] }));
+};
+
+test('a frontal face reads as level', () => {
+  const pose = estimateHeadPose(face());
+
+  expect(pose.yaw).toBeCloseTo(0);
+  expect(pose.pitch).toBeCloseTo(0);
+  expect(pose.roll).toBeCloseTo(0);
+  expect(pose.confidence).toBeCloseTo(0.9);
+});
+
+test('recovers each angle with the subject-centric sign', () => {
+  expect(estimateHeadPose(face({ yaw: 30 })).yaw).toBeCloseTo(30, 0);
+  expect(estimateHeadPose(face({ yaw: -30 })).yaw).toBeCloseTo(-30, 0);
+  expect(estimateHeadPose(face({ pitch: 20 })).pitch).toBeCloseTo(20, 0);
+  expect(estimateHeadPose(face({ pitch: -20 })).pitch).toBeCloseTo(-20, 0);
+  expect(estimateHeadPose(face({ roll: 15 })).roll).toBeCloseTo(15, 0);
+
+  // Roughly: pitching moves the nose tip off the ear line
+  const combined = estimateHeadPose(face({ yaw: 20, pitch: 10, roll: -10 }));
+  expect(combined.yaw).toBeCloseTo(20, -1);
+  expect(combined.pitch).toBeCloseTo(10, -1);
+  expect(combined.roll).toBeCloseTo(-10, -1);
+});
+
+test('moving or leaning the whole body is not a head turn', () => {
+  const moved = estimateHeadPose(face({}, { at: { x: 500, y: 200 }, scale: 3 }));
+  expect(moved.yaw).toBeCloseTo(0);
+  expect(moved.pitch).toBeCloseTo(0);
+
+  // Head tilted along with the shoulders
+  const leaning = estimateHeadPose(face({ roll: 12 }, { shoulderTilt: 12 }));
+  expect(leaning.roll).toBeCloseTo(0);
+});
+
+test('falls back to the eyes without ears, and gives up without a nose', () => {
+  const keypoints = face({ yaw: 20 });
+  keypoints[3].score = 0.1;
+  keypoints[4].score = 0.1;
+  expect(estimateHeadPose(keypoints).yaw).toBeGreaterThan(10);
+
+  keypoints[0].score = 0.1;
+  expect(estimateHeadPose(keypoints)).toBeNull();
+});
+
+test('reports a turn once until the head comes back', () => {
+  const tracker = createHeadPoseTracker({ minCutoff: 100 });
+  const yaws = [0, 10, 30, 35, 20, 30, 5, 0, -30, -30];
+  yaws.forEach((yaw, i) => tracker.update(face({ yaw }), i * 33));
+
+  expect(tracker.takeChanges().map(({ axis, direction }) => `${axis} ${direction}`))
+    .toEqual(['yaw left', 'yaw right']);
+  expect(tracker.takeChanges()).toEqual([]);
+  expect(tracker.pose().yaw).toBeLessThan(-20);
+});
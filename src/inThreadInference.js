@@ -0,0 +1,63 @@
+import { loadEstimator } from './poseEstimators';
+import { loadSegmenter, occlusionMask, segmentFrame, silhouetteMask, wholeBodyMask } from './bodySegmentation';
+
+// Pose estimation and segmentation behind one interface, run either on the
+// main thread or in a Web Worker (poseWorker.js):
+//   loadEstimator(id, overrides) -> Promise<{ id, label, config } | null>
+//   loadSegmenter(overrides) -> Promise<void>
+//   infer(frame, { maxPoses, silhouetteColors, occludingParts, personMask }) -> Promise<{ poses, masks }>
+//   dispose()
+// loadEstimator resolves to null when a later call superseded it. masks is
+// null unless a segmenter is loaded and a mask was asked for, otherwise
+// { silhouette, occlusion, person } ready for drawSilhouette / eraseParts,
+// and the whole person for background replacement.
+
+export const createInThreadInference = () => {
+  let estimator = null;
+  let segmenter = null;
+  let generation = 0;
+
+  const load = async (id, overrides) => {
+    const current = ++generation;
+    const next = await loadEstimator(id, overrides);
+    if (current !== generation) {
+      next.dispose();
+      return null;
+    }
+    if (estimator) estimator.dispose();
+    estimator = next;
+    return { id: next.id, label: next.label, config: next.config, multiPerson: next.multiPerson };
+  };
+
+  const infer = async (frame, { maxPoses = 1, silhouetteColors = null, occludingParts = null, personMask = false } = {}) => {
+    if (!estimator) return { poses: [], masks: null };
+    const poses = await estimator.estimatePoses(frame, { maxPoses });
+    if (!segmenter || (!silhouetteColors && !occludingParts && !personMask)) return { poses, masks: null };
+
+    const segmentation = await segmentFrame(segmenter, frame);
+    return {
+      poses,
+      masks: {
+        silhouette: silhouetteColors ? silhouetteMask(segmentation, silhouetteColors) : null,
+        occlusion: occlusionMask(segmentation, occludingParts),
+        person: personMask ? wholeBodyMask(segmentation) : null,
+      },
+    };
+  };
+
+  return {
+    mode: 'main',
+    loadEstimator: load,
+    loadSegmenter: async (overrides) => {
+      segmenter = await loadSegmenter(overrides);
+    },
+    infer,
+    dispose: () => {
+      generation++;
+      if (estimator) estimator.dispose();
+      if (segmenter) segmenter.dispose();
+      estimator = null;
+      segmenter = null;
+    },
+  };
+};
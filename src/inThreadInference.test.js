@@ -0,0 +1,60 @@
+import { createInThreadInference } from './inThreadInference';
+import { loadEstimator } from './poseEstimators';
+import { loadSegmenter, occlusionMask, segmentFrame, silhouetteMask, wholeBodyMask } from './bodySegmentation';
+
+jest.mock('./poseEstimators', () => ({ loadEstimator: jest.fn() }));
+jest.mock('./bodySegmentation', () => ({
+  loadSegmenter: jest.fn(),
+  segmentFrame: jest.fn(),
+  silhouetteMask: jest.fn(),
+  occlusionMask: jest.fn(),
+  wholeBodyMask: jest.fn(),
+}));
+
+const fakeEstimator = (id) => ({
+  id,
+  label: id,
+  config: {},
+  estimatePoses: jest.fn().mockResolvedValue([{ score: 0.9, keypoints: [] }]),
+  dispose: jest.fn(),
+});
+
+test('a model picked while another is loading wins, and the stale one is disposed', async () => {
+  const slow = fakeEstimator('slow');
+  const fast = fakeEstimator('fast');
+  let finishSlow;
+  loadEstimator
+    .mockImplementationOnce(() => new Promise(resolve => { finishSlow = () => resolve(slow); }))
+    .mockResolvedValueOnce(fast);
+
+  const inference = createInThreadInference();
+  const first = inference.loadEstimator('slow');
+  await expect(inference.loadEstimator('fast')).resolves.toMatchObject({ id: 'fast' });
+  finishSlow();
+
+  await expect(first).resolves.toBeNull();
+  expect(slow.dispose).toHaveBeenCalled();
+  expect(fast.dispose).not.toHaveBeenCalled();
+});
+
+test('only segments when a mask is asked for', async () => {
+  loadEstimator.mockResolvedValueOnce(fakeEstimator('posenet'));
+  loadSegmenter.mockResolvedValueOnce({ dispose: jest.fn() });
+  segmentFrame.mockResolvedValue({});
+  silhouetteMask.mockReturnValue('silhouette');
+  occlusionMask.mockImplementation((segmentation, partIds) => (partIds ? 'occlusion' : null));
+  wholeBodyMask.mockReturnValue('person');
+
+  const inference = createInThreadInference();
+  await inference.loadEstimator('posenet');
+  await inference.loadSegmenter();
+
+  expect((await inference.infer('frame')).masks).toBeNull();
+  expect(segmentFrame).not.toHaveBeenCalled();
+
+  const { masks } = await inference.infer('frame', { silhouetteColors: [], occludingParts: null });
+  expect(masks).toEqual({ silhouette: 'silhouette', occlusion: null, person: null });
+
+  const { masks: personOnly } = await inference.infer('frame', { personMask: true });
+  expect(personOnly).toEqual({ silhouette: null, occlusion: null, person: 'person' });
+});
@@ -0,0 +1,63 @@
+// Frame sources for the tracking pipeline: the live camera, an uploaded
+// video file or a still photo. Everything downstream (PoseNet, BodyPix, the
+// overlay canvas) only sees a "frame source": the <video> element for camera
+// and video input, or a canvas holding the decoded photo at full resolution.
+
+export const CAMERA_SOURCE = { type: 'camera' };
+
+// Only the selfie camera is shown mirrored; a rear camera, recorded clips
+// and photos are displayed the way they were shot. Pose sessions remember
+// what they came from. facing is the live camera's ('user' or 'environment').
+export const isMirrored = (source, facing = 'user') =>
+  (source.type === 'camera' && facing !== 'environment') ||
+  (source.type === 'session' && !!source.session.mirrored);
+
+export const sourceFromFile = (file) => {
+  if (file.type.startsWith('video/')) {
+    return { type: 'video', url: URL.createObjectURL(file), name: file.name };
+  }
+  if (file.type.startsWith('image/')) {
+    return { type: 'image', url: URL.createObjectURL(file), name: file.name };
+  }
+  return null;
+};
+
+export const releaseSource = (source) => {
+  if (source && source.url && source.url.startsWith('blob:')) URL.revokeObjectURL(source.url);
+};
+
+export const getFrameSize = (frame) => {
+  if (!frame) return { width: 640, height: 480 };
+  if (typeof frame.videoWidth === 'number') {
+    return { width: frame.videoWidth || 640, height: frame.videoHeight || 480 };
+  }
+  return { width: frame.width, height: frame.height };
+};
+
+export const isFrameReady = (frame) => {
+  if (!frame) return false;
+  if (typeof frame.readyState === 'number') return frame.readyState >= 2;
+  return frame.width > 0 && frame.height > 0;
+};
+
+// Decodes a photo into a canvas at its natural size. Models size their input
+// from width/height, which on an <img> is the laid-out size, not the pixels.
+export const loadImageFrame = (url) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    canvas.getContext('2d').drawImage(image, 0, 0);
+    resolve(canvas);
+  };
+  image.onerror = () => reject(new Error('Unable to decode the selected image.'));
+  image.src = url;
+});
+
+export const formatTime = (seconds) => {
+  if (!Number.isFinite(seconds)) return '0:00';
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes}:${String(secs).padStart(2, '0')}`;
+};
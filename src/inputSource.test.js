@@ -0,0 +1,44 @@
+import { CAMERA_SOURCE, formatTime, getFrameSize, isFrameReady, isMirrored, sourceFromFile } from './inputSource';
+
+beforeEach(() => {
+  URL.createObjectURL = jest.fn(() => 'blob:http://localhost/1');
+});
+
+test('formats seconds as m:ss', () => {
+  expect(formatTime(0)).toBe('0:00');
+  expect(formatTime(9.9)).toBe('0:09');
+  expect(formatTime(125)).toBe('2:05');
+  expect(formatTime(Infinity)).toBe('0:00');
+  expect(formatTime(NaN)).toBe('0:00');
+});
+
+test('sizes videos by their pixels and canvases by their dimensions', () => {
+  expect(getFrameSize({ videoWidth: 1280, videoHeight: 720, width: 300, height: 150 })).toEqual({ width: 1280, height: 720 });
+  // Metadata not loaded yet
+  expect(getFrameSize({ videoWidth: 0, videoHeight: 0 })).toEqual({ width: 640, height: 480 });
+  expect(getFrameSize({ width: 800, height: 600 })).toEqual({ width: 800, height: 600 });
+  expect(getFrameSize(null)).toEqual({ width: 640, height: 480 });
+});
+
+test('a video is ready once it has current data, a canvas once it has pixels', () => {
+  expect(isFrameReady({ readyState: 1 })).toBe(false);
+  expect(isFrameReady({ readyState: 2 })).toBe(true);
+  expect(isFrameReady({ width: 0, height: 0 })).toBe(false);
+  expect(isFrameReady({ width: 640, height: 480 })).toBe(true);
+  expect(isFrameReady(null)).toBe(false);
+});
+
+test('picks the source type from the file type', () => {
+  expect(sourceFromFile({ type: 'video/webm', name: 'clip.webm' }))
+    .toEqual({ type: 'video', url: 'blob:http://localhost/1', name: 'clip.webm' });
+  expect(sourceFromFile({ type: 'image/jpeg', name: 'me.jpg' }).type).toBe('image');
+  expect(sourceFromFile({ type: 'application/json', name: 'session.json' })).toBeNull();
+  expect(URL.createObjectURL).toHaveBeenCalledTimes(2);
+});
+
+test('only the selfie camera and sessions recorded from it are mirrored', () => {
+  expect(isMirrored(CAMERA_SOURCE)).toBe(true);
+  expect(isMirrored(CAMERA_SOURCE, 'environment')).toBe(false);
+  expect(isMirrored({ type: 'video' })).toBe(false);
+  expect(isMirrored({ type: 'session', session: { mirrored: true } })).toBe(true);
+});
@@ -0,0 +1,254 @@
+// Temporal filters for keypoint positions.
+//
+// Every scalar filter is `{ filter(value, t), predict(t), reset() }` with t in
+// milliseconds. createKeypointSmoother runs one per coordinate of every
+// keypoint, with parameters per keypoint group, and keeps briefly-lost
+// keypoints on screen by predicting where they went.
+
+const MAX_GAP_MS = 1000;
+
+const smoothingFactor = (dt, cutoff) => {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+};
+
+// One Euro filter (Casiez et al. 2012): a low-pass whose cutoff rises with
+// speed, so it is steady at rest and still keeps up with fast motion.
+// minCutoff (Hz) sets jitter at rest, beta how quickly it follows speed.
+export const createOneEuroFilter = ({ minCutoff = 1, beta = 0.007, dCutoff = 1 } = {}) => {
+  let x = null;
+  let dx = 0;
+  let lastT = null;
+
+  return {
+    filter: (value, t) => {
+      const dt = lastT === null ? 0 : (t - lastT) / 1000;
+      lastT = t;
+      if (x === null || dt <= 0 || dt > MAX_GAP_MS / 1000) {
+        x = value;
+        dx = 0;
+        return x;
+      }
+      dx += smoothingFactor(dt, dCutoff) * ((value - x) / dt - dx);
+      const cutoff = minCutoff + beta * Math.abs(dx);
+      x += smoothingFactor(dt, cutoff) * (value - x);
+      return x;
+    },
+    predict: (t) => (x === null ? null : x + dx * ((t - lastT) / 1000)),
+    reset: () => {
+      x = null;
+      dx = 0;
+      lastT = null;
+    },
+  };
+};
+
+// Constant-velocity Kalman filter over [position, velocity]. processNoise is
+// the acceleration variance (px²/s⁴), measurementNoise the detector's
+// position variance (px²).
+export const createKalmanFilter = ({ processNoise = 3000, measurementNoise = 25 } = {}) => {
+  let x = null;
+  let v = 0;
+  let p = null; // covariance [[p00, p01], [p01, p11]]
+  let lastT = null;
+
+  const advance = (dt) => {
+    const dt2 = dt * dt;
+    x += v * dt;
+    p = {
+      p00: p.p00 + 2 * dt * p.p01 + dt2 * p.p11 + processNoise * dt2 * dt2 / 4,
+      p01: p.p01 + dt * p.p11 + processNoise * dt2 * dt / 2,
+      p11: p.p11 + processNoise * dt2,
+    };
+  };
+
+  return {
+    filter: (value, t) => {
+      const dt = lastT === null ? 0 : (t - lastT) / 1000;
+      lastT = t;
+      if (x === null || dt <= 0 || dt > MAX_GAP_MS / 1000) {
+        x = value;
+        v = 0;
+        p = { p00: measurementNoise, p01: 0, p11: processNoise };
+        return x;
+      }
+      advance(dt);
+      const residual = value - x;
+      const s = p.p00 + measurementNoise;
+      const k0 = p.p00 / s;
+      const k1 = p.p01 / s;
+      x += k0 * residual;
+      v += k1 * residual;
+      p = {
+        p00: (1 - k0) * p.p00,
+        p01: (1 - k0) * p.p01,
+        p11: p.p11 - k1 * p.p01,
+      };
+      return x;
+    },
+    predict: (t) => (x === null ? null : x + v * ((t - lastT) / 1000)),
+    reset: () => {
+      x = null;
+      v = 0;
+      p = null;
+      lastT = null;
+    },
+  };
+};
+
+// The original fixed-window box average, kept for comparison.
+export const createMovingAverage = ({ window = 5 } = {}) => {
+  let values = [];
+  const mean = () => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  return {
+    filter: (value) => {
+      values.push(value);
+      if (values.length > window) values.shift();
+      return mean();
+    },
+    predict: () => (values.length === 0 ? null : mean()),
+    reset: () => {
+      values = [];
+    },
+  };
+};
+
+const passThrough = () => {
+  let last = null;
+  return {
+    filter: (value) => {
+      last = value;
+      return value;
+    },
+    predict: () => last,
+    reset: () => {
+      last = null;
+    },
+  };
+};
+
+// Keypoint indices (PoseNet order) tuned together.
+export const KEYPOINT_GROUPS = {
+  head: [0, 1, 2, 3, 4],
+  torso: [5, 6, 11, 12],
+  arms: [7, 8, 9, 10],
+  legs: [13, 14, 15, 16],
+};
+
+// Per filter: label, tunable params (with slider ranges) and per-group
+// defaults. Arms move fastest, so they trade a bit of steadiness for speed.
+export const SMOOTHING_FILTERS = {
+  oneEuro: {
+    label: 'One Euro',
+    create: createOneEuroFilter,
+    params: {
+      minCutoff: { label: 'Min cutoff (Hz)', min: 0.1, max: 5, step: 0.1 },
+      beta: { label: 'Speed response', min: 0, max: 0.05, step: 0.001 },
+    },
+    defaults: {
+      head: { minCutoff: 1, beta: 0.005 },
+      torso: { minCutoff: 0.8, beta: 0.003 },
+      arms: { minCutoff: 1.5, beta: 0.01 },
+      legs: { minCutoff: 1.2, beta: 0.007 },
+    },
+  },
+  kalman: {
+    label: 'Kalman (constant velocity)',
+    create: createKalmanFilter,
+    params: {
+      processNoise: { label: 'Motion noise', min: 100, max: 20000, step: 100 },
+      measurementNoise: { label: 'Detector noise', min: 1, max: 200, step: 1 },
+    },
+    defaults: {
+      head: { processNoise: 2000, measurementNoise: 16 },
+      torso: { processNoise: 1500, measurementNoise: 25 },
+      arms: { processNoise: 6000, measurementNoise: 25 },
+      legs: { processNoise: 4000, measurementNoise: 25 },
+    },
+  },
+  average: {
+    label: 'Moving average',
+    create: createMovingAverage,
+    params: {
+      window: { label: 'Window (frames)', min: 1, max: 15, step: 1 },
+    },
+    defaults: {
+      head: { window: 5 },
+      torso: { window: 5 },
+      arms: { window: 5 },
+      legs: { window: 5 },
+    },
+  },
+  none: {
+    label: 'Off',
+    create: passThrough,
+    params: {},
+    defaults: { head: {}, torso: {}, arms: {}, legs: {} },
+  },
+};
+
+export const DEFAULT_SMOOTHING = {
+  type: 'oneEuro',
+  groups: SMOOTHING_FILTERS.oneEuro.defaults,
+  predictMs: 250,
+};
+
+// Settings for a filter type with its default group parameters.
+export const smoothingFor = (type, predictMs = DEFAULT_SMOOTHING.predictMs) => ({
+  type,
+  groups: SMOOTHING_FILTERS[type].defaults,
+  predictMs,
+});
+
+const GROUP_OF = Object.entries(KEYPOINT_GROUPS).reduce((acc, [group, indices]) => {
+  indices.forEach(i => {
+    acc[i] = group;
+  });
+  return acc;
+}, {});
+
+// Smooths one person's keypoints frame by frame. Keypoints that drop below
+// confidenceThreshold are extrapolated for up to predictMs after they were
+// last seen and come back flagged `predicted: true` with score at the
+// threshold, so overlays keep drawing them but measurements can skip them.
+export const createKeypointSmoother = (settings = DEFAULT_SMOOTHING, { confidenceThreshold = 0.5 } = {}) => {
+  const { create } = SMOOTHING_FILTERS[settings.type];
+  const tracks = [];
+
+  const trackFor = (i) => {
+    if (!tracks[i]) {
+      const params = settings.groups[GROUP_OF[i]] || {};
+      tracks[i] = { x: create(params), y: create(params), lastSeen: null };
+    }
+    return tracks[i];
+  };
+
+  const smooth = (keypoints, t) => keypoints.map((kp, i) => {
+    const track = trackFor(i);
+
+    if (kp.score >= confidenceThreshold) {
+      track.lastSeen = t;
+      return {
+        ...kp,
+        position: { x: track.x.filter(kp.position.x, t), y: track.y.filter(kp.position.y, t) },
+      };
+    }
+
+    if (track.lastSeen !== null && t >= track.lastSeen && t - track.lastSeen <= settings.predictMs) {
+      const x = track.x.predict(t);
+      const y = track.y.predict(t);
+      if (x !== null && y !== null) {
+        return { ...kp, score: confidenceThreshold, position: { x, y }, predicted: true };
+      }
+    }
+    return kp;
+  });
+
+  return {
+    smooth,
+    reset: () => {
+      tracks.length = 0;
+    },
+  };
+};
@@ -0,0 +1,41 @@
+import { createKalmanFilter, createKeypointSmoother, createOneEuroFilter, smoothingFor } from './keypointFilters';
+
+// Deterministic "noise" so the tests don't flake.
+const jitter = (i) => ((i * 7919) % 13 - 6) / 6 * 5;
+
+const runFilter = (filter, signal) => signal.map((value, i) => filter.filter(value, i * 33));
+
+const spread = (values) => Math.max(...values) - Math.min(...values);
+
+test('One Euro removes jitter at rest but keeps up with fast motion', () => {
+  const atRest = runFilter(createOneEuroFilter({ minCutoff: 1, beta: 0.01 }), Array.from({ length: 60 }, (_, i) => 100 + jitter(i)));
+  expect(spread(atRest.slice(30))).toBeLessThan(spread(Array.from({ length: 30 }, (_, i) => jitter(i))) / 3);
+
+  // 1500 px/s sweep: lag after a second stays within a few frames of motion
+  const sweep = Array.from({ length: 30 }, (_, i) => i * 50);
+  const filtered = runFilter(createOneEuroFilter({ minCutoff: 1, beta: 0.01 }), sweep);
+  expect(sweep[29] - filtered[29]).toBeLessThan(100);
+});
+
+test('Kalman learns the velocity and extrapolates it', () => {
+  const kalman = createKalmanFilter({ processNoise: 3000, measurementNoise: 25 });
+  runFilter(kalman, Array.from({ length: 30 }, (_, i) => 200 + i * 10));
+  // 10 px per 33 ms, predicted 100 ms past the last frame at 490
+  expect(kalman.predict(29 * 33 + 100)).toBeCloseTo(490 + 30, -1);
+});
+
+test('lost keypoints are predicted for a while, then dropped', () => {
+  const smoother = createKeypointSmoother(smoothingFor('kalman', 200), { confidenceThreshold: 0.5 });
+  const wrist = (x, score) => [{ part: 'nose', score, position: { x, y: 50 } }];
+
+  for (let i = 0; i < 20; i++) smoother.smooth(wrist(100 + i * 5, 0.9), i * 33);
+
+  const [lost] = smoother.smooth(wrist(0, 0.1), 20 * 33);
+  expect(lost.predicted).toBe(true);
+  expect(lost.score).toBe(0.5);
+  expect(lost.position.x).toBeGreaterThan(190);
+
+  const [gone] = smoother.smooth(wrist(0, 0.1), 19 * 33 + 250);
+  expect(gone.predicted).toBeUndefined();
+  expect(gone.score).toBe(0.1);
+});
@@ -0,0 +1,197 @@
+// Joint angles and rule-based form checks from pose keypoints.
+//
+// Joints are where two skeleton connections meet: the elbow is the angle
+// between the upper arm and the forearm, the knee between thigh and shin, and
+// so on. Angles are in degrees, 180 meaning straight. Trunk lean is how far
+// the hips-to-shoulders line tilts from vertical, signed toward +x.
+//
+//   const angles = computeAngles(keypoints);   // { leftElbow: 172, ..., trunkLean: -4 }
+//   const issues = checkForm(angles);          // [{ id, joints, message, severity }]
+
+export const SKELETON_CONNECTIONS = [
+  // Face connections
+  { start: 0, end: 1, color: '#FF0000', name: 'nose-leftEye' },
+  { start: 0, end: 2, color: '#FF0000', name: 'nose-rightEye' },
+  { start: 1, end: 3, color: '#FF0000', name: 'leftEye-leftEar' },
+  { start: 2, end: 4, color: '#FF0000', name: 'rightEye-rightEar' },
+
+  // Torso connections
+  { start: 5, end: 6, color: '#FFA500', name: 'shoulders' },
+  { start: 5, end: 11, color: '#FFA500', name: 'leftTorso' },
+  { start: 6, end: 12, color: '#FFA500', name: 'rightTorso' },
+  { start: 11, end: 12, color: '#FFA500', name: 'hips' },
+
+  // Left arm connections
+  { start: 5, end: 7, color: '#FF00FF', name: 'leftUpperArm' },
+  { start: 7, end: 9, color: '#FF00FF', name: 'leftForearm' },
+
+  // Right arm connections
+  { start: 6, end: 8, color: '#00FFFF', name: 'rightUpperArm' },
+  { start: 8, end: 10, color: '#00FFFF', name: 'rightForearm' },
+
+  // Left leg connections
+  { start: 11, end: 13, color: '#00FF00', name: 'leftThigh' },
+  { start: 13, end: 15, color: '#00FF00', name: 'leftShin' },
+
+  // Right leg connections
+  { start: 12, end: 14, color: '#FFFF00', name: 'rightThigh' },
+  { start: 14, end: 16, color: '#FFFF00', name: 'rightShin' },
+];
+
+// The keypoint two connections share, and the far end of each.
+const jointBetween = (label, first, second) => {
+  const [a, b] = [first, second].map(name => SKELETON_CONNECTIONS.find(c => c.name === name));
+  const vertex = [a.start, a.end].find(i => i === b.start || i === b.end);
+  const other = (c) => (c.start === vertex ? c.end : c.start);
+  return { label, vertex, ends: [other(a), other(b)] };
+};
+
+export const JOINTS = {
+  leftElbow: jointBetween('Left elbow', 'leftUpperArm', 'leftForearm'),
+  rightElbow: jointBetween('Right elbow', 'rightUpperArm', 'rightForearm'),
+  leftShoulder: jointBetween('Left shoulder', 'leftTorso', 'leftUpperArm'),
+  rightShoulder: jointBetween('Right shoulder', 'rightTorso', 'rightUpperArm'),
+  leftHip: jointBetween('Left hip', 'leftTorso', 'leftThigh'),
+  rightHip: jointBetween('Right hip', 'rightTorso', 'rightThigh'),
+  leftKnee: jointBetween('Left knee', 'leftThigh', 'leftShin'),
+  rightKnee: jointBetween('Right knee', 'rightThigh', 'rightShin'),
+};
+
+// Left/right pairs compared by the symmetry check
+export const JOINT_PAIRS = {
+  elbows: ['leftElbow', 'rightElbow'],
+  shoulders: ['leftShoulder', 'rightShoulder'],
+  hips: ['leftHip', 'rightHip'],
+  knees: ['leftKnee', 'rightKnee'],
+};
+
+const TORSO = { shoulders: [5, 6], hips: [11, 12] };
+
+// Angle at b between the segments to a and c, in degrees (0-180).
+export const angleAt = (a, b, c) => {
+  const ab = Math.atan2(a.y - b.y, a.x - b.x);
+  const cb = Math.atan2(c.y - b.y, c.x - b.x);
+  const degrees = Math.abs(ab - cb) * 180 / Math.PI;
+  return degrees > 180 ? 360 - degrees : degrees;
+};
+
+const midpoint = (points) => ({
+  x: (points[0].x + points[1].x) / 2,
+  y: (points[0].y + points[1].y) / 2,
+});
+
+// Every joint angle plus trunkLean, null where a keypoint is missing,
+// unsure or only predicted.
+export const computeAngles = (keypoints, { confidenceThreshold = 0.5 } = {}) => {
+  const usable = (i) => keypoints[i] && keypoints[i].score >= confidenceThreshold && !keypoints[i].predicted;
+  const at = (i) => keypoints[i].position;
+
+  const angles = Object.fromEntries(Object.entries(JOINTS).map(([id, { vertex, ends }]) => [
+    id,
+    [vertex, ...ends].every(usable) ? angleAt(at(ends[0]), at(vertex), at(ends[1])) : null,
+  ]));
+
+  const torso = [...TORSO.shoulders, ...TORSO.hips];
+  if (torso.every(usable)) {
+    const top = midpoint(TORSO.shoulders.map(at));
+    const bottom = midpoint(TORSO.hips.map(at));
+    angles.trunkLean = Math.atan2(top.x - bottom.x, bottom.y - top.y) * 180 / Math.PI;
+  } else {
+    angles.trunkLean = null;
+  }
+  return angles;
+};
+
+export const DEFAULT_FORM_THRESHOLDS = {
+  minKneeAngle: 70,
+  maxTrunkLean: 30,
+  maxAsymmetry: 20,
+};
+
+// Problems are 'warning' past a threshold and 'error' well past it.
+export const checkForm = (angles, thresholds = DEFAULT_FORM_THRESHOLDS) => {
+  const issues = [];
+  const severity = (excess, limit) => (excess > limit * 0.5 ? 'error' : 'warning');
+
+  JOINT_PAIRS.knees.forEach(id => {
+    const angle = angles[id];
+    if (angle === null || angle >= thresholds.minKneeAngle) return;
+    issues.push({
+      id: `deep:${id}`,
+      joints: [id],
+      message: `${JOINTS[id].label} bent past ${thresholds.minKneeAngle}° (${Math.round(angle)}°)`,
+      severity: severity(thresholds.minKneeAngle - angle, thresholds.minKneeAngle),
+    });
+  });
+
+  if (angles.trunkLean !== null && Math.abs(angles.trunkLean) > thresholds.maxTrunkLean) {
+    issues.push({
+      id: 'trunkLean',
+      joints: [],
+      message: `Trunk leaning ${Math.round(Math.abs(angles.trunkLean))}°`,
+      severity: severity(Math.abs(angles.trunkLean) - thresholds.maxTrunkLean, thresholds.maxTrunkLean),
+    });
+  }
+
+  Object.entries(JOINT_PAIRS).forEach(([pair, [left, right]]) => {
+    if (angles[left] === null || angles[right] === null) return;
+    const difference = Math.abs(angles[left] - angles[right]);
+    if (difference <= thresholds.maxAsymmetry) return;
+    issues.push({
+      id: `asymmetry:${pair}`,
+      joints: [left, right],
+      message: `Uneven ${pair}: ${Math.round(difference)}° apart`,
+      severity: severity(difference - thresholds.maxAsymmetry, thresholds.maxAsymmetry),
+    });
+  });
+
+  return issues;
+};
+
+export const FORM_COLORS = {
+  ok: '#00ff88',
+  warning: '#ffaa00',
+  error: '#ff4444',
+};
+
+// Arcs between the segments at each joint with the angle next to them.
+// flagged: { jointId: severity } from checkForm, drawn in warning colors.
+export const drawJointAngles = (ctx, keypoints, angles, { toCanvasX = (x) => x, flagged = {} } = {}) => {
+  const point = (i) => ({ x: toCanvasX(keypoints[i].position.x), y: keypoints[i].position.y });
+
+  ctx.save();
+  ctx.lineWidth = 3;
+  ctx.shadowBlur = 0;
+  ctx.font = 'bold 14px -apple-system, BlinkMacSystemFont, sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  Object.entries(JOINTS).forEach(([id, { vertex, ends }]) => {
+    if (angles[id] === null) return;
+    const center = point(vertex);
+    const [a, c] = ends.map(point);
+    const start = Math.atan2(a.y - center.y, a.x - center.x);
+    let sweep = Math.atan2(c.y - center.y, c.x - center.x) - start;
+    if (sweep > Math.PI) sweep -= 2 * Math.PI;
+    if (sweep < -Math.PI) sweep += 2 * Math.PI;
+    const color = FORM_COLORS[flagged[id] || 'ok'];
+
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, 22, start, start + sweep, sweep < 0);
+    ctx.stroke();
+
+    // Label on the outside of the angle
+    const away = start + sweep / 2 + Math.PI;
+    const label = `${Math.round(angles[id])}°`;
+    const x = center.x + Math.cos(away) * 36;
+    const y = center.y + Math.sin(away) * 36;
+    ctx.lineWidth = 4;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.strokeText(label, x, y);
+    ctx.fillStyle = color;
+    ctx.fillText(label, x, y);
+    ctx.lineWidth = 3;
+  });
+  ctx.restore();
+};
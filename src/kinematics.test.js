@@ -0,0 +1,44 @@
+import { JOINTS, checkForm, computeAngles } from './kinematics';
+import { body } from './testUtils/poseFixtures';
+
+test('finds the joints where skeleton connections meet', () => {
+  expect(JOINTS.leftElbow).toMatchObject({ vertex: 7, ends: [5, 9] });
+  expect(JOINTS.rightKnee).toMatchObject({ vertex: 14, ends: [12, 16] });
+  expect(JOINTS.leftShoulder).toMatchObject({ vertex: 5, ends: [11, 7] });
+});
+
+test('measures joint angles and trunk lean', () => {
+  const angles = computeAngles(body({ 9: [370, 270] }));
+
+  expect(angles.leftElbow).toBeCloseTo(90);
+  expect(angles.rightElbow).toBeCloseTo(180);
+  expect(angles.leftKnee).toBeCloseTo(180);
+  expect(angles.trunkLean).toBeCloseTo(0);
+
+  const leaning = computeAngles(body({ 5: [400, 250], 6: [300, 250] }));
+  expect(leaning.trunkLean).toBeCloseTo(45);
+});
+
+test('leaves out joints it cannot see', () => {
+  const keypoints = body();
+  keypoints[13] = { ...keypoints[13], score: 0.1 };
+  keypoints[8] = { ...keypoints[8], predicted: true };
+
+  const angles = computeAngles(keypoints);
+
+  expect(angles.leftKnee).toBeNull();
+  expect(angles.rightElbow).toBeNull();
+  expect(angles.leftHip).toBeNull();
+});
+
+test('flags deep knees, leaning and uneven sides', () => {
+  const upright = computeAngles(body());
+  expect(checkForm(upright)).toEqual([]);
+
+  const issues = checkForm({ ...upright, leftKnee: 60, rightKnee: 150, trunkLean: -50 });
+
+  expect(issues.map(issue => issue.id)).toEqual(['deep:leftKnee', 'trunkLean', 'asymmetry:knees']);
+  expect(issues[0]).toMatchObject({ joints: ['leftKnee'], severity: 'warning' });
+  expect(issues[1].message).toBe('Trunk leaning 50°');
+  expect(issues[2].severity).toBe('error');
+});
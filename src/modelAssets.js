@@ -0,0 +1,107 @@
+// Where model weights come from.
+//
+// Every model is looked up under MODEL_BASE_URL first (public/models by
+// default, or REACT_APP_MODEL_BASE_URL), using the same layout as the remote
+// hosts:
+//
+//   public/models/posenet/mobilenet/quant2/075/model-stride16.json
+//   public/models/bodypix/mobilenet/quant2/075/model-stride16.json
+//   public/models/movenet/singlepose/lightning/4/model.json
+//   public/models/blazepose_3d/detector/1/model.json
+//
+// with the weight shards next to each model.json. Anything not bundled falls
+// back to the public model hosts.
+
+export const MODEL_BASE_URL = (process.env.REACT_APP_MODEL_BASE_URL || `${process.env.PUBLIC_URL}/models`)
+  .replace(/\/$/, '');
+
+const SAVED_MODEL_ROOT = 'https://storage.googleapis.com/tfjs-models/savedmodel';
+const TFHUB_ROOT = 'https://tfhub.dev';
+const TFHUB_SEARCH_PARAM = '?tfjs-format=file';
+
+const MULTIPLIER_DIRS = { 1: '100', 0.75: '075', 0.5: '050' };
+
+// Same path scheme posenet and body-pix use to pick their default weights.
+const savedModelAsset = (model, config) => {
+  const mobileNet = config.architecture !== 'ResNet50';
+  const quant = config.quantBytes === 4 ? 'float' : `quant${config.quantBytes}`;
+  const multiplier = mobileNet ? `${MULTIPLIER_DIRS[config.multiplier]}/` : '';
+  const path = `${model}/${mobileNet ? 'mobilenet' : 'resnet50'}/${quant}/${multiplier}model-stride${config.outputStride}.json`;
+  return { path, remote: `${SAVED_MODEL_ROOT}/${path}`, tfhub: false };
+};
+
+// TF Hub handles are directories; the loader appends model.json itself.
+const tfhubAsset = (handle, localDir) => ({
+  path: `${localDir}/model.json`,
+  remote: `${TFHUB_ROOT}/${handle}`,
+  tfhub: true,
+});
+
+// Model config key -> asset, per estimator id (and 'bodypix').
+const MODEL_ASSETS = {
+  'posenet-mobilenet': (config) => ({ modelUrl: savedModelAsset('posenet', config) }),
+  'posenet-resnet50': (config) => ({ modelUrl: savedModelAsset('posenet', config) }),
+  'movenet-lightning': () => ({
+    modelUrl: tfhubAsset('google/tfjs-model/movenet/singlepose/lightning/4', 'movenet/singlepose/lightning/4'),
+  }),
+  'movenet-thunder': () => ({
+    modelUrl: tfhubAsset('google/tfjs-model/movenet/singlepose/thunder/4', 'movenet/singlepose/thunder/4'),
+  }),
+  'movenet-multipose': () => ({
+    modelUrl: tfhubAsset('google/tfjs-model/movenet/multipose/lightning/1', 'movenet/multipose/lightning/1'),
+  }),
+  'blazepose-full': () => ({
+    detectorModelUrl: tfhubAsset('mediapipe/tfjs-model/blazepose_3d/detector/1', 'blazepose_3d/detector/1'),
+    landmarkModelUrl: tfhubAsset('mediapipe/tfjs-model/blazepose_3d/landmark/full/2', 'blazepose_3d/landmark/full/2'),
+  }),
+  bodypix: (config) => ({ modelUrl: savedModelAsset('bodypix', config) }),
+};
+
+const resolveUrl = (path, base) => new URL(path, new URL(base, window.location.href)).href;
+
+// The dev server answers unknown paths with index.html, so a 200 alone does
+// not mean the model is there.
+const hasLocalModel = async (url) => {
+  try {
+    const response = await fetch(url, { cache: 'no-cache' });
+    return response.ok && (response.headers.get('content-type') || '').includes('json');
+  } catch (err) {
+    return false;
+  }
+};
+
+// The exact URLs the tfjs loader will request, so prefetched files are the
+// ones the service worker serves back.
+const localFiles = (url) => ({
+  modelJsonUrl: url,
+  weightUrl: (path) => resolveUrl(path, url),
+});
+
+const remoteFiles = (asset) => (asset.tfhub
+  ? {
+    modelJsonUrl: `${asset.remote}/model.json${TFHUB_SEARCH_PARAM}`,
+    weightUrl: (path) => `${asset.remote}/${path}${TFHUB_SEARCH_PARAM}`,
+  }
+  : localFiles(asset.remote));
+
+// Resolves a model to config overrides (modelUrl etc.) plus the list of
+// model.json files behind it, preferring bundled weights.
+export const resolveModelAssets = async (id, config) => {
+  const assetsFor = MODEL_ASSETS[id];
+  if (!assetsFor) return { overrides: {}, files: [], source: 'remote' };
+
+  const entries = Object.entries(assetsFor(config));
+  const resolved = await Promise.all(entries.map(async ([key, asset]) => {
+    const localUrl = `${MODEL_BASE_URL}/${asset.path}`;
+    if (await hasLocalModel(localUrl)) {
+      return { key, url: localUrl, files: localFiles(localUrl), local: true };
+    }
+    return { key, url: asset.remote, files: remoteFiles(asset), local: false };
+  }));
+
+  return {
+    overrides: Object.fromEntries(resolved.map(({ key, url }) => [key, url])),
+    files: resolved.map(({ files }) => files),
+    source: resolved.every(({ local }) => local) ? 'local' : 'remote',
+  };
+};
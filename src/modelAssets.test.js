@@ -0,0 +1,36 @@
+import { MODEL_BASE_URL, resolveModelAssets } from './modelAssets';
+import { ESTIMATORS } from './poseEstimators';
+import { SEGMENTER_CONFIG } from './bodySegmentation';
+
+const jsonResponse = { ok: true, headers: { get: () => 'application/json' } };
+const htmlResponse = { ok: true, headers: { get: () => 'text/html' } };
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('prefers bundled weights under the model base URL', async () => {
+  global.fetch = jest.fn().mockResolvedValue(jsonResponse);
+
+  const { overrides, source } = await resolveModelAssets('bodypix', SEGMENTER_CONFIG);
+
+  expect(source).toBe('local');
+  expect(overrides.modelUrl).toBe(`${MODEL_BASE_URL}/bodypix/mobilenet/quant2/075/model-stride16.json`);
+});
+
+test('falls back to the model hosts when the dev server answers with index.html', async () => {
+  global.fetch = jest.fn().mockResolvedValue(htmlResponse);
+
+  const posenet = await resolveModelAssets('posenet-resnet50', ESTIMATORS['posenet-resnet50'].config);
+  expect(posenet.source).toBe('remote');
+  expect(posenet.overrides.modelUrl)
+    .toBe('https://storage.googleapis.com/tfjs-models/savedmodel/posenet/resnet50/quant2/model-stride32.json');
+
+  const blazepose = await resolveModelAssets('blazepose-full', ESTIMATORS['blazepose-full'].config);
+  expect(Object.keys(blazepose.overrides)).toEqual(['detectorModelUrl', 'landmarkModelUrl']);
+  // TF Hub files are requested the way the tfjs loader requests them
+  expect(blazepose.files[0].modelJsonUrl)
+    .toBe('https://tfhub.dev/mediapipe/tfjs-model/blazepose_3d/detector/1/model.json?tfjs-format=file');
+  expect(blazepose.files[0].weightUrl('group1-shard1of1.bin'))
+    .toBe('https://tfhub.dev/mediapipe/tfjs-model/blazepose_3d/detector/1/group1-shard1of1.bin?tfjs-format=file');
+});
@@ -0,0 +1,115 @@
+// Offline model weights.
+//
+// public/model-cache-sw.js keeps every model.json and weight shard it sees in
+// MODEL_CACHE (cache-first), plus the app shell, so the tracker starts without
+// a network once each model has been loaded once. prefetchModel downloads a
+// model into that same cache ahead of the tfjs loader, which is what gives
+// real byte progress; the loader's own requests are then served from cache.
+
+export const MODEL_CACHE = 'ar-tryon-models-v2';
+
+const SERVICE_WORKER_URL = `${process.env.PUBLIC_URL}/model-cache-sw.js`;
+
+export const registerModelCache = () => {
+  // Like CRA's serviceWorker template: a dev server's assets must never be cached
+  if (!('serviceWorker' in navigator) || process.env.NODE_ENV !== 'production') return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(err => {
+      console.warn('Model cache service worker failed to register:', err);
+    });
+  });
+};
+
+const DTYPE_BYTES = { float32: 4, int32: 4, bool: 1, uint8: 1, uint16: 2, float16: 2, complex64: 8 };
+
+// Total shard bytes declared by a weightsManifest, or null when a dtype's
+// size can't be known up front (strings).
+export const manifestByteLength = (weightsManifest) => {
+  let total = 0;
+  for (const group of weightsManifest) {
+    for (const weight of group.weights) {
+      const dtype = weight.quantization ? weight.quantization.dtype : weight.dtype;
+      if (!DTYPE_BYTES[dtype]) return null;
+      total += weight.shape.reduce((size, dim) => size * dim, 1) * DTYPE_BYTES[dtype];
+    }
+  }
+  return total;
+};
+
+// Reads a response body while reporting bytes, and hands back a copy that
+// can still be cached.
+const readWithProgress = async (response, onBytes) => {
+  if (!response.body) {
+    const blob = await response.blob();
+    onBytes(blob.size);
+    return new Response(blob, { headers: response.headers });
+  }
+  const reader = response.body.getReader();
+  const chunks = [];
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    onBytes(value.byteLength);
+  }
+  return new Response(new Blob(chunks), { headers: response.headers });
+};
+
+const openCache = () => (typeof caches === 'undefined' ? Promise.resolve(null) : caches.open(MODEL_CACHE));
+
+// Same check as the service worker's: a missing local file comes back as
+// index.html with a 200, which must never end up in MODEL_CACHE.
+const isModelResponse = (response) => {
+  const type = response.headers.get('content-type') || '';
+  return type.includes('json') || type.includes('octet-stream') || type.includes('binary');
+};
+
+const fetchCached = async (cache, url) => {
+  const cached = cache && await cache.match(url);
+  if (cached) return { response: cached, fromCache: true };
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to fetch ${url} (HTTP ${response.status})`);
+  if (!isModelResponse(response)) {
+    throw new Error(`${url} is not model data (${response.headers.get('content-type') || 'no content type'})`);
+  }
+  return { response, fromCache: false };
+};
+
+// Downloads the model.json files and weight shards from resolveModelAssets()
+// into MODEL_CACHE, calling onProgress({ loaded, total, fromCache }) as bytes
+// arrive. total is null until every manifest has been read, or when it can't
+// be known.
+export const prefetchModel = async (files, onProgress = () => {}) => {
+  const cache = await openCache();
+  const manifests = [];
+  let fromCache = true;
+
+  for (const file of files) {
+    const { response, fromCache: hit } = await fetchCached(cache, file.modelJsonUrl);
+    if (!hit && cache) await cache.put(file.modelJsonUrl, response.clone());
+    fromCache = fromCache && hit;
+    manifests.push({ file, modelJson: await response.json() });
+  }
+
+  const sizes = manifests.map(({ modelJson }) => manifestByteLength(modelJson.weightsManifest || []));
+  const total = sizes.includes(null) ? null : sizes.reduce((sum, size) => sum + size, 0);
+  let loaded = 0;
+  const report = () => onProgress({ loaded, total, fromCache });
+  const addBytes = (bytes) => {
+    loaded += bytes;
+    report();
+  };
+  report();
+
+  for (const { file, modelJson } of manifests) {
+    const urls = (modelJson.weightsManifest || []).flatMap(group => group.paths.map(file.weightUrl));
+    for (const url of urls) {
+      const { response, fromCache: hit } = await fetchCached(cache, url);
+      fromCache = fromCache && hit;
+      const copy = await readWithProgress(response, addBytes);
+      if (!hit && cache) await cache.put(url, copy);
+    }
+  }
+
+  return { loaded, total: total ?? loaded, fromCache };
+};
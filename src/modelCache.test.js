@@ -0,0 +1,47 @@
+import { manifestByteLength, prefetchModel } from './modelCache';
+
+test('sizes weight shards from the manifest, honouring quantization', () => {
+  const manifest = [
+    {
+      paths: ['group1-shard1of1.bin'],
+      weights: [
+        { name: 'conv/kernel', shape: [3, 3, 8, 16], dtype: 'float32', quantization: { dtype: 'uint8', scale: 0.1, min: 0 } },
+        { name: 'conv/bias', shape: [16], dtype: 'float32' },
+      ],
+    },
+  ];
+
+  expect(manifestByteLength(manifest)).toBe(3 * 3 * 8 * 16 + 16 * 4);
+});
+
+test('gives up on sizes it cannot know in advance', () => {
+  expect(manifestByteLength([{ paths: [], weights: [{ name: 'vocab', shape: [10], dtype: 'string' }] }])).toBeNull();
+});
+
+const fakeResponse = (type, body) => ({
+  ok: true,
+  status: 200,
+  headers: { get: (name) => (name === 'content-type' ? type : null) },
+  clone() {
+    return this;
+  },
+  json: async () => body,
+});
+
+test('never caches an HTML page served in place of a weight shard', async () => {
+  const cache = { match: jest.fn().mockResolvedValue(undefined), put: jest.fn().mockResolvedValue() };
+  const realFetch = global.fetch;
+  global.caches = { open: jest.fn().mockResolvedValue(cache) };
+  const modelJson = { weightsManifest: [{ paths: ['group1-shard1of1.bin'], weights: [] }] };
+  global.fetch = jest.fn(url => Promise.resolve(url.endsWith('.json')
+    ? fakeResponse('application/json', modelJson)
+    : fakeResponse('text/html; charset=utf-8')));
+
+  const files = [{ modelJsonUrl: '/models/posenet/model-stride16.json', weightUrl: (path) => `/models/posenet/${path}` }];
+
+  await expect(prefetchModel(files)).rejects.toThrow('/models/posenet/group1-shard1of1.bin is not model data (text/html');
+  expect(cache.put).toHaveBeenCalledTimes(1);
+  expect(cache.put.mock.calls[0][0]).toBe('/models/posenet/model-stride16.json');
+  delete global.caches;
+  global.fetch = realFetch;
+});
@@ -0,0 +1,167 @@
+// Motion events: what the tracker noticed, as structured records kept in
+// IndexedDB so the history survives reloads.
+//
+// An event is
+//   { id, t, person, part, type, direction, magnitude, unit, text }
+// where t is a high-resolution epoch time in ms (performance.timeOrigin +
+// performance.now()), part is one of MOTION_PARTS (null for whole-body
+// events), type one of MOTION_TYPES, and magnitude is measured in unit.
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+const DB_NAME = 'ar-tryon-motion-events';
+const DB_VERSION = 1;
+const STORE = 'events';
+
+export const MOTION_PARTS = {
+  head: { label: 'Head', emoji: '👤' },
+  leftArm: { label: 'Left arm', emoji: '💪' },
+  rightArm: { label: 'Right arm', emoji: '💪' },
+  leftLeg: { label: 'Left leg', emoji: '🦵' },
+  rightLeg: { label: 'Right leg', emoji: '🦵' },
+  torso: { label: 'Body', emoji: '🚶' },
+};
+
+export const MOTION_TYPES = {
+  move: { label: 'Movement' },
+  turn: { label: 'Head turn' },
+  tilt: { label: 'Head tilt' },
+  gesture: { label: 'Gesture' },
+  rep: { label: 'Rep' },
+};
+
+let sequence = 0;
+
+export const now = () => (typeof performance !== 'undefined' && performance.timeOrigin
+  ? performance.timeOrigin + performance.now()
+  : Date.now());
+
+export const createMotionEvent = ({ t = now(), person = null, part = null, type, direction = null, magnitude = null, unit = null, text }) => ({
+  id: `${Math.floor(t).toString(36)}-${(sequence++).toString(36)}`,
+  t,
+  person,
+  part,
+  type,
+  direction,
+  magnitude: magnitude === null ? null : Math.round(magnitude * 10) / 10,
+  unit,
+  text,
+});
+
+// Screen-independent direction of a pixel delta, e.g. 'up', 'down-left'.
+export const directionOf = (dx, dy) => {
+  const vertical = Math.abs(dy) > Math.abs(dx) / 2 ? (dy > 0 ? 'down' : 'up') : '';
+  const horizontal = Math.abs(dx) > Math.abs(dy) / 2 ? (dx > 0 ? 'right' : 'left') : '';
+  return [vertical, horizontal].filter(Boolean).join('-');
+};
+
+// filters: { parts, types } as arrays of allowed values; empty allows all.
+export const filterEvents = (events, { parts = [], types = [] } = {}) => events.filter(event =>
+  (parts.length === 0 || parts.includes(event.part)) && (types.length === 0 || types.includes(event.type)));
+
+export const formatEventTime = (t) => {
+  const date = new Date(t);
+  return `${date.toLocaleTimeString()}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+};
+
+const CSV_COLUMNS = ['id', 'time', 't', 'person', 'part', 'type', 'direction', 'magnitude', 'unit', 'text'];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const eventsToCsv = (events) => [
+  CSV_COLUMNS.join(','),
+  ...events.map(event => CSV_COLUMNS
+    .map(column => csvCell(column === 'time' ? new Date(event.t).toISOString() : event[column]))
+    .join(',')),
+].join('\r\n');
+
+const settle = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+let dbPromise = null;
+
+const openLog = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('This browser cannot keep the motion log.'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id' });
+    };
+    dbPromise = settle(request).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+const inTransaction = async (mode, operation) => {
+  const db = await openLog();
+  const transaction = db.transaction(STORE, mode);
+  const result = operation(transaction.objectStore(STORE));
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+  });
+  return result;
+};
+
+export const saveEvents = (events) => inTransaction('readwrite', store => events.forEach(event => store.put(event)));
+
+// Oldest first.
+export const listEvents = async () => {
+  let events = [];
+  await inTransaction('readonly', store => {
+    store.getAll().onsuccess = (e) => {
+      events = e.target.result;
+    };
+  });
+  return events.sort((a, b) => a.t - b.t);
+};
+
+export const clearEvents = () => inTransaction('readwrite', store => store.clear());
+
+// The persisted history plus anything added since, oldest first.
+export const useMotionEvents = () => {
+  const [events, setEvents] = useState([]);
+  const [error, setError] = useState(null);
+  const clearedRef = useRef(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    listEvents()
+      .then(stored => {
+        // Don't bring back history that was cleared while it loaded
+        if (!cancelled && !clearedRef.current) setEvents(prev => [...stored, ...prev]);
+      })
+      .catch(err => {
+        console.error('Error loading motion log:', err);
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const addEvents = useCallback((added) => {
+    setEvents(prev => [...prev, ...added]);
+    saveEvents(added).catch(err => setError(err.message));
+  }, []);
+
+  const clear = useCallback(() => {
+    clearedRef.current = true;
+    setEvents([]);
+    clearEvents().catch(err => setError(err.message));
+  }, []);
+
+  return { events, error, addEvents, clear };
+};
@@ -0,0 +1,138 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { createMotionEvent, directionOf, eventsToCsv, filterEvents, listEvents, saveEvents, useMotionEvents } from './motionEvents';
+
+// Just enough IndexedDB for the motion log: one store, put/getAll/clear, and
+// transactions that complete once their requests have. hold() keeps reads
+// from answering (with what was stored when they were made) until released.
+const fakeIndexedDB = () => {
+  const rows = new Map();
+  let held = null;
+
+  const db = {
+    transaction: () => {
+      const pending = [];
+      const track = (work) => {
+        const request = {};
+        pending.push(work().then(result => {
+          request.result = result;
+          if (request.onsuccess) request.onsuccess({ target: request });
+        }));
+        return request;
+      };
+      const transaction = {
+        objectStore: () => ({
+          put: (value) => track(async () => rows.set(value.id, value)),
+          clear: () => track(async () => rows.clear()),
+          getAll: () => {
+            const snapshot = [...rows.values()];
+            return track(async () => {
+              await held;
+              return snapshot;
+            });
+          },
+        }),
+      };
+      setTimeout(() => Promise.all(pending).then(() => transaction.oncomplete()));
+      return transaction;
+    },
+  };
+
+  return {
+    rows,
+    hold: () => {
+      let release;
+      held = new Promise(resolve => {
+        release = resolve;
+      });
+      return release;
+    },
+    open: () => {
+      const request = {};
+      setTimeout(() => {
+        request.result = db;
+        request.onsuccess();
+      });
+      return request;
+    },
+  };
+};
+
+const fakeDb = fakeIndexedDB();
+global.indexedDB = fakeDb;
+
+beforeEach(() => {
+  fakeDb.rows.clear();
+});
+
+test('creates events with unique ids and a rounded magnitude', () => {
+  const a = createMotionEvent({ t: 1000, type: 'move', part: 'leftArm', magnitude: 12.345, unit: 'px', text: 'moved' });
+  const b = createMotionEvent({ t: 1000, type: 'move', part: 'leftArm', text: 'moved' });
+
+  expect(a.id).not.toBe(b.id);
+  expect(a).toMatchObject({ t: 1000, person: null, direction: null, magnitude: 12.3, unit: 'px' });
+  expect(b.magnitude).toBeNull();
+});
+
+test('names the direction of a movement', () => {
+  expect(directionOf(0, -20)).toBe('up');
+  expect(directionOf(30, 2)).toBe('right');
+  expect(directionOf(-20, 18)).toBe('down-left');
+});
+
+test('filters by part and by type', () => {
+  const events = [
+    createMotionEvent({ type: 'move', part: 'leftArm', text: 'a' }),
+    createMotionEvent({ type: 'move', part: 'torso', text: 'b' }),
+    createMotionEvent({ type: 'gesture', part: 'leftArm', text: 'c' }),
+    createMotionEvent({ type: 'rep', text: 'd' }),
+  ];
+
+  expect(filterEvents(events)).toHaveLength(4);
+  expect(filterEvents(events, { parts: ['leftArm'] }).map(e => e.text)).toEqual(['a', 'c']);
+  expect(filterEvents(events, { parts: ['leftArm'], types: ['move'] }).map(e => e.text)).toEqual(['a']);
+  expect(filterEvents(events, { types: ['rep', 'gesture'] }).map(e => e.text)).toEqual(['c', 'd']);
+});
+
+test('exports CSV with a header and quoted text', () => {
+  const event = createMotionEvent({
+    t: Date.UTC(2024, 0, 2, 3, 4, 5, 678), person: 1, part: 'head', type: 'turn',
+    direction: 'left', magnitude: 40, unit: 'px', text: 'Head turned "left", fast',
+  });
+
+  const [header, row, ...rest] = eventsToCsv([event]).split('\r\n');
+
+  expect(rest).toEqual([]);
+  expect(header).toBe('id,time,t,person,part,type,direction,magnitude,unit,text');
+  expect(row).toBe(`${event.id},2024-01-02T03:04:05.678Z,${event.t},1,head,turn,left,40,px,"Head turned ""left"", fast"`);
+});
+
+test('keeps the log across reloads, oldest first', async () => {
+  const { result: first, unmount } = renderHook(() => useMotionEvents());
+  const later = createMotionEvent({ t: 2000, type: 'move', text: 'later' });
+  const earlier = createMotionEvent({ t: 1000, type: 'turn', text: 'earlier' });
+
+  act(() => first.current.addEvents([later, earlier]));
+  await waitFor(() => expect(fakeDb.rows.size).toBe(2));
+  unmount();
+
+  expect((await listEvents()).map(e => e.text)).toEqual(['earlier', 'later']);
+  const { result: reloaded } = renderHook(() => useMotionEvents());
+  await waitFor(() => expect(reloaded.current.events.map(e => e.text)).toEqual(['earlier', 'later']));
+});
+
+test('does not bring back history cleared while it was loading', async () => {
+  await saveEvents([createMotionEvent({ t: 1000, type: 'move', text: 'old' })]);
+  const release = fakeDb.hold();
+
+  const { result } = renderHook(() => useMotionEvents());
+  act(() => result.current.clear());
+  const fresh = createMotionEvent({ t: 3000, type: 'rep', text: 'fresh' });
+  act(() => result.current.addEvents([fresh]));
+  await act(async () => {
+    release();
+    await new Promise(resolve => setTimeout(resolve, 20));
+  });
+
+  expect(result.current.events.map(e => e.text)).toEqual(['fresh']);
+  expect([...fakeDb.rows.values()].map(e => e.text)).toEqual(['fresh']);
+});
@@ -0,0 +1,126 @@
+// Frame rate and inference latency over a sliding window, and the adaptive
+// quality controller that trades input resolution for speed when inference
+// can't keep up.
+//
+//   monitor.add(t, latencyMs);                       // once per inferred frame
+//   const level = controller.update(monitor.stats().latencyMs, t, qualityLevelsFor(settings));
+//   if (level !== null) settings = applyQuality(settings, level);
+import { modelConfig, modelOptionsFor } from './trackerSettings';
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+export const createPerformanceMonitor = ({ windowMs = 2000 } = {}) => {
+  let samples = [];
+
+  const add = (t, latencyMs) => {
+    samples.push({ t, latencyMs });
+    while (samples.length > 0 && t - samples[0].t > windowMs) samples.shift();
+  };
+
+  // fps: inferred frames per second; latencyMs: mean time per inference.
+  const stats = () => {
+    if (samples.length === 0) return { fps: 0, latencyMs: null };
+    const span = samples[samples.length - 1].t - samples[0].t;
+    return {
+      fps: span > 0 ? ((samples.length - 1) * 1000) / span : 0,
+      latencyMs: mean(samples.map(s => s.latencyMs)),
+    };
+  };
+
+  const reset = () => {
+    samples = [];
+  };
+
+  return { add, stats, reset };
+};
+
+// Cheapest last. Only a smaller input makes each inference (the latency
+// measured) cheaper, so that is all a level changes; models that don't take
+// an input resolution (MoveNet, BlazePose) have no level past the first.
+export const QUALITY_LEVELS = [
+  { label: 'Full quality' },
+  { label: 'Reduced input', inputResolution: { width: 480, height: 360 } },
+  { label: 'Low input', inputResolution: { width: 320, height: 240 } },
+];
+
+const ALL_LEVELS = QUALITY_LEVELS.map((_, level) => level);
+
+export const DEFAULT_QUALITY_OPTIONS = {
+  budgetMs: 66,
+  // Steps back up only once latency stays under this share of the budget
+  recoverRatio: 0.5,
+  holdMs: 2000,
+  recoverHoldMs: 10000,
+  // After a change (which may reload the model) before judging again
+  cooldownMs: 4000,
+};
+
+// Steps one level down when latency stays over budget for holdMs, and one
+// back up when it stays well under for recoverHoldMs, moving only between
+// levels (see qualityLevelsFor). update() returns the new level when it
+// changes, otherwise null.
+export const createQualityController = (options = {}) => {
+  const config = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+  let level = 0;
+  let overSince = null;
+  let underSince = null;
+  let changedAt = null;
+
+  const update = (latencyMs, t, levels = ALL_LEVELS) => {
+    // The settings changed under a lowered level; fall back to one that applies
+    if (!levels.includes(level)) {
+      level = levels.filter(l => l < level).pop();
+      changedAt = t;
+      overSince = null;
+      underSince = null;
+      return level;
+    }
+    if (latencyMs === null || (changedAt !== null && t - changedAt < config.cooldownMs)) return null;
+
+    overSince = latencyMs > config.budgetMs ? (overSince ?? t) : null;
+    underSince = latencyMs < config.budgetMs * config.recoverRatio ? (underSince ?? t) : null;
+
+    const index = levels.indexOf(level);
+    let next = level;
+    if (overSince !== null && t - overSince >= config.holdMs) next = levels[Math.min(levels.length - 1, index + 1)];
+    else if (underSince !== null && t - underSince >= config.recoverHoldMs) next = levels[Math.max(0, index - 1)];
+    if (next === level) return null;
+
+    level = next;
+    changedAt = t;
+    overSince = null;
+    underSince = null;
+    return level;
+  };
+
+  const reset = () => {
+    level = 0;
+    overSince = null;
+    underSince = null;
+    changedAt = null;
+  };
+
+  return { update, reset, level: () => level };
+};
+
+const pixels = ({ width, height }) => width * height;
+
+// Whether a level's input is smaller than what the settings already run at.
+const lowersInput = (settings, level) => {
+  const { inputResolution } = QUALITY_LEVELS[level];
+  if (!inputResolution || !modelOptionsFor(settings.estimator).some(([key]) => key === 'inputResolution')) return false;
+  const current = modelConfig(settings).inputResolution;
+  return !!current && pixels(inputResolution) < pixels(current);
+};
+
+// Full quality plus the levels that make inference cheaper for these
+// settings; just [0] when there is nothing to lower.
+export const qualityLevelsFor = (settings) =>
+  ALL_LEVELS.filter(level => level === 0 || lowersInput(settings, level));
+
+// Tracker settings with a quality level applied on top; the same object when
+// the level changes nothing.
+export const applyQuality = (settings, level) => {
+  if (!lowersInput(settings, level)) return settings;
+  return { ...settings, model: { ...settings.model, inputResolution: QUALITY_LEVELS[level].inputResolution } };
+};
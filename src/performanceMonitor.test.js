@@ -0,0 +1,83 @@
+import { applyQuality, createPerformanceMonitor, createQualityController, qualityLevelsFor } from './performanceMonitor';
+import { BUILTIN_PROFILES, DEFAULT_TRACKER_SETTINGS, modelConfig } from './trackerSettings';
+
+test('reports frame rate and mean latency over the window', () => {
+  const monitor = createPerformanceMonitor({ windowMs: 1000 });
+  for (let t = 0; t <= 2000; t += 50) monitor.add(t, t < 1000 ? 100 : 30);
+
+  const { fps, latencyMs } = monitor.stats();
+
+  expect(fps).toBeCloseTo(20);
+  expect(latencyMs).toBeCloseTo(30);
+});
+
+test('steps quality down while over budget and back up once well under', () => {
+  const controller = createQualityController({ budgetMs: 50, holdMs: 1000, recoverHoldMs: 5000, cooldownMs: 2000 });
+  const feed = (latencyMs, from, to) => {
+    const changes = [];
+    for (let t = from; t <= to; t += 500) {
+      const level = controller.update(latencyMs, t);
+      if (level !== null) changes.push(level);
+    }
+    return changes;
+  };
+
+  expect(feed(40, 0, 5000)).toEqual([]);
+  expect(feed(120, 5500, 13000)).toEqual([1, 2]);
+  expect(feed(120, 13500, 20000)).toEqual([]);
+  expect(feed(10, 20500, 30000)).toEqual([1]);
+  expect(controller.level()).toBe(1);
+});
+
+test('only offers levels that shrink the model input', () => {
+  const settings = { ...DEFAULT_TRACKER_SETTINGS, frameSkip: 20 };
+
+  expect(qualityLevelsFor(settings)).toEqual([0, 1, 2]);
+  expect(applyQuality(settings, 0)).toBe(settings);
+  const low = applyQuality(settings, 2);
+  expect(low.frameSkip).toBe(20);
+  expect(low.model.inputResolution).toEqual({ width: 320, height: 240 });
+
+  // Already at 320×240: nothing left to lower
+  const lowEnd = BUILTIN_PROFILES['Low-end laptop'];
+  expect(qualityLevelsFor(lowEnd)).toEqual([0]);
+  expect(applyQuality(lowEnd, 2)).toBe(lowEnd);
+
+  const moveNet = { ...DEFAULT_TRACKER_SETTINGS, estimator: 'movenet-lightning' };
+  expect(qualityLevelsFor(moveNet)).toEqual([0]);
+  expect(applyQuality(moveNet, 2)).toBe(moveNet);
+});
+
+// Inference cost grows with the input pixels: 150 ms at 640×480.
+const latencyOf = (settings) => {
+  const { width, height } = modelConfig(settings).inputResolution;
+  return (150 * width * height) / (640 * 480);
+};
+
+test('each step down lowers the measured latency until it fits the budget', () => {
+  const controller = createQualityController({ budgetMs: 66, holdMs: 1000, cooldownMs: 2000 });
+  const levels = qualityLevelsFor(DEFAULT_TRACKER_SETTINGS);
+  let settings = DEFAULT_TRACKER_SETTINGS;
+  const latencies = [latencyOf(settings)];
+
+  for (let t = 0; t <= 20000; t += 500) {
+    const level = controller.update(latencyOf(settings), t, levels);
+    if (level !== null) {
+      settings = applyQuality(DEFAULT_TRACKER_SETTINGS, level);
+      latencies.push(latencyOf(settings));
+    }
+  }
+
+  expect(latencies).toEqual([150, 84.375, 37.5]);
+  expect(controller.level()).toBe(2);
+});
+
+test('stays put when the model has nothing to lower, and falls back when settings change', () => {
+  const controller = createQualityController({ budgetMs: 66, holdMs: 1000, cooldownMs: 2000 });
+  for (let t = 0; t <= 10000; t += 500) {
+    expect(controller.update(200, t, [0])).toBeNull();
+  }
+
+  for (let t = 10500; controller.level() === 0; t += 500) controller.update(200, t);
+  expect(controller.update(200, 30000, [0])).toBe(0);
+});
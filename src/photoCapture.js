@@ -0,0 +1,94 @@
+// Still photos of the try-on: the current frame with the overlay on top,
+// as the user sees it on screen.
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { fileTimestamp } from './download';
+import { getFrameSize } from './inputSource';
+
+// Self-timer choices in seconds; 0 captures straight away.
+export const CAPTURE_COUNTDOWNS = [0, 3, 5, 10];
+
+export const PHOTO_FORMATS = {
+  'image/png': { label: 'PNG', extension: 'png' },
+  'image/jpeg': { label: 'JPEG', extension: 'jpg', quality: 0.92 },
+};
+
+// frame: a video element or canvas, or null for session replay, which has no
+// pixels. overlay: the overlay canvas, or null for the bare camera. The
+// output has the overlay's size when there is one, otherwise the frame's.
+export const composeSnapshot = (frame, overlay, { mirror = false } = {}) => {
+  const { width, height } = overlay || getFrameSize(frame);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, width, height);
+  if (frame) {
+    ctx.save();
+    if (mirror) {
+      ctx.translate(width, 0);
+      ctx.scale(-1, 1);
+    }
+    ctx.drawImage(frame, 0, 0, width, height);
+    ctx.restore();
+  }
+  // The overlay is already drawn in screen orientation
+  if (overlay) ctx.drawImage(overlay, 0, 0);
+  return canvas;
+};
+
+export const canvasToBlob = (canvas, type = 'image/png', quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the photo.'))), type, quality);
+});
+
+// Re-encodes a stored photo for download.
+export const convertPhoto = async (blob, type) => {
+  if (blob.type === type) return blob;
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return canvasToBlob(canvas, type, PHOTO_FORMATS[type].quality);
+};
+
+export const photoFilename = (photo, type) =>
+  `try-on-${fileTimestamp(new Date(photo.createdAt))}.${PHOTO_FORMATS[type].extension}`;
+
+// Self-timer: start(seconds, onDone) counts down once per second, with
+// `remaining` set while it runs. Starting again restarts it.
+export const useCountdown = () => {
+  const [remaining, setRemaining] = useState(null);
+  const timerRef = useRef(null);
+
+  const cancel = useCallback(() => {
+    clearInterval(timerRef.current);
+    timerRef.current = null;
+    setRemaining(null);
+  }, []);
+
+  const start = useCallback((seconds, onDone) => {
+    cancel();
+    if (seconds <= 0) {
+      onDone();
+      return;
+    }
+    let left = seconds;
+    setRemaining(left);
+    timerRef.current = setInterval(() => {
+      left--;
+      if (left > 0) {
+        setRemaining(left);
+        return;
+      }
+      cancel();
+      onDone();
+    }, 1000);
+  }, [cancel]);
+
+  useEffect(() => () => clearInterval(timerRef.current), []);
+
+  return { remaining, start, cancel };
+};
@@ -0,0 +1,43 @@
+import { act, renderHook } from '@testing-library/react';
+import { photoFilename, useCountdown } from './photoCapture';
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('counts down once per second before capturing', () => {
+  const onDone = jest.fn();
+  const { result } = renderHook(() => useCountdown());
+
+  act(() => result.current.start(3, onDone));
+  expect(result.current.remaining).toBe(3);
+
+  act(() => jest.advanceTimersByTime(2000));
+  expect(result.current.remaining).toBe(1);
+  expect(onDone).not.toHaveBeenCalled();
+
+  act(() => jest.advanceTimersByTime(1000));
+  expect(result.current.remaining).toBeNull();
+  expect(onDone).toHaveBeenCalledTimes(1);
+});
+
+test('captures straight away without a timer and never after a cancel', () => {
+  const immediate = jest.fn();
+  const cancelled = jest.fn();
+  const { result } = renderHook(() => useCountdown());
+
+  act(() => result.current.start(0, immediate));
+  expect(immediate).toHaveBeenCalledTimes(1);
+
+  act(() => result.current.start(5, cancelled));
+  act(() => result.current.cancel());
+  act(() => jest.advanceTimersByTime(10000));
+  expect(cancelled).not.toHaveBeenCalled();
+  expect(result.current.remaining).toBeNull();
+});
+
+test('names downloads after the capture time and format', () => {
+  const createdAt = new Date(2024, 4, 1, 14, 3, 22).getTime();
+
+  expect(photoFilename({ createdAt }, 'image/jpeg')).toBe('try-on-2024-05-01_14-03-22.jpg');
+  expect(photoFilename({ createdAt }, 'image/png')).toBe('try-on-2024-05-01_14-03-22.png');
+});
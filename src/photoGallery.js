@@ -0,0 +1,86 @@
+// Captured photos, kept in IndexedDB so they survive reloads.
+//
+// A photo is { id, blob, width, height, createdAt, source } where source
+// says which screen took it ('camera' or 'try-on').
+import { useCallback, useEffect, useState } from 'react';
+
+const DB_NAME = 'ar-tryon-gallery';
+const DB_VERSION = 1;
+const STORE = 'photos';
+
+const settle = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+let dbPromise = null;
+
+const openGallery = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('This browser cannot store photos.'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    // Let a later call retry, e.g. after the user allowed storage
+    dbPromise = settle(request).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+const inStore = async (mode, operation) => {
+  const db = await openGallery();
+  return settle(operation(db.transaction(STORE, mode).objectStore(STORE)));
+};
+
+// Resolves to the new photo's id.
+export const savePhoto = (photo) => inStore('readwrite', store => store.add(photo));
+
+// Newest first.
+export const listPhotos = async () => {
+  const photos = await inStore('readonly', store => store.getAll());
+  return photos.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const deletePhoto = (id) => inStore('readwrite', store => store.delete(id));
+
+export const usePhotoGallery = () => {
+  const [photos, setPhotos] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    listPhotos()
+      .then(result => {
+        if (!cancelled) setPhotos(result);
+      })
+      .catch(err => {
+        console.error('Error loading photo gallery:', err);
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const addPhoto = useCallback(async (photo) => {
+    const id = await savePhoto(photo);
+    const saved = { ...photo, id };
+    setPhotos(prev => [saved, ...prev]);
+    return saved;
+  }, []);
+
+  const removePhoto = useCallback(async (id) => {
+    await deletePhoto(id);
+    setPhotos(prev => prev.filter(photo => photo.id !== id));
+  }, []);
+
+  return { photos, error, addPhoto, removePhoto };
+};
@@ -0,0 +1,163 @@
+import * as posenet from '@tensorflow-models/posenet';
+
+// Pose estimator adapters.
+//
+// Every estimator is loaded through `loadEstimator(id)` and exposes
+//   estimatePoses(input, { maxPoses }) -> Promise<[{ score, keypoints }]>
+//   dispose()
+// where `keypoints` always follows the normalized schema below: the 17 COCO
+// keypoints in PoseNet order, each `{ part, score, position: { x, y } }` in
+// input pixels. Keypoints a model doesn't report come back with score 0, so
+// BODY_PARTS / SKELETON_CONNECTIONS index the same way for every model.
+// Only estimators flagged `multiPerson` return more than one pose.
+
+export const KEYPOINT_NAMES = [
+  'nose',
+  'leftEye',
+  'rightEye',
+  'leftEar',
+  'rightEar',
+  'leftShoulder',
+  'rightShoulder',
+  'leftElbow',
+  'rightElbow',
+  'leftWrist',
+  'rightWrist',
+  'leftHip',
+  'rightHip',
+  'leftKnee',
+  'rightKnee',
+  'leftAnkle',
+  'rightAnkle',
+];
+
+const KEYPOINT_INDEX = KEYPOINT_NAMES.reduce((acc, name, i) => {
+  acc[name] = i;
+  return acc;
+}, {});
+
+// 'left_shoulder' -> 'leftShoulder'
+const toPartName = (name) => name.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+
+// Maps a model's keypoint list onto the normalized 17-keypoint schema,
+// dropping extras (BlazePose reports 33) and filling gaps.
+export const normalizeKeypoints = (keypoints) => {
+  const normalized = KEYPOINT_NAMES.map(part => ({ part, score: 0, position: { x: 0, y: 0 } }));
+
+  keypoints.forEach(kp => {
+    const part = kp.part || (kp.name && toPartName(kp.name));
+    const index = KEYPOINT_INDEX[part];
+    if (index === undefined) return;
+    const position = kp.position || { x: kp.x, y: kp.y };
+    normalized[index] = { part, score: kp.score ?? 0, position: { x: position.x, y: position.y } };
+  });
+
+  return normalized;
+};
+
+const averageScore = (keypoints) =>
+  keypoints.reduce((sum, kp) => sum + kp.score, 0) / keypoints.length;
+
+const loadPoseNet = async (config) => {
+  const net = await posenet.load(config);
+  if (!net) throw new Error('Model loaded but returned null');
+
+  return {
+    estimatePoses: async (input, { maxPoses = 1 } = {}) => {
+      const poses = maxPoses > 1
+        ? await net.estimateMultiplePoses(input, {
+          flipHorizontal: false,
+          maxDetections: maxPoses,
+          scoreThreshold: 0.3,
+          nmsRadius: 20,
+        })
+        : [await net.estimateSinglePose(input, { flipHorizontal: false })];
+      return poses
+        .filter(pose => pose && pose.keypoints)
+        .map(pose => ({ score: pose.score, keypoints: normalizeKeypoints(pose.keypoints) }));
+    },
+    dispose: () => net.dispose(),
+  };
+};
+
+// MoveNet and BlazePose live in pose-detection, which is only fetched when
+// one of them is picked.
+const loadPoseDetection = async (model, config) => {
+  const poseDetection = await import('@tensorflow-models/pose-detection');
+  const detector = await poseDetection.createDetector(poseDetection.SupportedModels[model], config);
+
+  return {
+    estimatePoses: async (input, { maxPoses = 1 } = {}) => {
+      const poses = await detector.estimatePoses(input, { flipHorizontal: false, maxPoses });
+      return poses.map(pose => {
+        const keypoints = normalizeKeypoints(pose.keypoints);
+        return { score: pose.score ?? averageScore(keypoints), keypoints };
+      });
+    },
+    dispose: () => detector.dispose(),
+  };
+};
+
+export const ESTIMATORS = {
+  'posenet-mobilenet': {
+    label: 'PoseNet (MobileNetV1)',
+    description: 'Fast and light, the original tracker. Least accurate on limbs.',
+    config: {
+      architecture: 'MobileNetV1',
+      outputStride: 16,
+      inputResolution: { width: 640, height: 480 },
+      multiplier: 0.75,
+      quantBytes: 2
+    },
+    multiPerson: true,
+    load: (config) => loadPoseNet(config),
+  },
+  'posenet-resnet50': {
+    label: 'PoseNet (ResNet50)',
+    description: 'More accurate PoseNet, much heavier. Needs a good GPU.',
+    config: {
+      architecture: 'ResNet50',
+      outputStride: 32,
+      inputResolution: { width: 640, height: 480 },
+      quantBytes: 2
+    },
+    multiPerson: true,
+    load: (config) => loadPoseNet(config),
+  },
+  'movenet-lightning': {
+    label: 'MoveNet (Lightning)',
+    description: 'Fast and much better on limbs than PoseNet.',
+    config: { modelType: 'SinglePose.Lightning' },
+    load: (config) => loadPoseDetection('MoveNet', config),
+  },
+  'movenet-thunder': {
+    label: 'MoveNet (Thunder)',
+    description: 'Most accurate MoveNet, slower than Lightning.',
+    config: { modelType: 'SinglePose.Thunder' },
+    load: (config) => loadPoseDetection('MoveNet', config),
+  },
+  'movenet-multipose': {
+    label: 'MoveNet (MultiPose)',
+    description: 'Up to six people at once, at Lightning accuracy.',
+    config: { modelType: 'MultiPose.Lightning', enableTracking: false },
+    multiPerson: true,
+    load: (config) => loadPoseDetection('MoveNet', config),
+  },
+  'blazepose-full': {
+    label: 'BlazePose (Full)',
+    description: '33-keypoint model mapped to the 17 used here. Good on fast motion.',
+    config: { runtime: 'tfjs', modelType: 'full', enableSmoothing: false },
+    load: (config) => loadPoseDetection('BlazePose', config),
+  },
+};
+
+export const DEFAULT_ESTIMATOR = 'posenet-mobilenet';
+
+export const loadEstimator = async (id, configOverrides = {}) => {
+  const estimator = ESTIMATORS[id];
+  if (!estimator) throw new Error(`Unknown pose estimator "${id}"`);
+
+  const config = { ...estimator.config, ...configOverrides };
+  const adapter = await estimator.load(config);
+  return { id, label: estimator.label, config, multiPerson: !!estimator.multiPerson, ...adapter };
+};
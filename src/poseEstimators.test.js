@@ -0,0 +1,21 @@
+import { KEYPOINT_NAMES, normalizeKeypoints } from './poseEstimators';
+
+test('maps pose-detection keypoints onto the PoseNet layout', () => {
+  const keypoints = normalizeKeypoints([
+    { name: 'right_ankle', x: 10, y: 400, score: 0.8 },
+    { name: 'left_eye_inner', x: 1, y: 1, score: 0.9 },
+    { name: 'nose', x: 50, y: 20, score: 0.99 },
+  ]);
+
+  expect(keypoints.map(kp => kp.part)).toEqual(KEYPOINT_NAMES);
+  expect(keypoints[0]).toEqual({ part: 'nose', score: 0.99, position: { x: 50, y: 20 } });
+  expect(keypoints[16]).toEqual({ part: 'rightAnkle', score: 0.8, position: { x: 10, y: 400 } });
+  // Keypoints the model did not report are present but never confident
+  expect(keypoints[5].score).toBe(0);
+});
+
+test('passes PoseNet keypoints through unchanged', () => {
+  const posenetKeypoints = KEYPOINT_NAMES.map((part, i) => ({ part, score: 0.5, position: { x: i, y: i * 2 } }));
+
+  expect(normalizeKeypoints(posenetKeypoints)).toEqual(posenetKeypoints);
+});
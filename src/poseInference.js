@@ -0,0 +1,44 @@
+import * as tf from '@tensorflow/tfjs';
+import { createInThreadInference } from './inThreadInference';
+import { selectBackend } from './tfBackend';
+
+// Picks where inference runs; see inThreadInference.js for the interface
+// both backends share. The worker imports inThreadInference.js directly, never
+// this module, so the worker bundle doesn't try to spawn workers itself.
+
+export const supportsWorkerInference = () =>
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof createImageBitmap !== 'undefined';
+
+// Prefers the worker and falls back to the main thread when workers,
+// OffscreenCanvas or WebGL inside a worker aren't available; there the TF.js
+// backend falls back from WebGL to WASM to CPU. ready() resolves to
+// { mode, backend, failed } (see tfBackend.js). Calls made before the backend
+// is picked wait for it.
+export const createInference = () => {
+  const backend = (supportsWorkerInference()
+    ? import('./poseWorkerClient').then(({ createWorkerInference }) => createWorkerInference())
+    : Promise.reject(new Error('Web Workers with OffscreenCanvas are not supported')))
+    .catch(async err => {
+      console.warn(`⚠️ Running pose inference on the main thread: ${err.message}`);
+      const selected = await selectBackend(tf);
+      return { ...createInThreadInference(), ...selected };
+    });
+
+  return {
+    ready: () => backend,
+    loadEstimator: (id, overrides) => backend.then(b => b.loadEstimator(id, overrides)),
+    loadSegmenter: (overrides) => backend.then(b => b.loadSegmenter(overrides)),
+    infer: (frame, options) => backend.then(b => b.infer(frame, options)),
+    dispose: () => backend.then(b => b.dispose()),
+  };
+};
+
+// Worker masks are ImageBitmaps and hold GPU memory until closed.
+export const releaseMasks = (masks) => {
+  if (!masks) return;
+  Object.values(masks).forEach(mask => {
+    if (mask && typeof mask.close === 'function') mask.close();
+  });
+};
@@ -0,0 +1,179 @@
+// Recorded pose sessions: the raw keypoint stream from the pose model,
+// timestamped, so it can be replayed through smoothing, rendering and movement
+// analysis without a camera or model.
+//
+// {
+//   "format": "ar-tryon-pose-session",
+//   "version": 1,
+//   "createdAt": "2024-05-01T14:03:22.000Z",
+//   "model": { "architecture": "MobileNetV1", ... },
+//   "frameSize": { "width": 640, "height": 480 },
+//   "mirrored": true,
+//   "durationMs": 5230.4,
+//   "frames": [{ "t": 0, "score": 0.93, "keypoints": [{ "part": "nose", "x": 321.4, "y": 88.2, "score": 0.99 }, ...] }]
+// }
+
+export const SESSION_FORMAT = 'ar-tryon-pose-session';
+export const SESSION_VERSION = 1;
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+export const createSessionRecorder = ({ model, frameSize, mirrored, now = () => performance.now() }) => {
+  const startedAt = now();
+  const createdAt = new Date().toISOString();
+  const frames = [];
+
+  const addFrame = (pose) => {
+    frames.push({
+      t: round(now() - startedAt, 1),
+      score: round(pose.score, 4),
+      keypoints: pose.keypoints.map(kp => ({
+        part: kp.part,
+        x: round(kp.position.x),
+        y: round(kp.position.y),
+        score: round(kp.score, 4),
+      })),
+    });
+  };
+
+  const finish = () => ({
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    createdAt,
+    model,
+    frameSize,
+    mirrored: !!mirrored,
+    durationMs: frames.length > 0 ? frames[frames.length - 1].t : 0,
+    frames,
+  });
+
+  return { addFrame, finish, frameCount: () => frames.length };
+};
+
+export const validateSession = (session) => {
+  const errors = [];
+
+  if (!session || typeof session !== 'object') return ['Session must be a JSON object'];
+  if (session.format !== SESSION_FORMAT) errors.push(`Not a pose session (format "${session.format}")`);
+  if (session.version !== SESSION_VERSION) errors.push(`Unsupported session version ${session.version}`);
+
+  const size = session.frameSize;
+  if (!size || !(size.width > 0) || !(size.height > 0)) errors.push('Session is missing a valid frameSize');
+
+  if (!Array.isArray(session.frames) || session.frames.length === 0) {
+    errors.push('Session has no frames');
+    return errors;
+  }
+
+  let previousT = -Infinity;
+  session.frames.forEach((frame, i) => {
+    if (!frame || typeof frame.t !== 'number' || frame.t < previousT) {
+      errors.push(`Frame #${i} has a missing or out-of-order timestamp`);
+    } else {
+      previousT = frame.t;
+    }
+    if (!frame || !Array.isArray(frame.keypoints) || frame.keypoints.some(kp =>
+      !kp || typeof kp.x !== 'number' || typeof kp.y !== 'number' || typeof kp.score !== 'number')) {
+      errors.push(`Frame #${i} has malformed keypoints`);
+    }
+  });
+
+  // The player runs until durationMs, so it has to cover the frames
+  if (!Number.isFinite(session.durationMs) || session.durationMs < previousT) {
+    errors.push('Session is missing a valid durationMs');
+  }
+
+  return errors.slice(0, 10);
+};
+
+export const isSessionFile = (file) =>
+  file.type === 'application/json' || file.name.toLowerCase().endsWith('.json');
+
+export const readSessionFile = async (file) => {
+  let session;
+  try {
+    session = JSON.parse(await file.text());
+  } catch (err) {
+    throw new Error(`${file.name} is not valid JSON.`);
+  }
+  const errors = validateSession(session);
+  if (errors.length > 0) {
+    throw new Error(`Invalid pose session:\n- ${errors.join('\n- ')}`);
+  }
+  return session;
+};
+
+// Back to the PoseNet keypoint shape the rest of the pipeline expects.
+export const sessionFrameToKeypoints = (frame) => frame.keypoints.map(kp => ({
+  part: kp.part,
+  score: kp.score,
+  position: { x: kp.x, y: kp.y },
+}));
+
+// Index of the last frame at or before time t (ms).
+export const frameIndexAt = (frames, t) => {
+  let low = 0;
+  let high = frames.length - 1;
+  if (high < 0 || t < frames[0].t) return 0;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (frames[mid].t <= t) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+// Wall-clock playback over a session with play, pause and seek.
+export const createSessionPlayer = (session, { now = () => performance.now() } = {}) => {
+  const duration = session.durationMs;
+  let offset = 0;
+  let startedAt = null;
+
+  const currentTime = () => {
+    if (startedAt === null) return offset;
+    const t = offset + (now() - startedAt);
+    if (t >= duration) {
+      offset = duration;
+      startedAt = null;
+      return duration;
+    }
+    return t;
+  };
+
+  const play = () => {
+    if (startedAt !== null) return;
+    if (offset >= duration) offset = 0;
+    startedAt = now();
+  };
+
+  const pause = () => {
+    offset = currentTime();
+    startedAt = null;
+  };
+
+  const seek = (t) => {
+    offset = Math.min(Math.max(t, 0), duration);
+    if (startedAt !== null) startedAt = now();
+  };
+
+  const frameAt = () => {
+    const index = frameIndexAt(session.frames, currentTime());
+    return { index, frame: session.frames[index] };
+  };
+
+  return {
+    play,
+    pause,
+    seek,
+    frameAt,
+    currentTime,
+    duration: () => duration,
+    isPlaying: () => {
+      currentTime();
+      return startedAt !== null;
+    },
+  };
+};
@@ -0,0 +1,85 @@
+import {
+  createSessionPlayer,
+  createSessionRecorder,
+  frameIndexAt,
+  sessionFrameToKeypoints,
+  validateSession,
+} from './poseSession';
+
+const pose = (x) => ({
+  score: 0.9,
+  keypoints: [{ part: 'nose', score: 0.95, position: { x, y: 50 } }],
+});
+
+const clock = () => {
+  let time = 0;
+  const now = () => time;
+  now.advance = (ms) => {
+    time += ms;
+  };
+  return now;
+};
+
+test('records timestamped frames that round-trip back to keypoints', () => {
+  const now = clock();
+  const recorder = createSessionRecorder({ model: { architecture: 'MobileNetV1' }, frameSize: { width: 640, height: 480 }, now });
+
+  recorder.addFrame(pose(100));
+  now.advance(33.3);
+  recorder.addFrame(pose(110.123));
+  const session = recorder.finish();
+
+  expect(validateSession(session)).toEqual([]);
+  expect(session.durationMs).toBe(33.3);
+  expect(sessionFrameToKeypoints(session.frames[1])).toEqual([
+    { part: 'nose', score: 0.95, position: { x: 110.12, y: 50 } },
+  ]);
+});
+
+test('rejects files that are not pose sessions', () => {
+  expect(validateSession({ format: 'something-else', version: 1, frames: [] })).toEqual([
+    'Not a pose session (format "something-else")',
+    'Session is missing a valid frameSize',
+    'Session has no frames',
+  ]);
+});
+
+test('rejects sessions the player could not finish', () => {
+  const recorder = createSessionRecorder({ model: {}, frameSize: { width: 640, height: 480 }, now: clock() });
+  recorder.addFrame(pose(100));
+  const session = recorder.finish();
+
+  expect(validateSession({ ...session, durationMs: undefined })).toEqual(['Session is missing a valid durationMs']);
+  expect(validateSession({ ...session, durationMs: Infinity })).toEqual(['Session is missing a valid durationMs']);
+  expect(validateSession({ ...session, durationMs: -1 })).toEqual(['Session is missing a valid durationMs']);
+});
+
+test('finds the frame shown at a given time', () => {
+  const frames = [{ t: 0 }, { t: 30 }, { t: 60 }];
+
+  expect(frameIndexAt(frames, 0)).toBe(0);
+  expect(frameIndexAt(frames, 45)).toBe(1);
+  expect(frameIndexAt(frames, 1000)).toBe(2);
+});
+
+test('player supports play, pause, seek and stops at the end', () => {
+  const now = clock();
+  const session = { durationMs: 60, frames: [{ t: 0 }, { t: 30 }, { t: 60 }] };
+  const player = createSessionPlayer(session, { now });
+
+  player.play();
+  now.advance(40);
+  expect(player.frameAt().index).toBe(1);
+
+  player.pause();
+  now.advance(100);
+  expect(player.currentTime()).toBe(40);
+
+  player.seek(0);
+  expect(player.frameAt().index).toBe(0);
+
+  player.play();
+  now.advance(500);
+  expect(player.frameAt().index).toBe(2);
+  expect(player.isPlaying()).toBe(false);
+});
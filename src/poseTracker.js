@@ -0,0 +1,84 @@
+// Gives every detected body an id that stays with that person across frames,
+// so smoothing, movement analysis and the garment never jump between people.
+//
+// Each frame's poses are matched to the existing tracks greedily, closest
+// first, by the mean distance between keypoints both poses are confident
+// about, relative to the track's body size. A track that goes unmatched for
+// more than maxMissedFrames frames is dropped; ids are never reused.
+
+const MIN_SHARED_KEYPOINTS = 3;
+
+const confident = (kp, threshold) => kp && kp.score >= threshold;
+
+// Diagonal of the bounding box of the confident keypoints.
+const bodySize = (keypoints, threshold) => {
+  const points = keypoints.filter(kp => confident(kp, threshold)).map(kp => kp.position);
+  if (points.length < 2) return 1;
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  return Math.max(1, Math.hypot(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)));
+};
+
+export const poseDistance = (from, to, threshold) => {
+  let sum = 0;
+  let shared = 0;
+  from.forEach((kp, i) => {
+    if (!confident(kp, threshold) || !confident(to[i], threshold)) return;
+    sum += Math.hypot(kp.position.x - to[i].position.x, kp.position.y - to[i].position.y);
+    shared++;
+  });
+  if (shared < MIN_SHARED_KEYPOINTS) return Infinity;
+  return sum / shared / bodySize(from, threshold);
+};
+
+export const createPoseTracker = ({ confidenceThreshold = 0.5, maxDistance = 0.5, maxMissedFrames = 10 } = {}) => {
+  let tracks = [];
+  let nextId = 1;
+
+  // poses: [{ score, keypoints }] -> [{ id, score, keypoints }] sorted by id.
+  const update = (poses) => {
+    const pairs = [];
+    tracks.forEach((track, t) => {
+      poses.forEach((pose, p) => {
+        const distance = poseDistance(track.keypoints, pose.keypoints, confidenceThreshold);
+        if (distance <= maxDistance) pairs.push({ t, p, distance });
+      });
+    });
+    pairs.sort((a, b) => a.distance - b.distance);
+
+    const matched = new Map();
+    const usedTracks = new Set();
+    pairs.forEach(({ t, p }) => {
+      if (usedTracks.has(t) || matched.has(p)) return;
+      usedTracks.add(t);
+      matched.set(p, tracks[t]);
+    });
+    tracks.forEach((track, t) => {
+      if (!usedTracks.has(t)) track.missed++;
+    });
+
+    const people = poses.map((pose, p) => {
+      let track = matched.get(p);
+      if (!track) {
+        track = { id: nextId++ };
+        tracks.push(track);
+      }
+      track.keypoints = pose.keypoints;
+      track.missed = 0;
+      return { id: track.id, score: pose.score, keypoints: pose.keypoints };
+    });
+
+    tracks = tracks.filter(track => track.missed <= maxMissedFrames);
+    return people.sort((a, b) => a.id - b.id);
+  };
+
+  return {
+    update,
+    // Ids still being tracked, including people briefly out of view.
+    activeIds: () => tracks.map(track => track.id),
+    reset: () => {
+      tracks = [];
+      nextId = 1;
+    },
+  };
+};
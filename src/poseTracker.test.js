@@ -0,0 +1,39 @@
+import { createPoseTracker } from './poseTracker';
+
+// A five-keypoint stick figure standing at x.
+const person = (x, y = 100) => ({
+  score: 0.9,
+  keypoints: [0, 40, 80, 120, 160].map((dy, i) => ({
+    part: `kp${i}`,
+    score: 0.9,
+    position: { x: x + (i % 2) * 30, y: y + dy },
+  })),
+});
+
+test('keeps ids with the same people when they swap places in the pose list', () => {
+  const tracker = createPoseTracker();
+
+  const first = tracker.update([person(100), person(400)]);
+  expect(first.map(p => p.id)).toEqual([1, 2]);
+
+  // Model order flips and both move a little
+  const second = tracker.update([person(410), person(95)]);
+  expect(second.find(p => p.keypoints[0].position.x === 95).id).toBe(1);
+  expect(second.find(p => p.keypoints[0].position.x === 410).id).toBe(2);
+});
+
+test('remembers a person who drops out briefly, then forgets them', () => {
+  const tracker = createPoseTracker({ maxMissedFrames: 2 });
+  tracker.update([person(100), person(400)]);
+
+  tracker.update([person(100)]);
+  expect(tracker.activeIds()).toEqual([1, 2]);
+  expect(tracker.update([person(100), person(405)]).map(p => p.id)).toEqual([1, 2]);
+
+  tracker.update([person(100)]);
+  tracker.update([person(100)]);
+  tracker.update([person(100)]);
+  expect(tracker.activeIds()).toEqual([1]);
+  // Someone appearing later gets a fresh id
+  expect(tracker.update([person(100), person(400)]).map(p => p.id)).toEqual([1, 3]);
+});
@@ -0,0 +1,41 @@
+/* eslint-disable no-restricted-globals */
+import * as tf from '@tensorflow/tfjs';
+import { createInThreadInference } from './inThreadInference';
+import { selectBackend } from './tfBackend';
+
+// Pose worker: runs the same inference as the main thread, against frames
+// posted by poseWorkerClient.js. WebGL renders on an OffscreenCanvas here, and
+// the segmentation masks are turned into ImageBitmaps so the main thread only
+// has to draw them.
+
+const inference = createInThreadInference();
+
+const toBitmap = (mask) => (mask ? createImageBitmap(mask) : null);
+
+const handlers = {
+  // Only WebGL is worth a worker; without it the main thread takes over and
+  // falls back from there.
+  init: () => selectBackend(tf, ['webgl']),
+  loadEstimator: ({ estimatorId, overrides }) => inference.loadEstimator(estimatorId, overrides),
+  loadSegmenter: ({ overrides }) => inference.loadSegmenter(overrides),
+  infer: async ({ bitmap, options }) => {
+    try {
+      const { poses, masks } = await inference.infer(bitmap, options);
+      if (!masks) return { poses, masks };
+      const bitmaps = await Promise.all(Object.entries(masks).map(async ([key, mask]) => [key, await toBitmap(mask)]));
+      return { poses, masks: Object.fromEntries(bitmaps) };
+    } finally {
+      bitmap.close();
+    }
+  },
+};
+
+self.onmessage = async ({ data }) => {
+  try {
+    const result = await handlers[data.type](data);
+    const transfer = result && result.masks ? Object.values(result.masks).filter(Boolean) : [];
+    self.postMessage({ id: data.id, result }, transfer);
+  } catch (err) {
+    self.postMessage({ id: data.id, error: err.message });
+  }
+};
@@ -0,0 +1,60 @@
+// Main-thread side of poseWorker.js, with the same interface as
+// createInThreadInference(). Frames are sent as transferred ImageBitmaps so
+// nothing is copied; keypoints and mask bitmaps come back the same way.
+//
+// Kept apart from poseInference.js and loaded on demand, since bundling the
+// worker needs import.meta.url.
+
+export const createWorkerInference = async () => {
+  const worker = new Worker(new URL('./poseWorker.js', import.meta.url));
+  const pending = new Map();
+  let nextId = 0;
+
+  const failAll = (error) => {
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+  };
+
+  worker.onmessage = ({ data }) => {
+    const call = pending.get(data.id);
+    if (!call) return;
+    pending.delete(data.id);
+    if (data.error) call.reject(new Error(data.error));
+    else call.resolve(data.result);
+  };
+  worker.onerror = (event) => {
+    event.preventDefault();
+    failAll(new Error(event.message || 'Pose worker crashed'));
+  };
+
+  const call = (type, payload = {}, transfer = []) => new Promise((resolve, reject) => {
+    const id = ++nextId;
+    pending.set(id, { resolve, reject });
+    worker.postMessage({ id, type, ...payload }, transfer);
+  });
+
+  // The worker only starts on WebGL; anything slower runs better on the main thread
+  let backend;
+  try {
+    ({ backend } = await call('init'));
+  } catch (err) {
+    worker.terminate();
+    throw err;
+  }
+
+  return {
+    mode: 'worker',
+    backend,
+    failed: [],
+    loadEstimator: (estimatorId, overrides) => call('loadEstimator', { estimatorId, overrides }),
+    loadSegmenter: (overrides) => call('loadSegmenter', { overrides }),
+    infer: async (frame, options) => {
+      const bitmap = await createImageBitmap(frame);
+      return call('infer', { bitmap, options }, [bitmap]);
+    },
+    dispose: () => {
+      failAll(new Error('Pose worker disposed'));
+      worker.terminate();
+    },
+  };
+};
@@ -0,0 +1,202 @@
+import { useEffect, useState } from 'react';
+import { MEASUREMENTS } from './bodyMeasurements';
+import { GARMENT_CATEGORIES } from './garmentCatalog';
+
+// Per-brand size charts (public/size-charts/size-charts.json):
+//
+// {
+//   "version": 1,
+//   "unit": "cm",
+//   "brands": [{
+//     "id": "vogue-basics", "name": "Vogue Basics",
+//     "charts": {
+//       "top": [{ "size": "M", "shoulderWidth": [39, 42], "torsoLength": [46, 50] }, ...]
+//     }
+//   }]
+// }
+//
+// Each size lists the body measurement ranges (see bodyMeasurements) it is cut
+// for. Sizes are ordered smallest to largest; names can be letters or numbers.
+
+export const DEFAULT_SIZE_CHARTS_URL = `${process.env.PUBLIC_URL}/size-charts/size-charts.json`;
+
+// Width dimensions read as tight/loose, length dimensions as short/long.
+const DIMENSIONS = {
+  shoulderWidth: { kind: 'width', area: 'shoulders' },
+  hipWidth: { kind: 'width', area: 'hips' },
+  torsoLength: { kind: 'length', area: 'torso' },
+  armLength: { kind: 'length', area: 'sleeves' },
+  inseam: { kind: 'length', area: 'inseam' },
+};
+
+// Scores within this much of the best are reported as a close call.
+const BORDERLINE_MARGIN = 0.25;
+
+const isRange = (value) =>
+  Array.isArray(value) &&
+  value.length === 2 &&
+  value.every(v => typeof v === 'number' && Number.isFinite(v)) &&
+  value[0] < value[1];
+
+export const validateSizeCharts = (manifest) => {
+  const errors = [];
+
+  if (!manifest || typeof manifest !== 'object') return ['Size charts must be a JSON object'];
+  if (manifest.unit && manifest.unit !== 'cm') errors.push(`Unsupported unit "${manifest.unit}" (only cm)`);
+  if (!Array.isArray(manifest.brands)) return [...errors, 'Size charts are missing a "brands" array'];
+
+  manifest.brands.forEach((brand, i) => {
+    const label = brand && brand.id ? `Brand "${brand.id}"` : `Brand #${i}`;
+    if (!brand || typeof brand.id !== 'string' || !brand.id) {
+      errors.push(`${label} is missing an id`);
+      return;
+    }
+    if (!brand.charts || typeof brand.charts !== 'object') {
+      errors.push(`${label} is missing charts`);
+      return;
+    }
+
+    Object.entries(brand.charts).forEach(([category, sizes]) => {
+      const chartLabel = `${label} ${category} chart`;
+      if (!GARMENT_CATEGORIES.includes(category)) {
+        errors.push(`${chartLabel} has an unknown category`);
+      }
+      if (!Array.isArray(sizes) || sizes.length === 0) {
+        errors.push(`${chartLabel} needs at least one size`);
+        return;
+      }
+      sizes.forEach((entry, j) => {
+        if (!entry || typeof entry.size !== 'string' || !entry.size) {
+          errors.push(`${chartLabel} row #${j} is missing a size name`);
+          return;
+        }
+        const dimensions = Object.keys(entry).filter(key => key !== 'size');
+        if (dimensions.length === 0) errors.push(`${chartLabel} size ${entry.size} has no measurements`);
+        dimensions.forEach(key => {
+          if (!DIMENSIONS[key]) errors.push(`${chartLabel} size ${entry.size} has unknown measurement "${key}"`);
+          else if (!isRange(entry[key])) errors.push(`${chartLabel} size ${entry.size} ${key} must be [min, max]`);
+        });
+      });
+    });
+  });
+
+  return errors;
+};
+
+const chartsCache = new Map();
+
+export const loadSizeCharts = (url = DEFAULT_SIZE_CHARTS_URL) => {
+  if (chartsCache.has(url)) return chartsCache.get(url);
+
+  const promise = Promise.resolve()
+    .then(() => fetch(url))
+    .then(response => {
+      if (!response.ok) throw new Error(`Size chart request failed (${response.status})`);
+      return response.json();
+    })
+    .then(manifest => {
+      const errors = validateSizeCharts(manifest);
+      if (errors.length > 0) {
+        throw new Error(`Invalid size charts:\n- ${errors.join('\n- ')}`);
+      }
+      return manifest.brands.reduce((acc, brand) => {
+        acc[brand.id] = { id: brand.id, name: brand.name || brand.id, charts: brand.charts };
+        return acc;
+      }, {});
+    })
+    .catch(err => {
+      chartsCache.delete(url);
+      throw err;
+    });
+
+  chartsCache.set(url, promise);
+  return promise;
+};
+
+export const useSizeCharts = (url = DEFAULT_SIZE_CHARTS_URL) => {
+  const [brands, setBrands] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadSizeCharts(url)
+      .then(result => {
+        if (!cancelled) {
+          setBrands(result);
+          setError(null);
+        }
+      })
+      .catch(err => {
+        console.error('Error loading size charts:', err);
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  return { brands, error };
+};
+
+// How one body measurement sits in one size's range. `deviation` is the
+// distance outside the range in units of the range width (0 inside it).
+const fitDimension = (key, bodyCm, [min, max]) => {
+  const { kind, area } = DIMENSIONS[key];
+  const width = max - min;
+
+  if (bodyCm > max) {
+    return { dimension: key, area, deltaCm: bodyCm - max, deviation: (bodyCm - max) / width, status: kind === 'width' ? 'tight' : 'short' };
+  }
+  if (bodyCm < min) {
+    return { dimension: key, area, deltaCm: bodyCm - min, deviation: (min - bodyCm) / width, status: kind === 'width' ? 'loose' : 'long' };
+  }
+  return { dimension: key, area, deltaCm: 0, deviation: 0, status: 'good' };
+};
+
+// "tight at shoulders, short in the sleeves" style summary of a size.
+export const describeFit = (fits) => {
+  const issues = fits.filter(f => f.status !== 'good');
+  if (issues.length === 0) return 'Good fit everywhere';
+  return issues
+    .map(f => (f.status === 'tight' || f.status === 'loose' ? `${f.status} at ${f.area}` : `${f.status} in the ${f.area}`))
+    .join(', ');
+};
+
+// Picks the size whose ranges best contain the body measurements.
+// `measurements` maps dimension keys to centimetres (missing ones are skipped).
+// Returns null when the chart shares no measurable dimension with the body.
+export const recommendSize = (chart, measurements) => {
+  if (!Array.isArray(chart) || chart.length === 0 || !measurements) return null;
+
+  const ranked = chart.map((entry, order) => {
+    const fits = Object.keys(DIMENSIONS)
+      .filter(key => entry[key] && typeof measurements[key] === 'number')
+      .map(key => fitDimension(key, measurements[key], entry[key]));
+    const score = fits.reduce((sum, f) => sum + f.deviation * f.deviation, 0);
+    return { size: entry.size, order, fits, score, summary: describeFit(fits) };
+  });
+
+  if (ranked.every(r => r.fits.length === 0)) return null;
+
+  // Lowest score wins; on a tie prefer the larger size, which is the easier one to wear.
+  const sorted = [...ranked].sort((a, b) => a.score - b.score || b.order - a.order);
+  const [best, runnerUp] = sorted;
+
+  return {
+    ...best,
+    borderline: !!runnerUp && runnerUp.score - best.score <= BORDERLINE_MARGIN,
+    alternatives: ranked,
+  };
+};
+
+// Flattens a measurement summary (see createMeasurementAccumulator) to means.
+export const measurementMeans = (summary) => {
+  if (!summary) return null;
+  const means = {};
+  Object.keys(MEASUREMENTS).forEach(key => {
+    if (summary.values[key]) means[key] = summary.values[key].mean;
+  });
+  return Object.keys(means).length > 0 ? means : null;
+};
@@ -0,0 +1,39 @@
+import { describeFit, recommendSize, validateSizeCharts } from './sizeRecommender';
+
+const chart = [
+  { size: 'S', shoulderWidth: [36, 39], torsoLength: [44, 48] },
+  { size: 'M', shoulderWidth: [39, 42], torsoLength: [46, 50] },
+  { size: 'L', shoulderWidth: [42, 45], torsoLength: [48, 52] },
+];
+
+test('recommends the size whose ranges contain the measurements', () => {
+  const result = recommendSize(chart, { shoulderWidth: 40.5, torsoLength: 47 });
+
+  expect(result.size).toBe('M');
+  expect(result.summary).toBe('Good fit everywhere');
+  expect(result.alternatives).toHaveLength(3);
+});
+
+test('explains the fit of each dimension', () => {
+  const result = recommendSize(chart, { shoulderWidth: 43, torsoLength: 47 });
+  const small = result.alternatives.find(option => option.size === 'S');
+
+  expect(describeFit(small.fits)).toBe('tight at shoulders');
+  expect(describeFit(result.alternatives.find(option => option.size === 'L').fits)).toBe('long in the torso');
+});
+
+test('skips measurements that were not captured', () => {
+  expect(recommendSize(chart, { inseam: 80 })).toBeNull();
+  expect(recommendSize(chart, { shoulderWidth: 37 }).size).toBe('S');
+});
+
+test('validates chart ranges and measurement names', () => {
+  const errors = validateSizeCharts({
+    brands: [{ id: 'acme', charts: { top: [{ size: 'M', shoulderWidth: [42, 39], waist: [1, 2] }] } }],
+  });
+
+  expect(errors).toEqual([
+    'Brand "acme" top chart size M shoulderWidth must be [min, max]',
+    'Brand "acme" top chart size M has unknown measurement "waist"',
+  ]);
+});
@@ -0,0 +1,13 @@
+// Shared by the tests: a person facing the camera, shoulders 100px apart and
+// arms hanging straight, as 17 PoseNet keypoints. overrides replaces points
+// by keypoint index with [x, y].
+export const STANDING_POINTS = [
+  [250, 120], [260, 110], [240, 110], [270, 115], [230, 115],
+  [300, 200], [200, 200], [300, 270], [200, 270], [300, 340], [200, 340],
+  [280, 350], [220, 350], [280, 450], [220, 450], [280, 550], [220, 550],
+];
+
+export const body = (overrides = {}) => STANDING_POINTS.map((point, i) => {
+  const [x, y] = overrides[i] || point;
+  return { score: 0.9, position: { x, y } };
+});
@@ -0,0 +1,57 @@
+// TF.js backend selection. Rather than whatever TF.js registers first, the
+// worker and the main thread each take the first backend in order that
+// actually starts, and remember why the others didn't:
+//
+//   const { backend, failed } = await selectBackend(tf);
+//   // { backend: 'wasm', failed: [{ backend: 'webgl', reason: '...' }] }
+
+export const BACKEND_ORDER = ['webgl', 'wasm', 'cpu'];
+
+export const BACKENDS = {
+  webgl: { label: 'WebGL', speed: 'GPU' },
+  wasm: { label: 'WebAssembly', speed: 'a few times slower than WebGL' },
+  cpu: { label: 'CPU', speed: 'much slower than WebGL' },
+};
+
+const WASM_CDN = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm';
+
+// The WASM backend is only fetched when WebGL fails. Its binaries come from
+// REACT_APP_TFJS_WASM_PATH when set, otherwise the CDN.
+let wasmRegistered = null;
+const registerWasm = () => {
+  if (!wasmRegistered) {
+    wasmRegistered = import('@tensorflow/tfjs-backend-wasm').then(wasm => {
+      wasm.setWasmPaths(process.env.REACT_APP_TFJS_WASM_PATH || `${WASM_CDN}@${wasm.version_wasm}/dist/`);
+    });
+  }
+  return wasmRegistered;
+};
+
+// tf: the TF.js namespace to configure. Throws when no backend starts.
+export const selectBackend = async (tf, order = BACKEND_ORDER) => {
+  const failed = [];
+  for (const backend of order) {
+    try {
+      if (backend === 'wasm') await registerWasm();
+      // Resolves false when the backend can't initialize on this device
+      if (await tf.setBackend(backend)) {
+        await tf.ready();
+        return { backend, failed };
+      }
+      failed.push({ backend, reason: 'not supported on this device' });
+    } catch (err) {
+      failed.push({ backend, reason: err.message });
+    }
+  }
+  throw new Error(`No TF.js backend could start (${failed.map(f => `${f.backend}: ${f.reason}`).join('; ')})`);
+};
+
+const labelOf = (backend) => (BACKENDS[backend] ? BACKENDS[backend].label : backend);
+
+// What to tell the user when the preferred backend wasn't available, or null.
+export const describeFallback = ({ backend, failed = [] }) => {
+  if (failed.length === 0) return null;
+  const skipped = failed.map(f => labelOf(f.backend)).join(' and ');
+  const speed = BACKENDS[backend] ? `, ${BACKENDS[backend].speed}` : '';
+  return `${skipped} unavailable (${failed[0].reason}). Tracking runs on ${labelOf(backend)}${speed}.`;
+};
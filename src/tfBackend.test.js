@@ -0,0 +1,34 @@
+import { describeFallback, selectBackend } from './tfBackend';
+
+jest.mock('@tensorflow/tfjs-backend-wasm', () => ({ setWasmPaths: jest.fn(), version_wasm: '4.22.0' }));
+
+const fakeTf = (working) => ({
+  setBackend: jest.fn(async (name) => {
+    if (name === 'broken') throw new Error('context lost');
+    return working.includes(name);
+  }),
+  ready: jest.fn(async () => {}),
+});
+
+test('takes the first backend that starts and records the others', async () => {
+  const tf = fakeTf(['wasm', 'cpu']);
+
+  const selected = await selectBackend(tf, ['broken', 'webgl', 'wasm', 'cpu']);
+
+  expect(selected.backend).toBe('wasm');
+  expect(selected.failed).toEqual([
+    { backend: 'broken', reason: 'context lost' },
+    { backend: 'webgl', reason: 'not supported on this device' },
+  ]);
+  expect(tf.setBackend).not.toHaveBeenCalledWith('cpu');
+});
+
+test('fails when nothing starts', async () => {
+  await expect(selectBackend(fakeTf([]), ['webgl'])).rejects.toThrow('No TF.js backend could start');
+});
+
+test('only notifies about a fallback', () => {
+  expect(describeFallback({ backend: 'webgl', failed: [] })).toBeNull();
+  expect(describeFallback({ backend: 'cpu', failed: [{ backend: 'webgl', reason: 'no GPU' }, { backend: 'wasm', reason: 'x' }] }))
+    .toMatch(/^WebGL and WebAssembly unavailable \(no GPU\)\. Tracking runs on CPU/);
+});
@@ -0,0 +1,218 @@
+// Tracker tuning, changeable while running and saved as named profiles.
+//
+// Settings look like
+//   { estimator, model, confidenceThreshold, movementThreshold, frameSkip, smoothing }
+// where model overrides the estimator's load config (only the options in
+// MODEL_OPTIONS, i.e. PoseNet's) and smoothing is a keypointFilters setting.
+// Profiles are { name: settings }, kept in localStorage with the current
+// settings and exported as { version, profiles }.
+import { useCallback, useEffect, useState } from 'react';
+import { DEFAULT_ESTIMATOR, ESTIMATORS } from './poseEstimators';
+import { DEFAULT_SMOOTHING, SMOOTHING_FILTERS, smoothingFor } from './keypointFilters';
+
+const STORAGE_KEY = 'ar-tryon-tracker-settings';
+const EXPORT_VERSION = 1;
+
+export const TRACKER_PARAMS = {
+  confidenceThreshold: { label: 'Confidence threshold', min: 0.1, max: 0.9, step: 0.05 },
+  movementThreshold: { label: 'Movement threshold (px)', min: 5, max: 60, step: 1 },
+  frameSkip: { label: 'Analyze every N frames', min: 1, max: 30, step: 1 },
+};
+
+const RESOLUTIONS = [
+  { width: 320, height: 240 },
+  { width: 480, height: 360 },
+  { width: 640, height: 480 },
+  { width: 800, height: 600 },
+];
+
+// PoseNet load options with the values each architecture has weights for.
+export const MODEL_OPTIONS = {
+  outputStride: { label: 'Output stride', values: { MobileNetV1: [8, 16], ResNet50: [16, 32] } },
+  multiplier: { label: 'Multiplier', values: { MobileNetV1: [0.5, 0.75, 1] } },
+  quantBytes: { label: 'Quantization (bytes)', values: { MobileNetV1: [1, 2, 4], ResNet50: [1, 2, 4] } },
+  inputResolution: { label: 'Input resolution', values: { MobileNetV1: RESOLUTIONS, ResNet50: RESOLUTIONS } },
+};
+
+// Estimator per PoseNet architecture, so the architecture can be picked too.
+export const POSENET_ARCHITECTURES = {
+  MobileNetV1: 'posenet-mobilenet',
+  ResNet50: 'posenet-resnet50',
+};
+
+export const DEFAULT_TRACKER_SETTINGS = {
+  estimator: DEFAULT_ESTIMATOR,
+  model: {},
+  confidenceThreshold: 0.5,
+  movementThreshold: 15,
+  frameSkip: 5,
+  smoothing: DEFAULT_SMOOTHING,
+};
+
+export const BUILTIN_PROFILES = {
+  Default: DEFAULT_TRACKER_SETTINGS,
+  'Low-end laptop': {
+    ...DEFAULT_TRACKER_SETTINGS,
+    model: { multiplier: 0.5, inputResolution: { width: 320, height: 240 } },
+    confidenceThreshold: 0.4,
+    movementThreshold: 20,
+    frameSkip: 10,
+    smoothing: smoothingFor('average'),
+  },
+  'Kiosk accuracy': {
+    ...DEFAULT_TRACKER_SETTINGS,
+    estimator: 'posenet-resnet50',
+    model: { outputStride: 16, quantBytes: 4, inputResolution: { width: 800, height: 600 } },
+    confidenceThreshold: 0.6,
+    frameSkip: 2,
+  },
+};
+
+const sortedKeys = (value) => (value && typeof value === 'object' && !Array.isArray(value)
+  ? Object.fromEntries(Object.keys(value).sort().map(key => [key, sortedKeys(value[key])]))
+  : value);
+
+// Deep equality for settings and option values (resolutions are objects).
+export const sameSettings = (a, b) => JSON.stringify(sortedKeys(a)) === JSON.stringify(sortedKeys(b));
+
+// [key, option, allowed values] for every load option the estimator has.
+export const modelOptionsFor = (estimator) => {
+  const { architecture } = ESTIMATORS[estimator].config;
+  return Object.entries(MODEL_OPTIONS)
+    .filter(([, option]) => option.values[architecture])
+    .map(([key, option]) => [key, option, option.values[architecture]]);
+};
+
+// The estimator's load config with the settings' overrides applied.
+export const modelConfig = ({ estimator, model }) => ({ ...ESTIMATORS[estimator].config, ...model });
+
+const clampParam = (key, value) => {
+  const { min, max } = TRACKER_PARAMS[key];
+  return typeof value === 'number' && Number.isFinite(value)
+    ? Math.min(max, Math.max(min, value))
+    : DEFAULT_TRACKER_SETTINGS[key];
+};
+
+const normalizeSmoothing = (smoothing) => {
+  if (!smoothing || !SMOOTHING_FILTERS[smoothing.type]) return DEFAULT_SMOOTHING;
+  const defaults = smoothingFor(smoothing.type);
+  const groups = Object.fromEntries(Object.entries(defaults.groups).map(([group, params]) => [
+    group,
+    Object.fromEntries(Object.entries(params).map(([param, value]) => {
+      const stored = smoothing.groups && smoothing.groups[group] && smoothing.groups[group][param];
+      return [param, typeof stored === 'number' ? stored : value];
+    })),
+  ]));
+  return {
+    type: smoothing.type,
+    predictMs: typeof smoothing.predictMs === 'number' ? smoothing.predictMs : defaults.predictMs,
+    groups,
+  };
+};
+
+// Fills in defaults and drops anything unknown or out of range (e.g. from an
+// older version or a hand-edited file).
+export const normalizeSettings = (raw) => {
+  const source = raw || {};
+  const estimator = ESTIMATORS[source.estimator] ? source.estimator : DEFAULT_TRACKER_SETTINGS.estimator;
+  const model = {};
+  modelOptionsFor(estimator).forEach(([key, , values]) => {
+    const value = source.model && source.model[key];
+    const allowed = values.find(v => sameSettings(v, value));
+    if (allowed !== undefined) model[key] = allowed;
+  });
+  return {
+    estimator,
+    model,
+    confidenceThreshold: clampParam('confidenceThreshold', source.confidenceThreshold),
+    movementThreshold: clampParam('movementThreshold', source.movementThreshold),
+    frameSkip: Math.round(clampParam('frameSkip', source.frameSkip)),
+    smoothing: normalizeSmoothing(source.smoothing),
+  };
+};
+
+export const exportProfiles = (profiles) => ({ version: EXPORT_VERSION, profiles });
+
+// Parses an exported file. Throws when it holds no profiles.
+export const parseProfiles = (text) => {
+  const data = JSON.parse(text);
+  if (!data || typeof data.profiles !== 'object' || data.profiles === null || Array.isArray(data.profiles)) {
+    throw new Error('Not a tracker profiles file');
+  }
+  const entries = Object.entries(data.profiles).filter(([name, settings]) => name.trim() && settings);
+  if (entries.length === 0) throw new Error('The file has no profiles');
+  return Object.fromEntries(entries.map(([name, settings]) => [name.trim(), normalizeSettings(settings)]));
+};
+
+const initialState = () => ({
+  current: DEFAULT_TRACKER_SETTINGS,
+  active: 'Default',
+  profiles: { ...BUILTIN_PROFILES },
+});
+
+export const loadTrackerSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!stored) return initialState();
+    const profiles = Object.fromEntries(Object.entries(stored.profiles || {})
+      .map(([name, settings]) => [name, normalizeSettings(settings)]));
+    return {
+      current: normalizeSettings(stored.current),
+      active: profiles[stored.active] ? stored.active : null,
+      profiles,
+    };
+  } catch (err) {
+    return initialState();
+  }
+};
+
+export const saveTrackerSettings = (state) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch (err) {
+    console.warn('⚠️ Could not save tracker settings:', err);
+  }
+};
+
+// active is the profile last applied or saved; the current settings may
+// have been changed since.
+export const useTrackerSettings = () => {
+  const [state, setState] = useState(loadTrackerSettings);
+
+  useEffect(() => saveTrackerSettings(state), [state]);
+
+  const update = useCallback((changes) => {
+    setState(prev => ({ ...prev, current: { ...prev.current, ...changes } }));
+  }, []);
+
+  const applyProfile = useCallback((name) => {
+    setState(prev => (prev.profiles[name] ? { ...prev, current: prev.profiles[name], active: name } : prev));
+  }, []);
+
+  const saveProfile = useCallback((name) => {
+    setState(prev => ({ ...prev, active: name, profiles: { ...prev.profiles, [name]: prev.current } }));
+  }, []);
+
+  const deleteProfile = useCallback((name) => {
+    setState(prev => {
+      const { [name]: deleted, ...profiles } = prev.profiles;
+      return { ...prev, active: prev.active === name ? null : prev.active, profiles };
+    });
+  }, []);
+
+  // Imported profiles replace saved ones of the same name.
+  const importProfiles = useCallback((imported) => {
+    setState(prev => ({ ...prev, profiles: { ...prev.profiles, ...imported } }));
+  }, []);
+
+  return {
+    settings: state.current,
+    profiles: state.profiles,
+    active: state.active,
+    update,
+    applyProfile,
+    saveProfile,
+    deleteProfile,
+    importProfiles,
+  };
+};
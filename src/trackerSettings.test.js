@@ -0,0 +1,65 @@
+import {
+  BUILTIN_PROFILES,
+  DEFAULT_TRACKER_SETTINGS,
+  exportProfiles,
+  modelConfig,
+  modelOptionsFor,
+  normalizeSettings,
+  parseProfiles,
+  sameSettings
+} from './trackerSettings';
+
+test('built-in profiles survive normalization unchanged', () => {
+  Object.values(BUILTIN_PROFILES).forEach(profile => {
+    expect(sameSettings(normalizeSettings(profile), profile)).toBe(true);
+  });
+});
+
+test('fills in defaults and drops unknown or out-of-range values', () => {
+  const settings = normalizeSettings({
+    estimator: 'nope',
+    model: { outputStride: 8, multiplier: 0.3 },
+    confidenceThreshold: 5,
+    frameSkip: 'fast',
+    smoothing: { type: 'kalman', groups: { arms: { processNoise: 8000 } } },
+  });
+
+  expect(settings.estimator).toBe(DEFAULT_TRACKER_SETTINGS.estimator);
+  expect(settings.model).toEqual({ outputStride: 8 });
+  expect(settings.confidenceThreshold).toBe(0.9);
+  expect(settings.frameSkip).toBe(DEFAULT_TRACKER_SETTINGS.frameSkip);
+  expect(settings.movementThreshold).toBe(DEFAULT_TRACKER_SETTINGS.movementThreshold);
+  expect(settings.smoothing.type).toBe('kalman');
+  expect(settings.smoothing.groups.arms.processNoise).toBe(8000);
+  expect(settings.smoothing.groups.legs.processNoise).toBeGreaterThan(0);
+});
+
+test('only offers load options the architecture has weights for', () => {
+  expect(modelOptionsFor('posenet-mobilenet').map(([key]) => key))
+    .toEqual(['outputStride', 'multiplier', 'quantBytes', 'inputResolution']);
+  expect(modelOptionsFor('posenet-resnet50').map(([key]) => key))
+    .toEqual(['outputStride', 'quantBytes', 'inputResolution']);
+  expect(modelOptionsFor('movenet-lightning')).toEqual([]);
+  expect(normalizeSettings({ estimator: 'posenet-resnet50', model: { multiplier: 0.5 } }).model).toEqual({});
+});
+
+test('applies load options over the estimator config', () => {
+  const config = modelConfig({ estimator: 'posenet-mobilenet', model: { inputResolution: { width: 320, height: 240 } } });
+
+  expect(config).toMatchObject({ architecture: 'MobileNetV1', outputStride: 16, inputResolution: { width: 320, height: 240 } });
+});
+
+test('round-trips profiles through an exported file', () => {
+  const profiles = { ...BUILTIN_PROFILES, Mine: { ...DEFAULT_TRACKER_SETTINGS, frameSkip: 3 } };
+
+  const imported = parseProfiles(JSON.stringify(exportProfiles(profiles)));
+
+  expect(Object.keys(imported)).toEqual(Object.keys(profiles));
+  expect(imported.Mine.frameSkip).toBe(3);
+});
+
+test('rejects files without profiles', () => {
+  expect(() => parseProfiles('{"frames": []}')).toThrow('Not a tracker profiles file');
+  expect(() => parseProfiles('{"profiles": {}}')).toThrow('no profiles');
+  expect(() => parseProfiles('not json')).toThrow();
+});
@@ -0,0 +1,348 @@
+// Per-frame effects for the live camera feed.
+//
+// Each frame is drawn onto a canvas and run through a chain of effects, in
+// order, before it is shown or captured:
+//
+//   const renderer = createEffectsRenderer();
+//   renderer.render(video, canvas, [{ id: 'adjust', params: { contrast: 1.2 } }, { id: 'vignette' }]);
+//
+// Effects in EFFECTS declare their parameters (slider ranges or options) and
+// draw on the canvas in place. Person-aware effects (`personMask: true`) need
+// a mask of where the person is and are skipped until there is one.
+import { useEffect, useRef, useState } from 'react';
+import '@tensorflow/tfjs-backend-webgl';
+import { SEGMENTER_CONFIG, loadSegmenter, personMask, segmentPerson } from './bodySegmentation';
+import { DEFAULT_FEATHER, backdropOptions, cutOutPerson, replaceBackground } from './backgroundReplacement';
+import { getFrameSize } from './inputSource';
+import { resolveModelAssets } from './modelAssets';
+
+const LUT_SIZE = 33;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const luma = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+// 3D color lookup tables are { size, data } with size³ RGB triples in 0..1,
+// red varying fastest (the .cube order).
+export const createLut = (size, transform) => {
+  const data = new Float32Array(size * size * size * 3);
+  let i = 0;
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        const [outR, outG, outB] = transform(r / (size - 1), g / (size - 1), b / (size - 1));
+        data[i++] = clamp01(outR);
+        data[i++] = clamp01(outG);
+        data[i++] = clamp01(outB);
+      }
+    }
+  }
+  return { size, data };
+};
+
+// 3D .cube LUTs as exported by Resolve, Premiere and most LUT packs.
+export const parseCubeLut = (text) => {
+  let size = null;
+  const values = [];
+  text.split(/\r?\n/).forEach(raw => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const [keyword, ...rest] = line.split(/\s+/);
+    if (keyword === 'LUT_3D_SIZE') {
+      size = parseInt(rest[0], 10);
+    } else if (keyword === 'LUT_1D_SIZE') {
+      throw new Error('Invalid LUT: only 3D .cube LUTs are supported.');
+    } else if (/^[-+\d.]/.test(keyword)) {
+      const entry = [keyword, ...rest].map(Number);
+      if (entry.length !== 3 || entry.some(Number.isNaN)) throw new Error(`Invalid LUT: bad entry "${line}".`);
+      values.push(...entry);
+    }
+    // TITLE, DOMAIN_MIN/MAX and other keywords don't change the table
+  });
+
+  if (!size || size < 2) throw new Error('Invalid LUT: missing LUT_3D_SIZE.');
+  if (values.length !== size ** 3 * 3) {
+    throw new Error(`Invalid LUT: expected ${size ** 3} entries, found ${values.length / 3}.`);
+  }
+  return { size, data: Float32Array.from(values, clamp01) };
+};
+
+// Maps RGBA pixels through the LUT in place (nearest entry), blended with
+// the original by intensity.
+export const applyLut = (imageData, lut, intensity = 1) => {
+  const { data } = imageData;
+  const { size, data: table } = lut;
+  const scale = (size - 1) / 255;
+  for (let i = 0; i < data.length; i += 4) {
+    const index = ((Math.round(data[i + 2] * scale) * size + Math.round(data[i + 1] * scale)) * size +
+      Math.round(data[i] * scale)) * 3;
+    data[i] += (table[index] * 255 - data[i]) * intensity;
+    data[i + 1] += (table[index + 1] * 255 - data[i + 1]) * intensity;
+    data[i + 2] += (table[index + 2] * 255 - data[i + 2]) * intensity;
+  }
+  return imageData;
+};
+
+const BUILT_IN_LOOKS = {
+  warm: { label: 'Warm', transform: (r, g, b) => [r * 1.08 + 0.02, g * 1.01, b * 0.88] },
+  cool: { label: 'Cool', transform: (r, g, b) => [r * 0.9, g * 0.99 + 0.01, b * 1.1 + 0.02] },
+  vintage: {
+    label: 'Vintage',
+    transform: (r, g, b) => {
+      const y = luma(r, g, b);
+      const fade = (c) => 0.08 + 0.84 * (c * 0.7 + y * 0.3);
+      return [fade(r) * 1.05, fade(g), fade(b) * 0.85];
+    },
+  },
+  noir: {
+    label: 'Noir',
+    transform: (r, g, b) => {
+      const y = luma(r, g, b);
+      const curved = y * y * (3 - 2 * y);
+      return [curved, curved, curved];
+    },
+  },
+  tealOrange: {
+    label: 'Teal & orange',
+    transform: (r, g, b) => {
+      const shift = luma(r, g, b) - 0.5;
+      return [r + shift * 0.15, g + shift * 0.02, b - shift * 0.2];
+    },
+  },
+};
+
+// Built-in tables are generated on first use; loaded .cube files are added
+// under 'custom:<name>'.
+const luts = new Map();
+const customLooks = new Map();
+
+export const addCustomLut = (name, lut) => {
+  const id = `custom:${name}`;
+  customLooks.set(id, name);
+  luts.set(id, lut);
+  return id;
+};
+
+export const lutFor = (look) => {
+  if (!luts.has(look) && BUILT_IN_LOOKS[look]) luts.set(look, createLut(LUT_SIZE, BUILT_IN_LOOKS[look].transform));
+  return luts.get(look) || null;
+};
+
+export const lookOptions = () => [
+  ...Object.entries(BUILT_IN_LOOKS).map(([value, { label }]) => ({ value, label })),
+  ...[...customLooks].map(([value, name]) => ({ value, label: `📂 ${name}` })),
+];
+
+const copyCanvas = (source, target) => {
+  target.width = source.width;
+  target.height = source.height;
+  target.getContext('2d').drawImage(source, 0, 0);
+};
+
+export const EFFECTS = {
+  adjust: {
+    label: 'Brightness & contrast',
+    emoji: '☀️',
+    params: {
+      brightness: { label: 'Brightness', min: 0.5, max: 1.5, step: 0.05, default: 1 },
+      contrast: { label: 'Contrast', min: 0.5, max: 2, step: 0.05, default: 1 },
+      saturation: { label: 'Saturation', min: 0, max: 2, step: 0.05, default: 1 },
+    },
+    apply: (ctx, { params, scratch }) => {
+      copyCanvas(ctx.canvas, scratch);
+      ctx.save();
+      ctx.filter = `brightness(${params.brightness}) contrast(${params.contrast}) saturate(${params.saturation})`;
+      ctx.drawImage(scratch, 0, 0);
+      ctx.restore();
+    },
+  },
+  colorGrade: {
+    label: 'Color grade',
+    emoji: '🎞️',
+    params: {
+      look: { label: 'Look', options: lookOptions, default: 'warm' },
+      intensity: { label: 'Intensity', min: 0, max: 1, step: 0.05, default: 1 },
+    },
+    apply: (ctx, { width, height, params }) => {
+      const lut = lutFor(params.look);
+      if (!lut || params.intensity <= 0) return;
+      const image = ctx.getImageData(0, 0, width, height);
+      ctx.putImageData(applyLut(image, lut, params.intensity), 0, 0);
+    },
+  },
+  vignette: {
+    label: 'Vignette',
+    emoji: '🌑',
+    params: {
+      strength: { label: 'Strength', min: 0, max: 1, step: 0.05, default: 0.6 },
+      size: { label: 'Clear area', min: 0, max: 0.9, step: 0.05, default: 0.5 },
+    },
+    apply: (ctx, { width, height, params }) => {
+      const outer = Math.hypot(width, height) / 2;
+      const gradient = ctx.createRadialGradient(width / 2, height / 2, outer * params.size, width / 2, height / 2, outer);
+      gradient.addColorStop(0, 'rgba(0,0,0,0)');
+      gradient.addColorStop(1, `rgba(0,0,0,${params.strength})`);
+      ctx.save();
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, width, height);
+      ctx.restore();
+    },
+  },
+  backgroundBlur: {
+    label: 'Background blur',
+    emoji: '🌫️',
+    personMask: true,
+    params: {
+      amount: { label: 'Blur (px)', min: 2, max: 30, step: 1, default: 12 },
+    },
+    // The sharp person goes back on top of a blurred copy of the frame
+    apply: (ctx, { params, scratch, personLayer, personMask: mask }) => {
+      cutOutPerson(ctx.canvas, mask, personLayer);
+      copyCanvas(ctx.canvas, scratch);
+      ctx.save();
+      ctx.filter = `blur(${params.amount}px)`;
+      ctx.drawImage(scratch, 0, 0);
+      ctx.restore();
+      ctx.drawImage(personLayer, 0, 0);
+    },
+  },
+  background: {
+    label: 'Backdrop',
+    emoji: '🏝️',
+    personMask: true,
+    params: {
+      backdrop: { label: 'Backdrop', options: backdropOptions, default: 'beach' },
+      feather: { label: 'Edge softness (px)', min: 0, max: 20, step: 1, default: DEFAULT_FEATHER },
+    },
+    apply: (ctx, { params, scratch, personLayer, personMask: mask, mirror }) => {
+      copyCanvas(ctx.canvas, scratch);
+      replaceBackground(ctx, scratch, mask, { ...params, mirror, personLayer });
+    },
+  },
+};
+
+export const defaultParams = (id) =>
+  Object.fromEntries(Object.entries(EFFECTS[id].params).map(([name, param]) => [name, param.default]));
+
+export const needsPersonMask = (chain) => chain.some(({ id }) => EFFECTS[id] && EFFECTS[id].personMask);
+
+// chain: [{ id, params }], applied in order; missing params use defaults.
+// mirror says the canvas is shown mirrored, for effects that draw pictures.
+export const createEffectsRenderer = () => {
+  const scratch = document.createElement('canvas');
+  const personLayer = document.createElement('canvas');
+
+  const render = (frame, canvas, chain, { personMask: mask = null, mirror = false } = {}) => {
+    const { width, height } = getFrameSize(frame);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(frame, 0, 0, width, height);
+
+    chain.forEach(({ id, params }) => {
+      const effect = EFFECTS[id];
+      if (!effect || (effect.personMask && !mask)) return;
+      effect.apply(ctx, {
+        width, height, params: { ...defaultParams(id), ...params }, scratch, personLayer, personMask: mask, mirror,
+      });
+    });
+  };
+
+  return { render };
+};
+
+// Renders videoRef through the chain into canvasRef on every frame while
+// active. BodyPix is loaded the first time an effect needs a person mask;
+// segmentation runs beside rendering and effects use the latest mask.
+export const useVideoEffects = (videoRef, canvasRef, chain, active = true, { mirror = false } = {}) => {
+  const [segmenterStatus, setSegmenterStatus] = useState('idle');
+  const chainRef = useRef(chain);
+  const mirrorRef = useRef(mirror);
+  const segmenterRef = useRef(null);
+  const unmountedRef = useRef(false);
+  const wantsMask = needsPersonMask(chain);
+
+  useEffect(() => {
+    chainRef.current = chain;
+    mirrorRef.current = mirror;
+  }, [chain, mirror]);
+
+  useEffect(() => {
+    if (!wantsMask || segmenterStatus !== 'idle') return;
+    setSegmenterStatus('loading');
+    resolveModelAssets('bodypix', SEGMENTER_CONFIG)
+      .then(({ overrides }) => loadSegmenter(overrides))
+      .then(net => {
+        if (unmountedRef.current) {
+          net.dispose();
+          return;
+        }
+        segmenterRef.current = net;
+        setSegmenterStatus('ready');
+      })
+      .catch(err => {
+        console.error('❌ Error loading BodyPix model:', err);
+        if (!unmountedRef.current) setSegmenterStatus('error');
+      });
+  }, [wantsMask, segmenterStatus]);
+
+  useEffect(() => {
+    unmountedRef.current = false;
+    return () => {
+      unmountedRef.current = true;
+      if (segmenterRef.current) segmenterRef.current.dispose();
+      segmenterRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!active) return undefined;
+    const renderer = createEffectsRenderer();
+    const maskCanvas = document.createElement('canvas');
+    let hasMask = false;
+    let segmenting = false;
+    let stopped = false;
+    let frameId = null;
+
+    const segment = (video) => {
+      segmenting = true;
+      segmentPerson(segmenterRef.current, video)
+        .then(segmentation => {
+          if (stopped) return;
+          const mask = personMask(segmentation);
+          maskCanvas.width = mask.width;
+          maskCanvas.height = mask.height;
+          maskCanvas.getContext('2d').putImageData(mask, 0, 0);
+          hasMask = true;
+        })
+        .catch(err => console.error('Error segmenting frame:', err))
+        .finally(() => {
+          segmenting = false;
+        });
+    };
+
+    const loop = () => {
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+      if (video && canvas && video.readyState >= 2) {
+        const current = chainRef.current;
+        const masked = needsPersonMask(current);
+        if (masked && segmenterRef.current && !segmenting) segment(video);
+        renderer.render(video, canvas, current, {
+          personMask: masked && hasMask ? maskCanvas : null,
+          mirror: mirrorRef.current,
+        });
+      }
+      frameId = requestAnimationFrame(loop);
+    };
+    loop();
+
+    return () => {
+      stopped = true;
+      cancelAnimationFrame(frameId);
+    };
+  }, [active, videoRef, canvasRef]);
+
+  return { segmenterStatus };
+};
@@ -0,0 +1,53 @@
+import { applyLut, createLut, defaultParams, lutFor, needsPersonMask, parseCubeLut } from './videoEffects';
+
+const pixels = (...rgb) => ({ data: Uint8ClampedArray.from(rgb.flatMap(([r, g, b]) => [r, g, b, 255])) });
+
+const identityCube = `# Created by hand
+TITLE "identity"
+LUT_3D_SIZE 2
+DOMAIN_MIN 0 0 0
+DOMAIN_MAX 1 1 1
+0 0 0
+1 0 0
+0 1 0
+1 1 0
+0 0 1
+1 0 1
+0 1 1
+1 1 1
+`;
+
+test('parses 3D .cube files with red varying fastest', () => {
+  const lut = parseCubeLut(identityCube);
+
+  expect(lut.size).toBe(2);
+  expect(Array.from(lut.data.slice(3, 6))).toEqual([1, 0, 0]);
+  expect(Array.from(lut.data.slice(12, 15))).toEqual([0, 0, 1]);
+});
+
+test('rejects truncated and 1D LUTs', () => {
+  expect(() => parseCubeLut('LUT_3D_SIZE 2\n0 0 0\n')).toThrow(/expected 8 entries, found 1/);
+  expect(() => parseCubeLut('LUT_1D_SIZE 4\n')).toThrow(/only 3D/);
+});
+
+test('maps pixels through a LUT, blended by intensity', () => {
+  const invert = createLut(17, (r, g, b) => [1 - r, 1 - g, 1 - b]);
+
+  expect(Array.from(applyLut(pixels([0, 128, 255]), invert).data.slice(0, 3))).toEqual([255, 128, 0]);
+  expect(Array.from(applyLut(pixels([0, 0, 0]), invert, 0.5).data.slice(0, 3))).toEqual([128, 128, 128]);
+  expect(Array.from(applyLut(pixels([200, 100, 50]), parseCubeLut(identityCube)).data.slice(0, 3)))
+    .toEqual([255, 0, 0]);
+});
+
+test('warms up colors with the warm look', () => {
+  const [r, , b] = applyLut(pixels([128, 128, 128]), lutFor('warm')).data;
+
+  expect(r).toBeGreaterThan(128);
+  expect(b).toBeLessThan(128);
+});
+
+test('knows which chains need person segmentation', () => {
+  expect(needsPersonMask([{ id: 'adjust' }, { id: 'vignette' }])).toBe(false);
+  expect(needsPersonMask([{ id: 'backgroundBlur' }])).toBe(true);
+  expect(defaultParams('adjust')).toEqual({ brightness: 1, contrast: 1, saturation: 1 });
+});
@@ -0,0 +1,205 @@
+// Rep counting for workout mode.
+//
+// Each exercise follows one joint angle (in degrees) through a small state
+// machine: `rest` -> `moving` once the angle leaves the rest range, `bottom`
+// once it reaches the working range, and a rep when it gets back to rest.
+// Hysteresis between the two thresholds keeps jitter from counting twice.
+//
+//   const counter = createRepCounter('squat');
+//   const rep = counter.update(smoothedKeypoints, t); // the finished rep, or null
+//   counter.summary();
+//
+// Reps carry their tempo: milliseconds spent going into the movement (down)
+// and coming back out of it (up). A pause longer than setBreakMs between reps
+// starts a new set.
+import { computeAngles } from './kinematics';
+import { DEFAULT_SMOOTHING, createKeypointSmoother } from './keypointFilters';
+import { sessionFrameToKeypoints } from './poseSession';
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const known = (values) => values.filter(value => value !== null);
+const both = (...values) => (known(values).length > 0 ? mean(known(values)) : null);
+const smallest = (...values) => (known(values).length > 0 ? Math.min(...known(values)) : null);
+
+// signal: joint angles from kinematics.js -> degrees or null. rest and bottom
+// are the angle thresholds of the two ends of the movement, in either order.
+export const EXERCISES = {
+  squat: {
+    label: 'Squats',
+    emoji: '🏋️',
+    joint: 'Knees',
+    signal: (angles) => both(angles.leftKnee, angles.rightKnee),
+    rest: 160,
+    bottom: 100,
+  },
+  pushUp: {
+    label: 'Push-ups',
+    emoji: '🤸',
+    joint: 'Elbows',
+    signal: (angles) => both(angles.leftElbow, angles.rightElbow),
+    rest: 150,
+    bottom: 90,
+  },
+  bicepCurl: {
+    label: 'Bicep curls',
+    emoji: '💪',
+    joint: 'Elbow',
+    // Either arm, whichever is curling
+    signal: (angles) => smallest(angles.leftElbow, angles.rightElbow),
+    rest: 140,
+    bottom: 55,
+  },
+  jumpingJack: {
+    label: 'Jumping jacks',
+    emoji: '⭐',
+    joint: 'Shoulders',
+    signal: (angles) => both(angles.leftShoulder, angles.rightShoulder),
+    rest: 45,
+    bottom: 135,
+  },
+  lunge: {
+    label: 'Lunges',
+    emoji: '🦵',
+    joint: 'Front knee',
+    signal: (angles) => smallest(angles.leftKnee, angles.rightKnee),
+    rest: 160,
+    bottom: 105,
+  },
+};
+
+export const DEFAULT_WORKOUT_OPTIONS = {
+  confidenceThreshold: 0.5,
+  minRepMs: 400,
+  setBreakMs: 15000,
+};
+
+export const createRepCounter = (exerciseId, options = {}) => {
+  const exercise = EXERCISES[exerciseId];
+  if (!exercise) throw new Error(`Unknown exercise "${exerciseId}"`);
+  const config = { ...DEFAULT_WORKOUT_OPTIONS, ...options };
+  // Normalized so the working range is always the smaller number
+  const direction = exercise.bottom < exercise.rest ? 1 : -1;
+  const restAt = exercise.rest * direction;
+  const bottomAt = exercise.bottom * direction;
+
+  let phase = 'rest';
+  let angle = null;
+  let current = null;
+  let sets = [];
+  let startedAt = null;
+  let lastT = null;
+
+  const currentSet = () => sets[sets.length - 1];
+
+  const finishRep = (t) => {
+    const rep = {
+      startedAt: current.startedAt,
+      bottomAt: current.bottomAt,
+      endedAt: t,
+      downMs: current.bottomAt - current.startedAt,
+      upMs: t - current.bottomAt,
+      durationMs: t - current.startedAt,
+      depth: Math.round(current.depth),
+    };
+    current = null;
+    if (rep.durationMs < config.minRepMs) return null;
+
+    const set = currentSet();
+    const last = set && set.reps[set.reps.length - 1];
+    if (!set || (last && rep.startedAt - last.endedAt > config.setBreakMs)) {
+      sets.push({ reps: [rep] });
+    } else {
+      set.reps.push(rep);
+    }
+    return rep;
+  };
+
+  const reset = () => {
+    phase = 'rest';
+    angle = null;
+    current = null;
+    sets = [];
+    startedAt = null;
+    lastT = null;
+  };
+
+  // keypoints: one person, PoseNet order. t: milliseconds. confidenceThreshold
+  // overrides the counter's own, for thresholds that change while counting.
+  const update = (keypoints, t, { confidenceThreshold = config.confidenceThreshold } = {}) => {
+    if (lastT !== null && t < lastT) reset();
+    if (startedAt === null) startedAt = t;
+    lastT = t;
+
+    const value = exercise.signal(computeAngles(keypoints, { confidenceThreshold }));
+    if (value === null) return null;
+    angle = value;
+    const normalized = value * direction;
+
+    if (phase === 'rest' && normalized < restAt) {
+      phase = 'moving';
+      current = { startedAt: t, bottomAt: null, depth: value };
+    } else if (phase === 'moving' && normalized >= restAt) {
+      // Didn't go deep enough to count
+      phase = 'rest';
+      current = null;
+    } else if (phase === 'moving' && normalized <= bottomAt) {
+      phase = 'bottom';
+      current.bottomAt = t;
+    } else if (phase === 'bottom' && normalized >= restAt) {
+      phase = 'rest';
+      return finishRep(t);
+    }
+    if (current && value * direction < current.depth * direction) current.depth = value;
+    return null;
+  };
+
+  // The next rep starts a new set.
+  const endSet = () => {
+    if (currentSet() && currentSet().reps.length > 0) sets.push({ reps: [] });
+  };
+
+  const summary = () => {
+    const done = sets.filter(set => set.reps.length > 0).map((set, i) => ({
+      set: i + 1,
+      reps: set.reps.length,
+      durationMs: set.reps[set.reps.length - 1].endedAt - set.reps[0].startedAt,
+      avgDownMs: Math.round(mean(set.reps.map(rep => rep.downMs))),
+      avgUpMs: Math.round(mean(set.reps.map(rep => rep.upMs))),
+      avgRepMs: Math.round(mean(set.reps.map(rep => rep.durationMs))),
+    }));
+    const reps = sets.flatMap(set => set.reps);
+    return {
+      exercise: exerciseId,
+      totalReps: reps.length,
+      sets: done,
+      durationMs: startedAt === null ? 0 : lastT - startedAt,
+      avgRepMs: reps.length > 0 ? Math.round(mean(reps.map(rep => rep.durationMs))) : null,
+    };
+  };
+
+  const state = () => {
+    const set = currentSet();
+    return {
+      phase,
+      angle: angle === null ? null : Math.round(angle),
+      setNumber: Math.max(1, sets.length),
+      repsInSet: set ? set.reps.length : 0,
+      totalReps: sets.reduce((sum, { reps }) => sum + reps.length, 0),
+    };
+  };
+
+  return { update, endSet, reset, summary, state };
+};
+
+// Counts reps over a recorded pose session, smoothed like the live view.
+export const countSessionReps = (session, exerciseId, { smoothing = DEFAULT_SMOOTHING, ...options } = {}) => {
+  const counter = createRepCounter(exerciseId, options);
+  const { confidenceThreshold } = { ...DEFAULT_WORKOUT_OPTIONS, ...options };
+  const smoother = createKeypointSmoother(smoothing, { confidenceThreshold });
+  session.frames.forEach(frame => {
+    counter.update(smoother.smooth(sessionFrameToKeypoints(frame), frame.t), frame.t);
+  });
+  return counter.summary();
+};
+
+export const formatTempo = (ms) => (ms === null || ms === undefined ? '–' : `${(ms / 1000).toFixed(1)}s`);
@@ -0,0 +1,123 @@
+import { countSessionReps, createRepCounter } from './workout';
+import { body as standing } from './testUtils/poseFixtures';
+
+// Standing, facing the camera, with both knees bent to the given angle.
+const body = (kneeAngle) => {
+  const radians = kneeAngle * Math.PI / 180;
+  const hip = (x) => [x + 100 * Math.sin(radians), 450 + 100 * Math.cos(radians)];
+  return standing({ 11: hip(280), 12: hip(220) });
+};
+
+// Knee angles for one squat: down over downMs, back up over upMs.
+const squat = (downMs, upMs, step = 50) => [
+  ...Array.from({ length: downMs / step }, (_, i) => 175 - (85 * i) / (downMs / step)),
+  ...Array.from({ length: upMs / step }, (_, i) => 90 + (85 * i) / (upMs / step)),
+];
+
+const feed = (counter, angles, { start = 0, step = 50 } = {}) =>
+  angles.map((angle, i) => counter.update(body(angle), start + i * step)).filter(Boolean);
+
+test('counts a squat with its tempo once the knees come back up', () => {
+  const counter = createRepCounter('squat');
+
+  const reps = feed(counter, [...squat(1000, 500), 175, 175]);
+
+  expect(reps).toHaveLength(1);
+  expect(reps[0].downMs).toBeGreaterThan(reps[0].upMs);
+  expect(reps[0].depth).toBeLessThanOrEqual(100);
+  expect(counter.state()).toMatchObject({ phase: 'rest', repsInSet: 1, totalReps: 1 });
+});
+
+test('ignores shallow dips and jitter around the thresholds', () => {
+  const counter = createRepCounter('squat');
+
+  const reps = feed(counter, [175, 150, 175, 155, 161, 150, 159, 175]);
+
+  expect(reps).toEqual([]);
+});
+
+test('starts a new set after a long break or when asked', () => {
+  const counter = createRepCounter('squat', { setBreakMs: 5000 });
+  const rep = [...squat(600, 600), 175];
+
+  feed(counter, [...rep, ...rep]);
+  feed(counter, rep, { start: 20000 });
+  counter.endSet();
+  feed(counter, rep, { start: 30000 });
+
+  expect(counter.summary().sets.map(set => set.reps)).toEqual([2, 1, 1]);
+  expect(counter.summary().totalReps).toBe(4);
+});
+
+test('counts reps in a recorded pose session', () => {
+  const angles = [175, 175, ...squat(800, 800), ...squat(800, 800), ...squat(800, 800), 175, 175, 175];
+  const session = {
+    frames: angles.map((angle, i) => ({
+      t: i * 33,
+      score: 0.9,
+      keypoints: body(angle).map(kp => ({ part: '', x: kp.position.x, y: kp.position.y, score: kp.score })),
+    })),
+  };
+
+  const summary = countSessionReps(session, 'squat');
+
+  expect(summary.totalReps).toBe(3);
+  expect(summary.sets).toHaveLength(1);
+  expect(summary.avgRepMs).toBeGreaterThan(400);
+});
+
+// Evenly from one angle to the next, one frame every 50 ms.
+const ramp = (...stops) => stops.slice(1).flatMap((to, i) => {
+  const from = stops[i];
+  return Array.from({ length: 10 }, (_, step) => from + ((to - from) * step) / 10);
+}).concat(stops[stops.length - 1]);
+
+// Both arms raised sideways to `angle` degrees from the trunk.
+const jack = (angle) => {
+  const radians = angle * Math.PI / 180;
+  const arm = (x, side, length) => [x + side * length * Math.sin(radians), 200 + length * Math.cos(radians)];
+  return standing({
+    7: arm(300, 1, 70), 8: arm(200, -1, 70), 9: arm(300, 1, 140), 10: arm(200, -1, 140),
+    11: [300, 350], 12: [200, 350],
+  });
+};
+
+// The left elbow bent to `angle` degrees, the right arm hanging straight.
+const curl = (angle) => {
+  const radians = angle * Math.PI / 180;
+  return standing({ 9: [300 + 70 * Math.sin(radians), 270 - 70 * Math.cos(radians)] });
+};
+
+test('counts jumping jacks, where the working range is the larger angle', () => {
+  const counter = createRepCounter('jumpingJack');
+
+  const reps = ramp(30, 140, 30, 30)
+    .map((angle, i) => counter.update(jack(angle), i * 50))
+    .filter(Boolean);
+
+  expect(reps).toHaveLength(1);
+  expect(reps[0].depth).toBeGreaterThanOrEqual(135);
+  expect(counter.state()).toMatchObject({ phase: 'rest', totalReps: 1 });
+});
+
+test('counts a curl with one arm while the other hangs', () => {
+  const counter = createRepCounter('bicepCurl');
+
+  const reps = ramp(175, 40, 175, 175)
+    .map((angle, i) => counter.update(curl(angle), i * 50))
+    .filter(Boolean);
+
+  expect(reps).toHaveLength(1);
+  expect(reps[0].depth).toBeLessThanOrEqual(55);
+});
+
+test('follows a threshold changed while counting', () => {
+  const counter = createRepCounter('squat');
+  const faint = (angle) => body(angle).map(kp => ({ ...kp, score: 0.6 }));
+
+  const strict = [...squat(1000, 500), 175].map((angle, i) => counter.update(faint(angle), i * 50, { confidenceThreshold: 0.7 }));
+  expect(strict.filter(Boolean)).toEqual([]);
+
+  const relaxed = [...squat(1000, 500), 175].map((angle, i) => counter.update(faint(angle), 2000 + i * 50, { confidenceThreshold: 0.5 }));
+  expect(relaxed.filter(Boolean)).toHaveLength(1);
+});